@@ -0,0 +1,96 @@
+import { createRequire } from 'node:module'
+import { IncomingForm, errors as formidableErrors } from 'formidable'
+import { readFileSync } from 'node:fs'
+
+const require = createRequire(import.meta.url)
+const { compareJobs, maxBatchJobs } = require('../server/lib/batch')
+const { createCache, wantsFreshAnalysis } = require('../server/lib/cache')
+const { createRateLimiter, createDailyQuota, clientKey } = require('../server/lib/rate-limit')
+const { requestProvider } = require('../server/lib/user-key')
+const { createModelQueue } = require('../server/lib/queue')
+const { MAX_FILE_BYTES, fileTooLargeError, setRetryAfter } = require('../server/lib/errors')
+const { MAX_FIELD_BYTES, fieldTooLargeError } = require('../server/lib/limits')
+const { isJsonRequest, readJsonFields } = require('../server/lib/json-body')
+const { trackRequest, describeError } = require('../server/lib/request-context')
+const { wantsEventStream, openEventStream } = require('../server/lib/sse')
+const { abortOnDisconnect } = require('../server/lib/resilience')
+
+const cache = createCache()
+const rateLimiter = createRateLimiter()
+const dailyQuota = createDailyQuota()
+const modelQueue = createModelQueue()
+
+function parseForm(req) {
+  if (isJsonRequest(req)) return readJsonFields(req)
+  return new Promise((resolve, reject) => {
+    const form = new IncomingForm({
+      keepExtensions: true,
+      maxFileSize: MAX_FILE_BYTES,
+      maxFiles: maxBatchJobs() + 1,
+      // Room for every pasted job description plus the resume text
+      maxFieldsSize: MAX_FIELD_BYTES * (maxBatchJobs() + 1),
+    })
+    form.parse(req, (err, fields, files) => {
+      if (err?.code === formidableErrors.maxFieldsSizeExceeded) reject(fieldTooLargeError())
+      else if (err?.httpCode === 413) reject(fileTooLargeError())
+      else if (err) reject(err)
+      else resolve({ fields, files })
+    })
+  })
+}
+
+// formidable v3 wraps values in arrays
+function first(value) {
+  return Array.isArray(value) ? value[0] : value
+}
+
+// Candidate mode: one resume against many job descriptions (repeated
+// `jobDescriptions` fields and/or .txt/.md `jobFiles`)
+export default async function handler(req, res) {
+  const { log } = trackRequest(req, res, '/api/compare')
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  let stream = null
+  const signal = abortOnDisconnect(res)
+
+  try {
+    rateLimiter.check(clientKey(req))
+    const { provider, chargeQuota } = requestProvider(req, { quota: dailyQuota })
+    const { fields, files } = await parseForm(req)
+    const resumeFile = first(files.resume)
+
+    // ?stream=1 (or Accept: text/event-stream) switches to Server-Sent Events
+    if (wantsEventStream(req)) stream = openEventStream(res)
+
+    const result = await compareJobs({
+      resumeText: first(fields.resumeText),
+      resumeBuffer: resumeFile && readFileSync(resumeFile.filepath),
+      jobDescriptions: [].concat(fields.jobDescriptions ?? []),
+      jobFiles: (files.jobFiles || []).map((file) => ({ name: file.originalFilename, buffer: readFileSync(file.filepath) })),
+      preset: first(fields.preset),
+      redaction: first(fields.redaction),
+      options: { provider, chargeQuota, cache, queue: modelQueue, signal, fresh: wantsFreshAnalysis(req), onEvent: stream?.send, log },
+    })
+    if (!stream) return res.json(result)
+    stream.send('result', result)
+    stream.close()
+  } catch (err) {
+    if (signal.aborted) return
+    const { status, body } = describeError(res, err)
+    if (!stream?.started) {
+      setRetryAfter(res, body)
+      return res.status(status).json(body)
+    }
+    stream.send('error', { status, ...body })
+    stream.close()
+  }
+}
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+}
@@ -1,3 +1,15 @@
-export default function handler(req, res) {
-  res.json({ status: 'ok', app: 'JD-Match' })
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const { createCache } = require('../server/lib/cache')
+const { checkHealth } = require('../server/lib/health')
+const { trackRequest } = require('../server/lib/request-context')
+
+const cache = createCache()
+
+// Configuration checks; ?deep=1 also pings the provider and the cache
+export default async function handler(req, res) {
+  trackRequest(req, res, '/api/health')
+  const { status, body } = await checkHealth({ cache, deep: req.query?.deep === '1' || req.query?.deep === 'true' })
+  res.status(status).json(body)
 }
@@ -0,0 +1,107 @@
+import { createRequire } from 'node:module'
+import { IncomingForm, errors as formidableErrors } from 'formidable'
+import { readFileSync } from 'node:fs'
+import { waitUntil } from '@vercel/functions'
+
+const require = createRequire(import.meta.url)
+const { maxBatchJobs, maxBatchResumes, tooManyResumesError, BATCH_UPLOAD_BYTES } = require('../../server/lib/batch')
+const { createCache, wantsFreshAnalysis } = require('../../server/lib/cache')
+const { createRateLimiter, createDailyQuota, clientKey } = require('../../server/lib/rate-limit')
+const { requestProvider } = require('../../server/lib/user-key')
+const { createModelQueue } = require('../../server/lib/queue')
+const { createJobStore, createJobRunner, findJob, checkSharedStore } = require('../../server/lib/jobs')
+const { fileTooLargeError, setRetryAfter } = require('../../server/lib/errors')
+const { MAX_FIELD_BYTES, fieldTooLargeError } = require('../../server/lib/limits')
+const { isJsonRequest, readJsonFields } = require('../../server/lib/json-body')
+const { trackRequest, describeError } = require('../../server/lib/request-context')
+
+const cache = createCache()
+const rateLimiter = createRateLimiter()
+const dailyQuota = createDailyQuota()
+const modelQueue = createModelQueue()
+const jobStore = createJobStore()
+const jobRunner = createJobRunner({ store: jobStore, cache, queue: modelQueue, quota: dailyQuota })
+
+function parseForm(req) {
+  if (isJsonRequest(req)) return readJsonFields(req)
+  return new Promise((resolve, reject) => {
+    const form = new IncomingForm({
+      keepExtensions: true,
+      maxFileSize: BATCH_UPLOAD_BYTES,
+      maxFiles: maxBatchResumes() + maxBatchJobs() + 1,
+      maxFieldsSize: MAX_FIELD_BYTES * (maxBatchJobs() + 1),
+    })
+    form.parse(req, (err, fields, files) => {
+      if (err?.code === formidableErrors.maxFilesExceeded) reject(tooManyResumesError())
+      else if (err?.code === formidableErrors.maxFieldsSizeExceeded) reject(fieldTooLargeError())
+      else if (err?.httpCode === 413) reject(fileTooLargeError())
+      else if (err) reject(err)
+      else resolve({ fields, files })
+    })
+  })
+}
+
+// formidable v3 wraps values in arrays
+function first(value) {
+  return Array.isArray(value) ? value[0] : value
+}
+
+function readFiles(files) {
+  return (files || []).map((file) => ({ name: file.originalFilename, buffer: readFileSync(file.filepath) }))
+}
+
+// Asynchronous jobs. POST answers 202 with the job, then keeps the function
+// alive with waitUntil until the job and its callback are done, which must
+// happen within the function's maxDuration (see vercel.json). GET
+// /api/jobs/:id reaches this function through a rewrite, with the ID in
+// req.query.id.
+export default async function handler(req, res) {
+  const polling = req.method === 'GET' && req.query?.id !== undefined
+  trackRequest(req, res, polling ? '/api/jobs/:id' : '/api/jobs')
+  if (req.method !== 'POST' && !polling) {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    checkSharedStore(jobStore)
+    if (polling) return res.status(200).json(await findJob(jobStore, req.query.id))
+
+    rateLimiter.check(clientKey(req))
+    const { provider } = requestProvider(req, { quota: dailyQuota })
+    const { fields, files } = await parseForm(req)
+    const resumeFile = first(files.resume)
+
+    const job = await jobRunner.submit({
+      type: first(fields.type) || 'analyze',
+      input: {
+        resumeText: first(fields.resumeText),
+        resumeBuffer: resumeFile && readFileSync(resumeFile.filepath),
+        jobDescription: first(fields.jobDescription),
+        jobDescriptions: [].concat(fields.jobDescriptions ?? []),
+        jobFiles: readFiles(files.jobFiles),
+        resumeFiles: readFiles(files.resumes),
+        preset: first(fields.preset),
+        redaction: first(fields.redaction),
+        demoteFlagged: [true, 'true'].includes(first(fields.demoteFlagged)),
+        fresh: wantsFreshAnalysis(req),
+      },
+      callbackUrl: first(fields.callbackUrl),
+      provider,
+      client: clientKey(req),
+    })
+    waitUntil(jobRunner.finished(job.id))
+    res.setHeader('Location', `/api/jobs/${job.id}`)
+    res.status(202).json(job)
+  } catch (err) {
+    const { status, body } = describeError(res, err)
+    setRetryAfter(res, body)
+    res.status(status).json(body)
+  }
+}
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+}
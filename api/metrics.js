@@ -0,0 +1,13 @@
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const { renderMetrics, canScrape } = require('../server/lib/metrics')
+const { trackRequest } = require('../server/lib/request-context')
+
+// Prometheus metrics of the function instance that answers; the others keep their own
+export default function handler(req, res) {
+  trackRequest(req, res, '/api/metrics')
+  if (!canScrape(req)) return res.status(401).json({ error: 'A valid metrics token is required.' })
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+  res.end(renderMetrics())
+}
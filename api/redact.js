@@ -0,0 +1,64 @@
+import { createRequire } from 'node:module'
+import { IncomingForm, errors as formidableErrors } from 'formidable'
+import { readFileSync } from 'node:fs'
+
+const require = createRequire(import.meta.url)
+const { previewRedaction } = require('../server/lib/engine')
+const { createRateLimiter, clientKey } = require('../server/lib/rate-limit')
+const { MAX_FILE_BYTES, fileTooLargeError, setRetryAfter } = require('../server/lib/errors')
+const { MAX_FIELD_BYTES, fieldTooLargeError } = require('../server/lib/limits')
+const { isJsonRequest, readJsonFields } = require('../server/lib/json-body')
+const { trackRequest, describeError } = require('../server/lib/request-context')
+
+// Lives as long as the function instance stays warm
+const rateLimiter = createRateLimiter()
+
+function parseForm(req) {
+  if (isJsonRequest(req)) return readJsonFields(req)
+  return new Promise((resolve, reject) => {
+    const form = new IncomingForm({ keepExtensions: true, maxFileSize: MAX_FILE_BYTES, maxFieldsSize: MAX_FIELD_BYTES * 2 })
+    form.parse(req, (err, fields, files) => {
+      if (err?.code === formidableErrors.maxFieldsSizeExceeded) reject(fieldTooLargeError())
+      else if (err?.httpCode === 413) reject(fileTooLargeError())
+      else if (err) reject(err)
+      else resolve({ fields, files })
+    })
+  })
+}
+
+// formidable v3 wraps values in arrays
+function first(value) {
+  return Array.isArray(value) ? value[0] : value
+}
+
+// Preview of what an analysis would send to the model. Nothing reaches the
+// model, but extracting the upload is work enough to be rate limited.
+export default async function handler(req, res) {
+  trackRequest(req, res, '/api/redact')
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    rateLimiter.check(clientKey(req))
+    const { fields, files } = await parseForm(req)
+    const resumeFile = first(files.resume)
+    res.json(await previewRedaction({
+      resumeText: first(fields.resumeText),
+      resumeBuffer: resumeFile && readFileSync(resumeFile.filepath),
+      jobDescription: first(fields.jobDescription),
+      redaction: first(fields.redaction),
+    }))
+  } catch (err) {
+    const { status, body } = describeError(res, err)
+    setRetryAfter(res, body)
+    res.status(status).json(body)
+  }
+}
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+}
@@ -0,0 +1,96 @@
+import { createRequire } from 'node:module'
+import { IncomingForm, errors as formidableErrors } from 'formidable'
+import { readFileSync } from 'node:fs'
+
+const require = createRequire(import.meta.url)
+const { analyze } = require('../../server/lib/engine')
+const { createCache, wantsFreshAnalysis } = require('../../server/lib/cache')
+const { createRateLimiter, createDailyQuota, clientKey } = require('../../server/lib/rate-limit')
+const { requestProvider } = require('../../server/lib/user-key')
+const { createModelQueue } = require('../../server/lib/queue')
+const { AnalysisError, MAX_FILE_BYTES, fileTooLargeError, setRetryAfter } = require('../../server/lib/errors')
+const { MAX_FIELD_BYTES, fieldTooLargeError } = require('../../server/lib/limits')
+const { trackRequest, describeError } = require('../../server/lib/request-context')
+const { abortOnDisconnect } = require('../../server/lib/resilience')
+const v1 = require('../../server/lib/api-v1')
+
+// Cache, rate limits, quotas and queue live as long as the function instance stays warm
+const cache = createCache()
+const rateLimiter = createRateLimiter()
+const dailyQuota = createDailyQuota()
+const modelQueue = createModelQueue()
+
+function parseForm(req) {
+  return new Promise((resolve, reject) => {
+    const form = new IncomingForm({ keepExtensions: true, maxFileSize: MAX_FILE_BYTES, maxFieldsSize: MAX_FIELD_BYTES * 2 })
+    form.parse(req, (err, fields, files) => {
+      if (err?.code === formidableErrors.maxFieldsSizeExceeded) reject(fieldTooLargeError())
+      else if (err?.httpCode === 413) reject(fileTooLargeError())
+      else if (err) reject(err)
+      else resolve({ fields, files })
+    })
+  })
+}
+
+async function readJson(req) {
+  const chunks = []
+  let size = 0
+  for await (const chunk of req) {
+    size += chunk.length
+    if (size > v1.MAX_JSON_BODY_BYTES) throw v1.requestTooLargeError()
+    chunks.push(chunk)
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'))
+  } catch {
+    throw v1.invalidJsonError()
+  }
+}
+
+// formidable v3 wraps values in arrays; a repeated field stays an array so validation rejects it
+function single(value) {
+  return Array.isArray(value) && value.length === 1 ? value[0] : value
+}
+
+async function readInput(req) {
+  const type = v1.mediaType(req)
+  if (type === 'application/json') return v1.analyzeInputFromJson(await readJson(req))
+  if (type !== 'multipart/form-data') throw v1.unsupportedMediaTypeError()
+
+  const { fields, files } = await parseForm(req)
+  const resumeFile = single(files.resume)
+  const textFields = Object.fromEntries(Object.entries(fields).map(([name, value]) => [name, single(value)]))
+  return v1.analyzeInputFromForm(textFields, resumeFile && readFileSync(resumeFile.filepath))
+}
+
+export default async function handler(req, res) {
+  const { id, log } = trackRequest(req, res, '/api/v1/analyze')
+  const startedAt = Date.now()
+  const signal = abortOnDisconnect(res)
+
+  try {
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST')
+      throw new AnalysisError(405, 'Method not allowed', { code: 'METHOD_NOT_ALLOWED' })
+    }
+    rateLimiter.check(clientKey(req))
+    const { provider, chargeQuota } = requestProvider(req, { quota: dailyQuota })
+    const input = await readInput(req)
+    const result = await analyze({
+      ...input,
+      options: { provider, chargeQuota, cache, queue: modelQueue, signal, fresh: wantsFreshAnalysis(req), log },
+    })
+    res.json(v1.successEnvelope(result, { requestId: id, startedAt }))
+  } catch (err) {
+    if (signal.aborted) return
+    const { status, body } = describeError(res, err)
+    setRetryAfter(res, body)
+    res.status(status).json(v1.errorEnvelope(err, { status, body }))
+  }
+}
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+}
@@ -0,0 +1,11 @@
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const { OPENAPI_DOCUMENT } = require('../../server/lib/openapi')
+const { trackRequest } = require('../../server/lib/request-context')
+
+// Served as /api/v1/openapi.json through the rewrite in vercel.json
+export default function handler(req, res) {
+  trackRequest(req, res, '/api/v1/openapi.json')
+  res.status(200).json(OPENAPI_DOCUMENT)
+}
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+// Command-line front end for the analysis engine: the same extraction, prompt
+// and scoring as /api/analyze, without starting Vite or Express.
+const fs = require('fs')
+const path = require('path')
+// A .env in the working directory wins over server/.env
+require('dotenv').config({ path: ['.env', path.join(__dirname, '..', '.env')] })
+const { parseArgs } = require('util')
+const { ERROR_CODES } = require('../lib/providers')
+const { analyze } = require('../lib/engine')
+const { createCache } = require('../lib/cache')
+const { applyRewrites } = require('../lib/rewrite')
+const { toMarkdown, toTable } = require('../lib/report')
+const { AnalysisError, toErrorResponse } = require('../lib/errors')
+const { AnalysisValidationError } = require('../lib/schema')
+const { version } = require('../package.json')
+
+// Engine progress messages (rate-limit retries, repair prompts) go to stderr
+// so stdout stays parseable, as readable lines unless LOG_FORMAT asks for JSON.
+// Per-call info entries are only shown with LOG_LEVEL=info or debug.
+process.env.LOG_OUTPUT = 'stderr'
+process.env.LOG_FORMAT ||= 'text'
+process.env.LOG_LEVEL ||= 'warn'
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  BELOW_MIN_SCORE: 3,
+  INVALID_INPUT: 4,
+  SAFETY: 5,
+  RATE_LIMITED: 6,
+  INVALID_KEY: 7,
+  INVALID_ANALYSIS: 8,
+  UNAVAILABLE: 9,
+}
+
+const FORMATS = ['json', 'markdown', 'table']
+
+const USAGE = `Usage:
+  jd-match analyze <resume> --jd <file> [options]
+  jd-match rewrite <resume> --jd <file> [--output <file>] [options]
+
+Commands:
+  analyze   Score a resume against a job description
+  rewrite   Apply every suggested rewrite and write the refined resume text
+
+Options:
+  --jd <file>          Job description as text or Markdown ("-" reads stdin)
+  -f, --format <name>  json, markdown or table (default: table)
+  -p, --preset <name>  Overall score preset (default: SCORING_PRESET or balanced)
+  --redact <level>     PII sent to the model: none, contact or full
+                       (default: PII_REDACTION or contact)
+  --min-score <n>      Exit with code 3 when the overall score is below n
+  --fresh              Skip the analysis cache (ANALYSIS_CACHE=file keeps it between runs)
+  -o, --output <file>  analyze: write the report to a file
+                       rewrite: refined resume path (default: <resume>.refined.txt)
+  -h, --help           Show this help
+  -v, --version        Show the version
+
+Exit codes:
+  0 ok, 1 unexpected failure, 2 usage error, 3 below --min-score,
+  4 resume or job description rejected, 5 blocked by safety filters,
+  6 rate limited, 7 missing or invalid API key, 8 invalid AI response,
+  9 AI provider timed out or unavailable`
+
+class UsageError extends Error {}
+
+const OPTIONS = {
+  jd: { type: 'string' },
+  format: { type: 'string', short: 'f', default: 'table' },
+  preset: { type: 'string', short: 'p' },
+  redact: { type: 'string' },
+  'min-score': { type: 'string' },
+  fresh: { type: 'boolean' },
+  output: { type: 'string', short: 'o' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' },
+}
+
+function parseCli(argv) {
+  let parsed
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true })
+  } catch (err) {
+    throw new UsageError(err.message)
+  }
+  const { values, positionals } = parsed
+  if (values.help || values.version) return { values, positionals }
+
+  const [command, resumePath, ...extra] = positionals
+  if (!['analyze', 'rewrite'].includes(command)) throw new UsageError(command ? `Unknown command "${command}".` : 'Missing command.')
+  if (!resumePath) throw new UsageError('Missing resume file.')
+  if (extra.length > 0) throw new UsageError(`Unexpected argument "${extra[0]}".`)
+  if (!values.jd) throw new UsageError('Missing --jd <file>.')
+  if (!FORMATS.includes(values.format)) throw new UsageError(`--format must be one of ${FORMATS.join(', ')}.`)
+
+  let minScore = null
+  if (values['min-score'] !== undefined) {
+    minScore = Number(values['min-score'])
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) throw new UsageError('--min-score must be a number from 0 to 100.')
+  }
+
+  return { command, resumePath, minScore, values, positionals }
+}
+
+function readInput(file) {
+  try {
+    return file === '-' ? fs.readFileSync(0) : fs.readFileSync(file)
+  } catch (err) {
+    throw new UsageError(`Cannot read ${file}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`)
+  }
+}
+
+function exitCodeFor(err) {
+  if (err instanceof UsageError) return EXIT_CODES.USAGE
+  if (err instanceof AnalysisValidationError) return EXIT_CODES.INVALID_ANALYSIS
+  if (err instanceof AnalysisError) return ['INVALID_PRESET', 'INVALID_REDACTION'].includes(err.code) ? EXIT_CODES.USAGE : EXIT_CODES.INVALID_INPUT
+  if (err.code === ERROR_CODES.SAFETY) return EXIT_CODES.SAFETY
+  if (err.code === ERROR_CODES.RATE_LIMITED) return EXIT_CODES.RATE_LIMITED
+  if (err.code === ERROR_CODES.INVALID_KEY) return EXIT_CODES.INVALID_KEY
+  if (err.code === ERROR_CODES.TIMEOUT || err.code === ERROR_CODES.UNAVAILABLE) return EXIT_CODES.UNAVAILABLE
+  return EXIT_CODES.FAILED
+}
+
+function reportError(err) {
+  if (err instanceof UsageError) {
+    console.error(`jd-match: ${err.message}\nRun "jd-match --help" for usage.`)
+    return
+  }
+  const { body } = toErrorResponse(err)
+  console.error(`jd-match: ${body.error}${body.detail ? ` ${body.detail}` : ''}`)
+}
+
+function render(result, format, title) {
+  if (format === 'json') {
+    const { resumeText: _text, ...report } = result
+    return JSON.stringify(report, null, 2)
+  }
+  return format === 'markdown' ? toMarkdown(result, { title }) : toTable(result)
+}
+
+function renderRewrites(result, refined, output, format) {
+  const applied = refined.applied.map((i) => result.rewrites[i])
+  const skipped = refined.skipped.map((i) => result.rewrites[i])
+  if (format === 'json') {
+    return JSON.stringify({ output, overall: result.overall, applied, skipped }, null, 2)
+  }
+
+  const lines = [`Applied ${applied.length} of ${result.rewrites.length} rewrites to ${output}`]
+  if (skipped.length > 0) {
+    lines.push('', format === 'markdown' ? '## Not found in the resume' : 'Not found in the resume:')
+    for (const rewrite of skipped) lines.push(`- ${rewrite.original}`)
+  }
+  return lines.join('\n')
+}
+
+async function main(argv) {
+  const { command, resumePath, minScore, values } = parseCli(argv)
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`)
+    return EXIT_CODES.OK
+  }
+  if (values.version) {
+    process.stdout.write(`${version}\n`)
+    return EXIT_CODES.OK
+  }
+  if (resumePath === '-' && values.jd === '-') throw new UsageError('Only one of the resume and --jd can be read from stdin.')
+
+  const result = await analyze({
+    resumeBuffer: readInput(resumePath),
+    jobDescription: readInput(values.jd).toString('utf8'),
+    preset: values.preset,
+    redaction: values.redact,
+    options: { cache: createCache(), fresh: values.fresh },
+  })
+
+  let output
+  if (command === 'rewrite') {
+    const refined = applyRewrites(result.resumeText, result.rewrites)
+    const target = values.output || `${resumePath === '-' ? 'resume' : resumePath.replace(/\.[^./\\]+$/, '')}.refined.txt`
+    fs.writeFileSync(target, refined.text)
+    output = renderRewrites(result, refined, target, values.format)
+  } else {
+    output = render(result, values.format, `JD-Match: ${path.basename(resumePath)}`)
+    if (values.output) {
+      fs.writeFileSync(values.output, `${output}\n`)
+      output = null
+    }
+  }
+  if (output) process.stdout.write(`${output}\n`)
+
+  if (minScore !== null && result.overall.score < minScore) {
+    console.error(`jd-match: overall score ${result.overall.score} is below --min-score ${minScore}.`)
+    return EXIT_CODES.BELOW_MIN_SCORE
+  }
+  return EXIT_CODES.OK
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code
+  })
+  .catch((err) => {
+    reportError(err)
+    process.exitCode = exitCodeFor(err)
+  })
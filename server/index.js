@@ -2,158 +2,347 @@ require('dotenv').config()
 const express = require('express')
 const cors = require('cors')
 const multer = require('multer')
-const pdf = require('pdf-parse')
-const { GoogleGenerativeAI } = require('@google/generative-ai')
+const { createProvider } = require('./lib/providers')
+const { createCache, wantsFreshAnalysis } = require('./lib/cache')
+const { createRateLimiter, createDailyQuota, clientKey } = require('./lib/rate-limit')
+const { requestProvider } = require('./lib/user-key')
+const { createModelQueue } = require('./lib/queue')
+const { analyze, previewRedaction } = require('./lib/engine')
+const { compareJobs, rankResumes, maxBatchJobs, maxBatchResumes, tooManyResumesError, BATCH_UPLOAD_BYTES } = require('./lib/batch')
+const { AnalysisError, MAX_FILE_BYTES, fileTooLargeError, setRetryAfter } = require('./lib/errors')
+const { MAX_FIELD_BYTES, fieldTooLargeError } = require('./lib/limits')
+const { MAX_JSON_FIELDS_BYTES, jsonTooLargeError, invalidJsonError } = require('./lib/json-body')
+const { wantsEventStream, openEventStream } = require('./lib/sse')
+const { abortOnDisconnect } = require('./lib/resilience')
+const { logger } = require('./lib/logger')
+const { metrics, gauge, renderMetrics, canScrape } = require('./lib/metrics')
+const { trackRequest, requestLog, describeError } = require('./lib/request-context')
+const { checkHealth } = require('./lib/health')
+const { OPENAPI_DOCUMENT } = require('./lib/openapi')
+const v1 = require('./lib/api-v1')
+const { createJobStore, createJobRunner } = require('./lib/jobs')
+const { serverCircuits } = require('./lib/circuit')
 
 const app = express()
 const PORT = process.env.PORT || 3001
 
-const upload = multer({ storage: multer.memoryStorage() })
-
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_BYTES, fieldSize: MAX_FIELD_BYTES },
+})
 
-const SYSTEM_INSTRUCTION = `You are an expert ATS (Applicant Tracking System) Specialist using Strict Evidence Matching. Your goal is to analyze a Job Description against a User's Resume.
+// Recruiter uploads: oversized files within BATCH_UPLOAD_BYTES are rejected per file
+const batchUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: BATCH_UPLOAD_BYTES, fieldSize: MAX_FIELD_BYTES, files: maxBatchResumes() },
+})
 
-Instructions:
+const provider = createProvider()
+const cache = createCache()
+const rateLimiter = createRateLimiter()
+const dailyQuota = createDailyQuota()
+const modelQueue = createModelQueue()
+const jobRunner = createJobRunner({ store: createJobStore(), cache, queue: modelQueue, quota: dailyQuota })
 
-Extract the top 10 most important hard skills from the Job Description.
+gauge('jdmatch_model_queue_active', 'Model calls holding a queue slot.', () => modelQueue.active)
+gauge('jdmatch_model_queue_waiting', 'Model calls waiting for a queue slot.', () => modelQueue.queued)
+gauge('jdmatch_circuit_open', 'Whether a circuit breaker is open (1) or not (0).', () =>
+  serverCircuits().map(({ circuit, state }) => ({ labels: { circuit }, value: state === 'open' ? 1 : 0 }))
+)
+gauge('jdmatch_jobs', 'Asynchronous jobs by state (running or queued).', () => [
+  { labels: { state: 'running' }, value: jobRunner.running },
+  { labels: { state: 'queued' }, value: jobRunner.queued },
+])
 
-Compare them against the Resume text using these strict rules:
+// Errors on /api/v1 routes are wrapped in the v1 envelope
+function sendError(res, err) {
+  const { status, body } = describeError(res, err)
+  setRetryAfter(res, body)
+  res.status(status).json(res.locals.apiVersion === 'v1' ? v1.errorEnvelope(err, { status, body }) : body)
+}
 
-1. Zero-Inference Rule: Only count a skill as matched if the resume explicitly mentions it with a supporting tool, technology, or metric. Do NOT infer skills from job titles or vague context.
+// Counts the request against the client's limit before the upload is read
+function rateLimit(req, res, next) {
+  try {
+    rateLimiter.check(clientKey(req))
+    next()
+  } catch (err) {
+    sendError(res, err)
+  }
+}
 
-2. Context Check — Exposure vs Expertise:
-   - "Exposure" (skill listed without context, e.g. "Python" in a skills list) = 25% match weight.
-   - "Expertise" (skill demonstrated with a concrete action + outcome, e.g. "Developed a Python automation script saving 20 hours/week") = 100% match weight.
-   Use these weights when calculating tech_match.
+// Runs a multer middleware and converts its limit errors into the shared responses
+function withUploadLimits(middleware) {
+  return (req, res, next) => {
+    middleware(req, res, (err) => {
+      if (err?.code === 'LIMIT_FILE_SIZE') return sendError(res, fileTooLargeError())
+      if (err?.code === 'LIMIT_FILE_COUNT') return sendError(res, tooManyResumesError())
+      if (err?.code === 'LIMIT_FIELD_VALUE') return sendError(res, fieldTooLargeError())
+      if (err?.code === 'LIMIT_UNEXPECTED_FILE') {
+        return sendError(res, new AnalysisError(400, 'Unexpected file upload.', {
+          detail: `The "${err.field}" field does not take a file, or too many files were sent in it.`,
+          code: 'UNEXPECTED_FILE',
+        }))
+      }
+      next(err)
+    })
+  }
+}
 
-3. The "So What?" Test: Penalize bullet points that describe tasks or responsibilities without measurable outcomes. Bullet points like "Responsible for managing a team" score lower than "Led a team of 8 engineers, delivering the project 2 weeks ahead of schedule."
+const uploadResume = withUploadLimits(upload.single('resume'))
+const uploadComparison = withUploadLimits(
+  upload.fields([{ name: 'resume', maxCount: 1 }, { name: 'jobFiles', maxCount: maxBatchJobs() }])
+)
+const uploadResumes = withUploadLimits(batchUpload.array('resumes'))
+const uploadJob = withUploadLimits(
+  batchUpload.fields([
+    { name: 'resume', maxCount: 1 },
+    { name: 'jobFiles', maxCount: maxBatchJobs() },
+    { name: 'resumes', maxCount: maxBatchResumes() },
+  ])
+)
 
-Provide these scores (each 0-100):
-- tech_match: Hard skill alignment, weighted by Exposure vs Expertise as described above.
-- impact_match: How strong the action verbs, quantified results, and achievement statements are. Apply the "So What?" test.
-- ats_compatibility: A check for ATS-unfriendly formatting (columns, tables, images, headers/footers, unusual fonts). 100 means fully ATS-compatible.
-- strict_score: An overall score using only verifiable, evidence-backed matches (no inferences).
-- confidence_rating: Your confidence (0-100) in the accuracy of this analysis. Lower if the resume is vague, short, or ambiguous.
+// v1 takes JSON (with the resume as text or a base64 file) or a multipart form
+const parseV1Json = express.json({ limit: v1.MAX_JSON_BODY_BYTES })
+function readV1Body(req, res, next) {
+  const type = v1.mediaType(req)
+  if (type === 'multipart/form-data') return uploadResume(req, res, next)
+  if (type !== 'application/json') return sendError(res, v1.unsupportedMediaTypeError())
+  parseV1Json(req, res, (err) => {
+    if (err?.type === 'entity.too.large') return sendError(res, v1.requestTooLargeError())
+    if (err?.type === 'entity.parse.failed') return sendError(res, v1.invalidJsonError())
+    next(err)
+  })
+}
 
-Also produce a hallucination_check array: list any skills you suspect the candidate might have based on context clues but that are NOT explicitly stated with evidence. Each entry should have the skill name and the reason you suspect it.
+// Repeated form fields arrive as an array, a single one as a string
+function fieldList(value) {
+  return [].concat(value ?? [])
+}
 
-Suggest 3 specific bullet point rewrites for the resume to better align with the job.
+// Single-valued fields take the first of a repeated field, as the Vercel
+// functions do with formidable's arrays
+function first(value) {
+  return Array.isArray(value) ? value[0] : value
+}
 
-CRITICAL: For each rewrite, the "original" field MUST be copied EXACTLY character-for-character from the Resume text provided. Do NOT paraphrase, summarize, or reword the original — paste the exact substring as it appears in the resume.
+app.use(cors())
+// Request ID, access log and HTTP metrics, labelled by the matched route
+app.use((req, res, next) => {
+  trackRequest(req, res, () => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched'))
+  next()
+})
+app.use(express.json({ limit: MAX_JSON_FIELDS_BYTES }))
 
-JSON Schema:
-{
-  "tech_match": number,
-  "impact_match": number,
-  "ats_compatibility": number,
-  "strict_score": number,
-  "confidence_rating": number,
-  "summary": "string",
-  "missing_keywords": ["string"],
-  "hallucination_check": [
-    {"skill": "string", "reason": "string"}
-  ],
-  "rewrites": [
-    {"original": "exact text copied from resume", "suggested": "string", "why": "string"}
-  ]
-}`
+// Versioned API. Registered ahead of the shared JSON parser, whose default
+// size limit is too small for a base64-encoded resume.
+app.use('/api/v1', (req, res, next) => {
+  res.locals.apiVersion = 'v1'
+  next()
+})
 
-const model = genAI.getGenerativeModel({
-  model: 'gemini-2.5-flash',
-  systemInstruction: SYSTEM_INSTRUCTION,
-  generationConfig: {
-    responseMimeType: 'application/json',
-  },
+app.get('/api/v1/openapi.json', (req, res) => {
+  res.json(OPENAPI_DOCUMENT)
 })
 
-async function generateWithRetry(prompt, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const result = await model.generateContent(prompt)
-      return result
-    } catch (err) {
-      const isRateLimit =
-        err.status === 429 ||
-        err.message?.includes('RESOURCE_EXHAUSTED') ||
-        err.message?.includes('429')
-
-      if (isRateLimit && attempt < maxRetries) {
-        const delay = attempt * 5000 // 5s, 10s backoff
-        console.log(`Rate limited (attempt ${attempt}/${maxRetries}). Retrying in ${delay / 1000}s...`)
-        await new Promise((resolve) => setTimeout(resolve, delay))
-        continue
-      }
-      throw err
-    }
+app.post('/api/v1/analyze', rateLimit, readV1Body, async (req, res) => {
+  const startedAt = Date.now()
+  const signal = abortOnDisconnect(res)
+
+  try {
+    const input = v1.mediaType(req) === 'application/json'
+      ? v1.analyzeInputFromJson(req.body)
+      : v1.analyzeInputFromForm(req.body, req.file?.buffer)
+    const { provider: modelProvider, chargeQuota } = requestProvider(req, { provider, quota: dailyQuota })
+    const result = await analyze({
+      ...input,
+      options: { provider: modelProvider, chargeQuota, cache, queue: modelQueue, signal, fresh: wantsFreshAnalysis(req), log: requestLog(res) },
+    })
+    res.json(v1.successEnvelope(result, { requestId: res.getHeader('X-Request-Id'), startedAt }))
+  } catch (err) {
+    // The client is gone, so there is no one left to answer
+    if (signal.aborted) return
+    sendError(res, err)
   }
-}
+})
 
-app.use(cors())
 app.use(express.json())
 
-app.get('/api/health', (_req, res) => {
-  res.json({ status: 'ok', app: 'JD-Match' })
+// Configuration checks; ?deep=1 also pings the provider and the cache
+app.get('/api/health', async (req, res) => {
+  const { status, body } = await checkHealth({ provider, cache, deep: req.query.deep === '1' || req.query.deep === 'true' })
+  res.status(status).json(body)
+})
+
+app.get('/api/metrics', (req, res) => {
+  if (!canScrape(req)) return res.status(401).json({ error: 'A valid metrics token is required.' })
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics())
 })
 
-app.post('/api/analyze', upload.single('resume'), async (req, res) => {
+// ?stream=1 (or Accept: text/event-stream) switches to Server-Sent Events;
+// ?fresh=1 bypasses the analysis cache
+app.post('/api/analyze', rateLimit, uploadResume, async (req, res) => {
+  const stream = wantsEventStream(req) ? openEventStream(res) : null
+  const signal = abortOnDisconnect(res)
+
   try {
-    const { jobDescription } = req.body
-
-    if (!req.file && !req.body.resumeText) {
-      return res.status(400).json({ error: 'Resume file or text is required.' })
-    }
-    if (!jobDescription || !jobDescription.trim()) {
-      return res.status(400).json({ error: 'Job description is required.' })
-    }
-
-    let resumeText
-    if (req.body.resumeText) {
-      resumeText = req.body.resumeText
-    } else {
-      const pdfData = await pdf(req.file.buffer)
-      resumeText = pdfData.text
-    }
-
-    const result = await generateWithRetry(
-      `Job Description:\n${jobDescription}\n\nResume:\n${resumeText}`
-    )
-
-    const analysis = JSON.parse(result.response.text())
-    res.json({ ...analysis, resumeText })
+    const { provider: modelProvider, chargeQuota } = requestProvider(req, { provider, quota: dailyQuota })
+    const result = await analyze({
+      resumeText: first(req.body.resumeText),
+      resumeBuffer: req.file?.buffer,
+      jobDescription: first(req.body.jobDescription),
+      preset: first(req.body.preset),
+      redaction: first(req.body.redaction),
+      options: { provider: modelProvider, chargeQuota, cache, queue: modelQueue, signal, fresh: wantsFreshAnalysis(req), onEvent: stream?.send, log: requestLog(res) },
+    })
+    if (!stream) return res.json(result)
+    stream.send('result', result)
+    stream.close()
   } catch (err) {
-    console.error(err)
-
-    // Google API specific error handling
-    if (err.message?.includes('SAFETY')) {
-      return res.status(400).json({
-        error: 'Content was blocked by safety filters.',
-        detail: 'The input triggered Google\'s safety filters. Try rephrasing.',
-      })
-    }
-    if (err.message?.includes('RESOURCE_EXHAUSTED') || err.status === 429) {
-      return res.status(429).json({
-        error: 'The AI is a bit busy right now.',
-        detail: 'Please wait 30 seconds and try again. The free-tier has a limited number of requests per minute.',
-      })
-    }
-    if (err.message?.includes('API_KEY_INVALID') || err.message?.includes('API key not valid')) {
-      return res.status(401).json({
-        error: 'Invalid API key.',
-        detail: 'The GOOGLE_API_KEY in .env is missing or invalid.',
-      })
-    }
-
-    res.status(500).json({ error: 'Analysis failed.', detail: err.message })
+    // The client is gone, so there is no one left to answer
+    if (signal.aborted) return
+    if (!stream?.started) return sendError(res, err)
+    const { status, body } = describeError(res, err)
+    stream.send('error', { status, ...body })
+    stream.close()
   }
 })
 
+// Candidate mode: one resume against many job descriptions (repeated
+// `jobDescriptions` fields and/or .txt/.md `jobFiles`)
+app.post('/api/compare', rateLimit, uploadComparison, async (req, res) => {
+  const stream = wantsEventStream(req) ? openEventStream(res) : null
+  const signal = abortOnDisconnect(res)
+
+  try {
+    const { provider: modelProvider, chargeQuota } = requestProvider(req, { provider, quota: dailyQuota })
+    const result = await compareJobs({
+      resumeText: first(req.body.resumeText),
+      resumeBuffer: req.files?.resume?.[0]?.buffer,
+      jobDescriptions: fieldList(req.body.jobDescriptions),
+      jobFiles: (req.files?.jobFiles || []).map((file) => ({ name: file.originalname, buffer: file.buffer })),
+      preset: first(req.body.preset),
+      redaction: first(req.body.redaction),
+      options: { provider: modelProvider, chargeQuota, cache, queue: modelQueue, signal, fresh: wantsFreshAnalysis(req), onEvent: stream?.send, log: requestLog(res) },
+    })
+    if (!stream) return res.json(result)
+    stream.send('result', result)
+    stream.close()
+  } catch (err) {
+    // The client is gone, so there is no one left to answer
+    if (signal.aborted) return
+    if (!stream?.started) return sendError(res, err)
+    const { status, body } = describeError(res, err)
+    stream.send('error', { status, ...body })
+    stream.close()
+  }
+})
+
+// Recruiter mode: many `resumes` files against one job description, ranked;
+// `demoteFlagged=true` ranks resumes with hidden text or injected instructions last
+app.post('/api/rank', rateLimit, uploadResumes, async (req, res) => {
+  const stream = wantsEventStream(req) ? openEventStream(res) : null
+  const signal = abortOnDisconnect(res)
+
+  try {
+    const { provider: modelProvider, chargeQuota } = requestProvider(req, { provider, quota: dailyQuota })
+    const result = await rankResumes({
+      jobDescription: first(req.body.jobDescription),
+      resumeFiles: (req.files || []).map((file) => ({ name: file.originalname, buffer: file.buffer })),
+      preset: first(req.body.preset),
+      redaction: first(req.body.redaction),
+      demoteFlagged: [true, 'true'].includes(first(req.body.demoteFlagged)),
+      options: { provider: modelProvider, chargeQuota, cache, queue: modelQueue, signal, fresh: wantsFreshAnalysis(req), onEvent: stream?.send, log: requestLog(res) },
+    })
+    if (!stream) return res.json(result)
+    stream.send('result', result)
+    stream.close()
+  } catch (err) {
+    // The client is gone, so there is no one left to answer
+    if (signal.aborted) return
+    if (!stream?.started) return sendError(res, err)
+    const { status, body } = describeError(res, err)
+    stream.send('error', { status, ...body })
+    stream.close()
+  }
+})
+
+// Asynchronous jobs: the same inputs as /api/analyze, /api/compare or /api/rank
+// (picked by `type`, as form fields or JSON) are queued and answered with 202
+// and the job. Poll GET /api/jobs/:id, or pass `callbackUrl` for a signed POST
+// when it finishes.
+app.post('/api/jobs', rateLimit, uploadJob, async (req, res) => {
+  try {
+    const { provider: modelProvider } = requestProvider(req, { provider, quota: dailyQuota })
+    const files = req.files || {}
+    const job = await jobRunner.submit({
+      type: first(req.body.type) || 'analyze',
+      input: {
+        resumeText: first(req.body.resumeText),
+        resumeBuffer: files.resume?.[0]?.buffer,
+        jobDescription: first(req.body.jobDescription),
+        jobDescriptions: fieldList(req.body.jobDescriptions),
+        jobFiles: (files.jobFiles || []).map((file) => ({ name: file.originalname, buffer: file.buffer })),
+        resumeFiles: (files.resumes || []).map((file) => ({ name: file.originalname, buffer: file.buffer })),
+        preset: first(req.body.preset),
+        redaction: first(req.body.redaction),
+        demoteFlagged: [true, 'true'].includes(first(req.body.demoteFlagged)),
+        fresh: wantsFreshAnalysis(req),
+      },
+      callbackUrl: first(req.body.callbackUrl),
+      provider: modelProvider,
+      client: clientKey(req),
+    })
+    res.status(202).location(`/api/jobs/${job.id}`).json(job)
+  } catch (err) {
+    sendError(res, err)
+  }
+})
+
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    res.json(await jobRunner.get(req.params.id))
+  } catch (err) {
+    sendError(res, err)
+  }
+})
+
+// Preview of what an analysis at `redaction` would send to the model. Nothing
+// reaches the model, but the upload is still extracted (and OCRed), so it
+// counts against the same limit as an analysis.
+app.post('/api/redact', rateLimit, uploadResume, async (req, res) => {
+  try {
+    res.json(await previewRedaction({
+      resumeText: first(req.body.resumeText),
+      resumeBuffer: req.file?.buffer,
+      jobDescription: first(req.body.jobDescription),
+      redaction: first(req.body.redaction),
+    }))
+  } catch (err) {
+    sendError(res, err)
+  }
+})
+
+// express.json() failures carry a `type` rather than a status the client can act on
+const bodyParserErrors = {
+  'entity.too.large': jsonTooLargeError,
+  'entity.parse.failed': invalidJsonError,
+}
+
 // Global error handler — ensures all errors return JSON, not HTML/text
 app.use((err, _req, res, _next) => {
-  console.error('Unhandled error:', err)
-  res.status(500).json({ error: 'A server error occurred.', detail: err.message })
+  if (bodyParserErrors[err.type]) return sendError(res, bodyParserErrors[err.type]())
+  requestLog(res).error('Unhandled error', { err })
+  metrics.errors.inc({ class: 'UNHANDLED' })
+  res.status(500).json({ error: 'A server error occurred.', detail: err.message, request_id: res.getHeader('X-Request-Id') })
 })
 
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`)
-})
+// Listens when run directly; the contract tests mount the app themselves
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info(`Server running on http://localhost:${PORT}`, { provider: provider.name, model: provider.model, cache: cache?.name || 'off' })
+    jobRunner.resume().catch((err) => logger.error('Could not resume unfinished jobs', { err }))
+  })
+}
+
+module.exports = { app }
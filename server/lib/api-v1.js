@@ -0,0 +1,99 @@
+const { AnalysisError, MAX_FILE_BYTES } = require('./errors')
+const { MAX_FIELD_BYTES } = require('./limits')
+const { RequestValidationError, validateRequestBody } = require('./openapi')
+const { PROMPT_VERSION } = require('./prompt')
+
+// Version 1 of the public API: request parsing and the response envelope
+// shared by the Express route and the Vercel function. Every response is
+// { data, meta, errors }; the shapes are documented in ./openapi, and changes
+// that break them belong in a v2 next to this module.
+const API_VERSION = 'v1'
+
+// A base64 resume file plus the text fields
+const MAX_JSON_BODY_BYTES = Math.ceil((MAX_FILE_BYTES * 4) / 3) + 2 * MAX_FIELD_BYTES
+
+// The media type without parameters ("multipart/form-data; boundary=..." -> "multipart/form-data")
+function mediaType(req) {
+  return (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase()
+}
+
+function unsupportedMediaTypeError() {
+  return new AnalysisError(415, 'Unsupported content type.', {
+    detail: 'Send the request as application/json or multipart/form-data.',
+    code: 'UNSUPPORTED_MEDIA_TYPE',
+  })
+}
+
+function invalidJsonError() {
+  return new AnalysisError(400, 'The request body is not valid JSON.', { code: 'INVALID_JSON' })
+}
+
+function requestTooLargeError() {
+  return new AnalysisError(413, 'The request is too large.', {
+    detail: `JSON requests must be under ${Math.floor(MAX_JSON_BODY_BYTES / (1024 * 1024))} MB, including the base64-encoded resume.`,
+    code: 'REQUEST_TOO_LARGE',
+  })
+}
+
+// analyze() input from an application/json body
+function analyzeInputFromJson(body) {
+  const { resume, job_description, preset, redaction } = validateRequestBody('/api/v1/analyze', 'post', 'application/json', body)
+  return {
+    resumeText: resume.text,
+    resumeBuffer: resume.content === undefined ? undefined : Buffer.from(resume.content, 'base64'),
+    jobDescription: job_description,
+    preset,
+    redaction,
+  }
+}
+
+// analyze() input from multipart/form-data text `fields` and the `resume` file's contents
+function analyzeInputFromForm(fields, resumeBuffer) {
+  const body = { ...fields, ...(resumeBuffer && { resume: resumeBuffer }) }
+  const { resume_text, job_description, preset, redaction } = validateRequestBody('/api/v1/analyze', 'post', 'multipart/form-data', body)
+  if (!resumeBuffer && resume_text === undefined) {
+    throw new RequestValidationError([{ field: 'resume', message: 'or resume_text is required' }])
+  }
+  if (resumeBuffer && resume_text !== undefined) {
+    throw new RequestValidationError([{ field: 'resume_text', message: 'must not be sent with a resume file' }])
+  }
+  return { resumeText: resume_text, resumeBuffer, jobDescription: job_description, preset, redaction }
+}
+
+function successEnvelope(result, { requestId, startedAt }) {
+  const { resumeText, model, cache, ...analysis } = result
+  return {
+    data: { ...analysis, resume_text: resumeText },
+    meta: {
+      api_version: API_VERSION,
+      request_id: requestId,
+      model,
+      prompt_version: PROMPT_VERSION,
+      cached: Boolean(cache?.hit),
+      duration_ms: Date.now() - startedAt,
+    },
+    errors: [],
+  }
+}
+
+// `status` and `body` come from describeError. Validation errors list each
+// problem separately; every other error is a single entry.
+function errorEnvelope(err, { status, body }) {
+  const code = body.code || `HTTP_${status}`
+  const errors = err instanceof RequestValidationError
+    ? err.problems.map(({ field, message }) => ({ code, message: field ? `${field} ${message}` : message, ...(field && { field }) }))
+    : [{ code, message: body.error, ...(body.detail && { detail: body.detail }), ...(body.retry_after && { retry_after: body.retry_after }) }]
+  return { data: null, meta: { api_version: API_VERSION, request_id: body.request_id }, errors }
+}
+
+module.exports = {
+  MAX_JSON_BODY_BYTES,
+  mediaType,
+  unsupportedMediaTypeError,
+  invalidJsonError,
+  requestTooLargeError,
+  analyzeInputFromJson,
+  analyzeInputFromForm,
+  successEnvelope,
+  errorEnvelope,
+}
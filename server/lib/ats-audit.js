@@ -0,0 +1,281 @@
+const JSZip = require('jszip')
+const { checkUnzippedSize } = require('./limits')
+
+// Deterministic ATS formatting inspection. Works from the real document
+// structure (PDF text positions, fonts and images; DOCX XML parts) rather than
+// the flattened text the model sees, and produces concrete findings plus a
+// rule-based score to set next to the model's ats_compatibility guess.
+
+const SEVERITY_PENALTY = { high: 20, medium: 10, low: 5 }
+
+const COMMON_FONTS = /arial|helvetica|calibri|cambria|times|georgia|garamond|verdana|tahoma|trebuchet|palatino|book ?antiqua|century|lato|roboto|open ?sans|source ?sans|segoe|courier|liberation|dejavu|noto|carlito|caladea|aptos|inter\b/i
+const ICON_FONTS = /fontawesome|font ?awesome|wingdings|webdings|symbol|dingbats|material ?icons|icomoon/i
+
+// "ABCDEF+Calibri-Bold" -> "Calibri"
+function baseFontName(name) {
+  return name.replace(/^[A-Z]{6}\+/, '').split(/[-,]/)[0].replace(/(PSMT|MT|PS)$/, '').trim()
+}
+
+function scoreFindings(findings) {
+  const penalty = findings.reduce((sum, f) => sum + SEVERITY_PENALTY[f.severity], 0)
+  return Math.max(0, 100 - penalty)
+}
+
+function fontFindings(fonts) {
+  const findings = []
+  const families = [...new Set(fonts.map((f) => baseFontName(f.name)).filter(Boolean))]
+
+  const icons = families.filter((name) => ICON_FONTS.test(name))
+  if (icons.length > 0) {
+    findings.push({
+      id: 'icon-fonts',
+      severity: 'medium',
+      title: 'Icon or symbol fonts',
+      detail: `${icons.join(', ')} glyphs usually come out as garbage characters in ATS text.`,
+    })
+  }
+
+  const unusual = families.filter((name) => !ICON_FONTS.test(name) && !COMMON_FONTS.test(name))
+  if (unusual.length > 0) {
+    findings.push({
+      id: 'unusual-fonts',
+      severity: 'low',
+      title: 'Uncommon fonts',
+      detail: `${unusual.join(', ')} may not map cleanly to text. Prefer standard fonts like Arial, Calibri or Georgia.`,
+    })
+  }
+
+  const notEmbedded = fonts.filter((f) => f.embedded === false && !COMMON_FONTS.test(f.name) && !ICON_FONTS.test(f.name))
+  if (notEmbedded.length > 0) {
+    findings.push({
+      id: 'fonts-not-embedded',
+      severity: 'low',
+      title: 'Fonts not embedded',
+      detail: `${[...new Set(notEmbedded.map((f) => baseFontName(f.name)))].join(', ')} will be substituted on machines that don't have them.`,
+    })
+  }
+
+  if (families.length > 4) {
+    findings.push({
+      id: 'many-fonts',
+      severity: 'low',
+      title: 'Many different fonts',
+      detail: `${families.length} font families are used. Two or three keeps parsing and reading consistent.`,
+    })
+  }
+
+  return { findings, families }
+}
+
+// Groups text items into lines by baseline, then splits each line wherever the
+// horizontal gap is wider than `gutter`. Each returned segment is a run of text
+// that reads left to right.
+function lineSegments(page) {
+  const gutter = page.width * 0.08
+  const lines = new Map()
+  for (const item of page.items) {
+    if (!item.str.trim()) continue
+    const key = Math.round(item.y / 2)
+    if (!lines.has(key)) lines.set(key, [])
+    lines.get(key).push(item)
+  }
+
+  const segments = []
+  for (const items of lines.values()) {
+    items.sort((a, b) => a.x - b.x)
+    let current = null
+    for (const item of items) {
+      if (current && item.x - current.end <= gutter) {
+        current.text += item.str
+        current.end = Math.max(current.end, item.x + item.width)
+      } else {
+        current = { x: item.x, end: item.x + item.width, y: item.y, text: item.str }
+        segments.push(current)
+      }
+    }
+  }
+  return segments
+}
+
+// A page counts as multi-column when a substantial share of its prose starts
+// well to the right of the left margin. Short right-aligned runs (dates,
+// locations) are ignored by requiring a minimum segment length.
+function detectColumns(page) {
+  const segments = lineSegments(page).filter((s) => s.text.trim().length >= 20)
+  if (segments.length < 6) return 1
+
+  const leftMargin = Math.min(...segments.map((s) => s.x))
+  const rightStarts = segments.filter((s) => s.x - leftMargin > page.width * 0.25)
+  return rightStarts.length >= 4 && rightStarts.length / segments.length >= 0.2 ? 2 : 1
+}
+
+// Lines in the top or bottom 8% of a page that repeat on other pages. Digits are
+// normalized so "Page 1 of 2" and "Page 2 of 2" count as the same line.
+function repeatedMarginLines(pages) {
+  if (pages.length < 2) return []
+  const counts = new Map()
+  for (const page of pages) {
+    const seen = new Set()
+    for (const segment of lineSegments(page)) {
+      const inMargin = segment.y > page.height * 0.92 || segment.y < page.height * 0.08
+      const text = segment.text.trim()
+      if (!inMargin || !text) continue
+      const key = text.replace(/\d+/g, '#').toLowerCase()
+      if (seen.has(key)) continue
+      seen.add(key)
+      const entry = counts.get(key) || { text, pages: 0 }
+      entry.pages++
+      counts.set(key, entry)
+    }
+  }
+  return [...counts.values()].filter((entry) => entry.pages >= 2).map((entry) => entry.text)
+}
+
+function auditPdf(layout) {
+  const findings = []
+  const pageCount = layout.pages.length
+
+  const multiColumnPages = layout.pages
+    .map((page, i) => (detectColumns(page) > 1 ? i + 1 : null))
+    .filter(Boolean)
+  if (multiColumnPages.length > 0) {
+    findings.push({
+      id: 'multi-column',
+      severity: 'high',
+      title: 'Multi-column layout',
+      detail: `Page ${multiColumnPages.join(', ')} ${multiColumnPages.length > 1 ? 'use' : 'uses'} side-by-side columns. Many ATS read straight across, interleaving the columns.`,
+    })
+  }
+
+  const images = layout.pages.reduce((sum, page) => sum + page.imageCount, 0)
+  if (images > 0) {
+    findings.push({
+      id: 'images',
+      severity: 'medium',
+      title: 'Images or graphics',
+      detail: `${images} image${images > 1 ? 's' : ''} found. Text inside images, logos and skill charts is invisible to an ATS.`,
+    })
+  }
+
+  const margins = repeatedMarginLines(layout.pages)
+  if (margins.length > 0) {
+    findings.push({
+      id: 'header-footer',
+      severity: 'medium',
+      title: 'Repeated header or footer text',
+      detail: `"${margins.slice(0, 3).join('", "')}" repeats at the page edge. Some ATS drop header/footer content, so keep contact details in the body.`,
+    })
+  }
+
+  const fonts = [...new Map(layout.pages.flatMap((page) => page.fonts).map((f) => [f.name, f])).values()]
+  const fontResult = fontFindings(fonts)
+  findings.push(...fontResult.findings)
+
+  if (pageCount > 2) {
+    findings.push({
+      id: 'length',
+      severity: 'low',
+      title: 'Long resume',
+      detail: `${pageCount} pages. Most recruiters and ATS rankings favor one or two.`,
+    })
+  }
+
+  return {
+    source: 'pdf',
+    score: scoreFindings(findings),
+    pages: pageCount,
+    columns: multiColumnPages.length > 0 ? 2 : 1,
+    fonts: fontResult.families,
+    findings,
+  }
+}
+
+function xmlText(xml) {
+  return [...xml.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>/g)].map((m) => m[1]).join('').trim()
+}
+
+async function auditDocx(buffer) {
+  checkUnzippedSize(buffer)
+  const zip = await JSZip.loadAsync(buffer)
+  const documentXml = (await zip.file('word/document.xml')?.async('string')) || ''
+  const stylesXml = (await zip.file('word/styles.xml')?.async('string')) || ''
+  const findings = []
+
+  const tables = (documentXml.match(/<w:tbl>/g) || []).length
+  if (tables > 0) {
+    findings.push({
+      id: 'tables',
+      severity: 'medium',
+      title: 'Tables',
+      detail: `${tables} table${tables > 1 ? 's' : ''} found. Cell text is often read out of order or skipped.`,
+    })
+  }
+
+  const textBoxes = (documentXml.match(/<w:txbxContent>/g) || []).length
+  if (textBoxes > 0) {
+    findings.push({
+      id: 'text-boxes',
+      severity: 'high',
+      title: 'Text boxes',
+      detail: `${textBoxes} text box${textBoxes > 1 ? 'es' : ''} found. Many ATS ignore text box content entirely.`,
+    })
+  }
+
+  const columns = Math.max(1, ...[...documentXml.matchAll(/<w:cols\b[^>]*\bw:num="(\d+)"/g)].map((m) => Number(m[1])))
+  if (columns > 1) {
+    findings.push({
+      id: 'multi-column',
+      severity: 'high',
+      title: 'Multi-column layout',
+      detail: `A ${columns}-column section was found. Many ATS read straight across, interleaving the columns.`,
+    })
+  }
+
+  const images = (documentXml.match(/<pic:pic\b|<v:imagedata\b/g) || []).length
+  if (images > 0) {
+    findings.push({
+      id: 'images',
+      severity: 'medium',
+      title: 'Images or graphics',
+      detail: `${images} image${images > 1 ? 's' : ''} found. Text inside images, logos and skill charts is invisible to an ATS.`,
+    })
+  }
+
+  const marginParts = Object.keys(zip.files).filter((name) => /^word\/(header|footer)\d*\.xml$/.test(name))
+  const marginText = []
+  for (const name of marginParts) {
+    const text = xmlText(await zip.file(name).async('string'))
+    if (text) marginText.push(text)
+  }
+  if (marginText.length > 0) {
+    findings.push({
+      id: 'header-footer',
+      severity: 'medium',
+      title: 'Text in header or footer',
+      detail: `"${marginText.slice(0, 3).join('", "')}" is in a header/footer. Some ATS drop it, so keep contact details in the body.`,
+    })
+  }
+
+  const fontNames = [...`${documentXml}${stylesXml}`.matchAll(/<w:rFonts\b[^>]*\bw:ascii="([^"]+)"/g)].map((m) => m[1])
+  const fontResult = fontFindings([...new Set(fontNames)].map((name) => ({ name })))
+  findings.push(...fontResult.findings)
+
+  return {
+    source: 'docx',
+    score: scoreFindings(findings),
+    pages: null,
+    columns,
+    fonts: fontResult.families,
+    findings,
+  }
+}
+
+// Returns the audit for PDF and DOCX uploads, or null for formats without
+// layout information (plain text, Markdown, RTF, ODT, pasted text).
+async function auditFormatting({ format, buffer, layout }) {
+  if (format === 'pdf' && layout) return auditPdf(layout)
+  if (format === 'docx' && buffer) return auditDocx(buffer)
+  return null
+}
+
+module.exports = { auditFormatting }
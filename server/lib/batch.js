@@ -0,0 +1,218 @@
+const { createProvider } = require('./providers')
+const { analyze, prepareResume } = require('./engine')
+const { sniffFormat } = require('./extract')
+const { resolvePreset } = require('./scoring')
+const { resolveRedactionLevel } = require('./redact')
+const { AnalysisError, MAX_FILE_BYTES } = require('./errors')
+const { checkTextFields } = require('./limits')
+const { recordError } = require('./request-context')
+const { logger } = require('./logger')
+
+// Batch runs on top of the single analysis, BATCH_CONCURRENCY at a time.
+// Candidate mode extracts one resume and analyzes every job description
+// against it; recruiter mode analyzes many resumes against one job
+// description. A failing job or file is reported in its own row instead of
+// failing the whole batch.
+
+function batchConcurrency(env = process.env) {
+  return Math.max(1, Number(env.BATCH_CONCURRENCY) || 3)
+}
+
+function maxBatchJobs(env = process.env) {
+  return Number(env.BATCH_MAX_JOBS) || 20
+}
+
+function maxBatchResumes(env = process.env) {
+  return Number(env.BATCH_MAX_RESUMES) || 50
+}
+
+function tooManyResumesError() {
+  return new AnalysisError(400, 'Too many resumes.', {
+    detail: `Rank up to ${maxBatchResumes()} resumes at a time.`,
+    code: 'TOO_MANY_RESUMES',
+  })
+}
+
+// Recruiter uploads are accepted up to this size so one oversized file can be
+// reported in its own row; anything larger still fails the whole request.
+const BATCH_UPLOAD_BYTES = MAX_FILE_BYTES * 2
+
+// Calls fn(item, index) with at most `limit` calls in flight. Results keep the input order.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+  async function worker() {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+  return results
+}
+
+// First non-empty line, shortened: usually the job title
+function titleFor(text) {
+  const line = text.split('\n').map((l) => l.replace(/^#+\s*/, '').trim()).find(Boolean) || 'Untitled job'
+  return line.length > 80 ? `${line.slice(0, 77)}...` : line
+}
+
+async function readJobFile(file) {
+  const sniffed = await sniffFormat(file.buffer)
+  if (sniffed.format !== 'text' && sniffed.format !== 'markdown') {
+    throw new AnalysisError(415, 'Unsupported job description file.', {
+      detail: 'Upload job descriptions as .txt or .md files, or paste them.',
+      code: 'UNSUPPORTED_FILE_TYPE',
+    })
+  }
+  return sniffed.text
+}
+
+function toRowError(err, log) {
+  const { status, body } = recordError(err, log)
+  return { status, ...body }
+}
+
+// Candidate mode: one resume against many job descriptions. `jobDescriptions`
+// are pasted texts and `jobFiles` are { name, buffer } uploads. Each finished
+// row is reported through `options.onEvent('job', row)`; the returned object
+// lists the rows in input order.
+async function compareJobs({ resumeText, resumeBuffer, jobDescriptions = [], jobFiles = [], preset, redaction, options = {} }) {
+  checkTextFields({ preset, redaction, ...Object.fromEntries(jobDescriptions.map((text, i) => [`jobDescriptions[${i}]`, text])) })
+  const jobs = [
+    ...jobDescriptions.filter((text) => text?.trim()).map((text) => ({ source: 'pasted', title: titleFor(text), text })),
+    ...jobFiles.map((file) => ({ source: 'file', title: file.name, fileName: file.name, file })),
+  ]
+  if (jobs.length === 0) {
+    throw new AnalysisError(400, 'At least one job description is required.')
+  }
+  if (jobs.length > maxBatchJobs()) {
+    throw new AnalysisError(400, 'Too many job descriptions.', {
+      detail: `Compare up to ${maxBatchJobs()} job descriptions at a time.`,
+      code: 'TOO_MANY_JOBS',
+    })
+  }
+  const scoringPreset = resolvePreset(preset)
+  const redactionLevel = resolveRedactionLevel(redaction)
+
+  const resume = await prepareResume({ resumeText, resumeBuffer })
+  const { onEvent, maxRetries, cache, fresh, queue, signal, chargeQuota, log = logger } = options
+  const provider = options.provider || createProvider()
+  onEvent?.('extracted', { ...resume.extraction, resumeText: resume.resumeText, jobs: jobs.length })
+
+  const rows = await mapWithConcurrency(jobs, batchConcurrency(), async (job, index) => {
+    const row = { index, source: job.source, title: job.title, fileName: job.fileName }
+    try {
+      const jobDescription = job.text ?? (await readJobFile(job.file))
+      if (job.file) row.title = titleFor(jobDescription)
+      const result = await analyze({ resume, jobDescription, preset: scoringPreset, redaction: redactionLevel, options: { provider, maxRetries, cache, fresh, queue, signal, chargeQuota, log } })
+      const { resumeText: _text, extraction: _extraction, formatting_audit: _audit, ...analysis } = result
+      Object.assign(row, { status: 'ok', jobDescription, analysis })
+    } catch (err) {
+      Object.assign(row, { status: 'error', error: toRowError(err, log) })
+    }
+    onEvent?.('job', row)
+    return row
+  })
+
+  return {
+    preset: scoringPreset,
+    redaction: redactionLevel,
+    jobs: rows,
+    formatting_audit: resume.formattingAudit,
+    extraction: resume.extraction,
+    resumeText: resume.resumeText,
+  }
+}
+
+// Resumes usually open with the candidate's name: take the first short line
+// near the top that isn't a bullet, falling back to the file name.
+function candidateName(resumeText, fileName) {
+  const line = resumeText
+    .split('\n')
+    .slice(0, 5)
+    .map((l) => l.replace(/^#+\s*/, '').trim())
+    .find((l) => l && l.length <= 60 && /^\p{L}/u.test(l))
+  return line || fileName.replace(/\.[^.]+$/, '')
+}
+
+function shortlistEntry(result, fileName) {
+  return {
+    candidate: candidateName(result.resumeText, fileName),
+    overall: result.overall.score,
+    range: result.overall.range,
+    confidence: result.overall.confidence,
+    tech_match: result.tech_match,
+    impact_match: result.impact_match,
+    ats_compatibility: result.ats_compatibility,
+    strict_score: result.strict_score,
+    missing_skills: result.skills.filter((skill) => skill.status === 'missing').map((skill) => skill.name),
+    hallucination_flags: result.hallucination_check,
+    injection_check: result.injection_check,
+    summary: result.summary,
+    model: result.model,
+  }
+}
+
+function isRedFlagged(row) {
+  return Boolean(row.injection_check?.red_flag)
+}
+
+// Recruiter mode: many resumes ({ name, buffer } uploads in any supported
+// format) against one job description. Each finished file is reported through
+// `options.onEvent('candidate', row)`; the returned shortlist is ranked by
+// overall score with failed files last. With `demoteFlagged`, resumes carrying
+// hidden text or instructions to the AI (injection_check.red_flag) rank below
+// every clean one whatever their score.
+async function rankResumes({ jobDescription, resumeFiles = [], preset, redaction, demoteFlagged = false, options = {} }) {
+  checkTextFields({ jobDescription, preset, redaction })
+  if (resumeFiles.length === 0) {
+    throw new AnalysisError(400, 'At least one resume file is required.')
+  }
+  if (resumeFiles.length > maxBatchResumes()) throw tooManyResumesError()
+  if (!jobDescription || !jobDescription.trim()) {
+    throw new AnalysisError(400, 'Job description is required.', { code: 'JOB_DESCRIPTION_REQUIRED' })
+  }
+  const scoringPreset = resolvePreset(preset)
+  const redactionLevel = resolveRedactionLevel(redaction)
+
+  const { onEvent, maxRetries, cache, fresh, queue, signal, chargeQuota, log = logger } = options
+  const provider = options.provider || createProvider()
+  onEvent?.('started', { files: resumeFiles.length })
+
+  const rows = await mapWithConcurrency(resumeFiles, batchConcurrency(), async (file, index) => {
+    const row = { index, fileName: file.name }
+    try {
+      const result = await analyze({ resumeBuffer: file.buffer, jobDescription, preset: scoringPreset, redaction: redactionLevel, options: { provider, maxRetries, cache, fresh, queue, signal, chargeQuota, log } })
+      Object.assign(row, { status: 'ok', ...shortlistEntry(result, file.name) })
+    } catch (err) {
+      Object.assign(row, { status: 'error', error: toRowError(err, log) })
+    }
+    onEvent?.('candidate', row)
+    return row
+  })
+
+  const ranked = [...rows].sort((a, b) => {
+    if (a.status !== b.status) return a.status === 'error' ? 1 : -1
+    if (demoteFlagged && isRedFlagged(a) !== isRedFlagged(b)) return isRedFlagged(a) ? 1 : -1
+    return (b.overall ?? 0) - (a.overall ?? 0) || a.index - b.index
+  })
+  let rank = 0
+  return {
+    preset: scoringPreset,
+    redaction: redactionLevel,
+    demote_flagged: demoteFlagged,
+    candidates: ranked.map((row) => (row.status === 'ok' ? { rank: ++rank, ...row } : { rank: null, ...row })),
+  }
+}
+
+module.exports = {
+  compareJobs,
+  rankResumes,
+  mapWithConcurrency,
+  batchConcurrency,
+  maxBatchJobs,
+  maxBatchResumes,
+  tooManyResumesError,
+  BATCH_UPLOAD_BYTES,
+}
@@ -0,0 +1,43 @@
+const crypto = require('node:crypto')
+const fs = require('node:fs/promises')
+const path = require('node:path')
+
+// One JSON file per key in `dir`. Survives restarts and can be shared by the
+// CLI and a local server; expired files are removed when they are next read.
+// Entries quote the resume, so only the owner can read the directory and files.
+function createFileCache({ dir, ttlMs }) {
+  function fileFor(key) {
+    return path.join(dir, `${key}.json`)
+  }
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      let entry
+      try {
+        entry = JSON.parse(await fs.readFile(fileFor(key), 'utf-8'))
+      } catch {
+        return null
+      }
+      if (entry.expiresAt <= Date.now()) {
+        await fs.rm(fileFor(key), { force: true })
+        return null
+      }
+      return entry
+    },
+
+    // Written to a temporary file and renamed so readers never see half an
+    // entry; the random suffix keeps concurrent writers in one process apart
+    async set(key, value) {
+      const storedAt = Date.now()
+      const file = fileFor(key)
+      const tmp = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`
+      await fs.mkdir(dir, { recursive: true, mode: 0o700 })
+      await fs.writeFile(tmp, JSON.stringify({ value, storedAt, expiresAt: storedAt + ttlMs }), { mode: 0o600 })
+      await fs.rename(tmp, file)
+    },
+  }
+}
+
+module.exports = { createFileCache }
@@ -0,0 +1,61 @@
+const crypto = require('node:crypto')
+const os = require('node:os')
+const path = require('node:path')
+const { PROMPT_VERSION } = require('../prompt')
+const { createMemoryCache } = require('./memory')
+const { createFileCache } = require('./file')
+
+// Bump when the shape of cached values changes
+const CACHE_FORMAT = 2
+
+// Builds the analysis cache selected by ANALYSIS_CACHE, or null when caching is
+// off. Every backend exposes the same shape: { name, get(key) -> { value,
+// storedAt } | null, set(key, value) }, with entries expiring after
+// ANALYSIS_CACHE_TTL seconds. Values are { analysis, model }.
+function createCache(env = process.env) {
+  const name = (env.ANALYSIS_CACHE || 'memory').toLowerCase()
+  const ttlMs = (Number(env.ANALYSIS_CACHE_TTL) || 24 * 60 * 60) * 1000
+
+  switch (name) {
+    case 'memory':
+      return createMemoryCache({ ttlMs, maxEntries: Number(env.ANALYSIS_CACHE_MAX_ENTRIES) || 200 })
+    case 'file':
+      return createFileCache({ ttlMs, dir: env.ANALYSIS_CACHE_DIR || path.join(os.tmpdir(), 'jd-match-cache') })
+    case 'none':
+      return null
+    default:
+      throw new Error(`Unknown ANALYSIS_CACHE "${name}". Use memory, file or none.`)
+  }
+}
+
+// Whitespace and line-ending differences (a re-extracted PDF, a JD pasted from
+// another browser) should not cost another model call
+function normalizeText(text) {
+  return text
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
+// Content address of one analysis: the normalized inputs, the redaction level
+// (it changes what the model saw), the prompt version and the configured model (an answer from a fallback model is stored under the
+// primary one and reports itself in `model`). The scoring preset is not part of it because
+// the overall score is computed locally from the cached sub-scores.
+function analysisCacheKey({ resumeText, jobDescription, provider, redaction = 'none' }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([CACHE_FORMAT, PROMPT_VERSION, provider.name, provider.model, redaction, normalizeText(resumeText), normalizeText(jobDescription)]))
+    .digest('hex')
+}
+
+// ?fresh=1 skips the cache lookup; the new result still replaces the cached one
+function wantsFreshAnalysis(req) {
+  const query = req.query || {}
+  return query.fresh === '1' || query.fresh === 'true'
+}
+
+module.exports = { createCache, analysisCacheKey, wantsFreshAnalysis }
@@ -0,0 +1,27 @@
+// In-process LRU: a Map keeps insertion order, so re-inserting on every read
+// leaves the least recently used entry first in line for eviction.
+function createMemoryCache({ maxEntries, ttlMs }) {
+  const entries = new Map()
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key)
+      if (!entry) return null
+      entries.delete(key)
+      if (entry.expiresAt <= Date.now()) return null
+      entries.set(key, entry)
+      return entry
+    },
+
+    async set(key, value) {
+      const storedAt = Date.now()
+      entries.delete(key)
+      entries.set(key, { value, storedAt, expiresAt: storedAt + ttlMs })
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value)
+    },
+  }
+}
+
+module.exports = { createMemoryCache }
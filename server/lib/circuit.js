@@ -0,0 +1,96 @@
+const { ERROR_CODES, ProviderError } = require('./providers')
+const { logger } = require('./logger')
+
+// One circuit breaker per provider and model, shared by every request in the
+// process. CIRCUIT_FAILURE_THRESHOLD transient failures in a row open it; for
+// the next CIRCUIT_RESET_SECONDS calls fail fast (or move on to a fallback
+// model) instead of waiting on a provider that is down. After that a single
+// trial call is let through: success closes the circuit, failure re-opens it.
+// Calls made with a user's own key get a circuit per key, so one exhausted key
+// doesn't pause everyone else. Those keys come from the request, so their
+// circuits are kept apart and only the most recently used MAX_USER_CIRCUITS
+// are remembered; an evicted key simply starts over with a closed circuit.
+const MAX_USER_CIRCUITS = 500
+const breakers = new Map()
+const userBreakers = new Map()
+
+function circuitFor(provider, env = process.env) {
+  const options = {
+    threshold: Number(env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+    resetMs: (Number(env.CIRCUIT_RESET_SECONDS) || 30) * 1000,
+  }
+  if (!provider.keyId) {
+    const key = `${provider.name}:${provider.model}`
+    if (!breakers.has(key)) breakers.set(key, createBreaker(key, options))
+    return breakers.get(key)
+  }
+
+  const key = `${provider.name}:${provider.model}:key-${provider.keyId}`
+  const breaker = userBreakers.get(key) || createBreaker(key, options)
+  // Re-inserting moves the key to the end, so the first one is the least recently used
+  userBreakers.delete(key)
+  userBreakers.set(key, breaker)
+  if (userBreakers.size > MAX_USER_CIRCUITS) userBreakers.delete(userBreakers.keys().next().value)
+  return breaker
+}
+
+function createBreaker(key, { threshold, resetMs }) {
+  let state = 'closed'
+  let failures = 0
+  let openedAt = 0
+  let trialInFlight = false
+
+  return {
+    get state() {
+      return state
+    },
+
+    // Whether a call may go out now; claims the trial call when half-open
+    allow() {
+      if (state === 'open' && Date.now() - openedAt >= resetMs) state = 'half-open'
+      if (state === 'closed') return true
+      if (state === 'half-open' && !trialInFlight) {
+        trialInFlight = true
+        return true
+      }
+      return false
+    },
+
+    success() {
+      state = 'closed'
+      failures = 0
+      trialInFlight = false
+    },
+
+    failure() {
+      failures++
+      trialInFlight = false
+      if (state === 'half-open' || failures >= threshold) {
+        if (state !== 'open') logger.warn(`Circuit for ${key} opened after ${failures} failures`)
+        state = 'open'
+        openedAt = Date.now()
+      }
+    },
+
+    // A trial that ended without a verdict (cancelled, or a request error)
+    release() {
+      trialInFlight = false
+    },
+
+    openError() {
+      return new ProviderError(`${key} is failing; calls are paused.`, {
+        code: ERROR_CODES.UNAVAILABLE,
+        status: 503,
+        provider: key,
+        retryAfterMs: Math.max(1000, resetMs - (Date.now() - openedAt)),
+      })
+    },
+  }
+}
+
+// States of the circuits for the server's own key, for metrics and health checks
+function serverCircuits() {
+  return [...breakers].map(([key, breaker]) => ({ circuit: key, state: breaker.state }))
+}
+
+module.exports = { circuitFor, serverCircuits }
@@ -0,0 +1,207 @@
+const { createProvider } = require('./providers')
+const { coerceField, generateValidAnalysis } = require('./schema')
+const { buildPrompt } = require('./prompt')
+const { extractResume } = require('./extract')
+const { auditFormatting } = require('./ats-audit')
+const { matchSkills, checkMissingKeywords } = require('./skills')
+const { verifySkills } = require('./evidence')
+const { resolvePreset, computeOverall } = require('./scoring')
+const { createJsonScanner } = require('./json-stream')
+const { analysisCacheKey } = require('./cache')
+const { callModel } = require('./resilience')
+const { findOriginal } = require('./rewrite')
+const { AnalysisError, MAX_FILE_BYTES, fileTooLargeError } = require('./errors')
+const { checkResumeLength, checkJobDescriptionLength, checkTextFields } = require('./limits')
+const { checkInjection, hiddenTextFromLayout } = require('./injection')
+const { logger } = require('./logger')
+const { metrics } = require('./metrics')
+const { resolveRedactionLevel, createRedactor } = require('./redact')
+
+const SCORE_KEYS = ['tech_match', 'impact_match', 'ats_compatibility', 'strict_score', 'confidence_rating']
+
+// Turns streamed model output into stage events: `scores` (with the overall
+// score) once all five scores are known, then `summary`, `missing_keywords`, `hallucination_check`, `skills`
+// (with evidence already verified against the resume) and one `rewrite` event
+// per rewrite as each completes. Redaction placeholders are restored first.
+function createStageEmitter(onEvent, resumeText, preset, restore) {
+  const scores = {}
+
+  return createJsonScanner({
+    onProperty(key, value) {
+      if (key === 'rewrites') return
+      const coerced = restore(coerceField(key, value))
+      if (coerced === undefined) return
+
+      if (SCORE_KEYS.includes(key)) {
+        scores[key] = coerced
+        if (SCORE_KEYS.every((k) => k in scores)) onEvent('scores', { ...scores, overall: computeOverall(scores, preset) })
+      } else if (key === 'skills') {
+        onEvent('skills', { skills: verifySkills(coerced, resumeText) })
+      } else {
+        onEvent(key, { [key]: coerced })
+      }
+    },
+    onArrayItem(key, value, index) {
+      if (key !== 'rewrites') return
+      const rewrite = restore(coerceField(key, value, { asItem: true }))
+      if (rewrite) onEvent('rewrite', { index, rewrite })
+    },
+  })
+}
+
+// A broken cache (full disk, unreadable directory) must never fail an analysis
+async function readCache(cache, key, log) {
+  try {
+    return await cache.get(key)
+  } catch (err) {
+    log.warn(`Analysis cache read failed: ${err.message}`, { backend: cache.name })
+    return null
+  }
+}
+
+async function writeCache(cache, key, value, log) {
+  try {
+    await cache.set(key, value)
+  } catch (err) {
+    log.warn(`Analysis cache write failed: ${err.message}`, { backend: cache.name })
+  }
+}
+
+// The cache key ignores whitespace, so a hit can come from a resume spaced
+// differently (a re-extracted PDF). Each rewrite's `original` is re-quoted as
+// it appears in this resume, so applying it still finds an exact match.
+function quoteOriginals(analysis, resumeText) {
+  const rewrites = analysis.rewrites.map((rewrite) => {
+    const range = rewrite.original ? findOriginal(resumeText, rewrite.original) : null
+    return range ? { ...rewrite, original: resumeText.slice(range.start, range.end) } : rewrite
+  })
+  return { ...analysis, rewrites }
+}
+
+// Extracts and audits the resume. Batch runs call this once and pass the
+// result to analyze() as `resume` for every job description.
+async function prepareResume({ resumeText, resumeBuffer }) {
+  checkTextFields({ resumeText })
+  if (!resumeBuffer && !resumeText) {
+    throw new AnalysisError(400, 'Resume file or text is required.', { code: 'RESUME_REQUIRED' })
+  }
+
+  let extraction = { format: 'text', pages: null, scannedPages: [], ocr: null }
+  let formattingAudit = null
+  let hiddenText = []
+  if (resumeText) {
+    checkResumeLength(resumeText)
+  } else {
+    if (resumeBuffer.length > MAX_FILE_BYTES) throw fileTooLargeError()
+    const { text, layout, ...meta } = await extractResume(resumeBuffer)
+    checkResumeLength(text, { extracted: true })
+    resumeText = text
+    extraction = { ...extraction, ...meta }
+    formattingAudit = await auditFormatting({ format: extraction.format, buffer: resumeBuffer, layout })
+    hiddenText = hiddenTextFromLayout(layout)
+  }
+  extraction.chars = resumeText.length
+  return { resumeText, extraction, formattingAudit, hiddenText }
+}
+
+// Transport-independent analysis: each transport parses its request and hands
+// the fields here; `options` carries the request's provider, cache, queue,
+// abort signal, progress callback (onEvent), quota charge and logger.
+async function analyze({ resumeText, resumeBuffer, resume, jobDescription, preset, redaction, options = {} }) {
+  checkTextFields({ resumeText, jobDescription, preset, redaction })
+  if (!resume && !resumeBuffer && !resumeText) {
+    throw new AnalysisError(400, 'Resume file or text is required.', { code: 'RESUME_REQUIRED' })
+  }
+  if (!jobDescription || !jobDescription.trim()) {
+    throw new AnalysisError(400, 'Job description is required.', { code: 'JOB_DESCRIPTION_REQUIRED' })
+  }
+  checkJobDescriptionLength(jobDescription)
+  const scoringPreset = resolvePreset(preset)
+  const redactionLevel = resolveRedactionLevel(redaction)
+
+  resume = resume || (await prepareResume({ resumeText, resumeBuffer }))
+  const { extraction, formattingAudit } = resume
+  resumeText = resume.resumeText
+  const skillMatch = matchSkills(jobDescription, resumeText)
+  const injectionCheck = checkInjection({ resumeText, jobDescription, hiddenText: resume.hiddenText })
+  const redactor = createRedactor(redactionLevel)
+  const redactedResume = redactor.redactResume(resumeText)
+  const prompt = buildPrompt(redactor.redact(jobDescription), redactedResume)
+
+  const { onEvent, maxRetries, cache, fresh, queue, signal, chargeQuota, log = logger } = options
+  const provider = options.provider || createProvider()
+  const cacheKey = cache ? analysisCacheKey({ resumeText, jobDescription, provider, redaction: redactionLevel }) : null
+  const cached = cache && !fresh ? await readCache(cache, cacheKey, log) : null
+  if (cache) metrics.cacheLookups.inc({ result: fresh ? 'bypass' : cached ? 'hit' : 'miss' })
+
+  const callOptions = { maxRetries, signal, queue, log, onPosition: onEvent && ((position) => onEvent('queued', { position })) }
+  let model = cached?.value.model ?? null
+  async function generateWith(prompt, onChunk) {
+    const result = await callModel(provider, prompt, { ...callOptions, onChunk })
+    model = result.model
+    return result
+  }
+
+  let generate = (prompt) => generateWith(prompt)
+  let scanner = null
+  if (onEvent) {
+    onEvent('extracted', { ...extraction, resumeText })
+    if (formattingAudit) onEvent('formatting_audit', { formatting_audit: formattingAudit })
+    onEvent('skill_match', { skill_match: skillMatch })
+    onEvent('injection_check', { injection_check: injectionCheck })
+
+    // Only the first attempt streams; a repair re-prompt replaces the result wholesale
+    scanner = createStageEmitter(onEvent, resumeText, scoringPreset, redactor.restore)
+    let streamed = false
+    generate = (prompt) => {
+      const onChunk = streamed ? undefined : scanner.push
+      streamed = true
+      return generateWith(prompt, onChunk)
+    }
+  }
+
+  if (!cached) chargeQuota?.()
+  // The cache holds the analysis as the model wrote it, placeholders and all, so
+  // no resume PII is stored; this request's redactor maps a hit back
+  const modelAnalysis = cached ? cached.value.analysis : (await generateValidAnalysis(generate, prompt, log)).analysis
+  const analysis = cached ? quoteOriginals(redactor.restore(modelAnalysis), resumeText) : redactor.restore(modelAnalysis)
+  // A hit replays the same stage events a streamed model response would produce
+  if (cached) scanner?.push(JSON.stringify(analysis))
+  else if (cache) await writeCache(cache, cacheKey, { analysis: modelAnalysis, model }, log)
+
+  const keywordCheck = checkMissingKeywords(analysis.missing_keywords, skillMatch, resumeText)
+
+  return {
+    ...analysis,
+    overall: computeOverall(analysis, scoringPreset),
+    skills: verifySkills(analysis.skills, resumeText),
+    formatting_audit: formattingAudit,
+    skill_match: { ...skillMatch, keyword_check: keywordCheck },
+    injection_check: injectionCheck,
+    redaction: redactor.summary(),
+    extraction,
+    resumeText,
+    model,
+    cache: cache
+      ? { hit: Boolean(cached), backend: cache.name, key: cacheKey, stored_at: cached ? new Date(cached.storedAt).toISOString() : null }
+      : null,
+  }
+}
+
+// What analyze() would send to the model at a redaction level, without calling
+// it: the redacted inputs and every replacement with its original value.
+async function previewRedaction({ resumeText, resumeBuffer, jobDescription = '', redaction }) {
+  checkTextFields({ resumeText, jobDescription, redaction })
+  const level = resolveRedactionLevel(redaction)
+  checkJobDescriptionLength(jobDescription)
+  const resume = await prepareResume({ resumeText, resumeBuffer })
+  const redactor = createRedactor(level)
+  const redactedResume = redactor.redactResume(resume.resumeText)
+  return {
+    resumeText: redactedResume,
+    jobDescription: redactor.redact(jobDescription),
+    ...redactor.summary({ withOriginals: true }),
+  }
+}
+
+module.exports = { analyze, prepareResume, previewRedaction }
@@ -0,0 +1,139 @@
+const { ERROR_CODES } = require('./providers')
+const { AnalysisValidationError } = require('./schema')
+
+// An error that already knows its HTTP status and user-facing message.
+// `retryAfter` (seconds) becomes a Retry-After header on 429 and 503 responses.
+class AnalysisError extends Error {
+  constructor(status, error, { detail, code, retryAfter } = {}) {
+    super(detail || error)
+    this.name = 'AnalysisError'
+    this.status = status
+    this.error = error
+    this.detail = detail
+    this.code = code
+    this.retryAfter = retryAfter
+  }
+}
+
+// Upstream rate limits without a retry hint: how long the client is told to wait
+const UPSTREAM_RETRY_AFTER_SECONDS = 30
+
+// MAX_UPLOAD_MB, read once because the upload parsers are configured at startup
+const MAX_FILE_BYTES = (Number(process.env.MAX_UPLOAD_MB) || 10) * 1024 * 1024
+
+function fileTooLargeError() {
+  return new AnalysisError(413, 'File is too large.', {
+    detail: `Resume files must be ${MAX_FILE_BYTES / (1024 * 1024)} MB or smaller.`,
+    code: 'FILE_TOO_LARGE',
+  })
+}
+
+// Maps any error thrown while analyzing to { status, body } so every transport
+// answers with the same status codes and messages. A `retry_after` in the body
+// is also sent as the Retry-After header (see setRetryAfter).
+function toErrorResponse(err) {
+  if (err instanceof AnalysisError) {
+    const body = { error: err.error }
+    if (err.detail) body.detail = err.detail
+    if (err.code) body.code = err.code
+    if (err.retryAfter) body.retry_after = err.retryAfter
+    return { status: err.status, body }
+  }
+  if (err instanceof AnalysisValidationError) {
+    return {
+      status: 502,
+      body: {
+        error: 'The AI returned an incomplete analysis.',
+        detail: 'The response was still invalid after an automatic repair attempt. Please try again.',
+        code: err.code,
+      },
+    }
+  }
+
+  // Provider errors arrive normalized to the same codes whichever backend ran
+  if (err.code === ERROR_CODES.SAFETY) {
+    return {
+      status: 400,
+      body: {
+        error: 'Content was blocked by safety filters.',
+        detail: "The input triggered the AI provider's safety filters. Try rephrasing.",
+        code: 'CONTENT_BLOCKED',
+      },
+    }
+  }
+  if (err.code === ERROR_CODES.RATE_LIMITED) {
+    const retryAfter = Math.ceil((err.retryAfterMs || UPSTREAM_RETRY_AFTER_SECONDS * 1000) / 1000)
+    return {
+      status: 429,
+      body: {
+        error: 'The AI is a bit busy right now.',
+        detail: `Please wait ${retryAfter} seconds and try again. The free-tier has a limited number of requests per minute.`,
+        code: 'UPSTREAM_RATE_LIMITED',
+        retry_after: retryAfter,
+      },
+    }
+  }
+  if (err.code === ERROR_CODES.UNAVAILABLE) {
+    const retryAfter = Math.ceil(err.retryAfterMs / 1000)
+    return {
+      status: 503,
+      body: {
+        error: 'The AI provider is temporarily unavailable.',
+        detail: `Recent requests kept failing, so new ones are paused. Please try again in ${retryAfter} seconds.`,
+        code: 'PROVIDER_UNAVAILABLE',
+        retry_after: retryAfter,
+      },
+    }
+  }
+  if (err.code === ERROR_CODES.TIMEOUT) {
+    return {
+      status: 504,
+      body: {
+        error: 'The AI took too long to respond.',
+        detail: 'Please try again. A shorter resume or job description may help.',
+        code: 'TIMEOUT',
+      },
+    }
+  }
+  // A key the user supplied is theirs to fix; the server's key is the operator's
+  if (err.code === ERROR_CODES.INVALID_KEY && err.userKey) {
+    return {
+      status: 401,
+      body: {
+        error: 'Your API key was rejected.',
+        detail: "The AI provider did not accept the key you entered. Check it, or remove it to use the server's key.",
+        code: 'USER_KEY_INVALID',
+      },
+    }
+  }
+  if (err.code === ERROR_CODES.INVALID_KEY) {
+    return {
+      status: 401,
+      body: {
+        error: 'Invalid API key.',
+        detail: `The server's ${err.keyEnv} environment variable is missing or invalid.`,
+        code: 'SERVER_KEY_INVALID',
+      },
+    }
+  }
+
+  // The message can carry the provider's URL or response text, so it stays in
+  // the server log
+  if (err.code === ERROR_CODES.UPSTREAM) {
+    return {
+      status: 502,
+      body: {
+        error: 'The AI service returned an error.',
+        detail: 'The analysis could not be completed. Please try again in a moment.',
+      },
+    }
+  }
+
+  return { status: 500, body: { error: 'Analysis failed.', detail: err.message, code: 'INTERNAL_ERROR' } }
+}
+
+function setRetryAfter(res, body) {
+  if (body.retry_after) res.setHeader('Retry-After', String(body.retry_after))
+}
+
+module.exports = { AnalysisError, MAX_FILE_BYTES, fileTooLargeError, toErrorResponse, setRetryAfter }
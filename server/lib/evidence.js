@@ -0,0 +1,43 @@
+// Checks the model's per-skill evidence against the resume. Every quote must
+// exist in resumeText (exactly, or ignoring case and whitespace differences
+// from PDF extraction); located quotes come back with offsets for the UI, the
+// rest are listed as unverified. A matched skill left with no verified
+// evidence is downgraded to missing, per the zero-inference rule.
+
+const STATUS_WEIGHTS = { expertise: 1, exposure: 0.25, missing: 0 }
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function locate(quote, resumeText) {
+  const exact = resumeText.indexOf(quote)
+  if (exact !== -1) return { text: quote, start: exact, end: exact + quote.length }
+
+  const words = quote.split(/\s+/).filter(Boolean)
+  if (words.length === 0) return null
+  const match = new RegExp(words.map(escapeRegExp).join('\\s+'), 'i').exec(resumeText)
+  return match ? { text: match[0], start: match.index, end: match.index + match[0].length } : null
+}
+
+function verifySkill(skill, resumeText) {
+  const evidence = []
+  const unverified = []
+  for (const raw of skill.evidence) {
+    // Models often keep the bullet marker or wrap the quote in quotation marks
+    const quote = raw.trim().replace(/^[•●▪*\-–"“']+\s*/, '').replace(/["”']+$/, '')
+    const found = quote.length >= 2 ? locate(quote, resumeText) : null
+    if (found && !evidence.some((e) => e.start === found.start)) evidence.push(found)
+    else if (!found) unverified.push(raw)
+  }
+
+  const downgraded = skill.status !== 'missing' && evidence.length === 0
+  const status = downgraded ? 'missing' : skill.status
+  return { name: skill.name, status, weight: STATUS_WEIGHTS[status], evidence, unverified, downgraded }
+}
+
+function verifySkills(skills, resumeText) {
+  return skills.map((skill) => verifySkill(skill, resumeText))
+}
+
+module.exports = { verifySkills }
@@ -0,0 +1,322 @@
+const path = require('node:path')
+const { Worker } = require('node:worker_threads')
+const mammoth = require('mammoth')
+const JSZip = require('jszip')
+const { AnalysisError } = require('./errors')
+const { isOcrEnabled, maxOcrPages, ocrTimeoutMs, isReadable } = require('./ocr')
+const { inputLimits, tooManyPagesError, checkUnzippedSize } = require('./limits')
+const { logger } = require('./logger')
+
+const ODT_MIMETYPE = 'application/vnd.oasis.opendocument.text'
+
+function startsWith(buffer, signature) {
+  return buffer.subarray(0, signature.length).toString('latin1') === signature
+}
+
+// Decodes the buffer as text if it looks like a plain-text document (UTF-8 or
+// UTF-16 with a BOM, no NUL bytes, mostly printable). Returns null otherwise.
+function decodeText(buffer) {
+  let text
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    text = new TextDecoder('utf-16le').decode(buffer.subarray(2))
+  } else if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    text = new TextDecoder('utf-16be').decode(buffer.subarray(2))
+  } else {
+    if (buffer.includes(0)) return null
+    try {
+      text = new TextDecoder('utf-8', { fatal: true, ignoreBOM: false }).decode(buffer)
+    } catch {
+      return null
+    }
+  }
+
+  const controlChars = text.match(/[\u0000-\u0008\u000e-\u001f\u007f]/g)?.length || 0
+  if (controlChars > text.length * 0.01) return null
+  return text
+}
+
+function looksLikeMarkdown(text) {
+  return /^#{1,6}\s/m.test(text) || /^\s*[-*+]\s+\S/m.test(text) || /\[[^\]]+\]\([^)]+\)/.test(text) || /\*\*[^*]+\*\*/.test(text)
+}
+
+// Files recognized by their magic bytes only to say why they are rejected
+const REJECTED_SIGNATURES = [
+  { signature: '\x89PNG', kind: 'a PNG image' },
+  { signature: '\xff\xd8\xff', kind: 'a JPEG image' },
+  { signature: 'GIF8', kind: 'a GIF image' },
+  { signature: '\xd0\xcf\x11\xe0', kind: 'a legacy Word (.doc) file' },
+  { signature: 'Rar!', kind: 'a RAR archive' },
+  { signature: '\x1f\x8b', kind: 'a gzip archive' },
+]
+
+// Readers accept a PDF header anywhere in the first 1024 bytes, but only
+// behind whitespace or binary junk: a text resume that merely quotes
+// "%PDF-1.4" is still text.
+function isPdf(buffer) {
+  const offset = buffer.subarray(0, 1024).toString('latin1').search(/%PDF-\d\.\d/)
+  if (offset < 0) return false
+  const prefix = buffer.subarray(0, offset)
+  return !prefix.toString('latin1').trim() || decodeText(prefix) === null
+}
+
+// Identifies the document format from its bytes, never from the client's MIME
+// type or file name. Unsupported files come back as { format: null, kind }
+// where `kind` names what they look like, when that is known.
+async function sniffFormat(buffer) {
+  if (isPdf(buffer)) return { format: 'pdf' }
+  if (startsWith(buffer, '{\\rtf')) return { format: 'rtf' }
+  const rejected = REJECTED_SIGNATURES.find(({ signature }) => startsWith(buffer, signature))
+  if (rejected) return { format: null, kind: rejected.kind }
+
+  if (startsWith(buffer, 'PK\x03\x04')) {
+    checkUnzippedSize(buffer)
+    const zip = await JSZip.loadAsync(buffer).catch(() => null)
+    if (zip?.file('word/document.xml')) return { format: 'docx' }
+    const mimetype = await zip?.file('mimetype')?.async('string')
+    if (mimetype?.trim() === ODT_MIMETYPE) return { format: 'odt', zip }
+    return { format: null, kind: zip ? 'a ZIP archive' : null }
+  }
+
+  const text = decodeText(buffer)
+  if (text !== null) return { format: looksLikeMarkdown(text) ? 'markdown' : 'text', text }
+  return { format: null }
+}
+
+function scannedPdfError(detail) {
+  return new AnalysisError(422, 'This PDF looks like a scanned image.', {
+    detail,
+    code: 'SCANNED_PDF',
+  })
+}
+
+// Heap ceiling for one parse; a PDF that needs more is treated as unreadable
+const PDF_WORKER_HEAP_MB = 512
+
+function unreadablePdfError(detail, code = 'UNREADABLE_PDF') {
+  return new AnalysisError(422, 'This PDF could not be read.', { detail, code })
+}
+
+function pdfParseError(failure) {
+  if (failure.name === 'PasswordException') {
+    return unreadablePdfError('It is password-protected. Remove the password or export an unprotected copy and try again.', 'PDF_ENCRYPTED')
+  }
+  return unreadablePdfError('It may be damaged or not a real PDF. Export it again, or upload a Word or text version.')
+}
+
+// Parses the PDF and OCRs its scanned pages in a worker thread (./pdf-worker)
+// with a time and memory budget, so a malformed or pathological file can't
+// block the event loop or take the process down. Parsing gets
+// PDF_PARSE_TIMEOUT and OCR, when it runs, OCR_TIMEOUT on top. Resolves with
+// { text, pages, layout, scannedPages, recognized }; rejects PDFs with more
+// than MAX_PDF_PAGES pages.
+function extractPdfLayout(buffer) {
+  const { pdfPages, pdfTimeoutMs } = inputLimits()
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'pdf-worker.js'), {
+      workerData: { buffer, maxPages: pdfPages, ocrPages: isOcrEnabled() ? maxOcrPages() : 0 },
+      resourceLimits: { maxOldGenerationSizeMb: PDF_WORKER_HEAP_MB },
+      // pdf.js prints its parser warnings with console.log; they are
+      // diagnostics, and the CLI's stdout is reserved for the report
+      stdout: true,
+    })
+    worker.stdout.pipe(process.stderr)
+    let settled = false
+    function settle(fn, value) {
+      if (settled) return
+      settled = true
+      clearTimeout(timer)
+      worker.terminate()
+      fn(value)
+    }
+
+    let timer = setTimeout(() => {
+      settle(reject, unreadablePdfError(`Reading it took longer than ${pdfTimeoutMs / 1000} seconds. Export it again, or upload a Word or text version.`, 'PDF_TIMEOUT'))
+    }, pdfTimeoutMs)
+
+    worker.on('message', (message) => {
+      if (message.stage === 'ocr') {
+        const ocrMs = ocrTimeoutMs()
+        clearTimeout(timer)
+        timer = setTimeout(() => {
+          settle(reject, scannedPdfError(`Recognizing the scanned pages took longer than ${ocrMs / 1000} seconds. Export your resume as a text-based PDF or Word file and try again.`))
+        }, ocrMs)
+      } else if (message.error) settle(reject, pdfParseError(message.error))
+      else if (message.pages > pdfPages) settle(reject, tooManyPagesError(message.pages))
+      else settle(resolve, message)
+    })
+    worker.on('error', (err) => {
+      if (err.code !== 'ERR_WORKER_OUT_OF_MEMORY') logger.error('PDF worker failed', { err })
+      settle(reject, pdfParseError(err))
+    })
+    worker.on('exit', () => settle(reject, pdfParseError({})))
+  })
+}
+
+// Image-only pages are read with the bundled OCR engine when it's enabled (up
+// to OCR_MAX_PAGES of them). `scannedPages` lists every image-only page and
+// `ocr.pages` the ones whose text came from OCR, so the UI can warn that
+// extraction may be imperfect. Recognized text that fails isReadable is
+// dropped, and a PDF left with no text at all is rejected as a scan.
+async function extractPdfText(buffer) {
+  const { layout, scannedPages: scanned, recognized, ...pdfData } = await extractPdfLayout(buffer)
+  if (scanned.length === 0) {
+    return { text: pdfData.text, pages: pdfData.pages, layout, scannedPages: [], ocr: null }
+  }
+
+  const hasOtherText = layout.pages.some((page, i) => !scanned.includes(i + 1) && page.text.trim())
+  if (!recognized) {
+    if (hasOtherText) return { text: pdfData.text, pages: pdfData.pages, layout, scannedPages: scanned, ocr: null }
+    throw scannedPdfError('Text recognition is turned off on this server. Export your resume as a text-based PDF or Word file and try again.')
+  }
+
+  const ocrPages = scanned.filter((pageNumber) => isReadable(recognized[pageNumber]))
+  if (ocrPages.length === 0) {
+    if (hasOtherText) return { text: pdfData.text, pages: pdfData.pages, layout, scannedPages: scanned, ocr: null }
+    throw scannedPdfError('No readable text could be recognized in the scanned pages. Export your resume as a text-based PDF or Word file and try again.')
+  }
+
+  for (const pageNumber of ocrPages) {
+    layout.pages[pageNumber - 1].text = recognized[pageNumber].text
+  }
+  const confidences = ocrPages.map((pageNumber) => recognized[pageNumber].confidence)
+  return {
+    text: layout.pages.map((page) => page.text).join('\n\n'),
+    pages: pdfData.pages,
+    layout,
+    scannedPages: scanned,
+    ocr: {
+      pages: ocrPages,
+      confidence: Math.round(confidences.reduce((a, b) => a + b, 0) / confidences.length),
+    },
+  }
+}
+
+async function extractDocxText(buffer) {
+  const { value } = await mammoth.extractRawText({ buffer })
+  return { text: value, pages: null }
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+}
+
+async function extractOdtText(zip) {
+  const xml = await zip.file('content.xml')?.async('string')
+  if (!xml) return { text: '', pages: null }
+
+  const body = xml.replace(/^[\s\S]*?<office:text[^>]*>/, '').replace(/<\/office:text>[\s\S]*$/, '')
+  const text = body
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (_, count) => ' '.repeat(Number(count) || 1))
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<\/text:(?:p|h)>/g, '\n')
+    .replace(/<[^>]+>/g, '')
+  return { text: decodeXmlEntities(text).replace(/\n{3,}/g, '\n\n').trim(), pages: null }
+}
+
+// Strips RTF control words and groups, keeping paragraph breaks and decoding
+// \'hh and \uN escapes. Destinations like font and color tables are skipped.
+function extractRtfText(buffer) {
+  const rtf = buffer.toString('latin1')
+  const skipDestinations = /^(fonttbl|colortbl|stylesheet|info|pict|object|header|footer|themedata|datastore|latentstyles|generator|listtable|listoverridetable|rsidtbl|xmlnstbl|mmathPr)$/
+  let out = ''
+  let depth = 0
+  let skipDepth = null
+  let ucSkip = 1
+
+  for (let i = 0; i < rtf.length; i++) {
+    const c = rtf[i]
+    if (c === '{') {
+      depth++
+      continue
+    }
+    if (c === '}') {
+      if (skipDepth === depth) skipDepth = null
+      depth--
+      continue
+    }
+    if (c === '\\') {
+      const next = rtf[i + 1]
+      if (next === '\\' || next === '{' || next === '}') {
+        if (skipDepth === null) out += next
+        i++
+        continue
+      }
+      if (next === "'") {
+        if (skipDepth === null) out += String.fromCharCode(parseInt(rtf.slice(i + 2, i + 4), 16))
+        i += 3
+        continue
+      }
+      if (next === '*') {
+        if (skipDepth === null) skipDepth = depth
+        i++
+        continue
+      }
+      const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40))
+      if (!match) {
+        i++
+        continue
+      }
+      const [whole, word, arg] = match
+      i += whole.length
+      if (skipDepth !== null) continue
+
+      if (skipDestinations.test(word)) skipDepth = depth
+      else if (word === 'par' || word === 'line' || word === 'row') out += '\n'
+      else if (word === 'tab' || word === 'cell') out += '\t'
+      else if (word === 'uc') ucSkip = Number(arg)
+      else if (word === 'u') {
+        out += String.fromCharCode(Number(arg) < 0 ? Number(arg) + 65536 : Number(arg))
+        i += ucSkip
+      }
+      continue
+    }
+    if (c === '\r' || c === '\n') continue
+    if (skipDepth === null) out += c
+  }
+
+  return { text: out.replace(/[ \t]+\n/g, '\n').trim(), pages: null }
+}
+
+// Extracts plain text from any supported resume format. Throws a 415
+// AnalysisError for anything that isn't PDF, DOCX, ODT, RTF or plain text.
+async function extractResume(buffer) {
+  const sniffed = await sniffFormat(buffer)
+
+  let extracted
+  switch (sniffed.format) {
+    case 'pdf':
+      extracted = await extractPdfText(buffer)
+      break
+    case 'docx':
+      extracted = await extractDocxText(buffer)
+      break
+    case 'odt':
+      extracted = await extractOdtText(sniffed.zip)
+      break
+    case 'rtf':
+      extracted = extractRtfText(buffer)
+      break
+    case 'text':
+    case 'markdown':
+      extracted = { text: sniffed.text, pages: null }
+      break
+    default:
+      throw new AnalysisError(415, 'Unsupported file type.', {
+        detail: `${sniffed.kind ? `This looks like ${sniffed.kind}. ` : ''}Upload a PDF, Word (.docx), OpenDocument (.odt), RTF, Markdown or plain-text resume.`,
+        code: 'UNSUPPORTED_FILE_TYPE',
+      })
+  }
+
+  return { ...extracted, format: sniffed.format }
+}
+
+module.exports = { extractResume, sniffFormat }
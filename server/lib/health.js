@@ -0,0 +1,79 @@
+const { createProvider, KEY_ENVS } = require('./providers')
+const { serverCircuits } = require('./circuit')
+const { toErrorResponse } = require('./errors')
+const { version } = require('../package.json')
+
+// Health report for /api/health. The shallow check only reads configuration:
+// the provider builds, its API key is set and no circuit is open. With `deep`
+// the provider is pinged (a token count or model lookup, nothing generated) and
+// the cache makes a round trip. Deep results are reused for a short while so
+// the endpoint can't be used to hammer the provider.
+const DEEP_CHECK_TIMEOUT_MS = 10000
+const DEEP_CHECK_TTL_MS = 30000
+
+let lastDeepCheck = null
+
+function keyCheck(env) {
+  const name = (env.LLM_PROVIDER || 'gemini').toLowerCase()
+  // Ollama and other local OpenAI-compatible servers usually run without a key
+  const required = name === 'gemini' || (name === 'openai' && !env.OPENAI_BASE_URL)
+  const keyEnv = KEY_ENVS[name]
+  return { ok: !required || Boolean(env[keyEnv]), required, env: keyEnv }
+}
+
+async function pingProvider(provider) {
+  const started = Date.now()
+  try {
+    await provider.ping({ signal: AbortSignal.timeout(DEEP_CHECK_TIMEOUT_MS) })
+    return { ok: true, latency_ms: Date.now() - started }
+  } catch (err) {
+    const error = err.name === 'TimeoutError' ? `No answer within ${DEEP_CHECK_TIMEOUT_MS / 1000}s.` : toErrorResponse(err).body.detail || err.message
+    return { ok: false, latency_ms: Date.now() - started, error }
+  }
+}
+
+async function cacheRoundTrip(cache) {
+  try {
+    await cache.set('health-check', { storedBy: 'health' })
+    return { ok: Boolean(await cache.get('health-check')), backend: cache.name }
+  } catch (err) {
+    return { ok: false, backend: cache.name, error: err.message }
+  }
+}
+
+async function deepChecks(provider, cache) {
+  if (lastDeepCheck && Date.now() - lastDeepCheck.at < DEEP_CHECK_TTL_MS) return lastDeepCheck.checks
+  const checks = {
+    reachability: await pingProvider(provider),
+    ...(cache && { cache: await cacheRoundTrip(cache) }),
+  }
+  lastDeepCheck = { at: Date.now(), checks }
+  return checks
+}
+
+// Returns { status, body }: 200 with status 'ok' or 'degraded' (an open
+// circuit or a failing cache), 503 with 'error' when analyses can't work.
+async function checkHealth({ provider, cache, deep = false, env = process.env }) {
+  const checks = {}
+  try {
+    provider = provider || createProvider(env)
+    checks.provider = { ok: true, name: provider.name, model: provider.model, fallbacks: (provider.fallbacks || []).map((fallback) => fallback.model) }
+  } catch (err) {
+    checks.provider = { ok: false, error: err.message }
+  }
+  checks.api_key = keyCheck(env)
+  checks.cache = { ok: true, backend: cache?.name || 'off' }
+  const circuits = serverCircuits()
+  checks.circuits = { ok: circuits.every((circuit) => circuit.state !== 'open'), states: circuits }
+  if (deep && checks.provider.ok) Object.assign(checks, await deepChecks(provider, cache))
+
+  const failed = !checks.provider.ok || !checks.api_key.ok || checks.reachability?.ok === false
+  const degraded = !checks.circuits.ok || !checks.cache.ok
+  const status = failed ? 'error' : degraded ? 'degraded' : 'ok'
+  return {
+    status: failed ? 503 : 200,
+    body: { status, app: 'JD-Match', version, uptime_s: Math.round(process.uptime()), checks },
+  }
+}
+
+module.exports = { checkHealth }
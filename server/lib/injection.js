@@ -0,0 +1,95 @@
+// Local prompt-injection check. Both inputs reach the model verbatim (inside
+// the delimited blocks from ./prompt), so passages that read like instructions
+// to an AI, and resume text that is hidden on the page, are reported next to
+// the scores rather than silently trusted.
+
+const INSTRUCTION_PATTERNS = [
+  {
+    reason: 'Tells the AI to ignore its instructions',
+    pattern: /\b(?:ignore|disregard|forget|override)\s+(?:all\s+|any\s+)?(?:of\s+)?(?:the\s+|these\s+|those\s+)?(?:(?:previous|prior|above|earlier|preceding|system|original)\s+(?:instructions|prompts?|rules|directions|guidelines)|(?:instructions|prompts?|rules|directions|guidelines)\s+(?:above|before)|your\s+(?:previous\s+|original\s+)?(?:instructions|prompts?|rules|guidelines))\b/gi,
+  },
+  {
+    reason: 'Tries to give the AI a new role',
+    pattern: /\byou\s+are\s+(?:now\s+)?(?:an?\s+)?(?:ai|assistant|language\s+model|chatbot|chatgpt|gpt|llm)\b|\bact\s+as\s+(?:an?\s+)?(?:ai|assistant|recruiter\s+bot)\b/gi,
+  },
+  {
+    reason: 'Asks for a particular score',
+    pattern: /\b(?:score|rate|rank|grade|mark|evaluate)\s+(?:this|the|my)\s+(?:resume|candidate|applicant|cv|profile)\s+(?:as\s+|at\s+|a\s+)?(?:100|10\/10|perfect|highly|high|top|maximum|excellent)\b|\b(?:give|assign|award)\s+(?:this|the|my)?\s*(?:resume|candidate|applicant|cv)?\s*(?:a\s+)?(?:perfect|100%?|maximum|highest|top)\s+(?:score|rating|match)\b/gi,
+  },
+  {
+    reason: 'Addresses the AI or ATS directly',
+    pattern: /\b(?:note|message|instructions?)\s+(?:to|for)\s+(?:the\s+|any\s+)?(?:ai|llm|chatgpt|gpt|language\s+model|assistant|ats|screener|screening\s+(?:tool|software))\b/gi,
+  },
+  {
+    reason: 'Dictates the AI output',
+    pattern: /\b(?:respond|reply|answer|output|return)\s+(?:only\s+)?with\s+(?:the\s+following|this\s+json|json\s*:|\{)/gi,
+  },
+  {
+    reason: 'Contains prompt markup',
+    pattern: /<\/?(?:system|assistant|user|instructions?)>|\[\/?INST\]|<\|im_(?:start|end)\|>|\b(?:system\s+prompt|developer\s+message|jailbreak)\b/gi,
+  },
+]
+
+const HIDDEN_REASONS = {
+  white: 'White text, invisible on the page',
+  invisible: 'Text drawn in an invisible render mode',
+  tiny: 'Text too small to read',
+}
+
+// Findings are capped so a resume stuffed with hidden keywords can't bloat the response
+const MAX_PASSAGES = 20
+const MAX_PASSAGE_CHARS = 240
+
+function clip(text) {
+  const line = text.replace(/\s+/g, ' ').trim()
+  return line.length > MAX_PASSAGE_CHARS ? `${line.slice(0, MAX_PASSAGE_CHARS - 1)}…` : line
+}
+
+// The line around each match, so the passage reads in context
+function findInstructions(text, source) {
+  const passages = []
+  const seen = new Set()
+  for (const { reason, pattern } of INSTRUCTION_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const start = text.lastIndexOf('\n', match.index) + 1
+      const end = text.indexOf('\n', match.index + match[0].length)
+      const passage = clip(text.slice(start, end === -1 ? undefined : end))
+      if (seen.has(passage)) continue
+      seen.add(passage)
+      passages.push({ source, kind: 'instruction', reason, text: passage })
+    }
+  }
+  return passages
+}
+
+// `hiddenText` lists { page, reason, text } runs from the PDF layout (see
+// hiddenTextRuns in ./pdf-worker). Returns { flagged, red_flag, passages }:
+// `red_flag` is set when the resume itself carries hidden text or
+// instructions, which recruiter mode treats as a manipulation attempt.
+function checkInjection({ resumeText, jobDescription, hiddenText = [] }) {
+  const hidden = hiddenText.map((run) => ({
+    source: 'resume',
+    kind: 'hidden_text',
+    reason: HIDDEN_REASONS[run.reason],
+    text: clip(run.text),
+    page: run.page,
+  }))
+  // Hidden instructions are already listed as hidden text
+  const resumeInstructions = findInstructions(resumeText, 'resume').filter(
+    (passage) => !hidden.some((run) => run.text.includes(passage.text) || passage.text.includes(run.text))
+  )
+  const passages = [...hidden, ...resumeInstructions, ...findInstructions(jobDescription, 'job_description')].slice(0, MAX_PASSAGES)
+
+  return {
+    flagged: passages.length > 0,
+    red_flag: passages.some((passage) => passage.source === 'resume'),
+    passages,
+  }
+}
+
+// Hidden runs from every page of a PDF layout, numbered by page
+function hiddenTextFromLayout(layout) {
+  return (layout?.pages || []).flatMap((page, i) => (page.hiddenText || []).map((run) => ({ ...run, page: i + 1 })))
+}
+
+module.exports = { checkInjection, hiddenTextFromLayout }
@@ -0,0 +1,139 @@
+const crypto = require('node:crypto')
+const dns = require('node:dns')
+const http = require('node:http')
+const https = require('node:https')
+const net = require('node:net')
+const { AnalysisError } = require('../errors')
+
+// Completion webhooks. X-JD-Match-Signature is "t=<unix seconds>,v1=<hex>",
+// the HMAC-SHA256 of "<t>.<body>" keyed with JOB_CALLBACK_SECRET.
+
+const CALLBACK_TIMEOUT_MS = 10000
+// Delays before the second and third attempts
+const RETRY_DELAYS_MS = [2000, 10000]
+
+function invalidCallbackError(detail) {
+  return new AnalysisError(400, 'Invalid callback URL.', { detail, code: 'INVALID_CALLBACK_URL' })
+}
+
+// This host, private and link-local networks (cloud metadata included), and
+// reserved ranges. IPv4-mapped IPv6 addresses are checked as IPv4.
+const PRIVATE_RANGES = new net.BlockList()
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4')
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6')
+
+function isPrivateAddress(address) {
+  return PRIVATE_RANGES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6')
+}
+
+// Names and literals that are private on their face; see publicOnlyLookup
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase()
+  if (host === 'localhost' || host.endsWith('.localhost')) return true
+  return net.isIP(host) !== 0 && isPrivateAddress(host)
+}
+
+// dns.lookup that fails on any private address. The request connects to the
+// address checked here, so a name can't be re-resolved in between.
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err)
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address))
+    if (blocked) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a private address (${blocked.address})`), { code: 'EPRIVATEADDRESS' }))
+    }
+    if (options.all) callback(null, addresses)
+    else callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+// Throws a 400 unless callbacks are configured and `value` is an http(s) URL
+// to a public host (JOB_CALLBACK_ALLOW_PRIVATE=true allows local receivers)
+function checkCallbackUrl(value, env = process.env) {
+  if (!env.JOB_CALLBACK_SECRET) {
+    throw new AnalysisError(400, 'Callbacks are not enabled.', {
+      detail: 'Set JOB_CALLBACK_SECRET on the server to use callbackUrl, or poll the job instead.',
+      code: 'CALLBACKS_DISABLED',
+    })
+  }
+  let url
+  try {
+    url = new URL(value)
+  } catch {
+    throw invalidCallbackError('callbackUrl must be an absolute http or https URL.')
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw invalidCallbackError('callbackUrl must be an absolute http or https URL.')
+  }
+  if (url.username || url.password) throw invalidCallbackError('callbackUrl must not contain credentials.')
+  if (env.JOB_CALLBACK_ALLOW_PRIVATE !== 'true' && isPrivateHost(url.hostname)) {
+    throw invalidCallbackError('callbackUrl must point to a public host.')
+  }
+  return url.href
+}
+
+function signCallback(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+  return `t=${timestamp},v1=${digest}`
+}
+
+// One POST through node:http, which (unlike fetch) takes a `lookup`
+function postOnce(url, { headers, body, lookup }) {
+  const { request } = new URL(url).protocol === 'https:' ? https : http
+  return new Promise((resolve, reject) => {
+    const req = request(url, { method: 'POST', headers: { ...headers, 'Content-Length': Buffer.byteLength(body) }, lookup }, (res) => {
+      clearTimeout(timer)
+      res.resume()
+      resolve(res.statusCode)
+    })
+    const timer = setTimeout(() => req.destroy(new Error(`No answer within ${CALLBACK_TIMEOUT_MS / 1000}s`)), CALLBACK_TIMEOUT_MS)
+    req.on('error', (err) => {
+      clearTimeout(timer)
+      reject(err)
+    })
+    req.end(body)
+  })
+}
+
+// Posts `payload`, retrying failures and non-2xx answers. Never throws;
+// resolves with { ok, attempts, error }.
+async function deliverCallback(url, payload, { event, secret, allowPrivate = false, log }) {
+  const body = JSON.stringify(payload)
+  let error = null
+  for (let attempt = 1; attempt <= RETRY_DELAYS_MS.length + 1; attempt++) {
+    try {
+      if (!allowPrivate && isPrivateHost(new URL(url).hostname)) {
+        throw Object.assign(new Error('The callback host is a private address'), { code: 'EPRIVATEADDRESS' })
+      }
+      const status = await postOnce(url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'JD-Match',
+          'X-JD-Match-Event': event,
+          'X-JD-Match-Signature': signCallback(body, secret),
+        },
+        body,
+        lookup: allowPrivate ? undefined : publicOnlyLookup,
+      })
+      if (status >= 200 && status < 300) return { ok: true, attempts: attempt, error: null }
+      error = `HTTP ${status}`
+    } catch (err) {
+      error = err.message
+      // Asking again won't change where the host points
+      if (err.code === 'EPRIVATEADDRESS') {
+        log.warn('Job callback refused', { error })
+        return { ok: false, attempts: attempt, error }
+      }
+    }
+    log.warn('Job callback failed', { attempt, error })
+    if (attempt <= RETRY_DELAYS_MS.length) await new Promise((resolve) => setTimeout(resolve, RETRY_DELAYS_MS[attempt - 1]))
+  }
+  return { ok: false, attempts: RETRY_DELAYS_MS.length + 1, error }
+}
+
+module.exports = { checkCallbackUrl, signCallback, deliverCallback }
@@ -0,0 +1,79 @@
+const crypto = require('node:crypto')
+const fs = require('node:fs/promises')
+const path = require('node:path')
+const { serializeInput, parseInput } = require('./input')
+
+// One JSON file per job in `dir`, plus one for its input while it is pending,
+// so queued and running jobs survive a restart of the Express server. Finished
+// jobs are removed `ttlMs` after they finish, when they are next read or the
+// store is scanned at startup.
+function createFileJobStore({ dir, ttlMs }) {
+  function jobFile(id) {
+    return path.join(dir, `${id}.json`)
+  }
+
+  function inputFile(id) {
+    return path.join(dir, `${id}.input.json`)
+  }
+
+  function expired(job) {
+    return job.finished_at && Date.parse(job.finished_at) + ttlMs <= Date.now()
+  }
+
+  // Written to a temporary file and renamed so readers never see half a job.
+  // Inputs hold resumes, so only the owner can read them.
+  async function writeFile(file, text) {
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`
+    await fs.mkdir(dir, { recursive: true, mode: 0o700 })
+    await fs.writeFile(tmp, text, { mode: 0o600 })
+    await fs.rename(tmp, file)
+  }
+
+  async function readFile(file, parse) {
+    try {
+      return parse(await fs.readFile(file, 'utf-8'))
+    } catch {
+      return null
+    }
+  }
+
+  async function get(id) {
+    const job = await readFile(jobFile(id), JSON.parse)
+    if (job && expired(job)) {
+      await fs.rm(jobFile(id), { force: true })
+      return null
+    }
+    return job
+  }
+
+  return {
+    name: 'file',
+    get,
+
+    save: (job) => writeFile(jobFile(job.id), JSON.stringify(job)),
+
+    saveInput: (id, input) => writeFile(inputFile(id), serializeInput(input)),
+
+    loadInput: (id) => readFile(inputFile(id), parseInput),
+
+    deleteInput: (id) => fs.rm(inputFile(id), { force: true }),
+
+    async unfinished() {
+      let names
+      try {
+        names = await fs.readdir(dir)
+      } catch {
+        return []
+      }
+      const jobs = []
+      for (const name of names) {
+        if (!name.endsWith('.json') || name.endsWith('.input.json')) continue
+        const job = await get(path.basename(name, '.json'))
+        if (job && !job.finished_at) jobs.push(job)
+      }
+      return jobs
+    },
+  }
+}
+
+module.exports = { createFileJobStore }
@@ -0,0 +1,318 @@
+const crypto = require('node:crypto')
+const os = require('node:os')
+const path = require('node:path')
+const { analyze } = require('../engine')
+const { compareJobs, rankResumes } = require('../batch')
+const { resolvePreset } = require('../scoring')
+const { resolveRedactionLevel } = require('../redact')
+const { AnalysisError } = require('../errors')
+const { logger } = require('../logger')
+const { recordError } = require('../request-context')
+const { createMemoryJobStore } = require('./memory')
+const { createFileJobStore } = require('./file')
+const { createSqliteJobStore } = require('./sqlite')
+const { createRedisJobStore } = require('./redis')
+const { checkCallbackUrl, deliverCallback } = require('./callback')
+
+// Asynchronous analyses. A job is accepted at once and runs in the background
+// through the same engine, cache and model queue as the synchronous endpoints;
+// clients poll it by ID or get a signed callback (see ./callback) when it
+// finishes. Jobs are kept in the store selected by JOB_STORE.
+
+const JOB_TYPES = ['analyze', 'compare', 'rank']
+// Retry-After for a full job queue: a batch row takes about one model call
+const QUEUE_FULL_RETRY_AFTER_SECONDS = 30
+const JOB_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+
+// Every backend exposes { name, get(id), save(job), saveInput(id, input),
+// loadInput(id), deleteInput(id), unfinished() }, and `shared` when every
+// server instance sees the same jobs. Finished jobs are kept for JOB_TTL
+// seconds.
+function createJobStore(env = process.env) {
+  const name = (env.JOB_STORE || 'memory').toLowerCase()
+  const ttlMs = (Number(env.JOB_TTL) || 24 * 60 * 60) * 1000
+
+  switch (name) {
+    case 'memory':
+      return createMemoryJobStore({ ttlMs })
+    case 'file':
+      return createFileJobStore({ ttlMs, dir: env.JOB_STORE_DIR || path.join(os.tmpdir(), 'jd-match-jobs') })
+    case 'sqlite':
+      return createSqliteJobStore({ ttlMs, file: env.JOB_STORE_FILE || path.join(os.tmpdir(), 'jd-match-jobs.sqlite') })
+    case 'redis': {
+      const url = env.JOB_REDIS_URL || env.KV_REST_API_URL
+      const token = env.JOB_REDIS_TOKEN || env.KV_REST_API_TOKEN
+      if (!url || !token) throw new Error('JOB_STORE=redis needs JOB_REDIS_URL and JOB_REDIS_TOKEN (or KV_REST_API_URL and KV_REST_API_TOKEN).')
+      return createRedisJobStore({ ttlMs, url, token })
+    }
+    default:
+      throw new Error(`Unknown JOB_STORE "${name}". Use memory, file, sqlite or redis.`)
+  }
+}
+
+function jobNotFoundError() {
+  return new AnalysisError(404, 'Job not found.', {
+    detail: 'The job ID is unknown, or the job finished long enough ago to be removed.',
+    code: 'JOB_NOT_FOUND',
+  })
+}
+
+// A job from `store`, or a 404 for an unknown or malformed ID
+async function findJob(store, id) {
+  const job = JOB_ID.test(id) ? await store.get(id) : null
+  if (!job) throw jobNotFoundError()
+  return job
+}
+
+// Vercel answers each request on whichever function instance is free, so a
+// job kept in one instance's memory or disk could never be polled
+function checkSharedStore(store, env = process.env) {
+  if (env.VERCEL && !store.shared) {
+    throw new AnalysisError(501, 'Jobs are not set up on this deployment.', {
+      detail: 'Set JOB_STORE=redis with a Redis REST endpoint so every function instance sees the same jobs.',
+      code: 'JOBS_UNAVAILABLE',
+    })
+  }
+}
+
+// A user's own API key is never written to the store, so a job that needs one
+// can't be picked up again after a restart
+function interruptedJobError() {
+  return new AnalysisError(409, 'The job was interrupted.', {
+    detail: "The server restarted before this job finished, and it used your own API key, which isn't stored. Submit it again.",
+    code: 'JOB_INTERRUPTED',
+  })
+}
+
+function jobQueueFullError(queued) {
+  return new AnalysisError(503, 'The job queue is full.', {
+    detail: `${queued} analyses are already waiting for a job slot. Please try again shortly.`,
+    code: 'JOB_QUEUE_FULL',
+    retryAfter: QUEUE_FULL_RETRY_AFTER_SECONDS,
+  })
+}
+
+// Analyses a job adds to the queue: one per posting or resume in a batch
+function jobRows(type, input) {
+  if (type === 'compare') return Math.max(1, (input.jobDescriptions?.length || 0) + (input.jobFiles?.length || 0))
+  if (type === 'rank') return Math.max(1, input.resumeFiles?.length || 0)
+  return 1
+}
+
+// Stage and counts for GET /api/jobs/:id, from the engine's progress events
+function trackProgress(progress, event, data) {
+  progress.stage = event
+  if (event === 'extracted' && data.jobs) progress.total = data.jobs
+  if (event === 'started') progress.total = data.files
+  if (event === 'job' || event === 'candidate') progress.completed++
+}
+
+function runJob(type, input, options) {
+  switch (type) {
+    case 'analyze':
+      return analyze({
+        resumeText: input.resumeText,
+        resumeBuffer: input.resumeBuffer,
+        jobDescription: input.jobDescription,
+        preset: input.preset,
+        redaction: input.redaction,
+        options,
+      })
+    case 'compare':
+      return compareJobs({
+        resumeText: input.resumeText,
+        resumeBuffer: input.resumeBuffer,
+        jobDescriptions: input.jobDescriptions,
+        jobFiles: input.jobFiles,
+        preset: input.preset,
+        redaction: input.redaction,
+        options,
+      })
+    case 'rank':
+      return rankResumes({
+        jobDescription: input.jobDescription,
+        resumeFiles: input.resumeFiles,
+        preset: input.preset,
+        redaction: input.redaction,
+        demoteFlagged: input.demoteFlagged,
+        options,
+      })
+  }
+}
+
+// Runs up to JOB_CONCURRENCY jobs at a time, first in first out, with at
+// most JOB_QUEUE_MAX analyses (batch rows count one each) waiting behind them.
+// `quota` is the server key's daily quota; `cache` and `queue` are shared
+// with the synchronous endpoints.
+function createJobRunner({ store, cache, queue, quota, env = process.env }) {
+  const concurrency = Math.max(1, Number(env.JOB_CONCURRENCY) || 2)
+  const maxQueued = env.JOB_QUEUE_MAX ? Number(env.JOB_QUEUE_MAX) : 200
+  // { job, rows } in arrival order
+  const waiting = []
+  let queuedRows = 0
+  // Providers made from a user's key, for jobs that haven't finished
+  const userProviders = new Map()
+  // finished() promises of accepted jobs, with the function that settles them
+  const finishing = new Map()
+  let running = 0
+
+  function enqueue(job, rows) {
+    waiting.push({ job, rows })
+    queuedRows += rows
+  }
+
+  function next() {
+    while (running < concurrency && waiting.length > 0) {
+      const { job, rows } = waiting.shift()
+      queuedRows -= rows
+      running++
+      execute(job).finally(() => {
+        running--
+        next()
+      })
+    }
+  }
+
+  async function execute(job) {
+    const log = logger.child({ job_id: job.id })
+    // Progress events can arrive faster than the store writes, so saves are chained
+    let saving = Promise.resolve()
+    const persist = () => {
+      saving = saving.then(() => store.save(job)).catch((err) => log.warn(`Job store write failed: ${err.message}`))
+      return saving
+    }
+
+    Object.assign(job, { status: 'running', started_at: new Date().toISOString() })
+    await persist()
+    try {
+      const input = await store.loadInput(job.id)
+      if (!input) throw new Error('The job input is missing from the store.')
+      const provider = userProviders.get(job.id)
+      if (input.userKey && !provider) throw interruptedJobError()
+
+      const result = await runJob(job.type, input, {
+        provider,
+        chargeQuota: provider ? undefined : () => quota.consume(input.client),
+        cache,
+        queue,
+        fresh: input.fresh,
+        log,
+        onEvent: (event, data) => {
+          trackProgress(job.progress, event, data)
+          persist()
+        },
+      })
+      Object.assign(job, { status: 'succeeded', result })
+      job.progress.completed = job.progress.total
+    } catch (err) {
+      const { status, body } = recordError(err, log)
+      Object.assign(job, { status: 'failed', error: { status, ...body } })
+    }
+    job.finished_at = new Date().toISOString()
+    job.progress.stage = job.status
+    userProviders.delete(job.id)
+    await persist()
+    await store.deleteInput(job.id).catch(() => {})
+    log.info('Job finished', { type: job.type, status: job.status, duration_ms: Date.parse(job.finished_at) - Date.parse(job.started_at) })
+
+    const settle = () => {
+      finishing.get(job.id)?.settle()
+      finishing.delete(job.id)
+    }
+    // Delivery retries shouldn't hold a job slot
+    if (job.callback) notify(job, log).finally(settle)
+    else settle()
+  }
+
+  async function notify(job, log) {
+    const { callback, ...payload } = job
+    const outcome = await deliverCallback(callback.url, payload, {
+      event: `job.${job.status}`,
+      secret: env.JOB_CALLBACK_SECRET,
+      allowPrivate: env.JOB_CALLBACK_ALLOW_PRIVATE === 'true',
+      log,
+    })
+    Object.assign(callback, {
+      status: outcome.ok ? 'delivered' : 'failed',
+      attempts: outcome.attempts,
+      error: outcome.error,
+      delivered_at: outcome.ok ? new Date().toISOString() : null,
+    })
+    await store.save(job).catch((err) => log.warn(`Job store write failed: ${err.message}`))
+  }
+
+  // Validates what can be checked up front (type, preset, redaction level,
+  // callback URL and room in the queue), stores the job and queues it.
+  // `provider` is the one from requestProvider(): a user's key provider is
+  // only kept in memory. `client` is the clientKey() the daily quota is
+  // charged to.
+  async function submit({ type, input, callbackUrl, provider, client }) {
+    if (!JOB_TYPES.includes(type)) {
+      throw new AnalysisError(400, 'Unknown job type.', { detail: `Use one of: ${JOB_TYPES.join(', ')}.`, code: 'INVALID_JOB_TYPE' })
+    }
+    resolvePreset(input.preset)
+    resolveRedactionLevel(input.redaction)
+    const url = callbackUrl ? checkCallbackUrl(callbackUrl, env) : null
+    const rows = jobRows(type, input)
+    // A batch bigger than the cap is still taken when nothing is waiting
+    if (queuedRows > 0 && queuedRows + rows > maxQueued) throw jobQueueFullError(queuedRows)
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      progress: { stage: 'queued', completed: 0, total: type === 'analyze' ? 1 : null },
+      result: null,
+      error: null,
+      callback: url && { url, status: 'pending', attempts: 0, error: null, delivered_at: null },
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+    }
+    const userKey = Boolean(provider?.userKey)
+    await store.saveInput(job.id, { ...input, client, userKey })
+    await store.save(job)
+    if (userKey) userProviders.set(job.id, provider)
+    // The caller gets the job as accepted; the queued copy changes as it runs
+    const accepted = structuredClone(job)
+    let settle
+    const finished = new Promise((resolve) => {
+      settle = resolve
+    })
+    finishing.set(job.id, { finished, settle })
+    enqueue(job, rows)
+    next()
+    return accepted
+  }
+
+  // Resolves once a job accepted by this runner has finished and its callback
+  // has been delivered or given up on; the Vercel handler waits for it
+  function finished(id) {
+    return finishing.get(id)?.finished ?? Promise.resolve()
+  }
+
+  // Queues the jobs a previous process left unfinished, oldest first. They
+  // were accepted before, so the cap doesn't apply.
+  async function resume() {
+    const jobs = await store.unfinished()
+    jobs.sort((a, b) => a.created_at.localeCompare(b.created_at))
+    for (const job of jobs) enqueue(job, job.progress.total || 1)
+    if (jobs.length > 0) logger.info('Resuming unfinished jobs', { jobs: jobs.length, store: store.name })
+    next()
+  }
+
+  return {
+    submit,
+    get: (id) => findJob(store, id),
+    finished,
+    resume,
+    get running() {
+      return running
+    },
+    get queued() {
+      return waiting.length
+    },
+  }
+}
+
+module.exports = { JOB_TYPES, createJobStore, createJobRunner, findJob, checkSharedStore }
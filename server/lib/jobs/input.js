@@ -0,0 +1,18 @@
+// Job inputs as JSON for the persistent stores. Uploaded files are buffers,
+// which are written as { base64 } and turned back into buffers when read.
+
+// JSON.stringify has already turned a Buffer into { type, data } when the
+// replacer sees it, so the original is read from `this`
+function serializeInput(input) {
+  return JSON.stringify(input, function (key, value) {
+    return Buffer.isBuffer(this[key]) ? { base64: this[key].toString('base64') } : value
+  })
+}
+
+function parseInput(json) {
+  return JSON.parse(json, (_key, value) =>
+    typeof value?.base64 === 'string' && Object.keys(value).length === 1 ? Buffer.from(value.base64, 'base64') : value
+  )
+}
+
+module.exports = { serializeInput, parseInput }
@@ -0,0 +1,44 @@
+// In-process job store for development: jobs are gone when the server stops.
+// Finished jobs are dropped `ttlMs` after they finish.
+function createMemoryJobStore({ ttlMs }) {
+  const jobs = new Map()
+  const inputs = new Map()
+
+  function sweep(now) {
+    for (const [id, job] of jobs) {
+      if (job.finished_at && Date.parse(job.finished_at) + ttlMs <= now) jobs.delete(id)
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async get(id) {
+      const job = jobs.get(id)
+      return job ? structuredClone(job) : null
+    },
+
+    async save(job) {
+      sweep(Date.now())
+      jobs.set(job.id, structuredClone(job))
+    },
+
+    async saveInput(id, input) {
+      inputs.set(id, input)
+    },
+
+    async loadInput(id) {
+      return inputs.get(id) || null
+    },
+
+    async deleteInput(id) {
+      inputs.delete(id)
+    },
+
+    async unfinished() {
+      return [...jobs.values()].filter((job) => !job.finished_at).map((job) => structuredClone(job))
+    },
+  }
+}
+
+module.exports = { createMemoryJobStore }
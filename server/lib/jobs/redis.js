@@ -0,0 +1,61 @@
+// Jobs in Redis through a REST endpoint (Upstash, or Vercel KV), for the
+// Vercel functions: a job is polled on whichever instance answers, so its
+// state can't live in one of them. Every save renews the key's expiry, so a
+// finished job is kept `ttlMs` after its last update. Inputs stay in memory,
+// because the instance that accepts a job also runs it (see api/jobs).
+
+const REDIS_TIMEOUT_MS = 5000
+
+function createRedisJobStore({ url, token, ttlMs }) {
+  const inputs = new Map()
+  const ttlSeconds = String(Math.ceil(ttlMs / 1000))
+
+  async function command(...args) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+      signal: AbortSignal.timeout(REDIS_TIMEOUT_MS),
+    })
+    const body = await response.json().catch(() => ({}))
+    if (!response.ok || body.error) throw new Error(`Redis ${args[0]} failed: ${body.error || `HTTP ${response.status}`}`)
+    return body.result
+  }
+
+  function jobKey(id) {
+    return `jd-match:job:${id}`
+  }
+
+  return {
+    name: 'redis',
+    shared: true,
+
+    async get(id) {
+      const value = await command('GET', jobKey(id))
+      return value ? JSON.parse(value) : null
+    },
+
+    async save(job) {
+      await command('SET', jobKey(job.id), JSON.stringify(job), 'EX', ttlSeconds)
+    },
+
+    async saveInput(id, input) {
+      inputs.set(id, input)
+    },
+
+    async loadInput(id) {
+      return inputs.get(id) || null
+    },
+
+    async deleteInput(id) {
+      inputs.delete(id)
+    },
+
+    // Nothing to resume: a job stops with the instance that ran it
+    async unfinished() {
+      return []
+    },
+  }
+}
+
+module.exports = { createRedisJobStore }
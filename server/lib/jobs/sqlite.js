@@ -0,0 +1,80 @@
+const fs = require('node:fs')
+const path = require('node:path')
+const { serializeInput, parseInput } = require('./input')
+
+// Jobs and their pending inputs in one SQLite database file, so queued and
+// running jobs survive a restart of the Express server. Finished jobs are
+// removed `ttlMs` after they finish, on the next write.
+function createSqliteJobStore({ file, ttlMs }) {
+  // Only this store needs the native module, so it is loaded on first use
+  const Database = require('better-sqlite3')
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 })
+  const db = new Database(file)
+  fs.chmodSync(file, 0o600)
+  db.pragma('journal_mode = WAL')
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id TEXT PRIMARY KEY,
+      job TEXT NOT NULL,
+      input TEXT,
+      created_at TEXT NOT NULL,
+      finished_at TEXT
+    )
+  `)
+
+  const statements = {
+    get: db.prepare('SELECT job, finished_at FROM jobs WHERE id = ?'),
+    save: db.prepare(`
+      INSERT INTO jobs (id, job, created_at, finished_at) VALUES (@id, @job, @created_at, @finished_at)
+      ON CONFLICT (id) DO UPDATE SET job = excluded.job, created_at = excluded.created_at, finished_at = excluded.finished_at
+    `),
+    // The runner stores a new job's input before the job, so the row can
+    // start with a 'null' job that get() and unfinished() skip
+    saveInput: db.prepare(`
+      INSERT INTO jobs (id, job, input, created_at) VALUES (?, 'null', ?, ?)
+      ON CONFLICT (id) DO UPDATE SET input = excluded.input
+    `),
+    loadInput: db.prepare('SELECT input FROM jobs WHERE id = ?'),
+    deleteInput: db.prepare('UPDATE jobs SET input = NULL WHERE id = ?'),
+    unfinished: db.prepare("SELECT job FROM jobs WHERE finished_at IS NULL AND job != 'null' ORDER BY created_at"),
+    sweep: db.prepare('DELETE FROM jobs WHERE finished_at IS NOT NULL AND finished_at <= ?'),
+  }
+
+  function expired(finishedAt) {
+    return finishedAt && Date.parse(finishedAt) + ttlMs <= Date.now()
+  }
+
+  return {
+    name: 'sqlite',
+
+    async get(id) {
+      const row = statements.get.get(id)
+      if (!row || row.job === 'null' || expired(row.finished_at)) return null
+      return JSON.parse(row.job)
+    },
+
+    async save(job) {
+      statements.sweep.run(new Date(Date.now() - ttlMs).toISOString())
+      statements.save.run({ id: job.id, job: JSON.stringify(job), created_at: job.created_at, finished_at: job.finished_at })
+    },
+
+    async saveInput(id, input) {
+      statements.saveInput.run(id, serializeInput(input), new Date().toISOString())
+    },
+
+    async loadInput(id) {
+      const row = statements.loadInput.get(id)
+      return row?.input ? parseInput(row.input) : null
+    },
+
+    async deleteInput(id) {
+      statements.deleteInput.run(id)
+    },
+
+    async unfinished() {
+      return statements.unfinished.all().map((row) => JSON.parse(row.job))
+    },
+  }
+}
+
+module.exports = { createSqliteJobStore }
@@ -0,0 +1,52 @@
+const { AnalysisError } = require('./errors')
+const { MAX_FIELD_BYTES } = require('./limits')
+
+// JSON bodies on the form routes (everything outside /api/v1) carry the same
+// text fields a form does, so they get the same room as two form fields.
+// Express reads them with express.json() and this limit, the Vercel functions
+// with readJsonFields, and both answer with the errors below.
+const MAX_JSON_FIELDS_BYTES = 2 * MAX_FIELD_BYTES
+
+function jsonTooLargeError() {
+  return new AnalysisError(413, 'The request is too large.', {
+    detail: `JSON request bodies must be under ${MAX_JSON_FIELDS_BYTES / (1024 * 1024)} MB. Upload the resume as a file instead.`,
+    code: 'REQUEST_TOO_LARGE',
+  })
+}
+
+function invalidJsonError() {
+  return new AnalysisError(400, 'The request body is not valid JSON.', { code: 'INVALID_JSON' })
+}
+
+function isJsonRequest(req) {
+  return (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase() === 'application/json'
+}
+
+// The fields of a JSON request, in the { fields, files } shape the Vercel
+// functions get from formidable. formidable would read the body whole with no
+// size limit and fail with a bare SyntaxError.
+async function readJsonFields(req) {
+  const chunks = []
+  let size = 0
+  // The rest of an oversized body is read and dropped rather than left
+  // unread, which would stall the next request on a kept-alive connection.
+  // Vercel caps request bodies itself.
+  for await (const chunk of req) {
+    size += chunk.length
+    if (size <= MAX_JSON_FIELDS_BYTES) chunks.push(chunk)
+  }
+  if (size > MAX_JSON_FIELDS_BYTES) throw jsonTooLargeError()
+  // express.json() reads an empty body as no fields
+  if (size === 0) return { fields: {}, files: {} }
+  let fields
+  try {
+    fields = JSON.parse(Buffer.concat(chunks).toString('utf8'))
+  } catch {
+    throw invalidJsonError()
+  }
+  // Like express.json(), only an object or an array is a body
+  if (!fields || typeof fields !== 'object') throw invalidJsonError()
+  return { fields, files: {} }
+}
+
+module.exports = { MAX_JSON_FIELDS_BYTES, jsonTooLargeError, invalidJsonError, isJsonRequest, readJsonFields }
@@ -0,0 +1,87 @@
+// Scans a JSON object as it streams in and reports each top-level property as
+// soon as its value is complete, plus every element of top-level arrays. Text
+// before the opening brace (e.g. a ```json fence) is ignored.
+function createJsonScanner({ onProperty, onArrayItem }) {
+  let buffer = ''
+  let pos = 0
+  let inString = false
+  let escaped = false
+  const stack = []
+  let currentKey = null
+  let keyStart = -1
+  let valueStart = -1
+  let itemStart = -1
+  const itemCounts = {}
+
+  function emitProperty(end) {
+    if (currentKey === null || valueStart === -1) return
+    try {
+      onProperty?.(currentKey, JSON.parse(buffer.slice(valueStart, end)))
+    } catch {
+      // Incomplete or malformed value — the final validation pass reports it
+    }
+    currentKey = null
+    valueStart = -1
+  }
+
+  function emitItem(end) {
+    if (itemStart === -1) return
+    const index = itemCounts[currentKey] || 0
+    itemCounts[currentKey] = index + 1
+    try {
+      onArrayItem?.(currentKey, JSON.parse(buffer.slice(itemStart, end)), index)
+    } catch {
+      // Same as above
+    }
+    itemStart = -1
+  }
+
+  function push(chunk) {
+    buffer += chunk
+    for (; pos < buffer.length; pos++) {
+      const c = buffer[pos]
+      const depth = stack.length
+      const inTopArray = depth === 2 && stack[1] === '['
+
+      if (inString) {
+        if (escaped) escaped = false
+        else if (c === '\\') escaped = true
+        else if (c === '"') {
+          inString = false
+          if (keyStart !== -1) {
+            currentKey = JSON.parse(buffer.slice(keyStart, pos + 1))
+            keyStart = -1
+          }
+        }
+        continue
+      }
+
+      if (depth === 0) {
+        if (c === '{') stack.push(c)
+        continue
+      }
+
+      if (inTopArray && itemStart === -1 && !/[\s,\]]/.test(c)) itemStart = pos
+
+      if (c === '"') {
+        inString = true
+        if (depth === 1 && currentKey === null) keyStart = pos
+      } else if (c === ':' && depth === 1) {
+        valueStart = pos + 1
+      } else if (c === ',') {
+        if (depth === 1) emitProperty(pos)
+        else if (inTopArray) emitItem(pos)
+      } else if (c === '{' || c === '[') {
+        stack.push(c)
+      } else if (c === '}' || c === ']') {
+        if (inTopArray && c === ']') emitItem(pos)
+        if (depth === 1) emitProperty(pos)
+        stack.pop()
+      }
+    }
+  }
+
+  return { push }
+}
+
+module.exports = { createJsonScanner }
@@ -0,0 +1,123 @@
+const zlib = require('node:zlib')
+const { AnalysisError } = require('./errors')
+
+// Input limits enforced by the engine, so the Express server, the Vercel
+// functions and the CLI reject the same inputs with the same errors. The file
+// byte limit is MAX_FILE_BYTES in ./errors because the upload parsers need it
+// before the engine runs.
+function inputLimits(env = process.env) {
+  return {
+    pdfPages: Number(env.MAX_PDF_PAGES) || 10,
+    resumeChars: Number(env.MAX_RESUME_CHARS) || 30000,
+    jobDescriptionChars: Number(env.MAX_JOB_DESCRIPTION_CHARS) || 20000,
+    pdfTimeoutMs: (Number(env.PDF_PARSE_TIMEOUT) || 15) * 1000,
+    unzippedBytes: (Number(env.MAX_UNZIPPED_MB) || 50) * 1024 * 1024,
+  }
+}
+
+// Raw size of one form field, checked by the upload parsers. Generous next to
+// the character limits (4 bytes per character at worst), it only stops the
+// parser from buffering an arbitrarily large field.
+const MAX_FIELD_BYTES = 1024 * 1024
+
+function fieldTooLargeError() {
+  return new AnalysisError(413, 'A form field is too large.', {
+    detail: `Pasted text must be under ${MAX_FIELD_BYTES / (1024 * 1024)} MB.`,
+    code: 'FIELD_TOO_LARGE',
+  })
+}
+
+function tooManyPagesError(pages) {
+  const { pdfPages } = inputLimits()
+  return new AnalysisError(413, 'This PDF has too many pages.', {
+    detail: `It has ${pages} pages; resumes can be at most ${pdfPages}.`,
+    code: 'TOO_MANY_PAGES',
+  })
+}
+
+function checkResumeLength(text, { extracted = false } = {}) {
+  const { resumeChars } = inputLimits()
+  if (text.length <= resumeChars) return
+  throw new AnalysisError(413, 'The resume is too long.', {
+    detail: extracted
+      ? `The file contains ${text.length.toLocaleString('en-US')} characters of text; the limit is ${resumeChars.toLocaleString('en-US')}.`
+      : `Resumes can be at most ${resumeChars.toLocaleString('en-US')} characters; this one has ${text.length.toLocaleString('en-US')}.`,
+    code: 'RESUME_TOO_LONG',
+  })
+}
+
+function checkJobDescriptionLength(text) {
+  const { jobDescriptionChars } = inputLimits()
+  if (text.length <= jobDescriptionChars) return
+  throw new AnalysisError(413, 'The job description is too long.', {
+    detail: `Job descriptions can be at most ${jobDescriptionChars.toLocaleString('en-US')} characters; this one has ${text.length.toLocaleString('en-US')}.`,
+    code: 'JOB_DESCRIPTION_TOO_LONG',
+  })
+}
+
+// Uncompressed size of a ZIP's entries as its central directory declares
+// them. Each deflated entry is also inflated here with its declared size as
+// the output cap, since JSZip only compares the two after inflating the whole
+// entry. Infinity means over `limit`, understated or ZIP64; a directory that
+// can't be read is left for JSZip to reject.
+function unzippedSize(buffer, limit) {
+  const eocd = buffer.lastIndexOf(Buffer.from('PK\x05\x06', 'latin1'))
+  if (eocd < 0 || eocd + 22 > buffer.length) return 0
+  const entries = buffer.readUInt16LE(eocd + 10)
+  let offset = buffer.readUInt32LE(eocd + 16)
+  let total = 0
+  for (let i = 0; i < entries; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) return total
+    const method = buffer.readUInt16LE(offset + 10)
+    const compressedSize = buffer.readUInt32LE(offset + 20)
+    const size = buffer.readUInt32LE(offset + 24)
+    const local = buffer.readUInt32LE(offset + 42)
+    total += size
+    if (size === 0xffffffff || total > limit) return Infinity
+    if (method === 8 && local + 30 <= buffer.length) {
+      const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28)
+      try {
+        zlib.inflateRawSync(buffer.subarray(start, start + compressedSize), { maxOutputLength: Math.max(size, 1) })
+      } catch (err) {
+        if (err.code === 'ERR_BUFFER_TOO_LARGE') return Infinity
+      }
+    }
+    offset += 46 + buffer.readUInt16LE(offset + 28) + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32)
+  }
+  return total
+}
+
+// DOCX and ODT files are ZIP archives; one that unpacks to more than
+// MAX_UNZIPPED_MB is refused before anything is inflated
+function checkUnzippedSize(buffer) {
+  const { unzippedBytes } = inputLimits()
+  if (unzippedSize(buffer, unzippedBytes) <= unzippedBytes) return
+  throw new AnalysisError(413, 'This document is too large to unpack.', {
+    detail: `Word and OpenDocument files can unpack to at most ${unzippedBytes / (1024 * 1024)} MB. Save it again without embedded media, or upload a PDF.`,
+    code: 'ARCHIVE_TOO_LARGE',
+  })
+}
+
+// Text inputs must be strings when given. A JSON body can carry a number, an
+// array or an object in any field, and those would fail deep in the engine
+// with a 500 instead of telling the client which field is wrong.
+function checkTextFields(fields) {
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === undefined || typeof value === 'string') continue
+    throw new AnalysisError(400, 'Invalid field.', {
+      detail: `"${name}" must be text.`,
+      code: 'INVALID_FIELD',
+    })
+  }
+}
+
+module.exports = {
+  inputLimits,
+  MAX_FIELD_BYTES,
+  fieldTooLargeError,
+  tooManyPagesError,
+  checkResumeLength,
+  checkJobDescriptionLength,
+  checkUnzippedSize,
+  checkTextFields,
+}
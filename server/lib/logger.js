@@ -0,0 +1,52 @@
+// Structured logging: one JSON object per line ({ time, level, msg, ...fields })
+// with debug and info on stdout, warnings and errors on stderr. LOG_LEVEL
+// (debug, info, warn or error; default info) drops quieter entries and
+// LOG_FORMAT=text prints readable lines instead, which the CLI uses. Both are
+// read on every entry so a front end can set them after loading this module.
+// LOG_OUTPUT=stderr sends every level to stderr, which the CLI sets so its
+// stdout carries nothing but the report.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+
+function serializeError(err) {
+  const out = { name: err.name, message: err.message }
+  if (err.code) out.code = err.code
+  if (err.status) out.status = err.status
+  if (err.stack) out.stack = err.stack
+  return out
+}
+
+function textLine(entry) {
+  const { time: _time, level, msg, ...fields } = entry
+  const details = Object.entries(fields)
+    .filter(([key]) => key !== 'err')
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+  const line = [level === 'info' ? msg : `${level}: ${msg}`, ...details].join(' ')
+  return fields.err?.stack ? `${line}\n${fields.err.stack}` : line
+}
+
+// `bindings` are added to every entry, e.g. { request_id } for one request
+function createLogger(bindings = {}) {
+  function write(level, msg, fields = {}) {
+    const threshold = LEVELS[process.env.LOG_LEVEL?.toLowerCase()] || LEVELS.info
+    if (LEVELS[level] < threshold) return
+
+    const entry = { time: new Date().toISOString(), level, msg, ...bindings, ...fields }
+    if (entry.err instanceof Error) entry.err = serializeError(entry.err)
+    const line = process.env.LOG_FORMAT === 'text' ? textLine(entry) : JSON.stringify(entry)
+    if (LEVELS[level] >= LEVELS.warn || process.env.LOG_OUTPUT === 'stderr') console.error(line)
+    else console.log(line)
+  }
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: (more) => createLogger({ ...bindings, ...more }),
+  }
+}
+
+const logger = createLogger()
+
+module.exports = { logger }
@@ -0,0 +1,110 @@
+const crypto = require('node:crypto')
+
+// In-process metrics, rendered in the Prometheus text format by /api/metrics.
+// Counters and histograms keep one series per label set; gauges are read when
+// scraped. Like the rate limiter they live in memory, so each server process
+// (or warm Vercel instance) reports only its own traffic.
+
+const families = []
+
+function labelText(labels) {
+  const entries = Object.entries(labels)
+  if (entries.length === 0) return ''
+  const pairs = entries.map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+  return `{${pairs.join(',')}}`
+}
+
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)))
+}
+
+function counter(name, help) {
+  const series = new Map()
+  families.push({
+    name,
+    help,
+    type: 'counter',
+    lines: () => [...series.values()].map(({ labels, value }) => `${name}${labelText(labels)} ${value}`),
+  })
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labels)
+      if (!series.has(key)) series.set(key, { labels, value: 0 })
+      series.get(key).value += amount
+    },
+  }
+}
+
+function histogram(name, help, buckets) {
+  const series = new Map()
+  families.push({
+    name,
+    help,
+    type: 'histogram',
+    lines: () =>
+      [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((le, i) => `${name}_bucket${labelText({ ...labels, le })} ${counts[i]}`),
+        `${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${labelText(labels)} ${sum}`,
+        `${name}_count${labelText(labels)} ${count}`,
+      ]),
+  })
+  return {
+    observe(labels, value) {
+      const key = seriesKey(labels)
+      if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 })
+      const entry = series.get(key)
+      buckets.forEach((le, i) => {
+        if (value <= le) entry.counts[i]++
+      })
+      entry.sum += value
+      entry.count++
+    },
+  }
+}
+
+// `collect()` returns a number, or [{ labels, value }] for several series
+function gauge(name, help, collect) {
+  families.push({
+    name,
+    help,
+    type: 'gauge',
+    lines: () => {
+      const value = collect()
+      const series = typeof value === 'number' ? [{ labels: {}, value }] : value
+      return series.map((entry) => `${name}${labelText(entry.labels)} ${entry.value}`)
+    },
+  })
+}
+
+function renderMetrics() {
+  return families
+    .map(({ name, help, type, lines }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()].join('\n'))
+    .join('\n') + '\n'
+}
+
+const metrics = {
+  httpRequests: counter('jdmatch_http_requests_total', 'HTTP requests by route, method and status.'),
+  httpDuration: histogram('jdmatch_http_request_duration_seconds', 'HTTP request latency by route.', [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120]),
+  modelCalls: counter('jdmatch_model_calls_total', 'Model call attempts by provider, model and outcome.'),
+  modelDuration: histogram('jdmatch_model_call_duration_seconds', 'Model call latency by provider and model.', [0.5, 1, 2, 5, 10, 20, 30, 60, 90, 120]),
+  modelTokens: counter('jdmatch_model_tokens_total', 'Model tokens by provider, model and direction (input or output).'),
+  modelRetries: counter('jdmatch_model_retries_total', 'Retries after a transient model failure.'),
+  modelFallbacks: counter('jdmatch_model_fallbacks_total', 'Switches to the next model in LLM_FALLBACK_MODELS.'),
+  cacheLookups: counter('jdmatch_cache_lookups_total', 'Analysis cache lookups by result (hit, miss or bypass).'),
+  errors: counter('jdmatch_errors_total', 'Errors reported to clients by error class.'),
+}
+
+const startTime = Date.now() / 1000
+gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds.', () => startTime)
+gauge('process_resident_memory_bytes', 'Resident memory size in bytes.', () => process.memoryUsage().rss)
+
+// With METRICS_TOKEN set, scrapers must send it as a bearer token
+function canScrape(req, env = process.env) {
+  if (!env.METRICS_TOKEN) return true
+  const expected = Buffer.from(`Bearer ${env.METRICS_TOKEN}`)
+  const sent = Buffer.from(req.headers.authorization || '')
+  return sent.length === expected.length && crypto.timingSafeEqual(sent, expected)
+}
+
+module.exports = { metrics, gauge, renderMetrics, canScrape }
@@ -0,0 +1,116 @@
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js')
+const { createWorker } = require('tesseract.js')
+const engLanguage = require('@tesseract.js-data/eng')
+
+// Offline OCR for scanned PDF pages. pdf.js decodes each page's images itself
+// (no canvas or native image decoder needed) and tesseract.js reads them with
+// the English model bundled in @tesseract.js-data/eng, so nothing is fetched
+// at runtime. OCR_ENABLED=false turns this off; OCR_MAX_PAGES caps the work.
+// It runs inside the PDF worker (./pdf-worker), so a hostile scan is stopped
+// by the same thread teardown as a hostile PDF.
+
+const IMAGE_OPS = [PDFJS.OPS.paintImageXObject, PDFJS.OPS.paintImageXObjectRepeat]
+// pdf.js ImageKind values (not re-exported by this build)
+const IMAGE_KIND = { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 }
+const MIN_IMAGE_PIXELS = 200 * 200
+// Larger images are skipped: tesseract needs several bytes per pixel
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000
+// A page with an image and fewer readable characters than this is treated as a scan
+const MIN_PAGE_CHARS = 30
+
+function isOcrEnabled(env = process.env) {
+  return env.OCR_ENABLED !== 'false'
+}
+
+function maxOcrPages(env = process.env) {
+  return Number(env.OCR_MAX_PAGES) || 5
+}
+
+// Time allowed for recognizing all pages, counted once parsing is done
+function ocrTimeoutMs(env = process.env) {
+  return (Number(env.OCR_TIMEOUT) || 60) * 1000
+}
+
+function scannedPageNumbers(layout) {
+  return layout.pages
+    .map((page, i) => (page.imageCount > 0 && page.text.replace(/\s/g, '').length < MIN_PAGE_CHARS ? i + 1 : null))
+    .filter(Boolean)
+}
+
+// Recognized text is only used when it has as many readable characters as a
+// text page and at least OCR_MIN_CONFIDENCE (0-100) confidence. Less than that
+// is usually a few letters guessed from a photo or a blurry scan.
+function isReadable(result, env = process.env) {
+  const minConfidence = Number(env.OCR_MIN_CONFIDENCE) || 50
+  return Boolean(result) && result.confidence >= minConfidence && result.text.replace(/\s/g, '').length >= MIN_PAGE_CHARS
+}
+
+// Wraps pdf.js decoded pixels in a PNM header, which tesseract's image reader
+// understands without any extra encoder.
+function toPnm({ width, height, kind, data }) {
+  if (kind === IMAGE_KIND.GRAYSCALE_1BPP) {
+    // pdf.js uses 1 = white, PBM uses 1 = black
+    return Buffer.concat([Buffer.from(`P4\n${width} ${height}\n`), Buffer.from(data.map((byte) => ~byte & 0xff))])
+  }
+  if (kind === IMAGE_KIND.RGBA_32BPP) {
+    const rgb = Buffer.alloc(width * height * 3)
+    for (let src = 0, dst = 0; src < data.length; src += 4, dst += 3) {
+      rgb[dst] = data[src]
+      rgb[dst + 1] = data[src + 1]
+      rgb[dst + 2] = data[src + 2]
+    }
+    return Buffer.concat([Buffer.from(`P6\n${width} ${height}\n255\n`), rgb])
+  }
+  return Buffer.concat([Buffer.from(`P6\n${width} ${height}\n255\n`), Buffer.from(data)])
+}
+
+async function pageImages(page) {
+  const operators = await page.getOperatorList()
+  const ids = new Set()
+  operators.fnArray.forEach((fn, i) => {
+    if (IMAGE_OPS.includes(fn)) ids.add(operators.argsArray[i][0])
+  })
+
+  const images = []
+  for (const id of ids) {
+    const image = await new Promise((resolve) => page.objs.get(id, resolve))
+    const pixels = image?.data ? image.width * image.height : 0
+    if (pixels >= MIN_IMAGE_PIXELS && pixels <= MAX_IMAGE_PIXELS) images.push(image)
+  }
+  return images
+}
+
+// Runs OCR on the given 1-based page numbers. Returns { [page]: { text, confidence } }.
+async function ocrPdfPages(buffer, pageNumbers) {
+  PDFJS.disableWorker = true
+  const doc = await PDFJS.getDocument({ data: new Uint8Array(buffer), nativeImageDecoderSupport: 'none' })
+  const worker = await createWorker(engLanguage.code, 1, {
+    langPath: engLanguage.langPath,
+    gzip: engLanguage.gzip,
+    cacheMethod: 'none',
+  })
+
+  const results = {}
+  try {
+    for (const pageNumber of pageNumbers) {
+      const page = await doc.getPage(pageNumber)
+      const texts = []
+      const confidences = []
+      for (const image of await pageImages(page)) {
+        const { data } = await worker.recognize(toPnm(image))
+        texts.push(data.text.trim())
+        confidences.push(data.confidence)
+      }
+      results[pageNumber] = {
+        text: texts.filter(Boolean).join('\n\n'),
+        confidence: confidences.length ? Math.round(confidences.reduce((a, b) => a + b, 0) / confidences.length) : 0,
+      }
+    }
+  } finally {
+    await worker.terminate()
+    doc.destroy()
+  }
+  return results
+}
+
+module.exports = { isOcrEnabled, maxOcrPages, ocrTimeoutMs, scannedPageNumbers, isReadable, ocrPdfPages }
@@ -0,0 +1,282 @@
+const { ANALYSIS_SCHEMA } = require('./schema')
+const { PRESETS } = require('./scoring')
+const { LEVELS } = require('./redact')
+const { AnalysisError } = require('./errors')
+const { version } = require('../package.json')
+
+// OpenAPI 3.1 description of /api/v1, served at /api/v1/openapi.json. Request
+// bodies are validated against it, so the contract and the checks can't drift.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` })
+
+const ERROR_STATUSES = {
+  400: 'The request is invalid (INVALID_REQUEST, INVALID_JSON, INVALID_PRESET, INVALID_REDACTION...).',
+  401: 'The provider rejected an API key (USER_KEY_INVALID or SERVER_KEY_INVALID).',
+  413: 'The request, resume or job description is too large.',
+  415: 'Unsupported content type or resume file format.',
+  422: 'The resume could not be read (a scanned or damaged PDF).',
+  429: 'Rate limit or daily quota reached. See the Retry-After header.',
+  502: 'The model returned an invalid analysis.',
+  503: 'The provider or the model queue is unavailable. See the Retry-After header.',
+  504: 'The model took too long to respond.',
+}
+
+const OPENAPI_DOCUMENT = {
+  openapi: '3.1.0',
+  info: {
+    title: 'JD-Match API',
+    version,
+    description:
+      'Scores a resume against a job description. Every response is an envelope with `data`, `meta` and `errors`; ' +
+      'on failure `data` is null and each entry in `errors` has a machine-readable `code`.',
+  },
+  paths: {
+    '/api/v1/analyze': {
+      post: {
+        operationId: 'analyze',
+        summary: 'Analyze a resume against a job description',
+        parameters: [
+          {
+            name: 'fresh',
+            in: 'query',
+            description: 'Bypass the analysis cache.',
+            schema: { type: 'string', enum: ['1', 'true'] },
+          },
+          {
+            name: 'X-Provider-Key',
+            in: 'header',
+            description: "Your own provider API key. Requests made with it don't count against the server's daily quota.",
+            schema: { type: 'string' },
+          },
+          {
+            name: 'X-Request-Id',
+            in: 'header',
+            description: 'Echoed in the response header and in `meta.request_id`; generated when omitted.',
+            schema: { type: 'string', pattern: '^[\\w.:-]{1,128}$' },
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': { schema: ref('AnalyzeJsonRequest') },
+            'multipart/form-data': { schema: ref('AnalyzeFormRequest') },
+          },
+        },
+        responses: {
+          200: {
+            description: 'The analysis.',
+            content: { 'application/json': { schema: ref('AnalyzeResponse') } },
+          },
+          ...Object.fromEntries(
+            Object.entries(ERROR_STATUSES).map(([status, description]) => [
+              status,
+              { description, content: { 'application/json': { schema: ref('ErrorResponse') } } },
+            ])
+          ),
+        },
+      },
+    },
+    '/api/v1/openapi.json': {
+      get: {
+        operationId: 'openapi',
+        summary: 'This document',
+        responses: { 200: { description: 'The OpenAPI document.', content: { 'application/json': {} } } },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      AnalyzeJsonRequest: {
+        type: 'object',
+        properties: {
+          resume: {
+            description: 'The resume as text, or as a base64-encoded PDF, DOCX, ODT, RTF, Markdown or text file.',
+            oneOf: [ref('ResumeText'), ref('ResumeFile')],
+          },
+          job_description: { type: 'string', minLength: 1 },
+          preset: { type: 'string', enum: Object.keys(PRESETS), description: 'Scoring preset for `overall`.' },
+          redaction: { type: 'string', enum: LEVELS, description: 'PII redaction level applied before the model call.' },
+        },
+        required: ['resume', 'job_description'],
+        additionalProperties: false,
+      },
+      ResumeText: {
+        type: 'object',
+        properties: { text: { type: 'string', minLength: 1 } },
+        required: ['text'],
+        additionalProperties: false,
+      },
+      ResumeFile: {
+        type: 'object',
+        properties: { content: { type: 'string', format: 'byte', minLength: 1, description: 'Base64-encoded file.' } },
+        required: ['content'],
+        additionalProperties: false,
+      },
+      AnalyzeFormRequest: {
+        type: 'object',
+        description: 'Send either `resume` or `resume_text`.',
+        properties: {
+          resume: { type: 'string', format: 'binary' },
+          resume_text: { type: 'string', minLength: 1 },
+          job_description: { type: 'string', minLength: 1 },
+          preset: { type: 'string', enum: Object.keys(PRESETS) },
+          redaction: { type: 'string', enum: LEVELS },
+        },
+        required: ['job_description'],
+        additionalProperties: false,
+      },
+      Analysis: {
+        ...ANALYSIS_SCHEMA,
+        properties: {
+          ...ANALYSIS_SCHEMA.properties,
+          overall: {
+            type: 'object',
+            description: 'Weighted overall score with its confidence range and the preset used.',
+            properties: {
+              score: { type: 'integer' },
+              range: { type: 'array', items: { type: 'integer' } },
+              confidence: { type: 'integer' },
+              low_confidence: { type: 'boolean' },
+              preset: { type: 'string', enum: Object.keys(PRESETS) },
+              weights: { type: 'object', additionalProperties: { type: 'number' } },
+            },
+          },
+          formatting_audit: { type: ['object', 'null'], description: 'ATS formatting findings for uploaded files.' },
+          skill_match: { type: 'object', description: 'Skills matched against the taxonomy without the model.' },
+          injection_check: { type: 'object', description: 'Instructions to the model or hidden text found in the inputs.' },
+          redaction: { type: 'object', description: 'The redaction level and how many values of each kind were hidden.' },
+          extraction: { type: 'object', description: 'How the resume text was obtained.' },
+          resume_text: { type: 'string', description: 'The resume text that was analyzed.' },
+        },
+        required: [...ANALYSIS_SCHEMA.required, 'overall', 'resume_text'],
+      },
+      Meta: {
+        type: 'object',
+        properties: {
+          api_version: { type: 'string', const: 'v1' },
+          request_id: { type: 'string' },
+          model: {
+            type: 'object',
+            description: 'The model that produced the analysis.',
+            properties: {
+              provider: { type: 'string' },
+              name: { type: 'string' },
+              fallback: { type: 'boolean', description: 'Whether a fallback model answered.' },
+              attempts: { type: 'integer' },
+            },
+          },
+          prompt_version: { type: 'integer' },
+          cached: { type: 'boolean' },
+          duration_ms: { type: 'integer' },
+        },
+        required: ['api_version', 'request_id'],
+      },
+      Error: {
+        type: 'object',
+        properties: {
+          code: { type: 'string', description: 'Stable machine-readable error code.' },
+          message: { type: 'string' },
+          detail: { type: 'string' },
+          field: { type: 'string', description: 'The request field at fault, for INVALID_REQUEST.' },
+          retry_after: { type: 'integer', description: 'Seconds to wait before retrying.' },
+        },
+        required: ['code', 'message'],
+      },
+      AnalyzeResponse: {
+        type: 'object',
+        properties: { data: ref('Analysis'), meta: ref('Meta'), errors: { type: 'array', maxItems: 0 } },
+        required: ['data', 'meta', 'errors'],
+      },
+      ErrorResponse: {
+        type: 'object',
+        properties: { data: { type: 'null' }, meta: ref('Meta'), errors: { type: 'array', items: ref('Error'), minItems: 1 } },
+        required: ['data', 'meta', 'errors'],
+      },
+    },
+  },
+}
+
+// A 400 listing every problem found, each with the field it concerns
+class RequestValidationError extends AnalysisError {
+  constructor(problems) {
+    super(400, 'The request is invalid.', {
+      detail: problems.map(({ field, message }) => (field ? `${field} ${message}` : message)).join('; '),
+      code: 'INVALID_REQUEST',
+    })
+    this.name = 'RequestValidationError'
+    this.problems = problems
+  }
+}
+
+function resolveRef(schema) {
+  if (!schema.$ref) return schema
+  return OPENAPI_DOCUMENT.components.schemas[schema.$ref.split('/').pop()]
+}
+
+const BASE64 = /^[A-Za-z0-9+/\s]*={0,2}\s*$/
+
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (Buffer.isBuffer(value)) return 'binary'
+  if (Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+function hasType(schema, value) {
+  const actual = typeOf(value)
+  if (schema.format === 'binary') return actual === 'binary'
+  return [].concat(schema.type).some((type) => type === actual || (type === 'number' && actual === 'integer'))
+}
+
+// Checks `value` against the subset of JSON Schema this document uses. Unlike
+// the analysis coercion in ./schema, nothing is repaired: a client gets told.
+function check(schema, value, field, problems) {
+  schema = resolveRef(schema)
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((option) => {
+      const optionProblems = []
+      check(option, value, field, optionProblems)
+      return optionProblems.length === 0
+    })
+    if (matches.length !== 1) {
+      const shapes = schema.oneOf.map((option) => Object.keys(resolveRef(option).properties).join(' + '))
+      problems.push({ field, message: `must be an object with exactly one of: ${shapes.join(', ')}` })
+    }
+    return
+  }
+  if (schema.type && !hasType(schema, value)) {
+    problems.push({ field, message: `must be ${schema.format === 'binary' ? 'a file' : `of type ${[].concat(schema.type).join(' or ')}`}` })
+    return
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push({ field, message: `must be one of: ${schema.enum.join(', ')}` })
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) problems.push({ field, message: 'must not be empty' })
+    if (schema.format === 'byte' && !BASE64.test(value)) problems.push({ field, message: 'must be base64-encoded' })
+  }
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) problems.push({ field: field ? `${field}.${key}` : key, message: 'is required' })
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue
+      const itemField = field ? `${field}.${key}` : key
+      if (schema.properties[key]) check(schema.properties[key], item, itemField, problems)
+      else if (schema.additionalProperties === false) problems.push({ field: itemField, message: 'is not a known field' })
+    }
+  }
+}
+
+// Validates a request body against the schema documented for `path`, `method`
+// and `mediaType`, throwing RequestValidationError with every problem found
+function validateRequestBody(path, method, mediaType, body) {
+  const { schema } = OPENAPI_DOCUMENT.paths[path][method].requestBody.content[mediaType]
+  const problems = []
+  check(schema, body, '', problems)
+  if (problems.length > 0) throw new RequestValidationError(problems)
+  return body
+}
+
+module.exports = { OPENAPI_DOCUMENT, RequestValidationError, validateRequestBody }
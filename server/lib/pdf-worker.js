@@ -0,0 +1,141 @@
+// Worker thread for extractPdfLayout in ./extract: parses one PDF, reading at
+// most `maxPages` pages, and OCRs up to `ocrPages` of its scanned pages. Posts
+// { stage: 'ocr' } when OCR starts, then { text, pages, layout, scannedPages,
+// recognized } (`pages` is the full page count, `recognized` is only there
+// when OCR ran) or { error } with the failure's name and message.
+const { parentPort, workerData } = require('node:worker_threads')
+// Require the library entry directly: pdf-parse's index runs a debug harness
+// when it thinks it is the main module, which breaks under bundlers.
+const pdf = require('pdf-parse/lib/pdf-parse.js')
+const { OPS } = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js')
+const { scannedPageNumbers, ocrPdfPages } = require('./ocr')
+
+const IMAGE_OPS = [OPS.paintImageXObject, OPS.paintJpegXObject, OPS.paintInlineImageXObject, OPS.paintImageXObjectRepeat]
+
+const TEXT_OPS = [OPS.showText, OPS.showSpacedText, OPS.nextLineShowText, OPS.nextLineSetSpacingShowText]
+// Text render modes 3 (neither fill nor stroke) and 7 (clip only) draw nothing
+const INVISIBLE_MODES = [3, 7]
+// Text smaller than this many points can't be read on the page
+const MIN_READABLE_SIZE = 3
+const MIN_HIDDEN_CHARS = 3
+
+// Glyph arrays mix glyph objects with spacing adjustments; a large negative
+// adjustment is how TJ arrays encode a word gap
+function glyphText(glyphs) {
+  return glyphs.map((glyph) => (typeof glyph === 'number' ? (glyph < -100 ? ' ' : '') : glyph?.unicode || '')).join('')
+}
+
+// Text a reader can't see but the extracted text (and so the model) still
+// contains: white fill on the usual white page, an invisible render mode, or a
+// font too small to read. Consecutive runs with the same reason are merged.
+function hiddenTextRuns(operators, items) {
+  const runs = []
+  function add(reason, text) {
+    const last = runs[runs.length - 1]
+    if (last?.reason === reason) last.text += ` ${text}`
+    else runs.push({ reason, text })
+  }
+
+  let state = { fill: [0, 0, 0], mode: 0 }
+  const stack = []
+  operators.fnArray.forEach((fn, i) => {
+    const args = operators.argsArray[i]
+    if (fn === OPS.save) stack.push({ ...state })
+    else if (fn === OPS.restore) state = stack.pop() || state
+    else if (fn === OPS.setFillRGBColor) state = { ...state, fill: [args[0], args[1], args[2]] }
+    else if (fn === OPS.setTextRenderingMode) state = { ...state, mode: args[0] }
+    else if (TEXT_OPS.includes(fn)) {
+      const text = glyphText(args[args.length - 1]).trim()
+      if (!text) return
+      if (INVISIBLE_MODES.includes(state.mode)) add('invisible', text)
+      else if (state.fill.every((channel) => channel >= 245)) add('white', text)
+    }
+  })
+
+  for (const item of items) {
+    if (item.height > 0 && item.height < MIN_READABLE_SIZE && item.str.trim()) add('tiny', item.str.trim())
+  }
+
+  return runs
+    .map((run) => ({ ...run, text: run.text.replace(/\s+/g, ' ') }))
+    .filter((run) => run.text.replace(/\W/g, '').length >= MIN_HIDDEN_CHARS)
+}
+
+// Font objects resolve asynchronously after the operator list is built
+function resolveFont(page, id) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve({ name: id, embedded: null }), 1000)
+    page.commonObjs.get(id, (font) => {
+      clearTimeout(timer)
+      resolve({ name: font.name || id, embedded: !font.missingFile })
+    })
+  })
+}
+
+// Replaces pdf-parse's default page renderer: produces the same text (a new
+// line whenever the baseline changes) while recording item positions, fonts
+// and image counts for the formatting audit, and hidden text runs for the
+// prompt-injection check.
+function createLayoutRenderer(layout) {
+  return async function renderPage(page) {
+    const viewport = page.getViewport(1)
+    const textContent = await page.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    const operators = await page.getOperatorList()
+
+    const fontIds = new Set()
+    let imageCount = 0
+    operators.fnArray.forEach((fn, i) => {
+      if (fn === OPS.setFont) fontIds.add(operators.argsArray[i][0])
+      else if (IMAGE_OPS.includes(fn)) imageCount++
+    })
+
+    layout.pages[page.pageIndex] = {
+      width: viewport.width,
+      height: viewport.height,
+      items: textContent.items.map((item) => ({
+        str: item.str,
+        x: item.transform[4],
+        y: item.transform[5],
+        width: item.width,
+        height: item.height,
+      })),
+      fonts: await Promise.all([...fontIds].map((id) => resolveFont(page, id))),
+      imageCount,
+      hiddenText: hiddenTextRuns(operators, textContent.items),
+    }
+
+    let lastY
+    let text = ''
+    for (const item of textContent.items) {
+      if (lastY === item.transform[5] || !lastY) text += item.str
+      else text += '\n' + item.str
+      lastY = item.transform[5]
+    }
+    layout.pages[page.pageIndex].text = text
+    return text
+  }
+}
+
+async function renderPdf(buffer, { maxPages }) {
+  const layout = { pages: [] }
+  const pdfData = await pdf(buffer, { pagerender: createLayoutRenderer(layout), max: maxPages })
+  layout.pages = layout.pages.filter(Boolean)
+  return { text: pdfData.text, pages: pdfData.numpages, layout }
+}
+
+async function run({ buffer, maxPages, ocrPages }) {
+  // A fresh Uint8Array for each parse: pdf.js reads the whole backing
+  // ArrayBuffer, and a small Buffer is a view into Node's shared pool
+  const result = await renderPdf(new Uint8Array(buffer), { maxPages })
+  const scannedPages = scannedPageNumbers(result.layout)
+  // A PDF over the page limit is rejected, so there is nothing to recognize
+  if (!ocrPages || scannedPages.length === 0 || result.pages > maxPages) return { ...result, scannedPages }
+
+  parentPort.postMessage({ stage: 'ocr' })
+  const recognized = await ocrPdfPages(new Uint8Array(buffer), scannedPages.slice(0, ocrPages))
+  return { ...result, scannedPages, recognized }
+}
+
+run(workerData)
+  .then((result) => parentPort.postMessage(result))
+  .catch((err) => parentPort.postMessage({ error: { name: err.name, message: err.message } }))
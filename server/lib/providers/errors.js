@@ -0,0 +1,33 @@
+// Every provider adapter normalizes its failures into a ProviderError so the
+// retry loop and the HTTP error mapping don't need to know which backend ran.
+// `code` reuses the Gemini status names the handlers already key off.
+// `retryAfterMs` carries the upstream's suggested retry delay, when it sent one.
+const ERROR_CODES = {
+  SAFETY: 'SAFETY',
+  RATE_LIMITED: 'RESOURCE_EXHAUSTED',
+  INVALID_KEY: 'API_KEY_INVALID',
+  TIMEOUT: 'DEADLINE_EXCEEDED',
+  UNAVAILABLE: 'UNAVAILABLE',
+  UPSTREAM: 'UPSTREAM_ERROR',
+}
+
+class ProviderError extends Error {
+  constructor(message, { code = ERROR_CODES.UPSTREAM, status, provider, keyEnv, retryAfterMs, cause } = {}) {
+    super(`[${code}] ${message}`, cause ? { cause } : undefined)
+    this.name = 'ProviderError'
+    this.code = code
+    this.status = status
+    this.provider = provider
+    this.keyEnv = keyEnv
+    this.retryAfterMs = retryAfterMs
+  }
+}
+
+// Rate limits, timeouts, 5xx responses and network failures (no status) are
+// worth another attempt; safety blocks, bad keys and other 4xx are not.
+function isTransient(err) {
+  if (err.code === ERROR_CODES.RATE_LIMITED || err.code === ERROR_CODES.TIMEOUT) return true
+  return err.code === ERROR_CODES.UPSTREAM && (!err.status || err.status >= 500)
+}
+
+module.exports = { ERROR_CODES, ProviderError, isTransient }
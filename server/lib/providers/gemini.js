@@ -0,0 +1,115 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai')
+const { ERROR_CODES, ProviderError } = require('./errors')
+
+const DEFAULT_MODEL = 'gemini-2.5-flash'
+const KEY_ENV = 'GOOGLE_API_KEY'
+
+// Gemini puts the suggested delay in a google.rpc.RetryInfo detail ("37s")
+function retryDelayMs(errorDetails) {
+  const info = errorDetails?.find((detail) => detail['@type']?.endsWith('RetryInfo'))
+  const seconds = parseFloat(info?.retryDelay)
+  return Number.isFinite(seconds) ? seconds * 1000 : undefined
+}
+
+function normalizeError(err) {
+  if (err instanceof ProviderError) return err
+
+  const message = err.message || 'Gemini request failed.'
+  const opts = { status: err.status, provider: 'gemini', keyEnv: KEY_ENV, retryAfterMs: retryDelayMs(err.errorDetails), cause: err }
+
+  if (message.includes('SAFETY')) {
+    return new ProviderError(message, { ...opts, code: ERROR_CODES.SAFETY })
+  }
+  if (err.status === 429 || message.includes('RESOURCE_EXHAUSTED') || message.includes('429')) {
+    return new ProviderError(message, { ...opts, code: ERROR_CODES.RATE_LIMITED, status: 429 })
+  }
+  if (message.includes('API_KEY_INVALID') || message.includes('API key not valid')) {
+    return new ProviderError(message, { ...opts, code: ERROR_CODES.INVALID_KEY })
+  }
+  return new ProviderError(message, opts)
+}
+
+// Gemini accepts an OpenAPI subset, so drop JSON Schema keywords it rejects
+// (e.g. minimum/maximum). The server validator still enforces those.
+const GEMINI_SCHEMA_KEYS = ['type', 'description', 'properties', 'required', 'items', 'enum', 'nullable', 'minItems', 'maxItems']
+
+function toGeminiSchema(schema) {
+  const out = {}
+  for (const key of GEMINI_SCHEMA_KEYS) {
+    if (schema[key] === undefined) continue
+    if (key === 'properties') {
+      out.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([name, prop]) => [name, toGeminiSchema(prop)])
+      )
+    } else if (key === 'items') {
+      out.items = toGeminiSchema(schema.items)
+    } else {
+      out[key] = schema[key]
+    }
+  }
+  // String enums must also be marked with format: 'enum'
+  if (out.enum) out.format = 'enum'
+  return out
+}
+
+function reportUsage(response, onUsage) {
+  const usage = response.usageMetadata
+  if (usage) onUsage?.({ inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 })
+}
+
+function createGeminiProvider(config) {
+  const modelName = config.model || DEFAULT_MODEL
+  const genAI = new GoogleGenerativeAI(config.apiKey)
+
+  function getModel(systemInstruction, schema) {
+    return genAI.getGenerativeModel({
+      model: modelName,
+      systemInstruction,
+      generationConfig: {
+        responseMimeType: 'application/json',
+        ...(schema && { responseSchema: toGeminiSchema(schema) }),
+      },
+    })
+  }
+
+  return {
+    name: 'gemini',
+    model: modelName,
+
+    async generate({ systemInstruction, prompt, schema, signal, onUsage }) {
+      try {
+        const model = getModel(systemInstruction, schema)
+        const result = await model.generateContent(prompt, { signal })
+        reportUsage(result.response, onUsage)
+        // text() throws when the candidate was blocked, so call it inside the try
+        return { text: result.response.text() }
+      } catch (err) {
+        throw normalizeError(err)
+      }
+    },
+
+    async *generateStream({ systemInstruction, prompt, schema, signal, onUsage }) {
+      try {
+        const model = getModel(systemInstruction, schema)
+        const result = await model.generateContentStream(prompt, { signal })
+        for await (const chunk of result.stream) {
+          yield chunk.text()
+        }
+        reportUsage(await result.response, onUsage)
+      } catch (err) {
+        throw normalizeError(err)
+      }
+    },
+
+    // Counting tokens checks the key and the model without generating anything
+    async ping({ signal }) {
+      try {
+        await genAI.getGenerativeModel({ model: modelName }).countTokens('ping', { signal })
+      } catch (err) {
+        throw normalizeError(err)
+      }
+    },
+  }
+}
+
+module.exports = { createGeminiProvider, KEY_ENV }
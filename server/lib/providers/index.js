@@ -0,0 +1,54 @@
+const crypto = require('node:crypto')
+const { ERROR_CODES, ProviderError, isTransient } = require('./errors')
+const { createGeminiProvider } = require('./gemini')
+const { createOpenAIProvider } = require('./openai')
+const { createMockProvider } = require('./mock')
+
+// Builds the provider selected by LLM_PROVIDER. Every provider exposes the same
+// shape: { name, model, generate({ systemInstruction, prompt, schema, signal, onUsage }) -> { text },
+// ping({ signal }) }. `schema` is a JSON Schema hint; providers without structured
+// output ignore it, `signal` aborts the request and `onUsage({ inputTokens,
+// outputTokens })` is called when the backend reports token counts. ping()
+// checks that the key and model work without generating. Providers may also implement
+// generateStream(sameArgs), an async iterable of text chunks, which the engine
+// prefers when streaming results to the client. When LLM_FALLBACK_MODELS is
+// set, `fallbacks` lists a provider per model, tried in order after this one.
+// `apiKey` replaces the server's key with a user's own; such providers carry
+// `userKey` and a `keyId` (a hash, never the key) to keep their circuit apart.
+function createProvider(env = process.env, { apiKey } = {}) {
+  if (apiKey) env = { ...env, [KEY_ENVS[providerName(env)]]: apiKey }
+  const models = [env.LLM_MODEL, ...(env.LLM_FALLBACK_MODELS || '').split(',').map((model) => model.trim()).filter(Boolean)]
+  const [provider, ...fallbacks] = models.map((model) => {
+    const candidate = createModelProvider(env, model)
+    if (apiKey) Object.assign(candidate, { userKey: true, keyId: crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 12) })
+    return candidate
+  })
+  if (fallbacks.length > 0) provider.fallbacks = fallbacks
+  return provider
+}
+
+// The environment variable holding each provider's key
+const KEY_ENVS = { gemini: 'GOOGLE_API_KEY', openai: 'OPENAI_API_KEY', ollama: 'OPENAI_API_KEY', mock: 'MOCK_API_KEY' }
+
+function providerName(env) {
+  return (env.LLM_PROVIDER || 'gemini').toLowerCase()
+}
+
+function createModelProvider(env, model) {
+  const name = providerName(env)
+
+  switch (name) {
+    case 'gemini':
+      return createGeminiProvider({ model, apiKey: env.GOOGLE_API_KEY })
+    case 'openai':
+      return createOpenAIProvider({ model, apiKey: env.OPENAI_API_KEY, baseUrl: env.OPENAI_BASE_URL }, 'openai')
+    case 'ollama':
+      return createOpenAIProvider({ model, apiKey: env.OPENAI_API_KEY, baseUrl: env.OLLAMA_BASE_URL }, 'ollama')
+    case 'mock':
+      return createMockProvider({ model, fixture: env.MOCK_FIXTURE, error: env.MOCK_ERROR, delay: Number(env.MOCK_DELAY) || 0 })
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Use gemini, openai, ollama or mock.`)
+  }
+}
+
+module.exports = { createProvider, KEY_ENVS, ERROR_CODES, ProviderError, isTransient }
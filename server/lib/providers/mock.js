@@ -0,0 +1,77 @@
+const { readFileSync } = require('node:fs')
+const path = require('node:path')
+const { ProviderError } = require('./errors')
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures')
+const STREAM_CHUNK_SIZE = 48
+
+const ERROR_STATUSES = { RESOURCE_EXHAUSTED: 429, UPSTREAM_ERROR: 503 }
+
+// Resolves after `ms`, or rejects as soon as `signal` aborts
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted()
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }, { once: true })
+  })
+}
+
+// Roughly four characters per token, so the token metrics move in mock runs
+function estimateUsage(input, output) {
+  return { inputTokens: Math.ceil(input.length / 4), outputTokens: Math.ceil(output.length / 4) }
+}
+
+// Returns a canned analysis without any network access, for local UI work and
+// tests. `fixture` is a file name inside ./fixtures or an absolute path,
+// `error` makes every call fail with that error code (e.g. RESOURCE_EXHAUSTED,
+// or UPSTREAM_ERROR for a 503) and `delay` holds each response back by that
+// many milliseconds to exercise timeouts and cancellation.
+function createMockProvider(config) {
+  const fixture = config.fixture || 'analysis.json'
+  const fixturePath = path.isAbsolute(fixture) ? fixture : path.join(FIXTURES_DIR, fixture)
+
+  async function readFixture(signal) {
+    if (config.delay) await wait(config.delay, signal)
+    if (config.error) {
+      throw new ProviderError(`Mock provider configured to fail with ${config.error}.`, {
+        code: config.error,
+        status: ERROR_STATUSES[config.error],
+        provider: 'mock',
+        keyEnv: 'MOCK_API_KEY',
+      })
+    }
+    return readFileSync(fixturePath, 'utf-8')
+  }
+
+  return {
+    name: 'mock',
+    model: config.model || `mock:${path.basename(fixturePath, '.json')}`,
+
+    async generate({ systemInstruction = '', prompt = '', signal, onUsage } = {}) {
+      const text = await readFixture(signal)
+      onUsage?.(estimateUsage(systemInstruction + prompt, text))
+      return { text }
+    },
+
+    // Streams the fixture in small chunks so the SSE pipeline can be exercised
+    async *generateStream({ systemInstruction = '', prompt = '', signal, onUsage } = {}) {
+      const text = await readFixture(signal)
+      for (let i = 0; i < text.length; i += STREAM_CHUNK_SIZE) {
+        await new Promise((resolve) => setImmediate(resolve))
+        signal?.throwIfAborted()
+        yield text.slice(i, i + STREAM_CHUNK_SIZE)
+      }
+      onUsage?.(estimateUsage(systemInstruction + prompt, text))
+    },
+
+    // Fails like a real call would when `error` is set
+    async ping({ signal } = {}) {
+      await readFixture(signal)
+    },
+  }
+}
+
+module.exports = { createMockProvider }
@@ -0,0 +1,162 @@
+const { ERROR_CODES, ProviderError } = require('./errors')
+
+// Speaks the OpenAI chat-completions protocol, which is also what Ollama
+// (/v1) and the llama.cpp server expose for local models.
+const PRESETS = {
+  openai: {
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    keyEnv: 'OPENAI_API_KEY',
+  },
+  ollama: {
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+    keyEnv: 'OPENAI_API_KEY',
+  },
+}
+
+// OpenAI sends retry-after-ms; other servers send Retry-After in seconds or as a date
+function retryAfterMs(headers) {
+  const ms = Number(headers.get('retry-after-ms'))
+  if (ms) return ms
+  const value = headers.get('retry-after')
+  if (!value) return undefined
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return seconds * 1000
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now())
+}
+
+function createOpenAIProvider(config, preset = 'openai') {
+  const defaults = PRESETS[preset]
+  const baseUrl = (config.baseUrl || defaults.baseUrl).replace(/\/+$/, '')
+  const modelName = config.model || defaults.model
+  const errorOpts = { provider: preset, keyEnv: defaults.keyEnv }
+
+  async function request(systemInstruction, prompt, stream, signal) {
+    const headers = { 'Content-Type': 'application/json' }
+    if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`
+
+    let response
+    try {
+      response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: modelName,
+          messages: [
+            { role: 'system', content: systemInstruction },
+            { role: 'user', content: prompt },
+          ],
+          response_format: { type: 'json_object' },
+          stream,
+          // Only OpenAI itself is known to accept this; it adds a final usage chunk
+          ...(stream && preset === 'openai' && { stream_options: { include_usage: true } }),
+        }),
+        signal,
+      })
+    } catch (err) {
+      throw new ProviderError(`Could not reach ${baseUrl}: ${err.message}`, { ...errorOpts, cause: err })
+    }
+
+    if (response.ok) return response
+
+    const body = await response.json().catch(() => null)
+    const upstreamMessage = body?.error?.message || `${response.status} ${response.statusText}`
+
+    if (response.status === 429) {
+      throw new ProviderError(upstreamMessage, {
+        ...errorOpts,
+        code: ERROR_CODES.RATE_LIMITED,
+        status: 429,
+        retryAfterMs: retryAfterMs(response.headers),
+      })
+    }
+    if (response.status === 401 || response.status === 403) {
+      throw new ProviderError(upstreamMessage, { ...errorOpts, code: ERROR_CODES.INVALID_KEY, status: response.status })
+    }
+    throw new ProviderError(upstreamMessage, { ...errorOpts, status: response.status, retryAfterMs: retryAfterMs(response.headers) })
+  }
+
+  function reportUsage(usage, onUsage) {
+    if (usage) onUsage?.({ inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 })
+  }
+
+  function checkFinishReason(choice) {
+    if (choice?.finish_reason === 'content_filter') {
+      throw new ProviderError('Response was blocked by the content filter.', { ...errorOpts, code: ERROR_CODES.SAFETY })
+    }
+  }
+
+  return {
+    name: preset,
+    model: modelName,
+
+    async generate({ systemInstruction, prompt, signal, onUsage }) {
+      const response = await request(systemInstruction, prompt, false, signal)
+      const body = await response.json().catch(() => null)
+      reportUsage(body?.usage, onUsage)
+
+      const choice = body?.choices?.[0]
+      checkFinishReason(choice)
+      if (typeof choice?.message?.content !== 'string') {
+        throw new ProviderError('Response did not contain any message content.', errorOpts)
+      }
+
+      return { text: choice.message.content }
+    },
+
+    // Parses the server-sent `data:` lines of a streamed chat completion. A
+    // connection dropped mid-stream or a garbled chunk becomes a ProviderError
+    // like any other failed call.
+    async *generateStream({ systemInstruction, prompt, signal, onUsage }) {
+      const response = await request(systemInstruction, prompt, true, signal)
+      const decoder = new TextDecoder()
+      let pending = ''
+
+      try {
+        for await (const bytes of response.body) {
+          pending += decoder.decode(bytes, { stream: true })
+          const lines = pending.split('\n')
+          pending = lines.pop()
+
+          for (const line of lines) {
+            if (!line.startsWith('data:')) continue
+            const data = line.slice(5).trim()
+            if (data === '[DONE]') return
+
+            let parsed
+            try {
+              parsed = JSON.parse(data)
+            } catch (err) {
+              throw new ProviderError(`Stream from ${baseUrl} sent an unreadable chunk.`, { ...errorOpts, cause: err })
+            }
+            reportUsage(parsed.usage, onUsage)
+            const choice = parsed.choices?.[0]
+            checkFinishReason(choice)
+            if (choice?.delta?.content) yield choice.delta.content
+          }
+        }
+      } catch (err) {
+        if (err instanceof ProviderError) throw err
+        throw new ProviderError(`Stream from ${baseUrl} was interrupted: ${err.message}`, { ...errorOpts, cause: err })
+      }
+    },
+
+    // Looking up the model checks the server, the key and the model name
+    async ping({ signal }) {
+      const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}
+      let response
+      try {
+        response = await fetch(`${baseUrl}/models/${encodeURIComponent(modelName)}`, { headers, signal })
+      } catch (err) {
+        throw new ProviderError(`Could not reach ${baseUrl}: ${err.message}`, { ...errorOpts, cause: err })
+      }
+      if (response.ok) return
+      const code = response.status === 401 || response.status === 403 ? ERROR_CODES.INVALID_KEY : ERROR_CODES.UPSTREAM
+      throw new ProviderError(`${response.status} ${response.statusText}`, { ...errorOpts, code, status: response.status })
+    },
+  }
+}
+
+module.exports = { createOpenAIProvider, PRESETS }
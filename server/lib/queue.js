@@ -0,0 +1,80 @@
+const { AnalysisError } = require('./errors')
+
+// Global cap on outbound model calls. At most MODEL_CONCURRENCY calls run at
+// once; the rest wait in a first-in, first-out queue of up to MODEL_QUEUE_MAX
+// entries and are told their position as it changes. Each attempt takes its
+// own slot (see callModel), so retry back-off never holds one.
+
+// Retry-After for a full queue: roughly one model call
+const QUEUE_FULL_RETRY_AFTER_SECONDS = 15
+
+function createModelQueue(env = process.env) {
+  const concurrency = Math.max(1, Number(env.MODEL_CONCURRENCY) || 4)
+  const maxQueued = env.MODEL_QUEUE_MAX ? Number(env.MODEL_QUEUE_MAX) : 50
+  const waiting = []
+  let active = 0
+
+  function release() {
+    const next = waiting.shift()
+    if (!next) {
+      active--
+      return
+    }
+    waiting.forEach((waiter, i) => waiter.onPosition?.(i + 1))
+    next.onPosition?.(0)
+    next.resolve(once(release))
+  }
+
+  function once(fn) {
+    let called = false
+    return () => {
+      if (called) return
+      called = true
+      fn()
+    }
+  }
+
+  // Resolves with a release function once a slot is free. `onPosition(n)` is
+  // called with the 1-based queue position while waiting and 0 on start;
+  // aborting `signal` leaves the queue.
+  function acquire({ onPosition, signal } = {}) {
+    if (signal?.aborted) return Promise.reject(signal.reason)
+    if (active < concurrency) {
+      active++
+      return Promise.resolve(once(release))
+    }
+    if (waiting.length >= maxQueued) {
+      return Promise.reject(
+        new AnalysisError(503, 'The server is busy.', {
+          detail: `${waiting.length} analyses are already waiting. Please try again shortly.`,
+          code: 'QUEUE_FULL',
+          retryAfter: QUEUE_FULL_RETRY_AFTER_SECONDS,
+        })
+      )
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, onPosition }
+      waiting.push(waiter)
+      onPosition?.(waiting.length)
+      signal?.addEventListener('abort', () => {
+        const index = waiting.indexOf(waiter)
+        if (index === -1) return
+        waiting.splice(index, 1)
+        waiting.slice(index).forEach((other, i) => other.onPosition?.(index + i + 1))
+        reject(signal.reason)
+      }, { once: true })
+    })
+  }
+
+  return {
+    acquire,
+    get active() {
+      return active
+    },
+    get queued() {
+      return waiting.length
+    },
+  }
+}
+
+module.exports = { createModelQueue }
@@ -0,0 +1,110 @@
+const crypto = require('node:crypto')
+const { AnalysisError } = require('./errors')
+
+// Per-client limit on inbound analysis requests: RATE_LIMIT_MAX requests per
+// RATE_LIMIT_WINDOW seconds in a fixed window. Counters live in memory, so
+// each server process (or warm Vercel instance) counts on its own.
+// RATE_LIMIT_MAX=0 turns the limit off.
+
+// Beyond this many tracked clients, expired windows are swept on the next check
+const SWEEP_THRESHOLD = 10000
+
+function createRateLimiter(env = process.env) {
+  const max = env.RATE_LIMIT_MAX ? Number(env.RATE_LIMIT_MAX) : 10
+  const windowMs = (Number(env.RATE_LIMIT_WINDOW) || 60) * 1000
+  const windows = new Map()
+
+  function sweep(now) {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key)
+    }
+  }
+
+  return {
+    // Counts one request for `key`; throws a 429 once the window is used up
+    check(key) {
+      if (!max) return
+      const now = Date.now()
+      if (windows.size > SWEEP_THRESHOLD) sweep(now)
+
+      let window = windows.get(key)
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs }
+        windows.set(key, window)
+      }
+      if (window.count >= max) {
+        const retryAfter = Math.ceil((window.resetAt - now) / 1000)
+        throw new AnalysisError(429, 'Too many requests.', {
+          detail: `You can run ${max} analyses every ${windowMs / 1000} seconds. Try again in ${retryAfter} seconds.`,
+          code: 'RATE_LIMITED',
+          retryAfter,
+        })
+      }
+      window.count++
+    },
+  }
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest()
+}
+
+// An X-API-Key header only counts when it is one of the keys the server
+// issued (CLIENT_API_KEYS, comma-separated). Any other value is ignored: a
+// caller could otherwise send a fresh made-up key with every request and
+// never run out of requests or quota.
+function issuedApiKey(req, env) {
+  const apiKey = req.headers['x-api-key']
+  if (!apiKey || !env.CLIENT_API_KEYS) return null
+  const digest = sha256(apiKey)
+  const issued = env.CLIENT_API_KEYS.split(',').map((key) => key.trim()).filter(Boolean)
+  return issued.some((key) => crypto.timingSafeEqual(sha256(key), digest)) ? digest : null
+}
+
+// Per-client daily allowance of model calls made with the server's own key
+// (requests with a user's key don't count): SERVER_KEY_DAILY_QUOTA calls per
+// UTC day, 0 turns it off. Like the rate limiter it lives in memory.
+function createDailyQuota(env = process.env) {
+  const max = env.SERVER_KEY_DAILY_QUOTA ? Number(env.SERVER_KEY_DAILY_QUOTA) : 50
+  const days = new Map()
+
+  return {
+    // Counts one model call for `key`; throws a 429 once today's calls are used up
+    consume(key) {
+      if (!max) return
+      const today = new Date().toISOString().slice(0, 10)
+      if (days.size > SWEEP_THRESHOLD) {
+        for (const [client, day] of days) {
+          if (day.date !== today) days.delete(client)
+        }
+      }
+
+      let day = days.get(key)
+      if (!day || day.date !== today) {
+        day = { date: today, count: 0 }
+        days.set(key, day)
+      }
+      if (day.count >= max) {
+        const midnight = new Date(`${today}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000
+        throw new AnalysisError(429, 'Daily limit reached.', {
+          detail: `The shared API key allows ${max} analyses per day. Add your own API key to keep going, or come back tomorrow.`,
+          code: 'DAILY_QUOTA_EXCEEDED',
+          retryAfter: Math.ceil((midnight - Date.now()) / 1000),
+        })
+      }
+      day.count++
+    },
+  }
+}
+
+// Clients are told apart by an issued X-API-Key when one is sent, otherwise
+// by IP: Express's req.ip (which honors its trust proxy setting), or the
+// X-Forwarded-For address set by the Vercel edge.
+function clientKey(req, env = process.env) {
+  const issued = issuedApiKey(req, env)
+  if (issued) return `key:${issued.toString('hex').slice(0, 16)}`
+  const ip = req.ip || req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket?.remoteAddress
+  return `ip:${ip || 'unknown'}`
+}
+
+module.exports = { createRateLimiter, createDailyQuota, clientKey }
@@ -0,0 +1,163 @@
+const { AnalysisError } = require('./errors')
+
+// PII redaction before text leaves the server: values become stable placeholders
+// ([EMAIL_1], [NAME_2]...) that restore() maps back in the model's output.
+
+// `contact` covers emails, phones, URLs and addresses; `full` adds the name and employers
+const LEVELS = ['none', 'contact', 'full']
+const DEFAULT_LEVEL = 'contact'
+
+const CONTACT_PATTERNS = [
+  ['EMAIL', /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi],
+  ['URL', /\b(?:https?:\/\/|www\.)[^\s<>()"]+[^\s<>()".,;:!?]|\b(?:linkedin\.com|github\.com|gitlab\.com|twitter\.com|x\.com|behance\.net|dribbble\.com|medium\.com)\/[^\s<>()"]*[^\s<>()".,;:!?]/gi],
+  // Street lines ("221 Baker Street, Apt 4") and US ZIP or UK postcodes
+  ['ADDRESS', /\b\d{1,5}\s+(?:[A-Z][a-z]+\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Parkway|Pkwy)\b\.?(?:,?\s+(?:Apt|Suite|Unit|#)\.?\s*[\w-]+)?/g],
+  ['ADDRESS', /\b[A-Z]{2}\s+\d{5}(?:-\d{4})?\b|\b[A-Z]{1,2}\d[A-Z\d]?\s+\d[A-Z]{2}\b/g],
+  // Needs a +, parentheses or separators: bare digit runs are usually metrics
+  ['PHONE', /(?<![\w.])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,4}){1,4}(?![\w])/g],
+]
+
+const MIN_PHONE_DIGITS = 9
+const MAX_PHONE_DIGITS = 15
+
+// Year-month ranges ("2019.01-2021.06", "01 2020 06 2023") have a phone number's digit count
+const YEAR_MONTH = '(?:19|20)\\d{2}(?:[\\s./-]?(?:0?[1-9]|1[0-2]))?|(?:0?[1-9]|1[0-2])[\\s./-]?(?:19|20)\\d{2}'
+const DATE_RANGE = new RegExp(`^(?:${YEAR_MONTH})[\\s./-]+(?:${YEAR_MONTH})$`)
+
+// A heading on its own line ("Experience", "## SKILLS") or labelling one ("Skills: Go, Ruby")
+const SECTION_HEADING = /^(?:#+\s*)?(?:(?:professional|work|technical|core|key|relevant)\s+)?(?:summary|profile|objective|experience|employment(?:\s+history)?|work\s+history|skills|competencies|technologies|education|projects|certifications?|awards|publications|languages|interests|volunteering|references)\s*(?::|$)/i
+
+const COMPANY_SUFFIX = /(?:Inc|LLC|Ltd|Limited|Corp|Corporation|GmbH|PLC|Co|Company|Technologies|Labs|Systems|Group|Solutions|Software|Consulting|Partners|Holdings|AG|SA|BV)\.?/
+// Names stay on one line, so a heading or the next line never joins them
+const COMPANY_WITH_SUFFIX = new RegExp(`\\b(?:[A-Z][\\w&'-]*[ \\t]+){0,3}[A-Z][\\w&'-]*,?[ \\t]+${COMPANY_SUFFIX.source}(?![\\w])`, 'g')
+// "Software Engineer at Stripe", "Analyst @ Goldman Sachs"
+const COMPANY_AFTER_AT = /\b(?:at|@)[ \t]+([A-Z][\w&.'-]*(?:[ \t]+(?:&[ \t]+)?[A-Z][\w&.'-]*){0,3})/g
+const NOT_EMPLOYERS = /^(?:January|February|March|April|May|June|July|August|September|October|November|December|Present|Scale|Remote|Home|The|A|An)$/
+
+const PLACEHOLDER = /\[(EMAIL|URL|ADDRESS|PHONE|NAME|EMPLOYER)_(\d+)\]/g
+
+function resolveRedactionLevel(level, env = process.env) {
+  if (!level) return LEVELS.includes(env.PII_REDACTION) ? env.PII_REDACTION : DEFAULT_LEVEL
+  if (LEVELS.includes(level)) return level
+  throw new AnalysisError(400, 'Unknown redaction level.', {
+    detail: `Use one of: ${LEVELS.join(', ')}.`,
+    code: 'INVALID_REDACTION',
+  })
+}
+
+function isPhone(text) {
+  const digits = text.replace(/\D/g, '').length
+  if (digits < MIN_PHONE_DIGITS || digits > MAX_PHONE_DIGITS) return false
+  return /^\+|\(/.test(text) || !DATE_RANGE.test(text)
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// Resume sections split at their headings; the first is the header above them
+function splitSections(text) {
+  const sections = ['']
+  for (const line of text.split(/(?<=\n)/)) {
+    if (SECTION_HEADING.test(line.trim())) sections.push('')
+    sections[sections.length - 1] += line
+  }
+  return sections
+}
+
+// The candidate's name: the first short, capitalized line near the top that
+// isn't contact details or a heading in capitals
+function candidateName(resumeText) {
+  return resumeText
+    .split('\n')
+    .slice(0, 5)
+    .map((line) => line.replace(/^#+\s*/, '').trim())
+    .find((line) => /^\p{Lu}[\p{L}'.-]*(?:\s+\p{Lu}[\p{L}'.-]*){1,3}$/u.test(line) && line !== line.toUpperCase())
+}
+
+function employerNames(resumeText) {
+  const names = new Set()
+  for (const match of resumeText.matchAll(COMPANY_WITH_SUFFIX)) names.add(match[0].replace(/[,.]$/, '').trim())
+  for (const match of resumeText.matchAll(COMPANY_AFTER_AT)) {
+    const name = match[1].replace(/[.,]$/, '')
+    if (!NOT_EMPLOYERS.test(name)) names.add(name)
+  }
+  return [...names]
+}
+
+// One redactor per analysis so placeholders are shared by the resume and the
+// job description
+function createRedactor(level) {
+  const placeholders = new Map()
+  const originals = new Map()
+  const counts = {}
+
+  function placeholderFor(type, value) {
+    if (!placeholders.has(value)) {
+      counts[type] = (counts[type] || 0) + 1
+      const placeholder = `[${type}_${counts[type]}]`
+      placeholders.set(value, placeholder)
+      originals.set(placeholder, value)
+    }
+    return placeholders.get(value)
+  }
+
+  function redact(text) {
+    if (level === 'none' || !text) return text
+    let out = text
+    for (const [type, pattern] of CONTACT_PATTERNS) {
+      out = out.replace(pattern, (match) => (type === 'PHONE' && !isPhone(match) ? match : placeholderFor(type, match)))
+    }
+    return out
+  }
+
+  function redactLiterals(text, literals) {
+    let out = text
+    // Longest first, so "Jane Doe" is replaced before "Jane"
+    for (const { type, value } of [...literals].sort((a, b) => b.value.length - a.value.length)) {
+      out = out.replace(new RegExp(`(?<![\\p{L}\\d])${escapeRegExp(value)}(?![\\p{L}\\d])`, 'gu'), () => placeholderFor(type, value))
+    }
+    return out
+  }
+
+  // At the `full` level the full name is replaced throughout the resume, but its
+  // parts and employers only in the section they were found in, so a candidate
+  // called Ruby keeps Ruby in their skills
+  function redactResume(text) {
+    if (level !== 'full') return redact(text)
+    const sections = splitSections(text)
+    const name = candidateName(sections[0])
+    const nameParts = name ? name.split(/\s+/).filter((part) => part.replace(/\W/g, '').length >= 2) : []
+    return sections
+      .map((section, i) => {
+        const literals = employerNames(section).map((value) => ({ type: 'EMPLOYER', value }))
+        if (name) literals.push({ type: 'NAME', value: name })
+        if (i === 0) literals.push(...nameParts.map((value) => ({ type: 'NAME', value })))
+        return redactLiterals(redact(section), literals)
+      })
+      .join('')
+  }
+
+  // Maps placeholders back in every string of a model result
+  function restore(value) {
+    if (typeof value === 'string') return value.replace(PLACEHOLDER, (placeholder) => originals.get(placeholder) ?? placeholder)
+    if (Array.isArray(value)) return value.map(restore)
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restore(item)]))
+    return value
+  }
+
+  // What was replaced, for the response and the preview
+  function summary({ withOriginals = false } = {}) {
+    return {
+      level,
+      counts: { ...counts },
+      ...(withOriginals && {
+        replacements: [...originals].map(([placeholder, original]) => ({ placeholder, type: placeholder.slice(1, placeholder.lastIndexOf('_')).toLowerCase(), original })),
+      }),
+    }
+  }
+
+  return { level, redact, redactResume, restore, summary }
+}
+
+module.exports = { LEVELS, resolveRedactionLevel, createRedactor }
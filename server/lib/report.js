@@ -0,0 +1,127 @@
+// Plain-text renderings of an analysis for the command line: a Markdown report
+// and a compact terminal table. JSON output is the analyze() result as is.
+
+const SCORE_ROWS = [
+  ['tech_match', 'Skills match'],
+  ['impact_match', 'Impact'],
+  ['ats_compatibility', 'ATS compatibility'],
+  ['strict_score', 'Evidence only'],
+]
+
+const STATUS_MARKS = { expertise: '✓', exposure: '~', missing: '✗' }
+
+const INPUT_LABELS = { resume: 'Resume', job_description: 'Job description' }
+
+function passageLabel(passage) {
+  return `${INPUT_LABELS[passage.source]}${passage.page ? `, page ${passage.page}` : ''}`
+}
+
+function overallDetails(overall) {
+  const [low, high] = overall.range
+  const caveat = overall.low_confidence ? ', low confidence' : ''
+  return `(${low}–${high}, ${overall.preset} preset, confidence ${overall.confidence}%${caveat})`
+}
+
+function bar(score, width = 20) {
+  const filled = Math.round((score / 100) * width)
+  return '█'.repeat(filled) + '░'.repeat(width - filled)
+}
+
+// Keeps table cells on one line and stops pipes from splitting them
+function cell(text) {
+  return String(text).replace(/\s+/g, ' ').replace(/\|/g, '\\|')
+}
+
+function toMarkdown(result, { title = 'JD-Match Analysis' } = {}) {
+  const lines = [`# ${title}`, '', `**Overall:** ${result.overall.score} ${overallDetails(result.overall)}`, '', result.summary, '']
+
+  if (result.injection_check?.flagged) {
+    lines.push('## Possible Prompt Injection', '', 'These passages may be trying to steer the AI. Treat the scores with caution.', '')
+    for (const passage of result.injection_check.passages) {
+      lines.push(`- **${passage.reason}** (${passageLabel(passage)}): “${passage.text}”`)
+    }
+    lines.push('')
+  }
+
+  lines.push('## Scores', '', '| Score | Value |', '| :--- | ---: |')
+  for (const [key, label] of SCORE_ROWS) lines.push(`| ${label} | ${result[key]} |`)
+  lines.push(`| Confidence | ${result.confidence_rating} |`, '')
+
+  if (result.skills.length > 0) {
+    lines.push('## Skills', '', '| Skill | Status | Evidence |', '| :--- | :--- | :--- |')
+    for (const skill of result.skills) {
+      const evidence = skill.evidence.map((item) => `“${cell(item.text)}”`).join('<br>') || '—'
+      const status = skill.downgraded ? 'missing (unverified)' : skill.status
+      lines.push(`| ${cell(skill.name)} | ${status} | ${evidence} |`)
+    }
+    lines.push('')
+  }
+
+  if (result.missing_keywords.length > 0) {
+    const found = new Set(result.skill_match.keyword_check.found_in_resume.map((item) => item.keyword))
+    lines.push('## Missing Keywords', '')
+    for (const keyword of result.missing_keywords) {
+      lines.push(found.has(keyword) ? `- ${keyword} _(already in the resume)_` : `- ${keyword}`)
+    }
+    lines.push('')
+  }
+
+  if (result.hallucination_check.length > 0) {
+    lines.push('## Unverified Claims', '')
+    for (const flag of result.hallucination_check) lines.push(`- **${flag.skill}:** ${flag.reason}`)
+    lines.push('')
+  }
+
+  if (result.formatting_audit?.findings.length > 0) {
+    lines.push('## Formatting Audit', '')
+    for (const finding of result.formatting_audit.findings) {
+      lines.push(`- **${finding.title}** (${finding.severity}): ${finding.detail}`)
+    }
+    lines.push('')
+  }
+
+  if (result.rewrites.length > 0) {
+    lines.push('## Suggested Rewrites', '')
+    result.rewrites.forEach((rewrite, i) => {
+      lines.push(`${i + 1}. ~~${rewrite.original}~~`, `   ${rewrite.suggested}`, `   _${rewrite.why}_`)
+    })
+    lines.push('')
+  }
+
+  return lines.join('\n')
+}
+
+function toTable(result) {
+  const width = Math.max(...SCORE_ROWS.map(([, label]) => label.length), 'Overall'.length) + 2
+  const lines = [`${'Overall'.padEnd(width)}${String(result.overall.score).padStart(3)}  ${overallDetails(result.overall)}`]
+  if (result.injection_check?.flagged) {
+    lines.push('', 'Warning: possible prompt injection, treat the scores with caution')
+    for (const passage of result.injection_check.passages) {
+      lines.push(`  ! ${passage.reason} (${passageLabel(passage)}): ${passage.text}`)
+    }
+    lines.push('')
+  }
+  for (const [key, label] of SCORE_ROWS) {
+    lines.push(`${label.padEnd(width)}${String(result[key]).padStart(3)}  ${bar(result[key])}`)
+  }
+  lines.push('')
+
+  if (result.skills.length > 0) {
+    const nameWidth = Math.max(...result.skills.map((skill) => skill.name.length)) + 2
+    lines.push('Skills')
+    for (const skill of result.skills) {
+      lines.push(`  ${STATUS_MARKS[skill.status]} ${skill.name.padEnd(nameWidth)}${skill.status}${skill.downgraded ? ' (unverified)' : ''}`)
+    }
+    lines.push('')
+  }
+
+  if (result.missing_keywords.length > 0) lines.push(`Missing keywords: ${result.missing_keywords.join(', ')}`)
+  if (result.hallucination_check.length > 0) {
+    lines.push(`Unverified claims: ${result.hallucination_check.map((flag) => flag.skill).join(', ')}`)
+  }
+  lines.push(`Suggested rewrites: ${result.rewrites.length}`, '', result.summary)
+  if (result.cache?.hit) lines.push('', `Cached result from ${result.cache.stored_at} (--fresh to re-run)`)
+  return lines.join('\n')
+}
+
+module.exports = { toMarkdown, toTable }
@@ -0,0 +1,60 @@
+const crypto = require('node:crypto')
+const { logger } = require('./logger')
+const { metrics } = require('./metrics')
+const { AnalysisError, toErrorResponse } = require('./errors')
+
+// Per-request ID, logger and metrics for the Express and Vercel adapters. The
+// ID comes from an incoming X-Request-Id (so a proxy's ID carries through) or
+// is generated, and is echoed in the X-Request-Id response header and as
+// `request_id` in error bodies.
+const REQUEST_ID = /^[\w.:-]{1,128}$/
+const contexts = new WeakMap()
+
+// `route` is the metrics label: a string, or a function read when the
+// response closes (Express only knows the matched route by then). Headers,
+// including API keys, are never logged.
+function trackRequest(req, res, route) {
+  const incoming = req.headers['x-request-id']
+  const id = typeof incoming === 'string' && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID()
+  const log = logger.child({ request_id: id })
+  const started = process.hrtime.bigint()
+  res.setHeader('X-Request-Id', id)
+  contexts.set(res, { id, log })
+
+  res.once('close', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9
+    const label = typeof route === 'function' ? route() : route
+    metrics.httpRequests.inc({ route: label, method: req.method, status: res.statusCode })
+    metrics.httpDuration.observe({ route: label }, seconds)
+    log.info('Request finished', {
+      method: req.method,
+      route: label,
+      status: res.statusCode,
+      duration_ms: Math.round(seconds * 1000),
+      ...(!res.writableFinished && { aborted: true }),
+    })
+  })
+  return { id, log }
+}
+
+function requestLog(res) {
+  return contexts.get(res)?.log || logger
+}
+
+// toErrorResponse plus the bookkeeping: unexpected errors are logged with
+// their stack and every error is counted by class (its code, else the status)
+function recordError(err, log = logger) {
+  if (!(err instanceof AnalysisError)) log.error('Analysis failed', { err })
+  const { status, body } = toErrorResponse(err)
+  metrics.errors.inc({ class: body.code || `HTTP_${status}` })
+  return { status, body }
+}
+
+// The error response for a tracked request, with its `request_id`
+function describeError(res, err) {
+  const { status, body } = recordError(err, requestLog(res))
+  const id = contexts.get(res)?.id
+  return { status, body: id ? { ...body, request_id: id } : body }
+}
+
+module.exports = { trackRequest, requestLog, recordError, describeError }
@@ -0,0 +1,209 @@
+const { ERROR_CODES, ProviderError, isTransient } = require('./providers')
+const { ANALYSIS_SCHEMA } = require('./schema')
+const { SYSTEM_INSTRUCTION } = require('./prompt')
+const { circuitFor } = require('./circuit')
+const { AnalysisError } = require('./errors')
+const { logger } = require('./logger')
+const { metrics } = require('./metrics')
+
+// Every model call goes through callModel: a per-attempt timeout, retries
+// with jittered exponential backoff for transient failures, the circuit
+// breaker, and the ordered fallback models from LLM_FALLBACK_MODELS.
+
+// LLM_MAX_RETRIES is a count where 0 is meaningful, so only a missing or
+// unparsable value falls back to the default
+function retryCount(value) {
+  const retries = value?.trim() ? Number(value) : NaN
+  return Number.isInteger(retries) && retries >= 0 ? retries : null
+}
+
+function callSettings(env = process.env) {
+  return {
+    timeoutMs: (Number(env.LLM_TIMEOUT) || 90) * 1000,
+    maxRetries: retryCount(env.LLM_MAX_RETRIES) ?? 3,
+    // A retry hint longer than this moves on to the next model instead of waiting
+    maxWaitMs: (Number(env.LLM_MAX_RETRY_WAIT) || 30) * 1000,
+  }
+}
+
+// The upstream's retry hint when it sent one, otherwise 1s, 2s, 4s... (capped
+// at 16s); either way with jitter so clients that failed together spread out
+function backoffDelay(err, attempt) {
+  if (err.retryAfterMs) return err.retryAfterMs + Math.random() * 1000
+  const ceiling = Math.min(16000, 1000 * 2 ** (attempt - 1))
+  return ceiling / 2 + (Math.random() * ceiling) / 2
+}
+
+function cancelledError() {
+  return new AnalysisError(499, 'The request was cancelled.', { code: 'CANCELLED' })
+}
+
+// The abort listener is removed once the wait is over, so a request's signal
+// doesn't collect one per retry
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    function onAbort() {
+      clearTimeout(timer)
+      reject(cancelledError())
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+// Aborts the returned signal when the client disconnects before the response
+// has been sent, so queued and in-flight model calls stop early.
+function abortOnDisconnect(res) {
+  const controller = new AbortController()
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort()
+  })
+  return controller.signal
+}
+
+// One request to the provider, streamed through `onChunk` when given
+async function generateOnce(provider, args, onChunk) {
+  if (!onChunk) return provider.generate(args)
+  if (!provider.generateStream) {
+    const result = await provider.generate(args)
+    onChunk(result.text)
+    return result
+  }
+  let text = ''
+  for await (const chunk of provider.generateStream(args)) {
+    text += chunk
+    onChunk(chunk)
+  }
+  return { text }
+}
+
+// Times, counts and logs one attempt: latency, outcome and token usage per
+// provider and model. Queue waits are not part of the latency.
+async function attemptOnce(provider, prompt, { signal, timeoutMs, queue, onPosition, onChunk, log = logger }) {
+  const release = queue ? await queue.acquire({ onPosition, signal }) : null
+  // The timeout starts once the call has a queue slot
+  const timeout = AbortSignal.timeout(timeoutMs)
+  const labels = { provider: provider.name, model: provider.model }
+  const started = performance.now()
+  let usage = null
+  const args = {
+    systemInstruction: SYSTEM_INSTRUCTION,
+    prompt,
+    schema: ANALYSIS_SCHEMA,
+    signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+    onUsage: (reported) => {
+      usage = reported
+    },
+  }
+
+  function record(outcome) {
+    const seconds = (performance.now() - started) / 1000
+    metrics.modelCalls.inc({ ...labels, outcome })
+    metrics.modelDuration.observe(labels, seconds)
+    if (usage) {
+      metrics.modelTokens.inc({ ...labels, direction: 'input' }, usage.inputTokens)
+      metrics.modelTokens.inc({ ...labels, direction: 'output' }, usage.outputTokens)
+    }
+    log.info('Model call finished', {
+      ...labels,
+      outcome,
+      duration_ms: Math.round(seconds * 1000),
+      ...(usage && { input_tokens: usage.inputTokens, output_tokens: usage.outputTokens }),
+    })
+  }
+
+  try {
+    const result = await generateOnce(provider, args, onChunk)
+    record('ok')
+    return result
+  } catch (err) {
+    let failure = err
+    if (timeout.aborted && !signal?.aborted) {
+      failure = new ProviderError(`No response from ${provider.model} within ${timeoutMs / 1000}s.`, {
+        code: ERROR_CODES.TIMEOUT,
+        provider: provider.name,
+      })
+    }
+    record(signal?.aborted ? 'CANCELLED' : failure.code || 'ERROR')
+    throw failure
+  } finally {
+    release?.()
+  }
+}
+
+// Returns { text, model } where `model` records which model answered, whether
+// it was a fallback and how many attempts it took. Options: `maxRetries` per
+// model (retries after the first attempt, so 0 tries each model once),
+// `signal` to cancel, `queue` and `onPosition` for the model queue, and
+// `onChunk` to stream; a streamed call is only retried while nothing has been
+// streamed yet. `log` is the request's logger.
+async function callModel(provider, prompt, options = {}) {
+  const settings = callSettings()
+  const maxAttempts = (options.maxRetries ?? settings.maxRetries) + 1
+  const { signal, onChunk, log = logger } = options
+  const models = [provider, ...(provider.fallbacks || [])]
+  let lastError = null
+  let attempts = 0
+
+  for (const [index, candidate] of models.entries()) {
+    const circuit = circuitFor(candidate)
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      if (signal?.aborted) throw cancelledError()
+      if (!circuit.allow()) {
+        lastError = circuit.openError()
+        break
+      }
+
+      attempts++
+      let streamed = false
+      try {
+        const result = await attemptOnce(candidate, prompt, {
+          ...options,
+          timeoutMs: settings.timeoutMs,
+          onChunk: onChunk && ((chunk) => {
+            streamed = true
+            onChunk(chunk)
+          }),
+        })
+        circuit.success()
+        return { ...result, model: { provider: candidate.name, name: candidate.model, fallback: index > 0, attempts } }
+      } catch (err) {
+        if (signal?.aborted) {
+          circuit.release()
+          throw cancelledError()
+        }
+        if (!isTransient(err)) {
+          circuit.release()
+          // Safety blocks, bad keys and a full queue are final; another
+          // request error (e.g. an unknown model name) moves to the next model
+          if (err.code === ERROR_CODES.INVALID_KEY) err.userKey = Boolean(candidate.userKey)
+          if (err.code !== ERROR_CODES.UPSTREAM) throw err
+          lastError = err
+          break
+        }
+
+        circuit.failure()
+        lastError = err
+        if (streamed) throw err
+        const delay = backoffDelay(err, attempt)
+        if (attempt === maxAttempts || delay > settings.maxWaitMs || circuit.state === 'open') break
+        metrics.modelRetries.inc({ provider: candidate.name, model: candidate.model })
+        log.warn(`${err.message} (attempt ${attempt}/${maxAttempts}). Retrying in ${(delay / 1000).toFixed(1)}s...`, { code: err.code })
+        await sleep(delay, signal)
+      }
+    }
+
+    if (index < models.length - 1) {
+      metrics.modelFallbacks.inc({ from: candidate.model, to: models[index + 1].model })
+      log.warn(`Falling back from ${candidate.model} to ${models[index + 1].model}`)
+    }
+  }
+
+  throw lastError
+}
+
+module.exports = { callModel, abortOnDisconnect }
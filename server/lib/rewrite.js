@@ -0,0 +1,39 @@
+// Applies suggested rewrites to the resume text the same way the Refinement
+// Suite does: an exact match first, then a case- and whitespace-insensitive
+// match for quotes the model reflowed. Rewrites are applied in order, each to
+// the text left by the previous one.
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function findOriginal(text, original) {
+  const exact = text.indexOf(original)
+  if (exact !== -1) return { start: exact, end: exact + original.length }
+
+  const words = original.trim().split(/\s+/).filter(Boolean)
+  if (words.length === 0) return null
+  const match = new RegExp(words.map(escapeRegExp).join('\\s+'), 'i').exec(text)
+  return match ? { start: match.index, end: match.index + match[0].length } : null
+}
+
+// Returns { text, applied, skipped } where applied and skipped list rewrite indexes
+function applyRewrites(resumeText, rewrites = []) {
+  let text = resumeText
+  const applied = []
+  const skipped = []
+
+  rewrites.forEach((rewrite, index) => {
+    const range = rewrite.original ? findOriginal(text, rewrite.original) : null
+    if (!range) {
+      skipped.push(index)
+      return
+    }
+    text = text.slice(0, range.start) + rewrite.suggested + text.slice(range.end)
+    applied.push(index)
+  })
+
+  return { text, applied, skipped }
+}
+
+module.exports = { applyRewrites, findOriginal }
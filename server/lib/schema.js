@@ -0,0 +1,216 @@
+// JSON Schema for the analysis the model must return. The same object is used to
+// validate every response on the server and is passed to providers that support
+// structured output (Gemini's responseSchema).
+const { logger } = require('./logger')
+
+const score = (description) => ({ type: 'integer', minimum: 0, maximum: 100, description })
+
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    tech_match: score('Hard skill alignment weighted by Exposure vs Expertise.'),
+    impact_match: score('Strength of action verbs and quantified results.'),
+    ats_compatibility: score('ATS-friendliness of the formatting. 100 is fully compatible.'),
+    strict_score: score('Overall score using only evidence-backed matches.'),
+    confidence_rating: score('Confidence in the accuracy of this analysis.'),
+    summary: { type: 'string' },
+    missing_keywords: { type: 'array', items: { type: 'string' } },
+    hallucination_check: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          skill: { type: 'string' },
+          reason: { type: 'string' },
+        },
+        required: ['skill', 'reason'],
+      },
+    },
+    skills: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          status: { type: 'string', enum: ['expertise', 'exposure', 'missing'] },
+          weight: { type: 'number', minimum: 0, maximum: 1, description: 'Match weight: 1 for expertise, 0.25 for exposure, 0 for missing.' },
+          evidence: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Exact resume substrings that show the skill. Empty when missing.',
+          },
+        },
+        required: ['name', 'status', 'weight', 'evidence'],
+      },
+    },
+    rewrites: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          original: { type: 'string', description: 'Exact text copied from the resume.' },
+          suggested: { type: 'string' },
+          why: { type: 'string' },
+        },
+        required: ['original', 'suggested', 'why'],
+      },
+    },
+  },
+  required: [
+    'tech_match',
+    'impact_match',
+    'ats_compatibility',
+    'strict_score',
+    'confidence_rating',
+    'summary',
+    'missing_keywords',
+    'hallucination_check',
+    'skills',
+    'rewrites',
+  ],
+}
+
+class AnalysisValidationError extends Error {
+  constructor(errors) {
+    super(`The AI returned an invalid analysis: ${errors.join('; ')}`)
+    this.name = 'AnalysisValidationError'
+    this.code = 'INVALID_ANALYSIS'
+    this.status = 502
+    this.errors = errors
+  }
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value
+  if (typeof value === 'string') return parseFloat(value.replace(/[%\s]/g, ''))
+  return NaN
+}
+
+// Walks `value` against `schema`, coercing what can be coerced (numeric strings,
+// out-of-range scores) and collecting errors for what can't. Array items that
+// don't validate are dropped rather than failing the whole analysis.
+function coerce(schema, value, path, errors) {
+  switch (schema.type) {
+    case 'integer':
+    case 'number': {
+      let n = toNumber(value)
+      if (!Number.isFinite(n)) {
+        errors.push(`${path} must be a number`)
+        return undefined
+      }
+      if (schema.minimum !== undefined) n = Math.max(schema.minimum, n)
+      if (schema.maximum !== undefined) n = Math.min(schema.maximum, n)
+      return schema.type === 'integer' ? Math.round(n) : n
+    }
+    case 'string':
+      if (typeof value === 'number') return String(value)
+      if (typeof value !== 'string') {
+        errors.push(`${path} must be a string`)
+        return undefined
+      }
+      if (schema.enum) {
+        const match = schema.enum.find((option) => option === value.trim().toLowerCase())
+        if (!match) errors.push(`${path} must be one of ${schema.enum.join(', ')}`)
+        return match
+      }
+      return value
+    case 'array': {
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be an array`)
+        return undefined
+      }
+      const items = []
+      for (const item of value) {
+        const itemErrors = []
+        const coerced = coerce(schema.items, item, `${path}[]`, itemErrors)
+        if (itemErrors.length === 0) items.push(coerced)
+      }
+      return items
+    }
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} must be an object`)
+        return undefined
+      }
+      const out = {}
+      for (const [key, propSchema] of Object.entries(schema.properties)) {
+        const propPath = path ? `${path}.${key}` : key
+        if (value[key] === undefined || value[key] === null) {
+          if (schema.required?.includes(key)) errors.push(`${propPath} is required`)
+          continue
+        }
+        const coerced = coerce(propSchema, value[key], propPath, errors)
+        if (coerced !== undefined) out[key] = coerced
+      }
+      return out
+    }
+    default:
+      return value
+  }
+}
+
+function validateAnalysis(raw) {
+  const errors = []
+  const value = coerce(ANALYSIS_SCHEMA, raw, '', errors)
+  return { value, errors }
+}
+
+// Coerces a single top-level field (or one element of a top-level array when
+// `asItem` is set) for progressive delivery. Returns undefined when invalid.
+function coerceField(key, value, { asItem = false } = {}) {
+  let schema = ANALYSIS_SCHEMA.properties[key]
+  if (!schema) return undefined
+  if (asItem) schema = schema.items
+  const errors = []
+  const coerced = coerce(schema, value, key, errors)
+  return errors.length === 0 ? coerced : undefined
+}
+
+// Parses and validates the model's raw text, throwing AnalysisValidationError
+// with the list of problems when it can't be turned into a valid analysis.
+function parseAnalysis(text) {
+  let raw
+  try {
+    raw = JSON.parse(text)
+  } catch (err) {
+    throw new AnalysisValidationError([`response is not valid JSON (${err.message})`])
+  }
+  const { value, errors } = validateAnalysis(raw)
+  if (errors.length > 0) throw new AnalysisValidationError(errors)
+  return value
+}
+
+function buildRepairPrompt(prompt, badText, errors) {
+  return `${prompt}
+
+Your previous response did not match the required JSON Schema:
+${errors.map((e) => `- ${e}`).join('\n')}
+
+Previous response:
+${badText}
+
+Return the complete corrected analysis as a single JSON object that matches the schema exactly. Do not include any other text.`
+}
+
+// Runs `generate(prompt)` and validates the result. One automatic repair
+// re-prompt is made when validation fails; a second failure is thrown as a 502.
+async function generateValidAnalysis(generate, prompt, log = logger) {
+  const result = await generate(prompt)
+  try {
+    return { ...result, analysis: parseAnalysis(result.text) }
+  } catch (err) {
+    if (!(err instanceof AnalysisValidationError)) throw err
+    log.warn('Analysis failed validation, requesting a repair', { errors: err.errors })
+    const repaired = await generate(buildRepairPrompt(prompt, result.text, err.errors))
+    return { ...repaired, analysis: parseAnalysis(repaired.text) }
+  }
+}
+
+module.exports = {
+  ANALYSIS_SCHEMA,
+  AnalysisValidationError,
+  validateAnalysis,
+  coerceField,
+  parseAnalysis,
+  generateValidAnalysis,
+}
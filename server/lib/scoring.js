@@ -0,0 +1,69 @@
+const { AnalysisError } = require('./errors')
+
+// Combines the model's sub-scores into the overall match score. Each role
+// preset weights the sub-scores differently; strict_score is in every preset so
+// a match built on inferred skills is pulled down. Weights are normalized, so a
+// preset only needs the right proportions. SCORING_PRESET picks the default.
+const PRESETS = {
+  balanced: {
+    label: 'Balanced',
+    weights: { tech_match: 0.3, impact_match: 0.25, ats_compatibility: 0.2, strict_score: 0.25 },
+  },
+  engineering: {
+    label: 'Engineering',
+    weights: { tech_match: 0.4, impact_match: 0.2, ats_compatibility: 0.1, strict_score: 0.3 },
+  },
+  sales: {
+    label: 'Sales',
+    weights: { tech_match: 0.15, impact_match: 0.4, ats_compatibility: 0.2, strict_score: 0.25 },
+  },
+  design: {
+    label: 'Design & Creative',
+    weights: { tech_match: 0.25, impact_match: 0.3, ats_compatibility: 0.15, strict_score: 0.3 },
+  },
+  leadership: {
+    label: 'Leadership',
+    weights: { tech_match: 0.15, impact_match: 0.45, ats_compatibility: 0.1, strict_score: 0.3 },
+  },
+}
+
+const DEFAULT_PRESET = 'balanced'
+
+// Below this confidence_rating the UI shows the score with a caveat
+const LOW_CONFIDENCE = 60
+
+// Returns the preset name to use, throwing a 400 for names that don't exist
+function resolvePreset(name, env = process.env) {
+  if (!name) return PRESETS[env.SCORING_PRESET] ? env.SCORING_PRESET : DEFAULT_PRESET
+  if (PRESETS[name]) return name
+  throw new AnalysisError(400, 'Unknown scoring preset.', {
+    detail: `Use one of: ${Object.keys(PRESETS).join(', ')}.`,
+    code: 'INVALID_PRESET',
+  })
+}
+
+// The confidence band widens as confidence drops: ±4 at 80, ±10 at 50.
+function computeOverall(scores, presetName) {
+  const { weights } = PRESETS[presetName]
+  const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0)
+  const weighted = Object.entries(weights).reduce((sum, [key, w]) => sum + scores[key] * w, 0)
+  const score = Math.round(weighted / totalWeight)
+
+  const confidence = scores.confidence_rating
+  const margin = Math.round((100 - confidence) / 5)
+
+  return {
+    score,
+    range: [Math.max(0, score - margin), Math.min(100, score + margin)],
+    confidence,
+    low_confidence: confidence < LOW_CONFIDENCE,
+    preset: presetName,
+    weights,
+  }
+}
+
+function listPresets() {
+  return Object.entries(PRESETS).map(([name, preset]) => ({ name, label: preset.label, weights: preset.weights }))
+}
+
+module.exports = { PRESETS, LOW_CONFIDENCE, resolvePreset, computeOverall, listPresets }
@@ -0,0 +1,214 @@
+const fs = require('fs')
+const path = require('path')
+const defaultTaxonomy = require('./taxonomy.json')
+
+// Deterministic hard-skill matching. Skills come from taxonomy.json (or the file
+// named by SKILL_TAXONOMY): canonical names, aliases and categories, so "JS",
+// "k8s" and "Postgres" count as JavaScript, Kubernetes and PostgreSQL. The JD's
+// skills are looked up in the resume with exact offsets, and each hit is
+// classified the same way the model is asked to: Expertise when it sits in a
+// line with an action verb and a metric, Exposure otherwise.
+
+const CREDIT = { expertise: 1, exposure: 0.25, missing: 0 }
+const MAX_JD_WEIGHT = 3
+
+const ACTION_VERBS = /\b(accelerated|achieved|analy[sz]ed|architected|automated|boosted|built|championed|consolidated|containeri[sz]ed|created|cut|debugged|decreased|delivered|deployed|designed|developed|doubled|drove|eliminated|enabled|engineered|established|executed|expanded|founded|generated|grew|halved|implemented|improved|increased|initiated|integrated|introduced|launched|led|lowered|maintained|managed|mentored|migrated|modernized|optimi[sz]ed|orchestrated|oversaw|owned|partnered|pioneered|produced|programmed|rebuilt|redesigned|reduced|refactored|resolved|restructured|rewrote|saved|scaled|shipped|simplified|spearheaded|streamlined|supervised|tested|trained|transformed|tripled|upgraded|wrote)\b/i
+// Money, percentages, multipliers and plain counts; four-digit years don't count
+const METRIC = /[$€£]\s?\d|\d(?:[\d.,]*)\s?(?:%|percent|x\b|k\b|m\b|ms\b)|\b(?!(?:19|20)\d{2}\b)\d[\d.,]*\+?(?![\w])/i
+const LIST_LABEL = /^\s*(?:technical |core |key )?(?:skills|technologies|tech stack|stack|tools|languages|frameworks|proficien\w*|competenc\w*)\b.{0,20}?:/i
+const BULLET = /^\s*(?:[•●▪‣◦■□➢►✓*–—-]|\d+[.)])\s+/
+// Skills whose mention on a line vouches for an ambiguous term next to it
+const NON_TECHNICAL = new Set(['Business Tools', 'Practices'])
+
+const cache = new Map()
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// Word boundaries that understand names like C++, C#, .NET, Node.js and CI/CD:
+// "JS" doesn't match inside "Node.js", "C" doesn't match "C++" or "Objective-C".
+function termPattern(term, caseSensitive) {
+  const body = escapeRegExp(term).replace(/\s+/g, '[\\s-]+')
+  return new RegExp(`(?<![\\w+#&]|\\w[-.])${body}(?![\\w+#&]|[-.]\\w)`, caseSensitive ? 'g' : 'gi')
+}
+
+function compileTaxonomy(data) {
+  const skills = data.skills.map((skill) => ({
+    name: skill.name,
+    category: skill.category,
+    patterns: [skill.name, ...(skill.aliases || [])].map((term) => ({
+      regex: termPattern(term, skill.caseSensitive),
+      ambiguous: Boolean(skill.ambiguous?.includes(term)),
+    })),
+  }))
+  const byTerm = new Map()
+  for (const [i, skill] of data.skills.entries()) {
+    for (const term of [skill.name, ...(skill.aliases || [])]) byTerm.set(term.toLowerCase(), skills[i])
+  }
+  return { skills, byTerm }
+}
+
+function loadTaxonomy(env = process.env) {
+  const file = env.SKILL_TAXONOMY ? path.resolve(env.SKILL_TAXONOMY) : null
+  const key = file || 'default'
+  if (!cache.has(key)) {
+    const data = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : defaultTaxonomy
+    cache.set(key, compileTaxonomy(data))
+  }
+  return cache.get(key)
+}
+
+// Returns Map<skill, hits[]> with { start, end, text } for every mention. When
+// two aliases of one skill overlap ("Spring" inside "Spring Boot") only the
+// longer hit is kept. Ambiguous terms ("Go to market", "Grade: C") only count
+// in a skills list or on a line that also names another technical skill.
+function findSkills(text, taxonomy = loadTaxonomy()) {
+  const clear = new Map()
+  const ambiguous = []
+  for (const skill of taxonomy.skills) {
+    for (const { regex, ambiguous: needsContext } of skill.patterns) {
+      regex.lastIndex = 0
+      for (const match of text.matchAll(regex)) {
+        const hit = { start: match.index, end: match.index + match[0].length, text: match[0] }
+        if (needsContext) ambiguous.push({ skill, hit })
+        else clear.set(skill, [...(clear.get(skill) || []), hit])
+      }
+    }
+  }
+
+  const vouched = []
+  if (ambiguous.length > 0) {
+    const segments = segmentLines(text)
+    const technical = [...clear].filter(([skill]) => !NON_TECHNICAL.has(skill.category))
+    for (const { skill, hit } of ambiguous) {
+      const segment = segments.find((s) => hit.start >= s.start && hit.start <= s.end)
+      const inContext = isSkillList(segment) || technical.some(([other, hits]) => other !== skill && hits.some((h) => h.start >= segment.start && h.end <= segment.end))
+      if (inContext) vouched.push({ skill, hit })
+    }
+  }
+
+  const found = new Map()
+  for (const skill of taxonomy.skills) {
+    const hits = [...(clear.get(skill) || []), ...vouched.filter((v) => v.skill === skill).map((v) => v.hit)]
+    if (hits.length === 0) continue
+
+    hits.sort((a, b) => a.start - b.start || b.end - a.end)
+    const kept = []
+    for (const hit of hits) {
+      if (kept.length && hit.start < kept[kept.length - 1].end) continue
+      kept.push(hit)
+    }
+    found.set(skill, kept)
+  }
+  return found
+}
+
+// Splits text into lines, joining wrapped bullet continuations (a following
+// line that starts lowercase) onto their bullet so a metric on the second line
+// still counts.
+function segmentLines(text) {
+  const segments = []
+  let offset = 0
+  for (const line of text.split('\n')) {
+    const start = offset
+    offset += line.length + 1
+    const current = segments[segments.length - 1]
+    if (current?.bullet && /^\s*[a-z(]/.test(line)) {
+      current.end = start + line.length
+      current.text += ` ${line.trim()}`
+      continue
+    }
+    segments.push({ start, end: start + line.length, text: line, bullet: BULLET.test(line) })
+  }
+  return segments
+}
+
+function isSkillList(segment) {
+  if (LIST_LABEL.test(segment.text)) return true
+  return (segment.text.match(/[,|;•·]/g) || []).length >= 3 && !ACTION_VERBS.test(segment.text)
+}
+
+function classifyHit(hit, segments) {
+  const segment = segments.find((s) => hit.start >= s.start && hit.start <= s.end)
+  if (!segment || isSkillList(segment)) return 'exposure'
+  return ACTION_VERBS.test(segment.text) && METRIC.test(segment.text) ? 'expertise' : 'exposure'
+}
+
+// Matches the JD's skills against the resume. JD skills are weighted by how
+// often the JD mentions them (capped at MAX_JD_WEIGHT) and the score uses the
+// same credit as the prompt: Expertise 100%, Exposure 25%.
+function matchSkills(jobDescription, resumeText, taxonomy = loadTaxonomy()) {
+  const jdSkills = findSkills(jobDescription, taxonomy)
+  const resumeSkills = findSkills(resumeText, taxonomy)
+  const segments = segmentLines(resumeText)
+
+  const skills = [...jdSkills.entries()]
+    .map(([skill, jdHits]) => {
+      const hits = (resumeSkills.get(skill) || []).map((hit) => ({ ...hit, context: classifyHit(hit, segments) }))
+      let status = 'missing'
+      if (hits.some((hit) => hit.context === 'expertise')) status = 'expertise'
+      else if (hits.length > 0) status = 'exposure'
+      return {
+        name: skill.name,
+        category: skill.category,
+        weight: Math.min(jdHits.length, MAX_JD_WEIGHT),
+        status,
+        hits,
+        firstMention: jdHits[0].start,
+      }
+    })
+    .sort((a, b) => b.weight - a.weight || a.firstMention - b.firstMention)
+    .map(({ firstMention, ...skill }) => skill)
+
+  const totalWeight = skills.reduce((sum, s) => sum + s.weight, 0)
+  const earned = skills.reduce((sum, s) => sum + s.weight * CREDIT[s.status], 0)
+
+  return {
+    score: totalWeight ? Math.round((earned / totalWeight) * 100) : null,
+    skills,
+    missing: skills.filter((s) => s.status === 'missing').map((s) => s.name),
+  }
+}
+
+// Resolves a free-form keyword from the model to a taxonomy skill, either by an
+// exact name/alias or by the single skill mentioned inside it ("Kubernetes (k8s)").
+function resolveKeyword(keyword, taxonomy) {
+  const exact = taxonomy.byTerm.get(keyword.trim().toLowerCase())
+  if (exact) return exact
+  const mentioned = [...findSkills(keyword, taxonomy).keys()]
+  return mentioned.length === 1 ? mentioned[0] : null
+}
+
+// Sanity-checks the model's missing_keywords against the local match:
+// `found_in_resume` are keywords the resume actually contains (under some
+// alias), `not_in_taxonomy` couldn't be checked, and `also_missing` are JD
+// skills missing from the resume that the model didn't list.
+function checkMissingKeywords(missingKeywords, skillMatch, resumeText, taxonomy = loadTaxonomy()) {
+  const resumeSkills = findSkills(resumeText, taxonomy)
+  const confirmed = []
+  const foundInResume = []
+  const notInTaxonomy = []
+  const flagged = new Set()
+
+  for (const keyword of missingKeywords) {
+    const skill = resolveKeyword(keyword, taxonomy)
+    if (!skill) {
+      notInTaxonomy.push(keyword)
+      continue
+    }
+    flagged.add(skill.name)
+    const hit = resumeSkills.get(skill)?.[0]
+    if (hit) foundInResume.push({ keyword, skill: skill.name, text: hit.text, start: hit.start, end: hit.end })
+    else confirmed.push(keyword)
+  }
+
+  return {
+    confirmed,
+    found_in_resume: foundInResume,
+    not_in_taxonomy: notInTaxonomy,
+    also_missing: skillMatch.missing.filter((name) => !flagged.has(name)),
+  }
+}
+
+module.exports = { loadTaxonomy, findSkills, matchSkills, checkMissingKeywords }
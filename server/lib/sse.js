@@ -0,0 +1,36 @@
+// Minimal Server-Sent Events writer shared by the Express and Vercel adapters.
+// Both hand us a plain Node ServerResponse, so no framework helpers are used.
+function wantsEventStream(req) {
+  const query = req.query || {}
+  return query.stream === '1' || query.stream === 'true' || Boolean(req.headers.accept?.includes('text/event-stream'))
+}
+
+// Headers are written lazily on the first event, so errors raised before any
+// progress (bad input, oversized files) can still be sent as a plain JSON 4xx.
+function openEventStream(res) {
+  let started = false
+
+  return {
+    get started() {
+      return started
+    },
+    send(event, data) {
+      if (!started) {
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache, no-transform',
+          Connection: 'keep-alive',
+          'X-Accel-Buffering': 'no',
+        })
+        res.flushHeaders?.()
+        started = true
+      }
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    },
+    close() {
+      res.end()
+    },
+  }
+}
+
+module.exports = { wantsEventStream, openEventStream }
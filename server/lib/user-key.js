@@ -0,0 +1,35 @@
+const { createProvider } = require('./providers')
+const { clientKey } = require('./rate-limit')
+const { AnalysisError } = require('./errors')
+
+// Bring-your-own key: the browser may send its own provider key in the
+// X-Provider-Key header. The key is only handed to the provider SDK; it is
+// never logged, cached or echoed back in a response.
+const USER_KEY_HEADER = 'x-provider-key'
+const MAX_KEY_LENGTH = 512
+
+function userApiKey(req) {
+  const apiKey = req.headers[USER_KEY_HEADER]?.trim()
+  if (!apiKey) return null
+  if (apiKey.length > MAX_KEY_LENGTH || /\s/.test(apiKey)) {
+    throw new AnalysisError(400, 'Malformed API key.', {
+      detail: 'The X-Provider-Key header must be a single API key without spaces.',
+      code: 'INVALID_USER_KEY',
+    })
+  }
+  return apiKey
+}
+
+// The provider for one request and the quota callback for analyze(): a user's
+// key gets a provider of its own and no quota, otherwise each model call made
+// with `provider` (the server's, or the default from LLM_PROVIDER when
+// omitted) counts against the client's daily quota. The client is its IP or
+// an issued X-API-Key (see clientKey), never a value the caller made up.
+function requestProvider(req, { provider, quota }) {
+  const apiKey = userApiKey(req)
+  if (apiKey) return { provider: createProvider(process.env, { apiKey }), chargeQuota: undefined }
+  const key = clientKey(req)
+  return { provider, chargeQuota: () => quota.consume(key) }
+}
+
+module.exports = { requestProvider }
@@ -1,7 +1,23 @@
-import { useState, useRef, useCallback } from 'react'
+import { useState, useRef, useCallback, useEffect } from 'react'
 import { motion } from 'framer-motion'
 import { jsPDF } from 'jspdf'
-import mammoth from 'mammoth'
+import { ROLE_PRESETS, getScoreColor, getStrokeColor, getScoreLabel } from './scores'
+import { JobListInput, ComparisonTable } from './CompareJobs'
+import { ResumeListInput, ShortlistTable } from './RankResumes'
+import { HistorySidebar, ScoreTrend } from './History'
+import { ResumeEditor, ResumeDiff } from './LiveResume'
+import { useResumeEditor } from './resumeEditor'
+import {
+  isHistoryAvailable,
+  newSessionId,
+  listSessions,
+  saveSession,
+  deleteSession,
+  jobDescriptionKey,
+  defaultSessionName,
+  exportSessions,
+  importSessions,
+} from './history'
 
 const BASE_URL = import.meta.env.PROD
   ? (import.meta.env.VITE_API_URL || '')
@@ -18,39 +34,132 @@ function formatBytes(bytes) {
   return `${(bytes / (1024 * 1024)).toFixed(2)} MB`
 }
 
-function getScoreColor(score) {
-  if (score >= 75) return 'text-green-500'
-  if (score >= 50) return 'text-yellow-500'
-  return 'text-red-500'
+const FILE_BADGES = {
+  pdf: { text: 'PDF', classes: 'bg-red-100 dark:bg-red-900/50 text-red-600 dark:text-red-400' },
+  docx: { text: 'DOC', classes: 'bg-blue-100 dark:bg-blue-900/50 text-blue-600 dark:text-blue-400' },
+  odt: { text: 'ODT', classes: 'bg-sky-100 dark:bg-sky-900/50 text-sky-600 dark:text-sky-400' },
+  rtf: { text: 'RTF', classes: 'bg-violet-100 dark:bg-violet-900/50 text-violet-600 dark:text-violet-400' },
+  md: { text: 'MD', classes: 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300' },
+  txt: { text: 'TXT', classes: 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300' },
 }
 
-function getStrokeColor(score) {
-  if (score >= 75) return '#22c55e'
-  if (score >= 50) return '#eab308'
-  return '#ef4444'
+const SEVERITY_STYLES = {
+  high: 'bg-red-100 dark:bg-red-950/50 text-red-700 dark:text-red-300 border-red-200 dark:border-red-800',
+  medium: 'bg-amber-100 dark:bg-amber-950/50 text-amber-700 dark:text-amber-300 border-amber-200 dark:border-amber-800',
+  low: 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 border-gray-200 dark:border-gray-600',
 }
 
-function getScoreLabel(score) {
-  if (score >= 76) return { text: 'Strong Match', color: 'text-green-500 dark:text-green-400' }
-  if (score >= 41) return { text: 'Good Start', color: 'text-yellow-500 dark:text-yellow-400' }
-  return { text: 'Needs Work', color: 'text-red-500 dark:text-red-400' }
+const SKILL_STATUS_STYLES = {
+  expertise: 'bg-green-100 dark:bg-green-950/50 text-green-700 dark:text-green-300 border-green-200 dark:border-green-800',
+  exposure: 'bg-blue-100 dark:bg-blue-950/50 text-blue-700 dark:text-blue-300 border-blue-200 dark:border-blue-800',
+  missing: 'bg-rose-100 dark:bg-rose-950/50 text-rose-700 dark:text-rose-300 border-rose-200 dark:border-rose-800',
+}
+
+const REDACTION_LEVELS = [
+  { value: 'none', label: 'Send as is' },
+  { value: 'contact', label: 'Hide contact details' },
+  { value: 'full', label: 'Hide contact, name & employers' },
+]
+
+function getFileExtension(file) {
+  return file?.name.split('.').pop().toLowerCase() || ''
+}
+
+function getFileBadge(file) {
+  const ext = getFileExtension(file)
+  return FILE_BADGES[ext === 'markdown' ? 'md' : ext] || FILE_BADGES.txt
+}
+
+// Reads a text/event-stream response body and calls onEvent(name, data) per event
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+
+    let boundary
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary)
+      buffer = buffer.slice(boundary + 2)
+
+      let event = 'message'
+      let data = ''
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim()
+        else if (line.startsWith('data:')) data += line.slice(5).trim()
+      }
+      if (data) onEvent(event, JSON.parse(data))
+    }
+  }
+}
+
+// An Error carrying the server's message and code and, on 429 and 503
+// responses, the seconds to wait before retrying (Retry-After header or `retry_after`)
+function responseError(data, response) {
+  const err = new Error(data.detail || data.error || 'An unknown error occurred.')
+  err.code = data.code
+  err.retryAfter = Number(response?.headers.get('Retry-After')) || data.retry_after || null
+  return err
+}
+
+// Longer waits (a daily quota resetting at midnight) aren't worth a countdown
+const MAX_AUTO_RETRY_SECONDS = 120
+
+// Errors the user can get past by entering (or fixing) their own API key
+const API_KEY_ERRORS = ['DAILY_QUOTA_EXCEEDED', 'SERVER_KEY_INVALID', 'USER_KEY_INVALID']
+
+function PanelSkeleton({ lines = 3 }) {
+  return (
+    <div className="animate-pulse space-y-2.5">
+      {Array.from({ length: lines }, (_, i) => (
+        <div key={i} className={`h-3 rounded bg-gray-200 dark:bg-gray-700 ${i === lines - 1 ? 'w-2/3' : 'w-full'}`} />
+      ))}
+    </div>
+  )
 }
 
 export default function App() {
   const [resumeFile, setResumeFile] = useState(null)
   const [jobDescription, setJobDescription] = useState('')
+  // 'single' analyzes one JD; 'compare' runs the resume against several;
+  // 'rank' runs several resumes against one JD
+  const [mode, setMode] = useState('single')
+  const [compareJobs, setCompareJobs] = useState([{ id: 1, text: '' }, { id: 2, text: '' }])
+  const [compareFiles, setCompareFiles] = useState([])
+  const [comparison, setComparison] = useState(null)
+  const [rankFiles, setRankFiles] = useState([])
+  const [shortlist, setShortlist] = useState(null)
+  const [demoteFlagged, setDemoteFlagged] = useState(true)
   const [isLoading, setIsLoading] = useState(false)
   const [results, setResults] = useState(null)
   const [error, setError] = useState(null)
+  // { action, seconds } while a rate-limited request counts down to its automatic retry
+  const [retry, setRetry] = useState(null)
+  // Position in the server's model queue while a single analysis waits for a slot
+  const [queuePosition, setQueuePosition] = useState(0)
   const [isDragOver, setIsDragOver] = useState(false)
   const fileInputRef = useRef(null)
-
-  // Refinement Suite state
-  const [resumeText, setResumeText] = useState('')
-  const [appliedRewrites, setAppliedRewrites] = useState(new Set())
-  const [highlightRange, setHighlightRange] = useState(null)
+  const abortRef = useRef(null)
+
+  // Refinement Suite state. The Live Resume and the rewrites applied to it
+  // are kept with their undo history (see ./resumeEditor).
+  const editor = useResumeEditor()
+  const { resumeText, appliedRewrites } = editor
+  const [showChanges, setShowChanges] = useState(false)
+  const [highlightRanges, setHighlightRanges] = useState([])
   const liveResumeRef = useRef(null)
 
+  // Saved single-job analyses (see ./history). `sessionId` is the one on
+  // screen; its edits are saved as they happen and it reopens after a reload.
+  const [sessions, setSessions] = useState([])
+  const [sessionId, setSessionId] = useState(null)
+  const [showHistory, setShowHistory] = useState(false)
+  const [historyNotice, setHistoryNotice] = useState(null)
+
   // Dark mode state
   const [darkMode, setDarkMode] = useState(() => {
     if (typeof window !== 'undefined') {
@@ -60,6 +169,195 @@ export default function App() {
     return false
   })
 
+  const [preset, setPreset] = useState(() => {
+    if (typeof window !== 'undefined') return localStorage.getItem('jd-match-preset') || 'balanced'
+    return 'balanced'
+  })
+
+  function handlePresetChange(next) {
+    setPreset(next)
+    localStorage.setItem('jd-match-preset', next)
+  }
+
+  const [redaction, setRedaction] = useState(() => {
+    if (typeof window !== 'undefined') return localStorage.getItem('jd-match-redaction') || 'contact'
+    return 'contact'
+  })
+  // { resumeText, jobDescription, level, replacements } from /api/redact
+  const [redactionPreview, setRedactionPreview] = useState(null)
+  const [isPreviewing, setIsPreviewing] = useState(false)
+
+  // The visitor's own provider key, sent as X-Provider-Key instead of using the server's
+  const [apiKey, setApiKey] = useState(() => {
+    if (typeof window !== 'undefined') return localStorage.getItem('jd-match-api-key') || ''
+    return ''
+  })
+  const [showKeySettings, setShowKeySettings] = useState(false)
+
+  function handleApiKeyChange(next) {
+    setApiKey(next)
+    if (next.trim()) localStorage.setItem('jd-match-api-key', next.trim())
+    else localStorage.removeItem('jd-match-api-key')
+  }
+
+  function streamHeaders() {
+    const headers = { Accept: 'text/event-stream' }
+    if (apiKey.trim()) headers['X-Provider-Key'] = apiKey.trim()
+    return headers
+  }
+
+  function handleRedactionChange(next) {
+    setRedaction(next)
+    localStorage.setItem('jd-match-redaction', next)
+  }
+
+  // A preview is only accurate for the inputs it was made from
+  useEffect(() => {
+    setRedactionPreview(null)
+  }, [resumeFile, jobDescription, redaction, mode])
+
+  async function handlePreviewRedaction() {
+    if (redactionPreview) {
+      setRedactionPreview(null)
+      return
+    }
+    if (!resumeFile) {
+      setError('Please upload your resume (PDF, Word or text).')
+      return
+    }
+    setIsPreviewing(true)
+    try {
+      const formData = new FormData()
+      formData.append('resume', resumeFile)
+      if (mode === 'single') formData.append('jobDescription', jobDescription)
+      formData.append('redaction', redaction)
+      const response = await fetch(`${BASE_URL}/api/redact`, { method: 'POST', body: formData })
+      const data = await response.json()
+      if (!response.ok) throw responseError(data, response)
+      setError(null)
+      setRedactionPreview(data)
+    } catch (err) {
+      setError(err.message || 'Network error. Please try again.')
+    } finally {
+      setIsPreviewing(false)
+    }
+  }
+
+  function selectSession(id) {
+    setSessionId(id)
+    if (id) localStorage.setItem('jd-match-session', id)
+    else localStorage.removeItem('jd-match-session')
+  }
+
+  // Puts a saved analysis back on screen. The resume comes back as the
+  // extracted text, so a re-run sends that instead of the original file.
+  function handleOpenSession(session) {
+    abortRef.current?.abort()
+    setMode('single')
+    setError(null)
+    setRetry(null)
+    setComparison(null)
+    setShortlist(null)
+    setJobDescription(session.jobDescription)
+    setResumeFile(new File([session.originalResumeText], `${session.fileName.replace(/\.[^.]+$/, '')}.txt`, { type: 'text/plain' }))
+    setResults(session.results)
+    // Sessions saved before rewrites could be reverted only kept their indexes
+    const applied = session.appliedRewrites.map((entry) => {
+      if (typeof entry !== 'number') return entry
+      const { original, suggested } = session.results.rewrites[entry]
+      return { index: entry, original, suggested, start: -1 }
+    })
+    editor.load(session.resumeText, { applied, original: session.originalResumeText })
+    setHighlightRanges([])
+    selectSession(session.id)
+    setShowHistory(false)
+  }
+
+  // Saves a finished analysis as a new session
+  async function recordSession(data) {
+    if (!isHistoryAvailable()) return
+    const { resumeText: text = '', ...analysis } = data
+    const session = {
+      id: newSessionId(),
+      name: defaultSessionName(jobDescription),
+      createdAt: new Date().toISOString(),
+      jobDescription,
+      jdKey: jobDescriptionKey(jobDescription),
+      fileName: resumeFile.name,
+      originalResumeText: text,
+      resumeText: text,
+      appliedRewrites: [],
+      results: analysis,
+    }
+    try {
+      await saveSession(session)
+      setSessions((prev) => [session, ...prev])
+      selectSession(session.id)
+    } catch {
+      // Storage can be full or blocked; the analysis on screen is unaffected
+    }
+  }
+
+  async function handleRenameSession(session, name) {
+    const next = { ...session, name }
+    setSessions((prev) => prev.map((s) => (s.id === session.id ? next : s)))
+    await saveSession(next).catch(() => setHistoryNotice('Could not save the new name.'))
+  }
+
+  async function handleDeleteSession(session) {
+    try {
+      await deleteSession(session.id)
+      setSessions((prev) => prev.filter((s) => s.id !== session.id))
+      if (session.id === sessionId) selectSession(null)
+    } catch {
+      setHistoryNotice('Could not delete that analysis.')
+    }
+  }
+
+  async function handleExportHistory() {
+    const blob = new Blob([await exportSessions()], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `jd-match-history-${new Date().toISOString().slice(0, 10)}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  async function handleImportHistory(file) {
+    try {
+      const count = await importSessions(await file.text())
+      setSessions(await listSessions())
+      setHistoryNotice(`Imported ${count} analys${count === 1 ? 'is' : 'es'}.`)
+    } catch (err) {
+      setHistoryNotice(err.message)
+    }
+  }
+
+  // Loads the history and reopens the analysis that was on screen before a reload
+  useEffect(() => {
+    if (!isHistoryAvailable()) return
+    listSessions()
+      .then((list) => {
+        setSessions(list)
+        const last = list.find((session) => session.id === localStorage.getItem('jd-match-session'))
+        if (last) handleOpenSession(last)
+      })
+      .catch(() => {})
+  }, [])
+
+  // Keeps the open session's resume and applied rewrites saved as they change
+  useEffect(() => {
+    const session = sessions.find((s) => s.id === sessionId)
+    if (!session || (session.resumeText === resumeText && JSON.stringify(session.appliedRewrites) === JSON.stringify(appliedRewrites))) return
+    const timer = setTimeout(() => {
+      const next = { ...session, resumeText, appliedRewrites }
+      setSessions((prev) => prev.map((s) => (s.id === next.id ? next : s)))
+      saveSession(next).catch(() => {})
+    }, 500)
+    return () => clearTimeout(timer)
+  }, [sessions, sessionId, resumeText, appliedRewrites])
+
   function toggleDarkMode() {
     setDarkMode(prev => {
       const next = !prev
@@ -68,25 +366,30 @@ export default function App() {
     })
   }
 
+  // The server sniffs the real format from the file contents; these only filter
+  // the picker. Browsers often report an empty type for .md and .rtf files, so
+  // the extension is accepted as well.
   const ACCEPTED_TYPES = [
     'application/pdf',
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.oasis.opendocument.text',
+    'application/rtf',
+    'text/rtf',
+    'text/plain',
+    'text/markdown',
   ]
+  const ACCEPTED_EXTENSIONS = ['pdf', 'docx', 'odt', 'rtf', 'txt', 'md', 'markdown']
 
   function handleFileSelect(file) {
     if (!file) return
-    if (!ACCEPTED_TYPES.includes(file.type)) {
-      setError('Please upload a PDF or Word (.docx) file.')
+    if (!ACCEPTED_TYPES.includes(file.type) && !ACCEPTED_EXTENSIONS.includes(getFileExtension(file))) {
+      setError('Please upload a PDF, Word (.docx), OpenDocument (.odt), RTF, Markdown or plain-text file.')
       return
     }
     setError(null)
     setResumeFile(file)
   }
 
-  function isDocx(file) {
-    return file?.type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-  }
-
   function handleDragOver(e) {
     e.preventDefault()
     e.stopPropagation()
@@ -111,17 +414,34 @@ export default function App() {
     if (fileInputRef.current) fileInputRef.current.value = ''
   }
 
+  // The session stays in the history; only the screen is cleared
   function handleStartOver() {
+    abortRef.current?.abort()
+    selectSession(null)
     setResults(null)
     setError(null)
     setResumeFile(null)
     setJobDescription('')
-    setResumeText('')
-    setAppliedRewrites(new Set())
-    setHighlightRange(null)
+    setCompareJobs([{ id: 1, text: '' }, { id: 2, text: '' }])
+    setCompareFiles([])
+    setComparison(null)
+    setRankFiles([])
+    setShortlist(null)
+    editor.load('')
+    setHighlightRanges([])
     if (fileInputRef.current) fileInputRef.current.value = ''
   }
 
+  // Marks `ranges` ({ start, end }) in the Live Resume for a moment and scrolls to the first
+  function showHighlights(ranges, duration) {
+    setShowChanges(false)
+    setHighlightRanges(ranges)
+    setTimeout(() => setHighlightRanges([]), duration)
+    setTimeout(() => {
+      liveResumeRef.current?.querySelector('mark')?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    }, 50)
+  }
+
   const handleApplyRewrite = useCallback((index) => {
     if (!results) return
     const { original, suggested } = results.rewrites[index]
@@ -194,22 +514,51 @@ export default function App() {
     }
 
     const newText = resumeText.slice(0, pos) + suggested + resumeText.slice(pos + matchLen)
-    setResumeText(newText)
-    setAppliedRewrites(prev => new Set(prev).add(index))
+    // What was actually replaced, which the fallbacks above may find differs from `original`
+    const replaced = resumeText.slice(pos, pos + matchLen)
+    editor.change(newText, [...appliedRewrites, { index, original: replaced, suggested, start: pos }])
     setError(null)
+    showHighlights([{ start: pos, end: pos + suggested.length }], 1500)
+  }, [results, resumeText, appliedRewrites])
+
+  // Puts back the text one applied rewrite replaced, leaving later edits and
+  // other rewrites alone. Edits may have moved the rewrite, so this takes the
+  // copy of its text nearest to where it was applied.
+  function handleRevertRewrite(index) {
+    const record = appliedRewrites.find((entry) => entry.index === index)
+    if (!record) return
+    // A rewrite that deleted its line leaves nothing to search for
+    let pos = record.suggested ? -1 : Math.min(Math.max(record.start, 0), resumeText.length)
+    for (let at = resumeText.indexOf(record.suggested); record.suggested && at !== -1; at = resumeText.indexOf(record.suggested, at + 1)) {
+      if (pos === -1 || Math.abs(at - record.start) < Math.abs(pos - record.start)) pos = at
+    }
+    if (pos === -1) {
+      setError('This rewrite has been edited since it was applied, so it can\'t be reverted on its own. Use Undo, or change the text by hand.')
+      return
+    }
+    const newText = resumeText.slice(0, pos) + record.original + resumeText.slice(pos + record.suggested.length)
+    editor.change(newText, appliedRewrites.filter((entry) => entry !== record))
+    setError(null)
+    showHighlights([{ start: pos, end: pos + record.original.length }], 1500)
+  }
 
-    setHighlightRange({ start: pos, end: pos + suggested.length })
-    setTimeout(() => setHighlightRange(null), 1500)
+  function handleResumeEdit(text) {
+    setHighlightRanges([])
+    editor.type(text)
+  }
 
-    setTimeout(() => {
-      if (liveResumeRef.current) {
-        const mark = liveResumeRef.current.querySelector('mark')
-        if (mark) {
-          mark.scrollIntoView({ behavior: 'smooth', block: 'center' })
-        }
-      }
-    }, 50)
-  }, [results, resumeText])
+  // Highlights resume evidence ({ text, start, end }) from the skill matcher or
+  // the evidence matrix. Offsets are from the extracted text, so fall back to a
+  // search once rewrites or edits have shifted them.
+  function handleShowEvidence(items) {
+    const ranges = items
+      .map((item) => {
+        const start = resumeText.slice(item.start, item.end) === item.text ? item.start : resumeText.indexOf(item.text)
+        return start === -1 ? null : { start, end: start + item.text.length }
+      })
+      .filter(Boolean)
+    if (ranges.length > 0) showHighlights(ranges, 3000)
+  }
 
   function handleDownloadPDF() {
     if (!resumeText) return
@@ -235,9 +584,123 @@ export default function App() {
     doc.save('refined-resume.pdf')
   }
 
-  async function handleSubmit() {
+  function failWith(err, action) {
+    setError(err.message || 'Network error. Please try again.')
+    if (err.retryAfter && err.retryAfter <= MAX_AUTO_RETRY_SECONDS) setRetry({ action, seconds: Math.ceil(err.retryAfter) })
+    if (API_KEY_ERRORS.includes(err.code)) setShowKeySettings(true)
+  }
+
+  // Counts down and re-runs the failed request with the current inputs
+  useEffect(() => {
+    if (!retry) return
+    if (retry.seconds <= 0) {
+      const rerun = { single: handleSubmit, compare: handleCompare, rank: handleRank }[retry.action]
+      setRetry(null)
+      rerun()
+      return
+    }
+    const timer = setTimeout(() => setRetry((prev) => prev && { ...prev, seconds: prev.seconds - 1 }), 1000)
+    return () => clearTimeout(timer)
+  }, [retry])
+
+  async function handleCompare() {
+    const pasted = compareJobs.map((job) => job.text).filter((text) => text.trim())
     if (!resumeFile) {
-      setError('Please upload your resume (PDF or Word).')
+      setError('Please upload your resume (PDF, Word or text).')
+      return
+    }
+    if (pasted.length + compareFiles.length === 0) {
+      setError('Please paste or upload at least one job description.')
+      return
+    }
+
+    setError(null)
+    setRetry(null)
+    setResults(null)
+    setComparison(null)
+    setIsLoading(true)
+
+    const controller = new AbortController()
+    abortRef.current = controller
+
+    try {
+      const formData = new FormData()
+      pasted.forEach((text) => formData.append('jobDescriptions', text))
+      compareFiles.forEach((file) => formData.append('jobFiles', file))
+      formData.append('preset', preset)
+      formData.append('redaction', redaction)
+      formData.append('resume', resumeFile)
+
+      const response = await fetch(`${BASE_URL}/api/compare?stream=1`, {
+        method: 'POST',
+        headers: streamHeaders(),
+        body: formData,
+        signal: controller.signal,
+      })
+
+      if (!response.headers.get('content-type')?.includes('text/event-stream')) {
+        const text = await response.text()
+        let data
+        try {
+          data = JSON.parse(text)
+        } catch {
+          throw new Error(text || 'Server returned an invalid response.')
+        }
+        if (!response.ok) throw responseError(data, response)
+        setComparison({ ...data, total: data.jobs.length })
+        return
+      }
+
+      let finished = false
+      await readEventStream(response, (event, data) => {
+        switch (event) {
+          case 'extracted':
+            setComparison({ jobs: [], total: data.jobs })
+            break
+          case 'job':
+            setComparison(prev => ({ ...prev, jobs: [...prev.jobs, data] }))
+            break
+          case 'result':
+            finished = true
+            setComparison({ ...data, total: data.jobs.length })
+            break
+          case 'error':
+            throw responseError(data)
+        }
+      })
+
+      if (!finished) throw new Error('The connection closed before the comparison finished.')
+    } catch (err) {
+      if (err.name === 'AbortError') return
+      setComparison(null)
+      failWith(err, 'compare')
+    } finally {
+      if (abortRef.current === controller) abortRef.current = null
+      setIsLoading(false)
+    }
+  }
+
+  // Opens one comparison row in the Refinement Suite
+  function handleOpenComparison(row) {
+    selectSession(null)
+    setResults({
+      ...row.analysis,
+      formatting_audit: comparison.formatting_audit,
+      extraction: comparison.extraction,
+    })
+    editor.load(comparison.resumeText)
+    setHighlightRanges([])
+  }
+
+  function handleBackToComparison() {
+    setResults(null)
+    editor.load('')
+    setHighlightRanges([])
+  }
+
+  async function handleRank() {
+    if (rankFiles.length === 0) {
+      setError('Please add at least one resume.')
       return
     }
     if (!jobDescription.trim()) {
@@ -246,79 +709,186 @@ export default function App() {
     }
 
     setError(null)
-    setResults(null)
-    setResumeText('')
-    setAppliedRewrites(new Set())
-    setHighlightRange(null)
+    setRetry(null)
+    setShortlist(null)
     setIsLoading(true)
 
+    const controller = new AbortController()
+    abortRef.current = controller
+
     try {
       const formData = new FormData()
       formData.append('jobDescription', jobDescription)
+      formData.append('preset', preset)
+      formData.append('redaction', redaction)
+      formData.append('demoteFlagged', String(demoteFlagged))
+      rankFiles.forEach((file) => formData.append('resumes', file))
 
-      if (isDocx(resumeFile)) {
-        const arrayBuffer = await resumeFile.arrayBuffer()
-        const { value } = await mammoth.extractRawText({ arrayBuffer })
-        formData.append('resumeText', value)
-      } else {
-        formData.append('resume', resumeFile)
+      const response = await fetch(`${BASE_URL}/api/rank?stream=1`, {
+        method: 'POST',
+        headers: streamHeaders(),
+        body: formData,
+        signal: controller.signal,
+      })
+
+      if (!response.headers.get('content-type')?.includes('text/event-stream')) {
+        const text = await response.text()
+        let data
+        try {
+          data = JSON.parse(text)
+        } catch {
+          throw new Error(text || 'Server returned an invalid response.')
+        }
+        if (!response.ok) throw responseError(data, response)
+        setShortlist({ ...data, total: data.candidates.length })
+        return
       }
 
-      const response = await fetch(`${BASE_URL}/api/analyze`, {
+      let finished = false
+      await readEventStream(response, (event, data) => {
+        switch (event) {
+          case 'started':
+            setShortlist({ candidates: [], total: data.files, demote_flagged: demoteFlagged })
+            break
+          case 'candidate':
+            setShortlist(prev => ({ ...prev, candidates: [...prev.candidates, data] }))
+            break
+          case 'result':
+            finished = true
+            setShortlist({ ...data, total: data.candidates.length })
+            break
+          case 'error':
+            throw responseError(data)
+        }
+      })
+
+      if (!finished) throw new Error('The connection closed before the ranking finished.')
+    } catch (err) {
+      if (err.name === 'AbortError') return
+      setShortlist(null)
+      failWith(err, 'rank')
+    } finally {
+      if (abortRef.current === controller) abortRef.current = null
+      setIsLoading(false)
+    }
+  }
+
+  // `fresh` skips the server's analysis cache for a new model run
+  async function handleSubmit({ fresh = false } = {}) {
+    if (!resumeFile) {
+      setError('Please upload your resume (PDF, Word or text).')
+      return
+    }
+    if (!jobDescription.trim()) {
+      setError('Please paste a job description.')
+      return
+    }
+
+    setError(null)
+    setRetry(null)
+    setResults(null)
+    editor.load('')
+    setHighlightRanges([])
+    selectSession(null)
+    setIsLoading(true)
+
+    const controller = new AbortController()
+    abortRef.current = controller
+
+    try {
+      const formData = new FormData()
+      formData.append('jobDescription', jobDescription)
+      formData.append('preset', preset)
+      formData.append('redaction', redaction)
+      formData.append('resume', resumeFile)
+
+      const response = await fetch(`${BASE_URL}/api/analyze?stream=1${fresh ? '&fresh=1' : ''}`, {
         method: 'POST',
+        headers: streamHeaders(),
         body: formData,
+        signal: controller.signal,
       })
 
-      const text = await response.text()
-      let data
-      try {
-        data = JSON.parse(text)
-      } catch {
-        throw new Error(text || 'Server returned an invalid response.')
-      }
+      // Errors raised before the first stage (and older backends) come back as plain JSON
+      if (!response.headers.get('content-type')?.includes('text/event-stream')) {
+        const text = await response.text()
+        let data
+        try {
+          data = JSON.parse(text)
+        } catch {
+          throw new Error(text || 'Server returned an invalid response.')
+        }
 
-      if (!response.ok) {
-        throw new Error(data.detail || data.error || 'An unknown error occurred.')
+        if (!response.ok) throw responseError(data, response)
+
+        setResults(data)
+        editor.load(data.resumeText || '')
+        recordSession(data)
+        return
       }
 
-      setResults(data)
-      setResumeText(data.resumeText || '')
+      let finished = false
+      await readEventStream(response, (event, data) => {
+        switch (event) {
+          case 'extracted': {
+            const { resumeText: text, ...extraction } = data
+            setResults({ extraction })
+            editor.load(text)
+            break
+          }
+          case 'queued':
+            setQueuePosition(data.position)
+            break
+          case 'rewrite':
+            setResults(prev => {
+              const rewrites = [...(prev.rewrites || [])]
+              rewrites[data.index] = data.rewrite
+              return { ...prev, rewrites }
+            })
+            break
+          case 'result':
+            finished = true
+            setResults(data)
+            editor.load(data.resumeText || '')
+            recordSession(data)
+            break
+          case 'error':
+            throw responseError(data)
+          default:
+            // scores, summary, missing_keywords, hallucination_check
+            setResults(prev => ({ ...prev, ...data }))
+        }
+      })
+
+      if (!finished) throw new Error('The connection closed before the analysis finished.')
     } catch (err) {
-      setError(err.message || 'Network error. Please try again.')
+      if (err.name === 'AbortError') return
+      setResults(null)
+      editor.load('')
+      failWith(err, 'single')
     } finally {
+      if (abortRef.current === controller) abortRef.current = null
+      setQueuePosition(0)
       setIsLoading(false)
     }
   }
 
-  const scores = results ? [
+  // While streaming, `results` fills in stage by stage; panels render as their data arrives
+  const hasScores = results?.tech_match !== undefined
+  const rewrites = (results?.rewrites || []).filter(Boolean)
+
+  const scores = hasScores ? [
     { key: 'tech_match', label: 'Skills Matched', value: results.tech_match },
     { key: 'impact_match', label: 'Achievement Strength', value: results.impact_match },
     { key: 'ats_compatibility', label: 'ATS Ready', value: results.ats_compatibility },
+    { key: 'strict_score', label: 'Evidence Only', value: results.strict_score },
   ] : []
 
-  const overallMatch = results
-    ? Math.round((results.tech_match + results.impact_match + results.ats_compatibility) / 3)
-    : 0
-
-  function renderResumeText() {
-    if (!resumeText) return <p className="text-gray-400 dark:text-gray-500 italic">No resume text available.</p>
-
-    if (highlightRange) {
-      const { start, end } = highlightRange
-      const before = resumeText.slice(0, start)
-      const highlighted = resumeText.slice(start, end)
-      const after = resumeText.slice(end)
-      return (
-        <>
-          {before}
-          <mark className="bg-yellow-200 dark:bg-yellow-500/30 transition-colors duration-1000">{highlighted}</mark>
-          {after}
-        </>
-      )
-    }
+  const activeSession = sessions.find((session) => session.id === sessionId)
 
-    return resumeText
-  }
+  // Weighted by the chosen role preset on the server, with a confidence band
+  const overall = results?.overall
+  const overallMatch = overall?.score ?? 0
 
   const ringTrackColor = darkMode ? '#374151' : '#e5e7eb'
 
@@ -346,9 +916,24 @@ export default function App() {
             <h1 className="text-2xl font-bold tracking-tight">JD-Match</h1>
             <p className="text-slate-400 text-sm">AI-powered resume alignment tool</p>
           </div>
+          {isHistoryAvailable() && (
+            <button
+              onClick={() => {
+                setHistoryNotice(null)
+                setShowHistory(true)
+              }}
+              className="ml-auto flex items-center gap-2 px-3 py-2 min-h-[44px] rounded-lg text-sm font-medium text-slate-300 hover:text-white hover:bg-slate-800 transition-colors"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                <path strokeLinecap="round" strokeLinejoin="round" d="M12 6v6h4.5m4.5 0a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+              <span className="hidden sm:inline">History</span>
+              {sessions.length > 0 && <span className="text-xs text-slate-400">{sessions.length}</span>}
+            </button>
+          )}
           <button
             onClick={toggleDarkMode}
-            className="ml-auto p-2.5 min-w-[44px] min-h-[44px] rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors flex items-center justify-center"
+            className={`${isHistoryAvailable() ? '' : 'ml-auto '}p-2.5 min-w-[44px] min-h-[44px] rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors flex items-center justify-center`}
             aria-label="Toggle dark mode"
           >
             {darkMode ? (
@@ -364,124 +949,276 @@ export default function App() {
         </div>
       </header>
 
+      {showHistory && (
+        <HistorySidebar
+          sessions={sessions}
+          activeId={sessionId}
+          notice={historyNotice}
+          onClose={() => setShowHistory(false)}
+          onOpen={handleOpenSession}
+          onRename={handleRenameSession}
+          onDelete={handleDeleteSession}
+          onExport={handleExportHistory}
+          onImport={handleImportHistory}
+        />
+      )}
+
       <main className={`mx-auto px-4 py-6 sm:py-10 ${results ? 'max-w-7xl' : 'max-w-4xl'}`}>
 
         {/* ── Error Banner ── */}
         {error && (
           <div className="flex items-start gap-3 bg-red-50 dark:bg-red-950/50 border border-red-200 dark:border-red-800 text-red-800 dark:text-red-300 rounded-xl px-4 py-3 mb-8">
             <span className="text-red-500 dark:text-red-400 text-lg mt-0.5 flex-shrink-0">⚠</span>
-            <p className="text-sm leading-relaxed">{error}</p>
+            <div className="text-sm leading-relaxed">
+              <p>{error}</p>
+              {retry && (
+                <p className="mt-1 text-xs">
+                  Retrying automatically in {retry.seconds}s ·{' '}
+                  <button onClick={() => setRetry({ ...retry, seconds: 0 })} className="font-semibold underline">Retry now</button>
+                  {' · '}
+                  <button onClick={() => setRetry(null)} className="font-semibold underline">Cancel</button>
+                </p>
+              )}
+            </div>
           </div>
         )}
 
         {/* ── Input Card (Glassmorphism) ── */}
         {!results && (<>
         <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-md md:backdrop-blur-xl rounded-2xl shadow-sm border border-white/20 dark:border-gray-700/50 p-6 mb-8">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-5">
+            <div className="inline-flex rounded-lg bg-gray-100 dark:bg-gray-900/60 p-1 text-xs font-semibold">
+              {[['single', 'Single job'], ['compare', 'Compare jobs'], ['rank', 'Rank candidates']].map(([value, label]) => (
+                <button
+                  key={value}
+                  onClick={() => setMode(value)}
+                  className={`px-3 py-1.5 rounded-md transition-colors ${mode === value ? 'bg-white dark:bg-gray-700 text-indigo-600 dark:text-indigo-300 shadow-sm' : 'text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <div className="flex flex-wrap items-center gap-3">
+              <label className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+                Role focus
+                <select
+                  value={preset}
+                  onChange={(e) => handlePresetChange(e.target.value)}
+                  className="rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 px-2 py-1 text-xs text-gray-700 dark:text-gray-200 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  {ROLE_PRESETS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+                Privacy
+                <select
+                  value={redaction}
+                  onChange={(e) => handleRedactionChange(e.target.value)}
+                  className="rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 px-2 py-1 text-xs text-gray-700 dark:text-gray-200 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  {REDACTION_LEVELS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          </div>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
 
-            {/* LEFT: Resume Drop Zone */}
-            <div>
-              <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
-                Resume (PDF or Word)
-              </label>
+            {/* LEFT: Resume Drop Zone (several files in rank mode) */}
+            {mode === 'rank' ? (
+              <div>
+                <ResumeListInput
+                  files={rankFiles}
+                  onFilesChange={setRankFiles}
+                  accept={[...ACCEPTED_EXTENSIONS.map(ext => `.${ext}`), ...ACCEPTED_TYPES].join(',')}
+                />
+                <label className="mt-3 flex items-start gap-2 text-xs text-gray-600 dark:text-gray-300 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={demoteFlagged}
+                    onChange={(e) => setDemoteFlagged(e.target.checked)}
+                    className="mt-0.5 accent-indigo-600"
+                  />
+                  <span>Rank resumes with hidden text or instructions to the AI last, whatever their score</span>
+                </label>
+              </div>
+            ) : (
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                  Resume (PDF, Word or text)
+                </label>
+
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept={[...ACCEPTED_EXTENSIONS.map(ext => `.${ext}`), ...ACCEPTED_TYPES].join(',')}
+                  className="hidden"
+                  onChange={(e) => handleFileSelect(e.target.files[0])}
+                />
 
-              <input
-                ref={fileInputRef}
-                type="file"
-                accept=".pdf,application/pdf,.docx,application/vnd.openxmlformats-officedocument.wordprocessingml.document"
-                className="hidden"
-                onChange={(e) => handleFileSelect(e.target.files[0])}
-              />
-
-              {!resumeFile ? (
-                <div
-                  onClick={() => fileInputRef.current?.click()}
-                  onDragOver={handleDragOver}
-                  onDragLeave={handleDragLeave}
-                  onDrop={handleDrop}
-                  className={[
-                    'flex flex-col items-center justify-center gap-3 h-36 sm:h-44 rounded-xl border-2 border-dashed cursor-pointer transition-colors select-none',
-                    isDragOver
-                      ? 'border-indigo-400 bg-indigo-50 dark:bg-indigo-950/30'
-                      : 'border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-800/50 hover:border-indigo-300 dark:hover:border-indigo-500 hover:bg-indigo-50/40 dark:hover:bg-indigo-950/30',
-                  ].join(' ')}
-                >
-                  <svg
-                    xmlns="http://www.w3.org/2000/svg"
-                    className="w-10 h-10 text-gray-400 dark:text-gray-500"
-                    fill="none"
-                    viewBox="0 0 24 24"
-                    stroke="currentColor"
-                    strokeWidth={1.5}
+                {!resumeFile ? (
+                  <div
+                    onClick={() => fileInputRef.current?.click()}
+                    onDragOver={handleDragOver}
+                    onDragLeave={handleDragLeave}
+                    onDrop={handleDrop}
+                    className={[
+                      'flex flex-col items-center justify-center gap-3 h-36 sm:h-44 rounded-xl border-2 border-dashed cursor-pointer transition-colors select-none',
+                      isDragOver
+                        ? 'border-indigo-400 bg-indigo-50 dark:bg-indigo-950/30'
+                        : 'border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-800/50 hover:border-indigo-300 dark:hover:border-indigo-500 hover:bg-indigo-50/40 dark:hover:bg-indigo-950/30',
+                    ].join(' ')}
                   >
-                    <path
-                      strokeLinecap="round"
-                      strokeLinejoin="round"
-                      d="M3 16.5v2.25A2.25 2.25 0 005.25 21h13.5A2.25 2.25 0 0021 18.75V16.5m-13.5-9L12 3m0 0l4.5 4.5M12 3v13.5"
-                    />
-                  </svg>
-                  <div className="text-center">
-                    <p className="text-sm text-gray-600 dark:text-gray-400">
-                      <span className="font-medium text-indigo-600 dark:text-indigo-400">Click to browse</span>{' '}
-                      or drag and drop
-                    </p>
-                    <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">PDF or .docx</p>
-                  </div>
-                </div>
-              ) : (
-                <div className="flex items-center justify-between gap-4 h-36 sm:h-44 rounded-xl border-2 border-green-200 dark:border-green-700 bg-green-50 dark:bg-green-950/50 px-5">
-                  <div className="flex items-center gap-3 min-w-0">
-                    <div className={`flex-shrink-0 w-10 h-10 rounded-lg flex items-center justify-center ${
-                      isDocx(resumeFile)
-                        ? 'bg-blue-100 dark:bg-blue-900/50'
-                        : 'bg-red-100 dark:bg-red-900/50'
-                    }`}>
-                      <span className={`text-xs font-bold ${
-                        isDocx(resumeFile)
-                          ? 'text-blue-600 dark:text-blue-400'
-                          : 'text-red-600 dark:text-red-400'
-                      }`}>{isDocx(resumeFile) ? 'DOC' : 'PDF'}</span>
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="w-10 h-10 text-gray-400 dark:text-gray-500"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                      strokeWidth={1.5}
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        d="M3 16.5v2.25A2.25 2.25 0 005.25 21h13.5A2.25 2.25 0 0021 18.75V16.5m-13.5-9L12 3m0 0l4.5 4.5M12 3v13.5"
+                      />
+                    </svg>
+                    <div className="text-center">
+                      <p className="text-sm text-gray-600 dark:text-gray-400">
+                        <span className="font-medium text-indigo-600 dark:text-indigo-400">Click to browse</span>{' '}
+                        or drag and drop
+                      </p>
+                      <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">PDF, .docx, .odt, .rtf, .md or .txt</p>
                     </div>
-                    <div className="min-w-0">
-                      <p className="text-sm font-medium text-gray-800 dark:text-gray-200 truncate">{resumeFile.name}</p>
-                      <p className="text-xs text-gray-500 dark:text-gray-400">{formatBytes(resumeFile.size)}</p>
+                  </div>
+                ) : (
+                  <div className="flex items-center justify-between gap-4 h-36 sm:h-44 rounded-xl border-2 border-green-200 dark:border-green-700 bg-green-50 dark:bg-green-950/50 px-5">
+                    <div className="flex items-center gap-3 min-w-0">
+                      <div className={`flex-shrink-0 w-10 h-10 rounded-lg flex items-center justify-center ${getFileBadge(resumeFile).classes}`}>
+                        <span className="text-xs font-bold">{getFileBadge(resumeFile).text}</span>
+                      </div>
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-gray-800 dark:text-gray-200 truncate">{resumeFile.name}</p>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">{formatBytes(resumeFile.size)}</p>
+                      </div>
                     </div>
+                    <button
+                      onClick={handleRemoveFile}
+                      className="flex-shrink-0 text-xs text-red-500 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 font-medium border border-red-200 dark:border-red-700 rounded-lg px-3 py-2 min-h-[44px] hover:bg-red-50 dark:hover:bg-red-950/50 transition-colors"
+                    >
+                      Remove
+                    </button>
                   </div>
-                  <button
-                    onClick={handleRemoveFile}
-                    className="flex-shrink-0 text-xs text-red-500 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 font-medium border border-red-200 dark:border-red-700 rounded-lg px-3 py-2 min-h-[44px] hover:bg-red-50 dark:hover:bg-red-950/50 transition-colors"
-                  >
-                    Remove
-                  </button>
+                )}
+              </div>
+            )}
+
+            {/* RIGHT: Job Description Textarea (or the job list in compare mode) */}
+            {mode === 'compare' ? (
+              <JobListInput jobs={compareJobs} onJobsChange={setCompareJobs} files={compareFiles} onFilesChange={setCompareFiles} />
+            ) : (
+              <div>
+                <label
+                  htmlFor="jd-textarea"
+                  className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2"
+                >
+                  Job Description
+                </label>
+                <textarea
+                  id="jd-textarea"
+                  value={jobDescription}
+                  onChange={(e) => setJobDescription(e.target.value)}
+                  placeholder="Paste the full job description here..."
+                  className="w-full h-36 sm:h-44 resize-none rounded-xl border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 px-4 py-3 text-sm text-gray-800 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent shadow-inner transition"
+                />
+                <p className="text-xs text-gray-400 dark:text-gray-500 mt-1.5 text-right">
+                  {jobDescription.length} characters
+                </p>
+              </div>
+            )}
+          </div>
+
+          {/* ── Own API Key: used instead of the server's shared key ── */}
+          <div className="mt-5 border-t border-gray-100 dark:border-gray-700 pt-4">
+            <button
+              onClick={() => setShowKeySettings(!showKeySettings)}
+              className="text-xs font-semibold text-indigo-600 dark:text-indigo-400 hover:underline"
+            >
+              {apiKey ? 'Using your own API key' : 'Use your own API key'} {showKeySettings ? '▴' : '▾'}
+            </button>
+            {showKeySettings && (
+              <div className="mt-3 space-y-2">
+                <div className="flex gap-2">
+                  <input
+                    type="password"
+                    value={apiKey}
+                    onChange={(e) => handleApiKeyChange(e.target.value)}
+                    placeholder="Paste an API key for the server's AI provider"
+                    autoComplete="off"
+                    spellCheck={false}
+                    className="flex-1 min-w-0 rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 px-3 py-2 text-xs font-mono text-gray-800 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  />
+                  {apiKey && (
+                    <button
+                      onClick={() => handleApiKeyChange('')}
+                      className="text-xs text-red-500 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 font-medium border border-red-200 dark:border-red-700 rounded-lg px-3"
+                    >
+                      Remove
+                    </button>
+                  )}
                 </div>
-              )}
-            </div>
+                <p className="text-[11px] text-gray-400 dark:text-gray-500">
+                  Saved only in this browser and sent with each analysis. Without one, the shared key is used with a daily limit.
+                </p>
+              </div>
+            )}
+          </div>
 
-            {/* RIGHT: Job Description Textarea */}
-            <div>
-              <label
-                htmlFor="jd-textarea"
-                className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2"
+          {/* ── Redaction Preview: the text the model will receive ── */}
+          {mode !== 'rank' && redaction !== 'none' && (
+            <div className="mt-5 border-t border-gray-100 dark:border-gray-700 pt-4">
+              <button
+                onClick={handlePreviewRedaction}
+                disabled={isPreviewing}
+                className="text-xs font-semibold text-indigo-600 dark:text-indigo-400 hover:underline disabled:opacity-50"
               >
-                Job Description
-              </label>
-              <textarea
-                id="jd-textarea"
-                value={jobDescription}
-                onChange={(e) => setJobDescription(e.target.value)}
-                placeholder="Paste the full job description here..."
-                className="w-full h-36 sm:h-44 resize-none rounded-xl border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 px-4 py-3 text-sm text-gray-800 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent shadow-inner transition"
-              />
-              <p className="text-xs text-gray-400 dark:text-gray-500 mt-1.5 text-right">
-                {jobDescription.length} characters
-              </p>
+                {isPreviewing ? 'Preparing preview…' : redactionPreview ? 'Hide preview' : "Preview what's sent to the AI"}
+              </button>
+              {redactionPreview && (
+                <div className="mt-3 space-y-3">
+                  {redactionPreview.replacements.length === 0 ? (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Nothing to hide was found; the text is sent as is.</p>
+                  ) : (
+                    <div className="flex flex-wrap gap-1.5">
+                      {redactionPreview.replacements.map((item) => (
+                        <span
+                          key={item.placeholder}
+                          title={item.original}
+                          className="text-[11px] px-2 py-0.5 rounded border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-900/60 text-gray-600 dark:text-gray-300"
+                        >
+                          <span className="font-mono font-semibold text-indigo-600 dark:text-indigo-400">{item.placeholder}</span> replaces {item.original}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  <pre className="max-h-64 overflow-y-auto whitespace-pre-wrap rounded-xl bg-gray-50 dark:bg-gray-900/60 border border-gray-200 dark:border-gray-700 p-3 text-xs text-gray-700 dark:text-gray-300 font-mono">
+                    {redactionPreview.resumeText}
+                  </pre>
+                  <p className="text-[11px] text-gray-400 dark:text-gray-500">
+                    Placeholders in the AI's answer are swapped back for your details before you see it.
+                  </p>
+                </div>
+              )}
             </div>
-          </div>
+          )}
         </div>
 
         {/* ── Submit Button ── */}
         <button
-          onClick={handleSubmit}
+          onClick={{ single: handleSubmit, compare: handleCompare, rank: handleRank }[mode]}
           disabled={isLoading}
           className={[
             'w-full py-4 rounded-2xl text-white font-semibold text-base tracking-wide transition-all duration-200 scroll-mt-4',
@@ -512,12 +1249,19 @@ export default function App() {
                   d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z"
                 />
               </svg>
-              Analyzing Resume...
+              {{ single: 'Analyzing Resume...', compare: 'Comparing Jobs...', rank: 'Ranking Candidates...' }[mode]}
             </span>
           ) : (
-            'Match My Resume'
+            { single: 'Match My Resume', compare: 'Compare Jobs', rank: 'Rank Candidates' }[mode]
           )}
         </button>
+
+        {mode === 'compare' && comparison && (
+          <ComparisonTable rows={comparison.jobs} total={comparison.total} onOpen={handleOpenComparison} />
+        )}
+        {mode === 'rank' && shortlist && (
+          <ShortlistTable candidates={shortlist.candidates} total={shortlist.total} preset={shortlist.preset} demoteFlagged={shortlist.demote_flagged} />
+        )}
         </>)}
 
         {/* ── Refinement Suite ── */}
@@ -535,6 +1279,17 @@ export default function App() {
               variants={{ hidden: { opacity: 0, y: 20 }, visible: { opacity: 1, y: 0 } }}
               transition={{ duration: 0.4 }}
             >
+              {comparison && (
+                <button
+                  onClick={handleBackToComparison}
+                  className="flex items-center gap-2 text-sm font-medium text-slate-500 dark:text-gray-400 hover:text-indigo-600 dark:hover:text-indigo-400 transition-colors py-2 min-h-[44px]"
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                    <path strokeLinecap="round" strokeLinejoin="round" d="M3.75 6.75h16.5M3.75 12h16.5M3.75 17.25h16.5" />
+                  </svg>
+                  Back to Comparison
+                </button>
+              )}
               <button
                 onClick={handleStartOver}
                 className="flex items-center gap-2 text-sm font-medium text-slate-500 dark:text-gray-400 hover:text-indigo-600 dark:hover:text-indigo-400 transition-colors py-2 min-h-[44px]"
@@ -553,9 +1308,24 @@ export default function App() {
                 </svg>
                 Download PDF
               </button>
-              {appliedRewrites.size > 0 && (
+              {isLoading && (
+                <span className="flex items-center gap-2 text-xs text-indigo-600 dark:text-indigo-400 font-medium">
+                  <svg className="animate-spin w-3.5 h-3.5" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
+                  </svg>
+                  Analyzing…
+                </span>
+              )}
+              {results.extraction && (
+                <span className="text-xs text-gray-400 dark:text-gray-500">
+                  {results.extraction.pages ? `${results.extraction.pages} page${results.extraction.pages > 1 ? 's' : ''} · ` : ''}
+                  {results.extraction.chars.toLocaleString()} characters extracted
+                </span>
+              )}
+              {appliedRewrites.length > 0 && (
                 <span className="text-xs text-green-600 dark:text-green-400 font-medium ml-auto">
-                  {appliedRewrites.size} rewrite{appliedRewrites.size > 1 ? 's' : ''} applied
+                  {appliedRewrites.length} rewrite{appliedRewrites.length > 1 ? 's' : ''} applied
                 </span>
               )}
             </motion.div>
@@ -570,15 +1340,59 @@ export default function App() {
               {/* ── LEFT PANEL: Analysis ── */}
               <div className="space-y-6 lg:max-h-[calc(100vh-160px)] lg:overflow-y-auto lg:pr-2 lg:sticky lg:top-6">
 
+                {/* Prompt-injection warning — local check, before any model output */}
+                {results.injection_check?.flagged && (
+                  <div className="bg-red-50 dark:bg-red-950/30 rounded-2xl border border-red-200 dark:border-red-800 p-4 sm:p-6">
+                    <h2 className="text-lg font-semibold text-red-800 dark:text-red-200 mb-1">Possible Prompt Injection</h2>
+                    <p className="text-sm text-red-600 dark:text-red-400 mb-4">
+                      {results.injection_check.red_flag
+                        ? 'The resume contains text that may be trying to steer the AI. The scores may not be trustworthy.'
+                        : 'The job description contains text that reads like instructions to an AI. The scores may be affected.'}
+                    </p>
+                    <div className="space-y-3">
+                      {results.injection_check.passages.map((passage, i) => (
+                        <div key={i} className="flex items-start gap-3">
+                          <span className="text-red-400 mt-0.5 flex-shrink-0">!</span>
+                          <div className="min-w-0">
+                            <span className="text-sm font-semibold text-red-900 dark:text-red-200">{passage.reason}</span>
+                            <span className="text-[11px] text-red-500 dark:text-red-400">
+                              {' · '}{passage.source === 'resume' ? 'Resume' : 'Job description'}{passage.page ? `, page ${passage.page}` : ''}
+                            </span>
+                            <p className="text-xs text-red-700 dark:text-red-300 leading-relaxed break-words">“{passage.text}”</p>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {/* Score Breakdown */}
                 <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-sm border border-gray-100 dark:border-gray-700 p-4 sm:p-6">
                   <h2 className="text-lg font-semibold text-gray-700 dark:text-gray-200 mb-5">Score Breakdown</h2>
 
+                  {!hasScores && queuePosition > 0 && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+                      Waiting for a free model slot: position {queuePosition} in the queue…
+                    </p>
+                  )}
+                  {!hasScores ? <PanelSkeleton lines={4} /> : (<>
                   {/* Hero Metric — Overall Match */}
                   <div className="flex flex-col items-center mb-6">
                     <div className="relative w-[130px] h-[130px]">
                       <svg width="130" height="130" viewBox="0 0 144 144">
                         <circle cx="72" cy="72" r={HERO_RADIUS} fill="none" stroke={ringTrackColor} strokeWidth="10" />
+                        {overall && overall.range[1] > overall.range[0] && (
+                          <circle
+                            cx="72" cy="72" r={HERO_RADIUS}
+                            fill="none"
+                            stroke={getStrokeColor(overallMatch)}
+                            strokeOpacity="0.25"
+                            strokeWidth="16"
+                            strokeDasharray={`${HERO_CIRCUMFERENCE * (overall.range[1] - overall.range[0]) / 100} ${HERO_CIRCUMFERENCE}`}
+                            strokeDashoffset={-HERO_CIRCUMFERENCE * overall.range[0] / 100}
+                            transform="rotate(-90 72 72)"
+                          />
+                        )}
                         <circle
                           cx="72" cy="72" r={HERO_RADIUS}
                           fill="none"
@@ -595,6 +1409,11 @@ export default function App() {
                         <span className={`text-3xl font-bold ${getScoreColor(overallMatch)}`}>
                           {overallMatch}
                         </span>
+                        {overall && overall.range[1] > overall.range[0] && (
+                          <span className="text-[10px] text-gray-400 dark:text-gray-500 tabular-nums">
+                            {overall.range[0]}–{overall.range[1]}
+                          </span>
+                        )}
                       </div>
                     </div>
                     <span className="text-sm font-semibold text-gray-700 dark:text-gray-200 mt-2">Overall Match</span>
@@ -602,10 +1421,44 @@ export default function App() {
                       const lbl = getScoreLabel(overallMatch)
                       return <span className={`text-xs font-medium mt-0.5 ${lbl.color}`}>{lbl.text}</span>
                     })()}
+                    {overall && (
+                      <span className="text-[11px] text-gray-400 dark:text-gray-500 mt-1">
+                        {ROLE_PRESETS.find((option) => option.value === overall.preset)?.label || overall.preset} weighting · {overall.confidence}% confidence
+                      </span>
+                    )}
+                    {overall?.low_confidence && (
+                      <p className="mt-3 max-w-sm text-center text-xs text-amber-700 dark:text-amber-300 bg-amber-50 dark:bg-amber-950/30 border border-amber-200 dark:border-amber-800 rounded-lg px-3 py-2">
+                        Low confidence: the resume was too short, vague or ambiguous for a reliable read. Treat this score as a rough estimate within the shaded band.
+                      </p>
+                    )}
+                    {results.cache?.hit && (
+                      <p className="mt-2 text-[11px] text-gray-400 dark:text-gray-500">
+                        Cached result from {new Date(results.cache.stored_at).toLocaleString()}
+                        {mode === 'single' && !isLoading && (
+                          <>
+                            {' · '}
+                            <button onClick={() => handleSubmit({ fresh: true })} className="font-semibold text-indigo-600 dark:text-indigo-400 hover:underline">
+                              Re-run analysis
+                            </button>
+                          </>
+                        )}
+                      </p>
+                    )}
+                    {results.model?.fallback && (
+                      <p className="mt-1 text-[11px] text-gray-400 dark:text-gray-500">
+                        Analyzed by fallback model {results.model.name}
+                      </p>
+                    )}
+                    {results.redaction && results.redaction.level !== 'none' && (
+                      <p className="mt-1 text-[11px] text-gray-400 dark:text-gray-500">
+                        {results.redaction.level === 'full' ? 'Contact details, name and employers' : 'Contact details'} hidden from the AI
+                        {Object.keys(results.redaction.counts).length === 0 && ' (none found)'}
+                      </p>
+                    )}
                   </div>
 
                   {/* Sub-Scores */}
-                  <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+                  <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
                     {scores.map(({ key, label, value }) => {
                       const offset = CIRCUMFERENCE * (1 - value / 100)
                       const lbl = getScoreLabel(value)
@@ -638,29 +1491,186 @@ export default function App() {
                       )
                     })}
                   </div>
+                  </>)}
+
+                  {/* Formatting Audit — rule-based, from the real PDF/DOCX structure */}
+                  {results.formatting_audit && (
+                    <div className="mt-6 pt-5 border-t border-gray-100 dark:border-gray-700">
+                      <div className="flex items-baseline justify-between gap-3 mb-3">
+                        <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-200">Formatting Audit</h3>
+                        <span className="text-xs text-gray-500 dark:text-gray-400">
+                          Rule-based ATS score{' '}
+                          <span className={`font-bold ${getScoreColor(results.formatting_audit.score)}`}>{results.formatting_audit.score}</span>
+                          {hasScores && <> · AI estimate <span className="font-semibold">{results.ats_compatibility}</span></>}
+                        </span>
+                      </div>
+                      {results.formatting_audit.findings.length === 0 ? (
+                        <p className="text-sm text-green-600 dark:text-green-400 font-medium">
+                          No layout problems found in the {results.formatting_audit.source.toUpperCase()}.
+                        </p>
+                      ) : (
+                        <ul className="space-y-2.5">
+                          {results.formatting_audit.findings.map((finding) => (
+                            <li key={finding.id} className="flex items-start gap-2.5">
+                              <span className={`flex-shrink-0 mt-0.5 text-[10px] font-semibold uppercase tracking-wider px-1.5 py-0.5 rounded border ${SEVERITY_STYLES[finding.severity]}`}>
+                                {finding.severity}
+                              </span>
+                              <div>
+                                <p className="text-sm font-medium text-gray-700 dark:text-gray-200">{finding.title}</p>
+                                <p className="text-xs text-gray-500 dark:text-gray-400 leading-relaxed">{finding.detail}</p>
+                              </div>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
+
+                  {/* Skill Match — deterministic, from the skill taxonomy */}
+                  {results.skill_match?.skills.length > 0 && (
+                    <div className="mt-6 pt-5 border-t border-gray-100 dark:border-gray-700">
+                      <div className="flex items-baseline justify-between gap-3 mb-3">
+                        <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-200">Skill Match</h3>
+                        <span className="text-xs text-gray-500 dark:text-gray-400">
+                          Local score{' '}
+                          <span className={`font-bold ${getScoreColor(results.skill_match.score)}`}>{results.skill_match.score}</span>
+                          {hasScores && <> · AI estimate <span className="font-semibold">{results.tech_match}</span></>}
+                        </span>
+                      </div>
+                      <div className="flex flex-wrap gap-1.5">
+                        {results.skill_match.skills.map((skill) => (
+                          <button
+                            key={skill.name}
+                            onClick={() => skill.hits[0] && handleShowEvidence([skill.hits.find((hit) => hit.context === skill.status) || skill.hits[0]])}
+                            disabled={skill.hits.length === 0}
+                            title={skill.hits.length ? `${skill.status === 'expertise' ? 'Expertise' : 'Exposure'} — found as "${skill.hits[0].text}". Click to show it in your resume.` : 'Not found in your resume'}
+                            className={`px-2 py-0.5 rounded border text-[11px] font-semibold ${SKILL_STATUS_STYLES[skill.status]} ${skill.hits.length ? 'cursor-pointer hover:opacity-80' : 'cursor-default'}`}
+                          >
+                            {skill.name}
+                          </button>
+                        ))}
+                      </div>
+                      <p className="mt-2 text-[11px] text-gray-400 dark:text-gray-500">
+                        <span className="text-green-600 dark:text-green-400 font-semibold">Expertise</span> = used in a bullet with an action and a metric ·{' '}
+                        <span className="text-blue-600 dark:text-blue-400 font-semibold">Exposure</span> = listed only
+                      </p>
+                    </div>
+                  )}
                 </div>
 
+                {/* Score Over Time — earlier runs of the same JD from the history */}
+                {activeSession && (
+                  <ScoreTrend
+                    sessions={sessions.filter((session) => session.jdKey === activeSession.jdKey)}
+                    activeId={sessionId}
+                    onOpen={handleOpenSession}
+                  />
+                )}
+
                 {/* Keyword Gaps */}
                 <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-sm border border-gray-100 dark:border-gray-700 p-4 sm:p-6">
                   <h2 className="text-lg font-semibold text-gray-700 dark:text-gray-200 mb-1">Keyword Gaps</h2>
                   <p className="text-sm text-gray-400 dark:text-gray-500 mb-4">
                     Keywords from the job description not found in your resume.
                   </p>
-                  {results.missing_keywords.length === 0 ? (
+                  {!results.missing_keywords ? <PanelSkeleton lines={2} /> : results.missing_keywords.length === 0 ? (
                     <p className="text-sm text-green-600 dark:text-green-400 font-medium">
                       No missing keywords — great coverage!
                     </p>
                   ) : (
                     <div className="flex flex-wrap gap-2">
-                      {results.missing_keywords.map((keyword, i) => (
-                        <span
-                          key={i}
-                          className="inline-flex items-center gap-1.5 px-3 py-1 rounded-full text-xs font-semibold bg-rose-100 dark:bg-rose-950/50 text-rose-700 dark:text-rose-300 border border-rose-200 dark:border-rose-800"
-                        >
-                          <span className="text-rose-400">✕</span>
-                          {keyword}
-                        </span>
-                      ))}
+                      {results.missing_keywords.map((keyword, i) => {
+                        const found = results.skill_match?.keyword_check?.found_in_resume.find((item) => item.keyword === keyword)
+                        if (found) {
+                          return (
+                            <button
+                              key={i}
+                              onClick={() => handleShowEvidence([found])}
+                              title={`Your resume mentions this as "${found.text}". Click to show it.`}
+                              className="inline-flex items-center gap-1.5 px-3 py-1 rounded-full text-xs font-semibold bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400 border border-gray-200 dark:border-gray-600 cursor-pointer hover:opacity-80"
+                            >
+                              <span className="text-green-500">✓</span>
+                              <span className="line-through">{keyword}</span>
+                              <span className="font-normal">found as “{found.text}”</span>
+                            </button>
+                          )
+                        }
+                        return (
+                          <span
+                            key={i}
+                            className="inline-flex items-center gap-1.5 px-3 py-1 rounded-full text-xs font-semibold bg-rose-100 dark:bg-rose-950/50 text-rose-700 dark:text-rose-300 border border-rose-200 dark:border-rose-800"
+                          >
+                            <span className="text-rose-400">✕</span>
+                            {keyword}
+                          </span>
+                        )
+                      })}
+                    </div>
+                  )}
+                  {results.skill_match?.keyword_check?.also_missing.length > 0 && (
+                    <div className="mt-4">
+                      <p className="text-xs text-gray-400 dark:text-gray-500 mb-2">Also missing, according to the skill matcher:</p>
+                      <div className="flex flex-wrap gap-2">
+                        {results.skill_match.keyword_check.also_missing.map((name) => (
+                          <span
+                            key={name}
+                            className="inline-flex items-center gap-1.5 px-3 py-1 rounded-full text-xs font-semibold bg-rose-50 dark:bg-rose-950/30 text-rose-600 dark:text-rose-300 border border-dashed border-rose-200 dark:border-rose-800"
+                          >
+                            <span className="text-rose-400">✕</span>
+                            {name}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+
+                {/* Skill Evidence Matrix */}
+                <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-sm border border-gray-100 dark:border-gray-700 p-4 sm:p-6">
+                  <h2 className="text-lg font-semibold text-gray-700 dark:text-gray-200 mb-1">Skill Evidence</h2>
+                  <p className="text-sm text-gray-400 dark:text-gray-500 mb-4">
+                    The job's top skills and the resume text that backs each one. Click a skill to highlight its evidence.
+                  </p>
+                  {!results.skills ? <PanelSkeleton lines={4} /> : results.skills.length === 0 ? (
+                    <p className="text-sm text-gray-400 dark:text-gray-500 italic">No skills were reported for this job description.</p>
+                  ) : (
+                    <div className="overflow-x-auto -mx-1">
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-[11px] uppercase tracking-wider text-gray-400 dark:text-gray-500">
+                            <th className="font-semibold px-1 pb-2">Skill</th>
+                            <th className="font-semibold px-1 pb-2">Status</th>
+                            <th className="font-semibold px-1 pb-2 text-right">Weight</th>
+                            <th className="font-semibold px-1 pb-2">Evidence</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                          {results.skills.map((skill, i) => (
+                            <tr
+                              key={i}
+                              onClick={() => skill.evidence.length && handleShowEvidence(skill.evidence)}
+                              className={skill.evidence.length ? 'cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/40' : ''}
+                            >
+                              <td className="px-1 py-2 font-medium text-gray-700 dark:text-gray-200 whitespace-nowrap">{skill.name}</td>
+                              <td className="px-1 py-2">
+                                <span className={`px-1.5 py-0.5 rounded border text-[10px] font-semibold uppercase tracking-wider ${SKILL_STATUS_STYLES[skill.status]}`}>
+                                  {skill.status}
+                                </span>
+                              </td>
+                              <td className="px-1 py-2 text-right tabular-nums text-gray-500 dark:text-gray-400">{Math.round(skill.weight * 100)}%</td>
+                              <td className="px-1 py-2 text-xs text-gray-500 dark:text-gray-400">
+                                {skill.evidence.length > 0 ? (
+                                  <span className="line-clamp-2">“{skill.evidence[0].text}”{skill.evidence.length > 1 && ` +${skill.evidence.length - 1} more`}</span>
+                                ) : skill.downgraded ? (
+                                  <span className="text-amber-600 dark:text-amber-400">The AI's quote wasn't found in your resume, so this counts as missing.</span>
+                                ) : (
+                                  <span className="italic">—</span>
+                                )}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
                     </div>
                   )}
                 </div>
@@ -690,8 +1700,8 @@ export default function App() {
                 <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-sm border border-gray-100 dark:border-gray-700 p-4 sm:p-6">
                   <h2 className="text-lg font-semibold text-gray-700 dark:text-gray-200 mb-4">Smart Rewrites</h2>
                   <div className="space-y-4">
-                    {results.rewrites.map((rewrite, i) => {
-                      const isApplied = appliedRewrites.has(i)
+                    {rewrites.map((rewrite, i) => {
+                      const isApplied = appliedRewrites.some((entry) => entry.index === i)
                       return (
                         <div
                           key={i}
@@ -730,27 +1740,38 @@ export default function App() {
                             </p>
                           </div>
 
-                          <div className="flex justify-end">
+                          <div className="flex items-center justify-end gap-3">
+                            {isApplied && (
+                              <span className="text-xs font-semibold text-green-600 dark:text-green-400">Applied ✓</span>
+                            )}
                             <button
-                              onClick={() => handleApplyRewrite(i)}
-                              disabled={isApplied}
+                              onClick={() => (isApplied ? handleRevertRewrite(i) : handleApplyRewrite(i))}
+                              disabled={isLoading}
                               className={[
                                 'text-xs font-semibold px-4 py-2.5 min-h-[44px] rounded-lg border transition-all',
-                                isApplied
-                                  ? 'bg-green-50 dark:bg-green-950/50 text-green-600 dark:text-green-400 border-green-200 dark:border-green-800 cursor-default'
-                                  : 'bg-indigo-600 text-white border-indigo-600 hover:bg-indigo-700 hover:border-indigo-700',
+                                isLoading
+                                  ? 'bg-indigo-300 dark:bg-indigo-900 text-white border-indigo-300 dark:border-indigo-900 cursor-wait'
+                                  : isApplied
+                                    ? 'bg-white dark:bg-gray-800 text-gray-600 dark:text-gray-300 border-gray-200 dark:border-gray-600 hover:border-red-300 hover:text-red-600 dark:hover:border-red-700 dark:hover:text-red-400'
+                                    : 'bg-indigo-600 text-white border-indigo-600 hover:bg-indigo-700 hover:border-indigo-700',
                               ].join(' ')}
                             >
-                              {isApplied ? 'Applied ✓' : 'Apply to Resume →'}
+                              {isApplied ? 'Revert' : 'Apply to Resume →'}
                             </button>
                           </div>
                         </div>
                       )
                     })}
+                    {isLoading && (
+                      <div className="rounded-xl border border-gray-100 dark:border-gray-700 bg-gray-50 dark:bg-gray-800/50 p-5">
+                        <PanelSkeleton lines={3} />
+                      </div>
+                    )}
                   </div>
                 </div>
 
                 {/* AI Summary */}
+                {(results.summary || isLoading) && (
                 <div className="bg-indigo-50 dark:bg-indigo-950/30 border border-indigo-100 dark:border-indigo-800 rounded-2xl p-4 sm:p-6">
                   <div className="flex items-start gap-3">
                     <svg
@@ -769,10 +1790,13 @@ export default function App() {
                     </svg>
                     <div>
                       <h2 className="text-sm font-semibold text-indigo-700 dark:text-indigo-300 mb-1">AI Summary</h2>
-                      <p className="text-sm text-indigo-900 dark:text-indigo-200 leading-relaxed">{results.summary}</p>
+                      {results.summary
+                        ? <p className="text-sm text-indigo-900 dark:text-indigo-200 leading-relaxed">{results.summary}</p>
+                        : <PanelSkeleton lines={2} />}
                     </div>
                   </div>
                 </div>
+                )}
               </div>
 
               {/* ── RIGHT PANEL: Live Resume ── */}
@@ -785,20 +1809,76 @@ export default function App() {
                       </svg>
                       <h2 className="text-sm font-semibold text-gray-700 dark:text-gray-200">Live Resume</h2>
                     </div>
-                    {appliedRewrites.size > 0 && (
-                      <span className="text-xs text-amber-600 dark:text-amber-400 font-medium bg-amber-50 dark:bg-amber-950/50 px-2 py-1 rounded-md border border-amber-200 dark:border-amber-800">
-                        Edited
-                      </span>
-                    )}
+                    <div className="flex items-center gap-1">
+                      {resumeText !== editor.originalText && (
+                        <span className="mr-2 text-xs text-amber-600 dark:text-amber-400 font-medium bg-amber-50 dark:bg-amber-950/50 px-2 py-1 rounded-md border border-amber-200 dark:border-amber-800">
+                          Edited
+                        </span>
+                      )}
+                      <button
+                        onClick={editor.undo}
+                        disabled={!editor.canUndo || isLoading}
+                        className="p-2 rounded-md text-gray-500 dark:text-gray-400 hover:text-indigo-600 dark:hover:text-indigo-400 hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-30 disabled:pointer-events-none"
+                        title="Undo (Ctrl+Z)"
+                        aria-label="Undo"
+                      >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                          <path strokeLinecap="round" strokeLinejoin="round" d="M9 15L3 9m0 0l6-6M3 9h12a6 6 0 010 12h-3" />
+                        </svg>
+                      </button>
+                      <button
+                        onClick={editor.redo}
+                        disabled={!editor.canRedo || isLoading}
+                        className="p-2 rounded-md text-gray-500 dark:text-gray-400 hover:text-indigo-600 dark:hover:text-indigo-400 hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-30 disabled:pointer-events-none"
+                        title="Redo (Ctrl+Shift+Z)"
+                        aria-label="Redo"
+                      >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                          <path strokeLinecap="round" strokeLinejoin="round" d="M15 15l6-6m0 0l-6-6m6 6H9a6 6 0 000 12h3" />
+                        </svg>
+                      </button>
+                      <button
+                        onClick={() => setShowChanges((prev) => !prev)}
+                        aria-pressed={showChanges}
+                        className={`ml-1 text-xs font-semibold px-2.5 py-1.5 rounded-md border transition-colors ${showChanges ? 'bg-indigo-600 text-white border-indigo-600' : 'text-gray-600 dark:text-gray-300 border-gray-200 dark:border-gray-600 hover:border-indigo-300 hover:text-indigo-600 dark:hover:text-indigo-400'}`}
+                      >
+                        Show changes
+                      </button>
+                    </div>
                   </div>
 
+                  {results.extraction?.scannedPages?.length > 0 && (
+                    <div className="flex items-start gap-2.5 px-4 sm:px-6 py-3 border-b border-amber-200 dark:border-amber-800 bg-amber-50 dark:bg-amber-950/30">
+                      <span className="text-amber-500 text-sm mt-0.5 flex-shrink-0">⚠</span>
+                      <p className="text-xs text-amber-800 dark:text-amber-300 leading-relaxed">
+                        {results.extraction.ocr
+                          ? <>Page{results.extraction.ocr.pages.length > 1 ? 's' : ''} {results.extraction.ocr.pages.join(', ')} {results.extraction.ocr.pages.length > 1 ? 'were' : 'was'} a scanned image and {results.extraction.ocr.pages.length > 1 ? 'were' : 'was'} read with OCR ({results.extraction.ocr.confidence}% confidence). The text below may contain recognition errors, so scores may be off — check it before applying rewrites.</>
+                          : <>Page{results.extraction.scannedPages.length > 1 ? 's' : ''} {results.extraction.scannedPages.join(', ')} {results.extraction.scannedPages.length > 1 ? 'are' : 'is'} a scanned image and {results.extraction.scannedPages.length > 1 ? 'were' : 'was'} skipped. Upload a text-based PDF for a complete analysis.</>}
+                        {results.extraction.ocr && results.extraction.scannedPages.length > results.extraction.ocr.pages.length && (
+                          <> Only the first {results.extraction.ocr.pages.length} scanned pages were recognized.</>
+                        )}
+                      </p>
+                    </div>
+                  )}
+
                   <div
                     ref={liveResumeRef}
                     className="px-4 sm:px-8 py-6 max-h-[70vh] lg:max-h-[calc(100vh-220px)] overflow-y-auto"
                   >
-                    <div className="whitespace-pre-wrap text-sm text-gray-800 dark:text-gray-200 leading-relaxed font-[Georgia,_serif]">
-                      {renderResumeText()}
-                    </div>
+                    {!resumeText ? (
+                      <p className="text-sm text-gray-400 dark:text-gray-500 italic">No resume text available.</p>
+                    ) : showChanges ? (
+                      <ResumeDiff before={editor.originalText} after={resumeText} />
+                    ) : (
+                      <ResumeEditor
+                        text={resumeText}
+                        highlights={highlightRanges}
+                        readOnly={isLoading}
+                        onChange={handleResumeEdit}
+                        onUndo={editor.undo}
+                        onRedo={editor.redo}
+                      />
+                    )}
                   </div>
                 </div>
               </div>
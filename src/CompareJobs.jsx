@@ -0,0 +1,179 @@
+import { useState, useRef } from 'react'
+import { getScoreColor } from './scores'
+
+const JOB_FILE_EXTENSIONS = ['.txt', '.md', '.markdown']
+
+const COLUMNS = [
+  { key: 'title', label: 'Job' },
+  { key: 'overall', label: 'Overall', numeric: true },
+  { key: 'tech_match', label: 'Skills', numeric: true },
+  { key: 'impact_match', label: 'Impact', numeric: true },
+  { key: 'ats_compatibility', label: 'ATS', numeric: true },
+  { key: 'strict_score', label: 'Evidence', numeric: true },
+  { key: 'missing', label: 'Top missing keywords' },
+]
+
+function sortValue(row, key) {
+  if (key === 'title') return row.title.toLowerCase()
+  if (key === 'missing') return row.analysis?.missing_keywords.length ?? Infinity
+  if (key === 'overall') return row.analysis?.overall.score ?? -1
+  return row.analysis?.[key] ?? -1
+}
+
+// Pasted job descriptions (one textarea each) plus .txt/.md uploads
+export function JobListInput({ jobs, onJobsChange, files, onFilesChange }) {
+  const fileInputRef = useRef(null)
+
+  function updateJob(id, text) {
+    onJobsChange(jobs.map((job) => (job.id === id ? { ...job, text } : job)))
+  }
+
+  return (
+    <div>
+      <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+        Job Descriptions
+      </label>
+      <div className="space-y-3 max-h-80 overflow-y-auto pr-1">
+        {jobs.map((job, i) => (
+          <div key={job.id} className="relative">
+            <textarea
+              value={job.text}
+              onChange={(e) => updateJob(job.id, e.target.value)}
+              placeholder={`Paste job description #${i + 1}...`}
+              className="w-full h-24 resize-none rounded-xl border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 px-4 py-3 pr-9 text-sm text-gray-800 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent shadow-inner transition"
+            />
+            {jobs.length > 1 && (
+              <button
+                onClick={() => onJobsChange(jobs.filter((j) => j.id !== job.id))}
+                className="absolute top-2 right-2 text-gray-400 hover:text-red-500 text-sm"
+                aria-label={`Remove job description #${i + 1}`}
+              >
+                ✕
+              </button>
+            )}
+          </div>
+        ))}
+        {files.map((file, i) => (
+          <div key={`${file.name}-${i}`} className="flex items-center gap-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 px-3 py-2 text-sm">
+            <span className="text-[10px] font-bold px-1.5 py-0.5 rounded bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">FILE</span>
+            <span className="truncate text-gray-700 dark:text-gray-200">{file.name}</span>
+            <button
+              onClick={() => onFilesChange(files.filter((_, j) => j !== i))}
+              className="ml-auto text-gray-400 hover:text-red-500"
+              aria-label={`Remove ${file.name}`}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+      <div className="flex items-center gap-4 mt-2">
+        <button
+          onClick={() => onJobsChange([...jobs, { id: Date.now(), text: '' }])}
+          className="text-xs font-semibold text-indigo-600 dark:text-indigo-400 hover:underline"
+        >
+          + Paste another
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="text-xs font-semibold text-indigo-600 dark:text-indigo-400 hover:underline"
+        >
+          + Upload .txt / .md files
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          accept={JOB_FILE_EXTENSIONS.join(',')}
+          className="hidden"
+          onChange={(e) => {
+            onFilesChange([...files, ...e.target.files])
+            e.target.value = ''
+          }}
+        />
+      </div>
+    </div>
+  )
+}
+
+// Sortable results of a candidate-mode run. Rows arrive as each job finishes;
+// clicking a successful row opens it in the Refinement Suite.
+export function ComparisonTable({ rows, total, onOpen }) {
+  const [sort, setSort] = useState({ key: 'overall', desc: true })
+
+  const sorted = [...rows].sort((a, b) => {
+    if ((a.status === 'error') !== (b.status === 'error')) return a.status === 'error' ? 1 : -1
+    const av = sortValue(a, sort.key)
+    const bv = sortValue(b, sort.key)
+    if (av === bv) return a.index - b.index
+    return (av < bv ? -1 : 1) * (sort.desc ? -1 : 1)
+  })
+
+  function toggleSort(key) {
+    setSort((prev) => (prev.key === key ? { key, desc: !prev.desc } : { key, desc: key !== 'title' }))
+  }
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-sm border border-gray-100 dark:border-gray-700 p-4 sm:p-6 mt-8">
+      <div className="flex items-baseline justify-between gap-3 mb-4">
+        <h2 className="text-lg font-semibold text-gray-700 dark:text-gray-200">Job Comparison</h2>
+        <span className="text-xs text-gray-400 dark:text-gray-500">
+          {rows.length < total ? `${rows.length} of ${total} analyzed…` : `${total} job${total > 1 ? 's' : ''}`}
+        </span>
+      </div>
+      <div className="overflow-x-auto -mx-1">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-[11px] uppercase tracking-wider text-gray-400 dark:text-gray-500">
+              {COLUMNS.map((column) => (
+                <th key={column.key} className={`font-semibold px-2 pb-2 ${column.numeric ? 'text-right' : ''}`}>
+                  <button onClick={() => toggleSort(column.key)} className="uppercase tracking-wider hover:text-indigo-600 dark:hover:text-indigo-400">
+                    {column.label}
+                    {sort.key === column.key && (sort.desc ? ' ↓' : ' ↑')}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+            {sorted.map((row) => row.status === 'error' ? (
+              <tr key={row.index}>
+                <td className="px-2 py-2.5 font-medium text-gray-700 dark:text-gray-200">{row.title}</td>
+                <td colSpan={COLUMNS.length - 1} className="px-2 py-2.5 text-xs text-red-600 dark:text-red-400">
+                  {row.error.detail || row.error.error}
+                </td>
+              </tr>
+            ) : (
+              <tr
+                key={row.index}
+                onClick={() => onOpen(row)}
+                className="cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/40"
+                title="Open in the Refinement Suite"
+              >
+                <td className="px-2 py-2.5 font-medium text-gray-700 dark:text-gray-200 max-w-[16rem] truncate">{row.title}</td>
+                {['overall', 'tech_match', 'impact_match', 'ats_compatibility', 'strict_score'].map((key) => {
+                  const value = key === 'overall' ? row.analysis.overall.score : row.analysis[key]
+                  return (
+                    <td key={key} className={`px-2 py-2.5 text-right tabular-nums font-semibold ${getScoreColor(value)}`}>
+                      {value}
+                    </td>
+                  )
+                })}
+                <td className="px-2 py-2.5 text-xs text-gray-500 dark:text-gray-400">
+                  {row.analysis.missing_keywords.slice(0, 3).join(', ') || '—'}
+                </td>
+              </tr>
+            ))}
+            {Array.from({ length: Math.max(0, total - rows.length) }, (_, i) => (
+              <tr key={`pending-${i}`} className="animate-pulse">
+                <td colSpan={COLUMNS.length} className="px-2 py-3">
+                  <div className="h-3 rounded bg-gray-200 dark:bg-gray-700 w-full" />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
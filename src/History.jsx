@@ -0,0 +1,166 @@
+import { useState, useRef } from 'react'
+import { getScoreColor, getStrokeColor } from './scores'
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+}
+
+function HistoryItem({ session, active, onOpen, onRename, onDelete }) {
+  const [isRenaming, setIsRenaming] = useState(false)
+  const [draft, setDraft] = useState(session.name)
+  const score = session.results.overall?.score
+
+  function commitRename() {
+    setIsRenaming(false)
+    if (draft.trim() && draft.trim() !== session.name) onRename(session, draft.trim())
+    else setDraft(session.name)
+  }
+
+  return (
+    <li className={`group rounded-xl border px-3 py-2.5 ${active ? 'border-indigo-300 dark:border-indigo-600 bg-indigo-50/60 dark:bg-indigo-950/30' : 'border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800'}`}>
+      <div className="flex items-start gap-3">
+        {score !== undefined && (
+          <span className={`text-lg font-bold tabular-nums leading-tight ${getScoreColor(score)}`}>{score}</span>
+        )}
+        <div className="min-w-0 flex-1">
+          {isRenaming ? (
+            <input
+              autoFocus
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              onBlur={commitRename}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') commitRename()
+                if (e.key === 'Escape') {
+                  setDraft(session.name)
+                  setIsRenaming(false)
+                }
+              }}
+              className="w-full rounded border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-900 px-1.5 py-0.5 text-sm text-gray-800 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+          ) : (
+            <button onClick={() => onOpen(session)} className="block w-full text-left text-sm font-medium text-gray-800 dark:text-gray-100 truncate hover:text-indigo-600 dark:hover:text-indigo-400" title="Reopen this analysis">
+              {session.name}
+            </button>
+          )}
+          <p className="text-[11px] text-gray-400 dark:text-gray-500 mt-0.5">
+            {formatDate(session.createdAt)}
+            {session.appliedRewrites.length > 0 && ` · ${session.appliedRewrites.length} rewrite${session.appliedRewrites.length > 1 ? 's' : ''} applied`}
+          </p>
+        </div>
+      </div>
+      <div className="flex gap-3 mt-1.5 pl-0.5 text-[11px] font-semibold">
+        <button onClick={() => setIsRenaming(true)} className="text-gray-400 hover:text-indigo-600 dark:hover:text-indigo-400">Rename</button>
+        <button
+          onClick={() => {
+            if (window.confirm(`Delete "${session.name}" from your history?`)) onDelete(session)
+          }}
+          className="text-gray-400 hover:text-red-500"
+        >
+          Delete
+        </button>
+      </div>
+    </li>
+  )
+}
+
+// Slide-over list of saved analyses, newest first
+export function HistorySidebar({ sessions, activeId, notice, onClose, onOpen, onRename, onDelete, onExport, onImport }) {
+  const importRef = useRef(null)
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end" role="dialog" aria-label="Analysis history">
+      <div className="absolute inset-0 bg-slate-900/30" onClick={onClose} />
+      <aside className="relative w-full max-w-sm h-full overflow-y-auto bg-gray-50 dark:bg-gray-900 border-l border-gray-200 dark:border-gray-700 shadow-xl p-5">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-base font-semibold text-gray-800 dark:text-gray-100">History</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 p-2" aria-label="Close history">✕</button>
+        </div>
+        <div className="flex gap-4 mb-4 text-xs font-semibold">
+          <button onClick={onExport} disabled={sessions.length === 0} className="text-indigo-600 dark:text-indigo-400 hover:underline disabled:opacity-40 disabled:no-underline">
+            Export JSON
+          </button>
+          <button onClick={() => importRef.current?.click()} className="text-indigo-600 dark:text-indigo-400 hover:underline">
+            Import JSON
+          </button>
+          <input
+            ref={importRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => {
+              if (e.target.files[0]) onImport(e.target.files[0])
+              e.target.value = ''
+            }}
+          />
+        </div>
+        {notice && <p className="mb-4 text-xs text-gray-600 dark:text-gray-300 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg px-3 py-2">{notice}</p>}
+        {sessions.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Analyses you run are saved here, in this browser only, so you can reopen them later.
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {sessions.map((session) => (
+              <HistoryItem key={session.id} session={session} active={session.id === activeId} onOpen={onOpen} onRename={onRename} onDelete={onDelete} />
+            ))}
+          </ul>
+        )}
+      </aside>
+    </div>
+  )
+}
+
+const CHART_WIDTH = 320
+const CHART_HEIGHT = 120
+const CHART_PADDING = { top: 10, right: 12, bottom: 22, left: 28 }
+
+// Overall score of each run of the same job description, oldest to newest.
+// Runs are spaced evenly: what matters is the order, not the gaps between them.
+export function ScoreTrend({ sessions, activeId, onOpen }) {
+  const runs = sessions.filter((session) => session.results.overall).sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+  if (runs.length < 2) return null
+
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom
+  const points = runs.map((session, i) => ({
+    session,
+    score: session.results.overall.score,
+    x: CHART_PADDING.left + (plotWidth * i) / (runs.length - 1),
+    y: CHART_PADDING.top + plotHeight * (1 - session.results.overall.score / 100),
+  }))
+  const change = points[points.length - 1].score - points[0].score
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-sm border border-gray-100 dark:border-gray-700 p-4 sm:p-6">
+      <div className="flex items-baseline justify-between gap-3 mb-2">
+        <h2 className="text-sm font-semibold text-gray-700 dark:text-gray-200">Score Over Time</h2>
+        <span className={`text-xs font-semibold ${change > 0 ? 'text-green-600 dark:text-green-400' : change < 0 ? 'text-red-600 dark:text-red-400' : 'text-gray-400'}`}>
+          {change > 0 ? '+' : ''}{change} over {runs.length} runs of this job description
+        </span>
+      </div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto" role="img" aria-label="Overall score for each run of this job description">
+        {[0, 50, 100].map((tick) => {
+          const y = CHART_PADDING.top + plotHeight * (1 - tick / 100)
+          return (
+            <g key={tick}>
+              <line x1={CHART_PADDING.left} x2={CHART_WIDTH - CHART_PADDING.right} y1={y} y2={y} className="stroke-gray-200 dark:stroke-gray-700" strokeWidth="1" />
+              <text x={CHART_PADDING.left - 6} y={y + 3} textAnchor="end" className="fill-gray-400 text-[9px]">{tick}</text>
+            </g>
+          )
+        })}
+        <polyline points={points.map((p) => `${p.x},${p.y}`).join(' ')} fill="none" className="stroke-indigo-400" strokeWidth="2" />
+        {points.map((p) => (
+          <g key={p.session.id} onClick={() => onOpen(p.session)} className="cursor-pointer">
+            <title>{`${p.score} · ${formatDate(p.session.createdAt)}`}</title>
+            <circle cx={p.x} cy={p.y} r={p.session.id === activeId ? 5 : 3.5} fill={getStrokeColor(p.score)} className="stroke-white dark:stroke-gray-800" strokeWidth="1.5" />
+          </g>
+        ))}
+        <text x={CHART_PADDING.left} y={CHART_HEIGHT - 6} className="fill-gray-400 text-[9px]">{new Date(runs[0].createdAt).toLocaleDateString()}</text>
+        <text x={CHART_WIDTH - CHART_PADDING.right} y={CHART_HEIGHT - 6} textAnchor="end" className="fill-gray-400 text-[9px]">
+          {new Date(runs[runs.length - 1].createdAt).toLocaleDateString()}
+        </text>
+      </svg>
+    </div>
+  )
+}
@@ -0,0 +1,82 @@
+import { useMemo } from 'react'
+import { diffWords } from './diff'
+
+const TEXT_CLASSES = 'whitespace-pre-wrap break-words text-sm leading-relaxed font-[Georgia,_serif]'
+
+// The resume as an editable textarea. Highlights ({ start, end }) are drawn in
+// a copy of the text laid out underneath it: a textarea can't mark up its own
+// content. Both share one grid cell, so the textarea grows with the copy and
+// the panel scrolls them together.
+export function ResumeEditor({ text, highlights, readOnly, onChange, onUndo, onRedo }) {
+  const marked = []
+  let cursor = 0
+  ;[...highlights].sort((a, b) => a.start - b.start).forEach(({ start, end }, i) => {
+    if (start < cursor) return
+    marked.push(text.slice(cursor, start))
+    marked.push(<mark key={i} className="text-transparent rounded-sm bg-yellow-200 dark:bg-yellow-500/30">{text.slice(start, end)}</mark>)
+    cursor = end
+  })
+  marked.push(text.slice(cursor))
+
+  function handleKeyDown(e) {
+    if (!(e.metaKey || e.ctrlKey)) return
+    const key = e.key.toLowerCase()
+    if (key === 'z' || key === 'y') {
+      e.preventDefault()
+      if (key === 'y' || e.shiftKey) onRedo()
+      else onUndo()
+    }
+  }
+
+  return (
+    <div className="grid">
+      {/* The trailing space keeps a final empty line the same height as in the textarea */}
+      <div aria-hidden="true" className={`${TEXT_CLASSES} col-start-1 row-start-1 text-transparent`}>
+        {marked}{' '}
+      </div>
+      <textarea
+        value={text}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        readOnly={readOnly}
+        spellCheck
+        aria-label="Resume text"
+        className={`${TEXT_CLASSES} col-start-1 row-start-1 block w-full resize-none overflow-hidden bg-transparent p-0 border-0 text-gray-800 dark:text-gray-200 focus:outline-none focus:ring-0`}
+      />
+    </div>
+  )
+}
+
+// The extracted resume against the refined one, word by word
+export function ResumeDiff({ before, after }) {
+  const parts = useMemo(() => diffWords(before, after), [before, after])
+  const counts = parts.reduce(
+    (acc, part) => {
+      if (part.type !== 'same') acc[part.type] += part.text.split(/\s+/).filter(Boolean).length
+      return acc
+    },
+    { added: 0, removed: 0 }
+  )
+
+  if (counts.added === 0 && counts.removed === 0) {
+    return <p className="text-sm text-gray-400 dark:text-gray-500 italic">No changes yet. Apply a rewrite or edit the resume to compare it with the original.</p>
+  }
+
+  return (
+    <>
+      <p className="mb-4 text-xs font-medium">
+        <span className="text-green-600 dark:text-green-400">+{counts.added} word{counts.added === 1 ? '' : 's'}</span>
+        <span className="mx-1.5 text-gray-300 dark:text-gray-600">·</span>
+        <span className="text-red-600 dark:text-red-400">−{counts.removed} word{counts.removed === 1 ? '' : 's'}</span>
+        <span className="text-gray-400 dark:text-gray-500"> compared with the original</span>
+      </p>
+      <div className={`${TEXT_CLASSES} text-gray-800 dark:text-gray-200`}>
+        {parts.map((part, i) => {
+          if (part.type === 'added') return <ins key={i} className="no-underline rounded-sm bg-green-100 dark:bg-green-900/40 text-green-800 dark:text-green-300">{part.text}</ins>
+          if (part.type === 'removed') return <del key={i} className="rounded-sm bg-red-100 dark:bg-red-900/40 text-red-700 dark:text-red-300">{part.text}</del>
+          return <span key={i}>{part.text}</span>
+        })}
+      </div>
+    </>
+  )
+}
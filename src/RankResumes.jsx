@@ -0,0 +1,250 @@
+import { Fragment, useState, useRef } from 'react'
+import { getScoreColor } from './scores'
+
+const CSV_COLUMNS = [
+  ['rank', (row) => row.rank ?? ''],
+  ['candidate', (row) => row.candidate ?? ''],
+  ['file', (row) => row.fileName],
+  ['status', (row) => row.status],
+  ['overall', (row) => row.overall ?? ''],
+  ['overall_low', (row) => row.range?.[0] ?? ''],
+  ['overall_high', (row) => row.range?.[1] ?? ''],
+  ['confidence', (row) => row.confidence ?? ''],
+  ['tech_match', (row) => row.tech_match ?? ''],
+  ['impact_match', (row) => row.impact_match ?? ''],
+  ['ats_compatibility', (row) => row.ats_compatibility ?? ''],
+  ['strict_score', (row) => row.strict_score ?? ''],
+  ['missing_skills', (row) => row.missing_skills?.join('; ') ?? ''],
+  ['hallucination_flags', (row) => row.hallucination_flags?.map((flag) => flag.skill).join('; ') ?? ''],
+  ['red_flag', (row) => (row.injection_check ? (row.injection_check.red_flag ? 'yes' : 'no') : '')],
+  ['injection_flags', (row) => row.injection_check?.passages.map((passage) => `${passage.reason}: ${passage.text}`).join('; ') ?? ''],
+  ['summary', (row) => row.summary ?? ''],
+  ['error', (row) => (row.error ? row.error.detail || row.error.error : '')],
+]
+
+// Quotes every cell and defuses spreadsheet formulas: candidate names and
+// summaries come from uploaded files.
+function csvCell(value) {
+  let text = String(value)
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`
+  return `"${text.replace(/"/g, '""')}"`
+}
+
+function shortlistToCsv(candidates) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(',')]
+  for (const row of candidates) lines.push(CSV_COLUMNS.map(([, get]) => csvCell(get(row))).join(','))
+  return lines.join('\r\n') + '\r\n'
+}
+
+function download(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// Multi-file picker and drop zone for recruiter mode
+export function ResumeListInput({ files, onFilesChange, accept }) {
+  const inputRef = useRef(null)
+  const [isDragOver, setIsDragOver] = useState(false)
+
+  return (
+    <div>
+      <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+        Resumes (PDF, Word or text)
+      </label>
+      <input
+        ref={inputRef}
+        type="file"
+        multiple
+        accept={accept}
+        className="hidden"
+        onChange={(e) => {
+          onFilesChange([...files, ...e.target.files])
+          e.target.value = ''
+        }}
+      />
+      <div
+        onClick={() => inputRef.current?.click()}
+        onDragOver={(e) => {
+          e.preventDefault()
+          setIsDragOver(true)
+        }}
+        onDragLeave={() => setIsDragOver(false)}
+        onDrop={(e) => {
+          e.preventDefault()
+          setIsDragOver(false)
+          onFilesChange([...files, ...e.dataTransfer.files])
+        }}
+        className={[
+          'flex flex-col items-center justify-center gap-1 h-24 rounded-xl border-2 border-dashed cursor-pointer transition-colors select-none text-sm',
+          isDragOver
+            ? 'border-indigo-500 bg-indigo-50 dark:bg-indigo-950/40 text-indigo-600'
+            : 'border-gray-300 dark:border-gray-600 text-gray-500 dark:text-gray-400 hover:border-indigo-400',
+        ].join(' ')}
+      >
+        <span className="font-medium">Drop resumes here or click to browse</span>
+        <span className="text-xs text-gray-400 dark:text-gray-500">Select as many files as you like</span>
+      </div>
+      {files.length > 0 && (
+        <div className="mt-3 space-y-1.5 max-h-40 overflow-y-auto pr-1">
+          {files.map((file, i) => (
+            <div key={`${file.name}-${i}`} className="flex items-center gap-2 text-xs text-gray-600 dark:text-gray-300">
+              <span className="truncate">{file.name}</span>
+              <button
+                onClick={() => onFilesChange(files.filter((_, j) => j !== i))}
+                className="ml-auto text-gray-400 hover:text-red-500"
+                aria-label={`Remove ${file.name}`}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          <button onClick={() => onFilesChange([])} className="text-xs font-semibold text-indigo-600 dark:text-indigo-400 hover:underline">
+            Clear all ({files.length})
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function isRedFlagged(row) {
+  return Boolean(row.injection_check?.red_flag)
+}
+
+// Ranked shortlist for recruiter mode. Rows arrive as each file finishes and
+// are kept in score order (red-flagged resumes after clean ones when
+// `demoteFlagged` is set, matching the server); failed files are listed last
+// with their error.
+export function ShortlistTable({ candidates, total, preset, demoteFlagged }) {
+  const [expanded, setExpanded] = useState(null)
+  const done = candidates.length >= total
+
+  const ranked = [...candidates].sort((a, b) => {
+    if (a.status !== b.status) return a.status === 'error' ? 1 : -1
+    if (demoteFlagged && isRedFlagged(a) !== isRedFlagged(b)) return isRedFlagged(a) ? 1 : -1
+    return (b.overall ?? 0) - (a.overall ?? 0) || a.index - b.index
+  })
+
+  const stamp = new Date().toISOString().slice(0, 10)
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-sm border border-gray-100 dark:border-gray-700 p-4 sm:p-6 mt-8">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-700 dark:text-gray-200">Candidate Shortlist</h2>
+          <p className="text-xs text-gray-400 dark:text-gray-500">
+            {done ? `${total} resume${total > 1 ? 's' : ''} ranked` : `${candidates.length} of ${total} analyzed…`}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            disabled={!done}
+            onClick={() => download(`shortlist-${stamp}.csv`, 'text/csv', shortlistToCsv(ranked))}
+            className="text-xs font-semibold px-3 py-1.5 rounded-lg border border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:border-indigo-400 disabled:opacity-50"
+          >
+            Export CSV
+          </button>
+          <button
+            disabled={!done}
+            onClick={() => download(`shortlist-${stamp}.json`, 'application/json', JSON.stringify({ preset, candidates: ranked }, null, 2))}
+            className="text-xs font-semibold px-3 py-1.5 rounded-lg border border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:border-indigo-400 disabled:opacity-50"
+          >
+            Export JSON
+          </button>
+        </div>
+      </div>
+      <div className="overflow-x-auto -mx-1">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-[11px] uppercase tracking-wider text-gray-400 dark:text-gray-500">
+              <th className="font-semibold px-2 pb-2">#</th>
+              <th className="font-semibold px-2 pb-2">Candidate</th>
+              <th className="font-semibold px-2 pb-2 text-right">Overall</th>
+              <th className="font-semibold px-2 pb-2 text-right">Skills</th>
+              <th className="font-semibold px-2 pb-2 text-right">Impact</th>
+              <th className="font-semibold px-2 pb-2 text-right">Evidence</th>
+              <th className="font-semibold px-2 pb-2">Missing must-haves</th>
+              <th className="font-semibold px-2 pb-2">Flags</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+            {ranked.map((row, i) => row.status === 'error' ? (
+              <tr key={row.index}>
+                <td className="px-2 py-2.5 text-gray-400">—</td>
+                <td className="px-2 py-2.5 font-medium text-gray-700 dark:text-gray-200">{row.fileName}</td>
+                <td colSpan={6} className="px-2 py-2.5 text-xs text-red-600 dark:text-red-400">
+                  {row.error.detail || row.error.error}
+                </td>
+              </tr>
+            ) : (
+              <Fragment key={row.index}>
+                <tr
+                  onClick={() => setExpanded(expanded === row.index ? null : row.index)}
+                  className="cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/40"
+                >
+                  <td className="px-2 py-2.5 tabular-nums text-gray-400">{row.rank ?? i + 1}</td>
+                  <td className="px-2 py-2.5">
+                    <p className="font-medium text-gray-700 dark:text-gray-200 truncate max-w-[14rem]">{row.candidate}</p>
+                    <p className="text-[11px] text-gray-400 dark:text-gray-500 truncate max-w-[14rem]">{row.fileName}</p>
+                  </td>
+                  <td className={`px-2 py-2.5 text-right tabular-nums font-bold ${getScoreColor(row.overall)}`}>{row.overall}</td>
+                  <td className={`px-2 py-2.5 text-right tabular-nums ${getScoreColor(row.tech_match)}`}>{row.tech_match}</td>
+                  <td className={`px-2 py-2.5 text-right tabular-nums ${getScoreColor(row.impact_match)}`}>{row.impact_match}</td>
+                  <td className={`px-2 py-2.5 text-right tabular-nums ${getScoreColor(row.strict_score)}`}>{row.strict_score}</td>
+                  <td className="px-2 py-2.5 text-xs text-gray-500 dark:text-gray-400">
+                    {row.missing_skills.slice(0, 4).join(', ') || '—'}
+                    {row.missing_skills.length > 4 && ` +${row.missing_skills.length - 4}`}
+                  </td>
+                  <td className="px-2 py-2.5 space-x-1 whitespace-nowrap">
+                    {isRedFlagged(row) && (
+                      <span
+                        title="Hidden text or instructions to the AI found in this resume"
+                        className="text-[10px] font-semibold px-1.5 py-0.5 rounded border bg-red-100 dark:bg-red-950/50 text-red-700 dark:text-red-300 border-red-200 dark:border-red-800"
+                      >
+                        {row.injection_check.passages.some((passage) => passage.kind === 'hidden_text') ? 'Hidden text' : 'AI instructions'}
+                      </span>
+                    )}
+                    {row.hallucination_flags.length > 0 && (
+                      <span className="text-[10px] font-semibold px-1.5 py-0.5 rounded border bg-amber-100 dark:bg-amber-950/50 text-amber-700 dark:text-amber-300 border-amber-200 dark:border-amber-800">
+                        {row.hallucination_flags.length} unverified
+                      </span>
+                    )}
+                  </td>
+                </tr>
+                {expanded === row.index && (
+                  <tr>
+                    <td />
+                    <td colSpan={7} className="px-2 pb-3 text-xs text-gray-500 dark:text-gray-400 space-y-1.5">
+                      {row.injection_check?.passages.filter((passage) => passage.source === 'resume').map((passage, j) => (
+                        <p key={`injection-${j}`}>
+                          <span className="font-semibold text-red-700 dark:text-red-300">{passage.reason}{passage.page ? ` (page ${passage.page})` : ''}:</span> “{passage.text}”
+                        </p>
+                      ))}
+                      <p className="leading-relaxed">{row.summary}</p>
+                      {row.hallucination_flags.map((flag, j) => (
+                        <p key={j}>
+                          <span className="font-semibold text-amber-700 dark:text-amber-300">{flag.skill}:</span> {flag.reason}
+                        </p>
+                      ))}
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            ))}
+            {Array.from({ length: Math.max(0, total - candidates.length) }, (_, i) => (
+              <tr key={`pending-${i}`} className="animate-pulse">
+                <td colSpan={8} className="px-2 py-3">
+                  <div className="h-3 rounded bg-gray-200 dark:bg-gray-700 w-full" />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,110 @@
+// Word-level diff for the Live Resume's changes view. Text is split into runs
+// of whitespace and non-whitespace, so spacing and line breaks survive, and
+// compared with Myers' algorithm, which is quick when the edits are few.
+
+// Past this many changed words the diff is shown as one replacement; the
+// trace Myers keeps grows with the square of the distance
+const MAX_EDIT_DISTANCE = 2000
+
+function tokenize(text) {
+  return text.match(/\s+|\S+/g) || []
+}
+
+// Shortest edit script from `a` to `b` as [type, token] pairs
+function myers(a, b) {
+  const n = a.length
+  const m = b.length
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE)
+  const offset = max + 1
+  const v = new Int32Array(2 * max + 3)
+  // trace[d] holds the furthest x on each diagonal k = -d..d after d edits
+  const trace = []
+  let found = false
+
+  for (let d = 0; d <= max && !found; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1
+      let y = x - k
+      while (x < n && y < m && a[x] === b[y]) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+      if (x >= n && y >= m) {
+        found = true
+        break
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1))
+  }
+  if (!found) return [...a.map((token) => ['removed', token]), ...b.map((token) => ['added', token])]
+
+  const ops = []
+  let x = n
+  let y = m
+  for (let d = trace.length - 1; d > 0; d--) {
+    const prev = trace[d - 1]
+    const at = (k) => prev[k + d - 1]
+    const k = x - y
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1
+    const prevX = at(prevK)
+    const prevY = prevX - prevK
+    while (x > prevX && y > prevY) {
+      ops.push(['same', a[--x]])
+      y--
+    }
+    ops.push(x === prevX ? ['added', b[prevY]] : ['removed', a[prevX]])
+    x = prevX
+    y = prevY
+  }
+  while (x > 0) ops.push(['same', a[--x]])
+  return ops.reverse()
+}
+
+// [{ type: 'same' | 'added' | 'removed', text }]. Each run of changes becomes
+// one removal followed by one addition, and whitespace between two changed
+// words is folded into the run, so a rewritten phrase reads as "old → new".
+export function diffWords(before, after) {
+  const a = tokenize(before)
+  const b = tokenize(after)
+
+  // Common ends are cheap to strip and keep the edit distance small
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start++
+  let end = 0
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++
+
+  const ops = [
+    ...a.slice(0, start).map((token) => ['same', token]),
+    ...myers(a.slice(start, a.length - end), b.slice(start, b.length - end)),
+    ...a.slice(a.length - end).map((token) => ['same', token]),
+  ]
+
+  const parts = []
+  let same = ''
+  let removed = ''
+  let added = ''
+  const flushChange = () => {
+    if (removed) parts.push({ type: 'removed', text: removed })
+    if (added) parts.push({ type: 'added', text: added })
+    removed = added = ''
+  }
+  ops.forEach(([type, token], i) => {
+    const inChange = removed || added
+    if (type === 'same' && inChange && /^\s+$/.test(token) && ops[i + 1] && ops[i + 1][0] !== 'same') {
+      removed += token
+      added += token
+    } else if (type === 'same') {
+      flushChange()
+      same += token
+    } else {
+      if (same) parts.push({ type: 'same', text: same })
+      same = ''
+      if (type === 'removed') removed += token
+      else added += token
+    }
+  })
+  flushChange()
+  if (same) parts.push({ type: 'same', text: same })
+  return parts
+}
@@ -0,0 +1,252 @@
+// Analysis history kept in the browser's IndexedDB. A session is one single-job
+// analysis: the job description, the resume as extracted and as refined, the
+// rewrites applied and the full result, so it can be reopened after a reload.
+// Nothing here is sent to the server.
+
+const DB_NAME = 'jd-match'
+const DB_VERSION = 1
+const STORE = 'sessions'
+const EXPORT_FORMAT = 1
+
+let dbPromise = null
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' })
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // A failed open (private browsing in some browsers) may work next time
+    dbPromise.catch(() => {
+      dbPromise = null
+    })
+  }
+  return dbPromise
+}
+
+// Runs `fn(store)` in one transaction and resolves with its request's result
+async function withStore(mode, fn) {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode)
+    const request = fn(tx.objectStore(STORE))
+    tx.oncomplete = () => resolve(request?.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+// crypto.randomUUID is also limited to secure contexts
+export function newSessionId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+}
+
+export function isHistoryAvailable() {
+  return typeof indexedDB !== 'undefined'
+}
+
+// Newest first
+export async function listSessions() {
+  const sessions = await withStore('readonly', (store) => store.getAll())
+  return sessions.map(toSession).filter(Boolean).sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+}
+
+export function getSession(id) {
+  return withStore('readonly', (store) => store.get(id)).then(toSession)
+}
+
+export function saveSession(session) {
+  return withStore('readwrite', (store) => store.put({ ...session, updatedAt: new Date().toISOString() }))
+}
+
+export function deleteSession(id) {
+  return withStore('readwrite', (store) => store.delete(id))
+}
+
+// Same job description after whitespace and case are evened out, so a JD
+// pasted again from another page still groups with its earlier runs. A plain
+// 53-bit string hash: crypto.subtle is missing outside secure contexts.
+export function jobDescriptionKey(text) {
+  const normalized = text.replace(/\s+/g, ' ').trim().toLowerCase()
+  let h1 = 0xdeadbeef
+  let h2 = 0x41c6ce57
+  for (let i = 0; i < normalized.length; i++) {
+    const ch = normalized.charCodeAt(i)
+    h1 = Math.imul(h1 ^ ch, 2654435761)
+    h2 = Math.imul(h2 ^ ch, 1597334677)
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36)
+}
+
+// Up to the first 60 characters of the JD's first non-empty line
+export function defaultSessionName(jobDescription) {
+  const line = jobDescription.split('\n').map((l) => l.trim()).find(Boolean) || 'Untitled analysis'
+  return line.length > 60 ? `${line.slice(0, 57)}…` : line
+}
+
+export async function exportSessions() {
+  const sessions = await listSessions()
+  return JSON.stringify({ app: 'jd-match', format: EXPORT_FORMAT, exportedAt: new Date().toISOString(), sessions }, null, 2)
+}
+
+// What the results view reads from an analysis, by path. `[]` stands for
+// every item of an array, and a `?` type may also be missing. Children are
+// only checked where their parent is present.
+const RESULT_SHAPE = [
+  ['overall', 'object?'],
+  ['overall.score', 'number'],
+  ['overall.range', 'array'],
+  ['overall.range[]', 'number'],
+  ['overall.preset', 'string'],
+  ['overall.confidence', 'number'],
+  ['tech_match', 'number?'],
+  ['impact_match', 'number?'],
+  ['ats_compatibility', 'number?'],
+  ['strict_score', 'number?'],
+  ['summary', 'string?'],
+  ['extraction', 'object?'],
+  ['extraction.chars', 'number'],
+  ['extraction.pages', 'number?'],
+  ['extraction.scannedPages', 'array?'],
+  ['extraction.scannedPages[]', 'number'],
+  ['extraction.ocr', 'object?'],
+  ['extraction.ocr.pages', 'array'],
+  ['extraction.ocr.pages[]', 'number'],
+  ['extraction.ocr.confidence', 'number?'],
+  ['injection_check', 'object?'],
+  ['injection_check.passages', 'array'],
+  ['injection_check.passages[]', 'object'],
+  ['injection_check.passages[].reason', 'string'],
+  ['injection_check.passages[].text', 'string'],
+  ['formatting_audit', 'object?'],
+  ['formatting_audit.score', 'number'],
+  ['formatting_audit.source', 'string'],
+  ['formatting_audit.findings', 'array'],
+  ['formatting_audit.findings[]', 'object'],
+  ['formatting_audit.findings[].title', 'string'],
+  ['formatting_audit.findings[].detail', 'string'],
+  ['skill_match', 'object?'],
+  ['skill_match.score', 'number'],
+  ['skill_match.skills', 'array'],
+  ['skill_match.skills[]', 'object'],
+  ['skill_match.skills[].name', 'string'],
+  ['skill_match.skills[].hits', 'array'],
+  ['skill_match.skills[].hits[]', 'object'],
+  ['skill_match.skills[].hits[].text', 'string'],
+  ['skill_match.keyword_check', 'object?'],
+  ['skill_match.keyword_check.also_missing', 'array'],
+  ['skill_match.keyword_check.also_missing[]', 'string'],
+  ['skill_match.keyword_check.found_in_resume', 'array'],
+  ['skill_match.keyword_check.found_in_resume[]', 'object'],
+  ['skill_match.keyword_check.found_in_resume[].text', 'string'],
+  ['missing_keywords', 'array?'],
+  ['missing_keywords[]', 'string'],
+  ['skills', 'array?'],
+  ['skills[]', 'object'],
+  ['skills[].name', 'string'],
+  ['skills[].weight', 'number'],
+  ['skills[].evidence', 'array'],
+  ['skills[].evidence[]', 'object'],
+  ['skills[].evidence[].text', 'string'],
+  ['hallucination_check', 'array?'],
+  ['hallucination_check[]', 'object'],
+  ['hallucination_check[].skill', 'string'],
+  ['hallucination_check[].reason', 'string'],
+  ['redaction', 'object?'],
+  ['redaction.level', 'string'],
+  ['redaction.counts', 'object'],
+  ['cache', 'object?'],
+  ['model', 'object?'],
+  ['model.name', 'string?'],
+  // Rewrites still streaming in are null until they arrive
+  ['rewrites', 'array?'],
+  ['rewrites[]', 'object?'],
+  ['rewrites[].original', 'string'],
+  ['rewrites[].suggested', 'string'],
+  ['rewrites[].why', 'string?'],
+]
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array'
+  return value === null ? 'null' : typeof value
+}
+
+// The values at `path`, skipping branches whose parent is missing
+function valuesAt(value, path) {
+  let values = [value]
+  for (const key of path.split('.')) {
+    values = values.flatMap((parent) => {
+      if (parent == null) return []
+      return key.endsWith('[]') ? parent[key.slice(0, -2)] ?? [] : [parent[key]]
+    })
+  }
+  return values
+}
+
+function hasResultShape(results) {
+  if (typeOf(results) !== 'object') return false
+  return RESULT_SHAPE.every(([path, type]) => {
+    const optional = type.endsWith('?')
+    return valuesAt(results, path).every((value) => (optional && value == null) || typeOf(value) === type.replace('?', ''))
+  })
+}
+
+// An applied rewrite is { index, original, suggested, start }, or just the
+// index in sessions saved before rewrites could be reverted
+function isAppliedRewrite(entry, rewrites) {
+  if (typeof entry === 'number') return Boolean(rewrites?.[entry])
+  return (
+    typeOf(entry) === 'object' &&
+    Number.isInteger(entry.index) &&
+    typeof entry.original === 'string' &&
+    typeof entry.suggested === 'string' &&
+    typeof entry.start === 'number'
+  )
+}
+
+// The session the UI can open, with the fields an older or hand-edited one
+// lacks filled in, or null when a field it reads has the wrong type. Sessions
+// are checked when read back too, since the last one is reopened on every load.
+function toSession(value) {
+  if (typeOf(value) !== 'object') return null
+  const { id, createdAt, jobDescription, resumeText, results, appliedRewrites = [] } = value
+  if (typeof id !== 'string' || !id) return null
+  if (typeof createdAt !== 'string' || Number.isNaN(Date.parse(createdAt))) return null
+  if (typeof jobDescription !== 'string' || typeof resumeText !== 'string') return null
+  if (!hasResultShape(results)) return null
+  if (!Array.isArray(appliedRewrites) || !appliedRewrites.every((entry) => isAppliedRewrite(entry, results.rewrites))) return null
+  return {
+    ...value,
+    name: typeof value.name === 'string' && value.name.trim() ? value.name : defaultSessionName(jobDescription),
+    fileName: typeof value.fileName === 'string' && value.fileName ? value.fileName : 'resume.txt',
+    originalResumeText: typeof value.originalResumeText === 'string' ? value.originalResumeText : resumeText,
+    appliedRewrites,
+    jdKey: jobDescriptionKey(jobDescription),
+  }
+}
+
+// Adds the sessions in an export file, replacing any with the same ID.
+// Resolves with the number imported; throws on a file that isn't an export.
+export async function importSessions(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('That file is not valid JSON.')
+  }
+  if (data?.app !== 'jd-match' || !Array.isArray(data.sessions)) {
+    throw new Error('That file is not a JD-Match history export.')
+  }
+  if (data.format > EXPORT_FORMAT) {
+    throw new Error('That export was made by a newer version of JD-Match.')
+  }
+  const sessions = data.sessions.map(toSession).filter(Boolean)
+  await withStore('readwrite', (store) => {
+    for (const session of sessions) store.put(session)
+  })
+  return sessions.length
+}
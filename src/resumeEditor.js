@@ -0,0 +1,73 @@
+import { useReducer } from 'react'
+
+// Edit history for the Live Resume. Each step is a snapshot of the text and
+// the rewrites applied to it ({ index, original, suggested, start }: the
+// rewrite's position in results.rewrites, the text it replaced, the text it
+// put in and where), so undo and redo bring both back together. `original`
+// is the resume as extracted, for the changes view.
+
+// Keystrokes this close together are undone as one step
+const TYPING_GROUP_MS = 1000
+const MAX_STEPS = 200
+
+export function initialState(text = '', applied = [], original = text) {
+  return { original, past: [], present: { text, applied }, future: [], typingAt: 0 }
+}
+
+export function reducer(state, action) {
+  switch (action.type) {
+    case 'load':
+      return initialState(action.text, action.applied, action.original)
+    case 'change': {
+      const applied = action.applied ?? state.present.applied
+      if (action.text === state.present.text && applied === state.present.applied) return state
+      const grouped = action.typingAt && state.typingAt && action.typingAt - state.typingAt < TYPING_GROUP_MS
+      return {
+        ...state,
+        past: grouped ? state.past : [...state.past, state.present].slice(-MAX_STEPS),
+        present: { text: action.text, applied },
+        future: [],
+        typingAt: action.typingAt || 0,
+      }
+    }
+    case 'undo':
+      if (state.past.length === 0) return state
+      return {
+        ...state,
+        past: state.past.slice(0, -1),
+        present: state.past[state.past.length - 1],
+        future: [state.present, ...state.future],
+        typingAt: 0,
+      }
+    case 'redo':
+      if (state.future.length === 0) return state
+      return {
+        ...state,
+        past: [...state.past, state.present],
+        present: state.future[0],
+        future: state.future.slice(1),
+        typingAt: 0,
+      }
+    default:
+      return state
+  }
+}
+
+export function useResumeEditor() {
+  const [state, dispatch] = useReducer(reducer, undefined, () => initialState())
+
+  return {
+    resumeText: state.present.text,
+    appliedRewrites: state.present.applied,
+    originalText: state.original,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+    // Starts a new history; `original` defaults to `text`
+    load: (text, { applied = [], original } = {}) => dispatch({ type: 'load', text, applied, original: original ?? text }),
+    // Text typed in the editor; the applied rewrites are kept as they are
+    type: (text) => dispatch({ type: 'change', text, typingAt: Date.now() }),
+    change: (text, applied) => dispatch({ type: 'change', text, applied }),
+    undo: () => dispatch({ type: 'undo' }),
+    redo: () => dispatch({ type: 'redo' }),
+  }
+}
@@ -0,0 +1,32 @@
+// One threshold table for every score color and label
+export const SCORE_BANDS = [
+  { min: 75, label: 'Strong Match', text: 'text-green-500', labelColor: 'text-green-500 dark:text-green-400', stroke: '#22c55e' },
+  { min: 50, label: 'Good Start', text: 'text-yellow-500', labelColor: 'text-yellow-500 dark:text-yellow-400', stroke: '#eab308' },
+  { min: 0, label: 'Needs Work', text: 'text-red-500', labelColor: 'text-red-500 dark:text-red-400', stroke: '#ef4444' },
+]
+
+export function getScoreBand(score) {
+  return SCORE_BANDS.find((band) => score >= band.min) || SCORE_BANDS[SCORE_BANDS.length - 1]
+}
+
+export function getScoreColor(score) {
+  return getScoreBand(score).text
+}
+
+export function getStrokeColor(score) {
+  return getScoreBand(score).stroke
+}
+
+export function getScoreLabel(score) {
+  const band = getScoreBand(score)
+  return { text: band.label, color: band.labelColor }
+}
+
+// Scoring presets understood by the server (server/lib/scoring.js)
+export const ROLE_PRESETS = [
+  { value: 'balanced', label: 'Balanced' },
+  { value: 'engineering', label: 'Engineering' },
+  { value: 'sales', label: 'Sales' },
+  { value: 'design', label: 'Design & Creative' },
+  { value: 'leadership', label: 'Leadership' },
+]
@@ -0,0 +1,62 @@
+// The rule-based formatting audit, from PDF layouts and DOCX parts
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const JSZip = require('jszip')
+const { auditFormatting } = require('../server/lib/ats-audit.js')
+
+const WIDTH = 612
+const HEIGHT = 792
+const LINE = 'Built and shipped customer-facing features'
+
+// A page of prose lines; `column` adds the same lines again halfway across
+function page({ column = false, fonts = [{ name: 'ABCDEF+Calibri', embedded: true }], imageCount = 0, footer } = {}) {
+  const items = []
+  for (let i = 0; i < 10; i++) {
+    const y = 700 - i * 20
+    items.push({ str: LINE, x: 50, y, width: 220, height: 10 })
+    if (column) items.push({ str: LINE, x: 330, y, width: 220, height: 10 })
+  }
+  if (footer) items.push({ str: footer, x: 250, y: 20, width: 100, height: 8 })
+  return { width: WIDTH, height: HEIGHT, items, fonts, imageCount }
+}
+
+function ids(audit) {
+  return audit.findings.map((finding) => finding.id)
+}
+
+test('a plain one-column PDF has no findings', async () => {
+  const audit = await auditFormatting({ format: 'pdf', layout: { pages: [page()] } })
+  assert.equal(audit.source, 'pdf')
+  assert.deepEqual(audit.findings, [])
+  assert.equal(audit.score, 100)
+  assert.equal(audit.columns, 1)
+})
+
+test('PDF columns, images, icon fonts and repeated footers are found and scored', async () => {
+  const fonts = [{ name: 'Calibri', embedded: true }, { name: 'FontAwesome', embedded: true }]
+  const layout = { pages: [page({ column: true, fonts, imageCount: 1, footer: 'Page 1 of 2' }), page({ footer: 'Page 2 of 2' })] }
+  const audit = await auditFormatting({ format: 'pdf', layout })
+  assert.deepEqual(ids(audit), ['multi-column', 'images', 'header-footer', 'icon-fonts'])
+  assert.equal(audit.columns, 2)
+  assert.match(audit.findings[0].detail, /^Page 1 uses/)
+  // high 20 + medium 10 + medium 10 + medium 10
+  assert.equal(audit.score, 50)
+})
+
+test('DOCX tables, text boxes, columns and header text are found', async () => {
+  const zip = new JSZip()
+  zip.file('word/document.xml', '<w:document><w:body><w:tbl></w:tbl><w:txbxContent></w:txbxContent><w:sectPr><w:cols w:num="2"/></w:sectPr></w:body></w:document>')
+  zip.file('word/header1.xml', '<w:hdr><w:p><w:r><w:t>jane@example.com</w:t></w:r></w:p></w:hdr>')
+  const audit = await auditFormatting({ format: 'docx', buffer: await zip.generateAsync({ type: 'nodebuffer' }) })
+  assert.equal(audit.source, 'docx')
+  assert.deepEqual(ids(audit), ['tables', 'text-boxes', 'multi-column', 'header-footer'])
+  assert.match(audit.findings[3].detail, /jane@example\.com/)
+})
+
+test('formats without layout information are not audited', async () => {
+  assert.equal(await auditFormatting({ format: 'text', buffer: Buffer.from('Jane Doe') }), null)
+  assert.equal(await auditFormatting({ format: 'rtf', buffer: Buffer.from('{\\rtf1}') }), null)
+})
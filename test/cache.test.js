@@ -0,0 +1,94 @@
+// Analysis cache keys, the memory and file backends, and cache hits in analyze()
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readdirSync, rmSync, statSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const { analysisCacheKey } = require('../server/lib/cache/index.js')
+const { createMemoryCache } = require('../server/lib/cache/memory.js')
+const { createFileCache } = require('../server/lib/cache/file.js')
+const { createProvider } = require('../server/lib/providers/index.js')
+const { analyze } = require('../server/lib/engine.js')
+
+const MODEL = { name: 'mock', model: 'fixture' }
+
+const RESUME = `Jane Doe
+Worked on the frontend of the company website.
+Responsible for APIs.
+Skills: JavaScript, React`
+
+const JOB = 'Senior Frontend Engineer\nReact, Node.js and GraphQL.'
+
+function tempDir() {
+  return mkdtempSync(path.join(tmpdir(), 'jd-match-cache-'))
+}
+
+test('keys ignore whitespace and line endings but not the model', () => {
+  const key = analysisCacheKey({ resumeText: 'Jane  Doe\n\n\n\nReact ', jobDescription: 'JD', provider: MODEL })
+  assert.equal(analysisCacheKey({ resumeText: 'Jane Doe\r\n\r\nReact', jobDescription: 'JD ', provider: MODEL }), key)
+  assert.notEqual(analysisCacheKey({ resumeText: 'Jane Doe\n\nReact', jobDescription: 'JD', provider: { ...MODEL, model: 'other' } }), key)
+})
+
+test('the memory cache evicts the least recently used entry', async () => {
+  const cache = createMemoryCache({ maxEntries: 2, ttlMs: 60000 })
+  await cache.set('a', 1)
+  await cache.set('b', 2)
+  await cache.get('a')
+  await cache.set('c', 3)
+  assert.equal((await cache.get('a')).value, 1)
+  assert.equal(await cache.get('b'), null)
+})
+
+test('expired entries are misses', async () => {
+  const dir = tempDir()
+  try {
+    for (const cache of [createMemoryCache({ maxEntries: 10, ttlMs: -1 }), createFileCache({ dir, ttlMs: -1 })]) {
+      await cache.set('key', { score: 1 })
+      assert.equal(await cache.get('key'), null)
+    }
+    assert.deepEqual(readdirSync(dir), [])
+  } finally {
+    rmSync(dir, { recursive: true, force: true })
+  }
+})
+
+test('file entries are private to their owner and concurrent writes do not collide', { skip: process.platform === 'win32' }, async () => {
+  const dir = path.join(tempDir(), 'cache')
+  try {
+    const cache = createFileCache({ dir, ttlMs: 60000 })
+    await Promise.all([cache.set('key', { score: 1 }), cache.set('key', { score: 2 }), cache.set('key', { score: 3 })])
+    assert.deepEqual(readdirSync(dir), ['key.json'])
+    assert.equal(statSync(dir).mode & 0o777, 0o700)
+    assert.equal(statSync(path.join(dir, 'key.json')).mode & 0o777, 0o600)
+    assert.ok([1, 2, 3].includes((await cache.get('key')).value.score))
+  } finally {
+    rmSync(path.dirname(dir), { recursive: true, force: true })
+  }
+})
+
+test('a hit skips the model and re-quotes rewrites from the current resume', async () => {
+  const provider = createProvider({ LLM_PROVIDER: 'mock' })
+  let calls = 0
+  const generate = provider.generate.bind(provider)
+  provider.generate = (...args) => {
+    calls++
+    return generate(...args)
+  }
+  const cache = createMemoryCache({ maxEntries: 10, ttlMs: 60000 })
+
+  const first = await analyze({ resumeText: RESUME, jobDescription: JOB, options: { provider, cache } })
+  assert.equal(first.cache.hit, false)
+
+  const respaced = RESUME.replace('frontend of the', 'frontend  of the')
+  const second = await analyze({ resumeText: respaced, jobDescription: JOB, options: { provider, cache } })
+  assert.equal(second.cache.hit, true)
+  assert.equal(calls, 1)
+  assert.equal(second.rewrites[0].original, 'Worked on the frontend  of the company website.')
+
+  const fresh = await analyze({ resumeText: RESUME, jobDescription: JOB, options: { provider, cache, fresh: true } })
+  assert.equal(fresh.cache.hit, false)
+  assert.equal(calls, 2)
+})
@@ -0,0 +1,44 @@
+// Job callbacks must not reach the server's own network
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const { checkCallbackUrl, deliverCallback } = require('../server/lib/jobs/callback.js')
+
+const env = { JOB_CALLBACK_SECRET: 'secret' }
+const log = { warn() {} }
+
+test('private and metadata addresses are refused when the job is submitted', () => {
+  for (const host of ['localhost', '127.0.0.1', '10.1.2.3', '100.64.0.1', '169.254.169.254', '[::1]', '[fd00::1]', '[::ffff:127.0.0.1]']) {
+    assert.throws(() => checkCallbackUrl(`http://${host}/hook`, env), { code: 'INVALID_CALLBACK_URL' }, host)
+  }
+  for (const host of ['example.com', '8.8.8.8', '[::ffff:8.8.8.8]', '[2001:4860::1]']) {
+    assert.equal(checkCallbackUrl(`https://${host}/hook`, env), new URL(`https://${host}/hook`).href)
+  }
+})
+
+test('a private receiver gets no request unless private callbacks are allowed', async () => {
+  let requests = 0
+  const server = http.createServer((req, res) => {
+    requests++
+    req.resume()
+    req.on('end', () => res.end())
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  const url = `http://127.0.0.1:${server.address().port}/hook`
+
+  try {
+    const refused = await deliverCallback(url, { id: 'job' }, { event: 'job.succeeded', secret: 'secret', log })
+    assert.equal(refused.ok, false)
+    assert.equal(refused.attempts, 1)
+    assert.equal(requests, 0)
+
+    const delivered = await deliverCallback(url, { id: 'job' }, { event: 'job.succeeded', secret: 'secret', allowPrivate: true, log })
+    assert.equal(delivered.ok, true)
+    assert.equal(requests, 1)
+  } finally {
+    server.close()
+  }
+})
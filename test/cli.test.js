@@ -0,0 +1,76 @@
+// The jd-match CLI's output formats and exit codes, run on the mock provider
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawnSync } from 'node:child_process'
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const CLI = fileURLToPath(new URL('../server/bin/jd-match.js', import.meta.url))
+
+let dir
+let resume
+let jd
+
+before(() => {
+  dir = mkdtempSync(path.join(tmpdir(), 'jd-match-cli-'))
+  resume = path.join(dir, 'resume.txt')
+  jd = path.join(dir, 'jd.txt')
+  writeFileSync(resume, 'Jane Doe\nWorked on the frontend of the company website.\nSkills: JavaScript, React')
+  writeFileSync(jd, 'Senior Frontend Engineer\nReact, Node.js and GraphQL.')
+})
+
+after(() => rmSync(dir, { recursive: true, force: true }))
+
+function run(args, env = {}) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], {
+    cwd: dir,
+    encoding: 'utf8',
+    env: { ...process.env, LLM_PROVIDER: 'mock', ...env },
+    timeout: 30000,
+  })
+  return { status, stdout, stderr }
+}
+
+test('analyze prints a JSON report without the resume text', () => {
+  const { status, stdout } = run(['analyze', resume, '--jd', jd, '--format', 'json'])
+  assert.equal(status, 0)
+  const report = JSON.parse(stdout)
+  assert.equal(report.tech_match, 72)
+  assert.equal(report.overall.preset, 'balanced')
+  assert.equal(report.resumeText, undefined)
+})
+
+test('markdown and table reports', () => {
+  assert.match(run(['analyze', resume, '--jd', jd, '-f', 'markdown']).stdout, /^# JD-Match: resume\.txt/)
+  assert.match(run(['analyze', resume, '--jd', jd]).stdout, /Overall/)
+})
+
+test('a score below --min-score exits with 3', () => {
+  const { status, stderr } = run(['analyze', resume, '--jd', jd, '--min-score', '100'])
+  assert.equal(status, 3)
+  assert.match(stderr, /is below --min-score 100/)
+})
+
+test('usage errors exit with 2', () => {
+  assert.equal(run(['analyze', resume]).status, 2)
+  assert.equal(run(['score', resume, '--jd', jd]).status, 2)
+  assert.equal(run(['analyze', resume, '--jd', jd, '--format', 'xml']).status, 2)
+  assert.equal(run(['analyze', resume, '--jd', jd, '--preset', 'astronaut']).status, 2)
+  assert.equal(run(['analyze', path.join(dir, 'missing.pdf'), '--jd', jd]).status, 2)
+})
+
+test('provider errors map to their own exit codes', () => {
+  assert.equal(run(['analyze', resume, '--jd', jd], { MOCK_ERROR: 'SAFETY' }).status, 5)
+  assert.equal(run(['analyze', resume, '--jd', jd], { MOCK_ERROR: 'API_KEY_INVALID' }).status, 7)
+})
+
+test('rewrite writes the refined resume next to the original', () => {
+  const { status, stdout } = run(['rewrite', resume, '--jd', jd, '--format', 'json'])
+  assert.equal(status, 0)
+  const summary = JSON.parse(stdout)
+  assert.equal(summary.output, path.join(dir, 'resume.refined.txt'))
+  assert.equal(readFileSync(summary.output, 'utf8').length > 0, true)
+  assert.equal(summary.applied.length + summary.skipped.length, 3)
+})
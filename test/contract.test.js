@@ -0,0 +1,393 @@
+// Contract tests: the Express server and the Vercel functions are thin
+// adapters over the same engine, so the same request must get the same
+// status and body from both. Every request runs against the mock provider.
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { createRequire } from 'node:module'
+
+// The cache, the rate limit and the daily quota would let the first backend's
+// request change the second one's answer
+Object.assign(process.env, {
+  LLM_PROVIDER: 'mock',
+  LLM_FALLBACK_MODELS: '',
+  ANALYSIS_CACHE: 'none',
+  RATE_LIMIT_MAX: '0',
+  SERVER_KEY_DAILY_QUOTA: '0',
+  MAX_UPLOAD_MB: '1',
+  LOG_LEVEL: 'error',
+})
+
+const require = createRequire(import.meta.url)
+const { app } = require('../server/index.js')
+const vercel = {
+  '/api/analyze': (await import('../api/analyze.js')).default,
+  '/api/compare': (await import('../api/compare.js')).default,
+  '/api/rank': (await import('../api/rank.js')).default,
+  '/api/redact': (await import('../api/redact.js')).default,
+  '/api/metrics': (await import('../api/metrics.js')).default,
+  '/api/v1/analyze': (await import('../api/v1/analyze.js')).default,
+  '/api/jobs': (await import('../api/jobs/index.js')).default,
+  // Reached through the rewrite in vercel.json
+  '/api/v1/openapi.json': (await import('../api/v1/openapi.js')).default,
+}
+
+const RESUME = `Jane Doe
+Software Engineer
+
+Rebuilt the checkout flow in React, raising conversion by 12%.
+Worked on the frontend of the company website.
+Responsible for APIs.
+Helped with testing.
+Skills: JavaScript, Node.js, React`
+
+const JOB = `Senior Frontend Engineer
+We need React, Node.js, GraphQL, Kubernetes and CI/CD experience.`
+
+// The request helpers Vercel's Node runtime adds to req and res
+function vercelRouter(req, res) {
+  const url = new URL(req.url, 'http://localhost')
+  req.query = Object.fromEntries(url.searchParams)
+  // The /api/jobs/:id rewrite in vercel.json
+  const jobId = url.pathname.match(/^\/api\/jobs\/([^/]+)$/)
+  if (jobId) req.query.id = jobId[1]
+  const handler = vercel[jobId ? '/api/jobs' : url.pathname]
+  res.status = (code) => {
+    res.statusCode = code
+    return res
+  }
+  res.json = (body) => {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8')
+    res.end(JSON.stringify(body))
+    return res
+  }
+  if (!handler) return res.status(404).json({ error: 'Not found' })
+  handler(req, res)
+}
+
+const servers = {}
+const bases = {}
+
+function listen(name, server) {
+  servers[name] = server
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      bases[name] = `http://127.0.0.1:${server.address().port}`
+      resolve()
+    })
+  })
+}
+
+before(async () => {
+  await listen('express', http.createServer(app))
+  await listen('vercel', http.createServer(vercelRouter))
+})
+
+after(() => {
+  for (const server of Object.values(servers)) server.close()
+})
+
+// Fields are [name, value] pairs so a field can repeat; a value with
+// `content` is sent as a file
+function formData(fields) {
+  const form = new FormData()
+  for (const [name, value] of fields) {
+    if (value?.content !== undefined) form.append(name, new Blob([value.content], { type: value.type }), value.filename)
+    else form.append(name, value)
+  }
+  return form
+}
+
+// Per-request values that are expected to differ
+function stable(body) {
+  if (!body || typeof body !== 'object') return body
+  const { request_id, ...rest } = body
+  if (rest.meta) {
+    const { request_id: metaRequestId, duration_ms, ...meta } = rest.meta
+    rest.meta = meta
+  }
+  return rest
+}
+
+async function send(base, path, init) {
+  const res = await fetch(`${base}${path}`, init())
+  const text = await res.text()
+  const type = res.headers.get('content-type') || ''
+  return {
+    status: res.status,
+    retryAfter: res.headers.get('retry-after'),
+    body: type.includes('application/json') ? stable(JSON.parse(text)) : text,
+  }
+}
+
+// Sends the same request to both backends and checks the answers match.
+// `init` builds a fresh request each time, since a body can only be read once.
+async function sameAnswer(path, init) {
+  const express = await send(bases.express, path, init)
+  const vercelAnswer = await send(bases.vercel, path, init)
+  assert.deepEqual(vercelAnswer, express)
+  return express
+}
+
+function post(fields) {
+  return () => ({ method: 'POST', body: formData(fields) })
+}
+
+function postJson(body) {
+  return () => ({ method: 'POST', headers: { 'Content-Type': 'application/json' }, body })
+}
+
+test('pasted resume text', async () => {
+  const { status, body } = await sameAnswer('/api/analyze', post([['resumeText', RESUME], ['jobDescription', JOB]]))
+  assert.equal(status, 200)
+  assert.equal(body.overall.preset, 'balanced')
+  // Multipart form fields carry CRLF line endings
+  assert.equal(body.resumeText.replace(/\r\n/g, '\n'), RESUME)
+})
+
+test('repeated fields use the first value', async () => {
+  const { status, body } = await sameAnswer('/api/analyze', post([
+    ['resumeText', RESUME],
+    ['resumeText', 'A second, ignored resume.'],
+    ['jobDescription', JOB],
+    ['jobDescription', 'A second, ignored job description.'],
+    ['preset', 'sales'],
+    ['preset', 'design'],
+  ]))
+  assert.equal(status, 200)
+  assert.equal(body.resumeText.replace(/\r\n/g, '\n'), RESUME)
+  assert.equal(body.overall.preset, 'sales')
+})
+
+test('missing job description', async () => {
+  const { status, body } = await sameAnswer('/api/analyze', post([['resumeText', RESUME]]))
+  assert.equal(status, 400)
+  assert.equal(body.error, 'Job description is required.')
+})
+
+test('missing resume', async () => {
+  const { status, body } = await sameAnswer('/api/analyze', post([['jobDescription', JOB]]))
+  assert.equal(status, 400)
+  assert.equal(body.error, 'Resume file or text is required.')
+})
+
+test('unknown preset', async () => {
+  const { status, body } = await sameAnswer('/api/analyze', post([['resumeText', RESUME], ['jobDescription', JOB], ['preset', 'astronaut']]))
+  assert.equal(status, 400)
+  assert.equal(body.code, 'INVALID_PRESET')
+})
+
+test('uploaded text file', async () => {
+  const { status, body } = await sameAnswer('/api/analyze', post([
+    ['resume', { content: RESUME, type: 'text/plain', filename: 'resume.txt' }],
+    ['jobDescription', JOB],
+  ]))
+  assert.equal(status, 200)
+  assert.equal(body.resumeText, RESUME)
+})
+
+test('image uploaded as a resume', async () => {
+  const png = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d, 0x49, 0x48, 0x44, 0x52])
+  const { status, body } = await sameAnswer('/api/analyze', post([
+    ['resume', { content: png, type: 'application/pdf', filename: 'resume.pdf' }],
+    ['jobDescription', JOB],
+  ]))
+  assert.equal(status, 415)
+  assert.equal(body.code, 'UNSUPPORTED_FILE_TYPE')
+})
+
+test('damaged PDF', async () => {
+  const { status } = await sameAnswer('/api/analyze', post([
+    ['resume', { content: '%PDF-1.7\nthis is not really a PDF', type: 'application/pdf', filename: 'resume.pdf' }],
+    ['jobDescription', JOB],
+  ]))
+  assert.equal(status, 422)
+})
+
+test('file over the upload limit', async () => {
+  const { status, body } = await sameAnswer('/api/analyze', post([
+    ['resume', { content: 'x'.repeat(1024 * 1024 + 1), type: 'text/plain', filename: 'resume.txt' }],
+    ['jobDescription', JOB],
+  ]))
+  assert.equal(status, 413)
+  assert.equal(body.code, 'FILE_TOO_LARGE')
+})
+
+test('streamed analysis sends the same events', async () => {
+  const { status, body } = await sameAnswer('/api/analyze?stream=1', post([['resumeText', RESUME], ['jobDescription', JOB]]))
+  assert.equal(status, 200)
+  const events = [...body.matchAll(/^event: (\w+)$/gm)].map((match) => match[1])
+  assert.equal(events[0], 'extracted')
+  assert.equal(events.at(-1), 'result')
+})
+
+test('errors before the first event are a plain JSON response', async () => {
+  const { status, body } = await sameAnswer('/api/analyze?stream=1', post([['resumeText', RESUME]]))
+  assert.equal(status, 400)
+  assert.equal(body.error, 'Job description is required.')
+})
+
+test('candidate mode', async () => {
+  const { status, body } = await sameAnswer('/api/compare', post([
+    ['resumeText', RESUME],
+    ['jobDescriptions', JOB],
+    ['jobDescriptions', 'Backend Engineer\nNode.js, PostgreSQL and Kubernetes.'],
+  ]))
+  assert.equal(status, 200)
+  assert.equal(body.jobs.length, 2)
+})
+
+test('recruiter mode', async () => {
+  const { status, body } = await sameAnswer('/api/rank', post([
+    ['jobDescription', JOB],
+    ['resumes', { content: RESUME, type: 'text/plain', filename: 'jane.txt' }],
+    ['resumes', { content: 'John Roe\nSales manager, 10 years in retail.', type: 'text/plain', filename: 'john.txt' }],
+  ]))
+  assert.equal(status, 200)
+  assert.equal(body.candidates.length, 2)
+})
+
+test('JSON body', async () => {
+  const { status, body } = await sameAnswer('/api/analyze', postJson(JSON.stringify({ resumeText: RESUME, jobDescription: JOB })))
+  assert.equal(status, 200)
+  assert.equal(body.resumeText, RESUME)
+})
+
+test('malformed JSON body', async () => {
+  const { status, body } = await sameAnswer('/api/analyze', postJson('{"resumeText": '))
+  assert.equal(status, 400)
+  assert.equal(body.code, 'INVALID_JSON')
+})
+
+test('JSON body over the size limit', async () => {
+  const { status, body } = await sameAnswer('/api/analyze', postJson(JSON.stringify({ resumeText: 'x'.repeat(3 * 1024 * 1024), jobDescription: JOB })))
+  assert.equal(status, 413)
+  assert.equal(body.code, 'REQUEST_TOO_LARGE')
+})
+
+test('field that is not text', async () => {
+  const { status, body } = await sameAnswer('/api/analyze', postJson(JSON.stringify({ resumeText: RESUME, jobDescription: { text: JOB } })))
+  assert.equal(status, 400)
+  assert.equal(body.code, 'INVALID_FIELD')
+})
+
+test('candidate mode from a JSON body', async () => {
+  const { status, body } = await sameAnswer('/api/compare', postJson(JSON.stringify({ resumeText: RESUME, jobDescriptions: JOB })))
+  assert.equal(status, 200)
+  assert.equal(body.jobs.length, 1)
+})
+
+test('analysis at the full redaction level', async () => {
+  const { status, body } = await sameAnswer('/api/analyze', post([['resumeText', RESUME], ['jobDescription', JOB], ['redaction', 'full']]))
+  assert.equal(status, 200)
+  assert.equal(body.redaction.level, 'full')
+  assert.equal(body.resumeText.replace(/\r\n/g, '\n'), RESUME)
+})
+
+test('unknown redaction level', async () => {
+  const { status, body } = await sameAnswer('/api/analyze', post([['resumeText', RESUME], ['jobDescription', JOB], ['redaction', 'everything']]))
+  assert.equal(status, 400)
+  assert.equal(body.code, 'INVALID_REDACTION')
+})
+
+test('redaction preview', async () => {
+  const { status, body } = await sameAnswer('/api/redact', post([['resumeText', `${RESUME}\njane@example.com`], ['jobDescription', JOB], ['redaction', 'full']]))
+  assert.equal(status, 200)
+  assert.match(body.resumeText, /^\[NAME_1\]\r?\n/)
+  assert.deepEqual(body.replacements.map((replacement) => replacement.type).sort(), ['email', 'name'])
+})
+
+test('redaction preview from a JSON body', async () => {
+  const { status, body } = await sameAnswer('/api/redact', postJson(JSON.stringify({ resumeText: `${RESUME}\njane@example.com` })))
+  assert.equal(status, 200)
+  assert.equal(body.level, 'contact')
+  assert.equal(body.resumeText, `${RESUME}\n[EMAIL_1]`)
+})
+
+test('errors carry the request ID the client sent', async () => {
+  for (const base of Object.values(bases)) {
+    const res = await fetch(`${base}/api/analyze`, { ...post([['resumeText', RESUME]])(), headers: { 'X-Request-Id': 'contract-test-1' } })
+    assert.equal(res.headers.get('x-request-id'), 'contract-test-1')
+    assert.equal((await res.json()).request_id, 'contract-test-1')
+  }
+})
+
+test('metrics need the token when one is set', async (t) => {
+  process.env.METRICS_TOKEN = 'scrape-me'
+  t.after(() => delete process.env.METRICS_TOKEN)
+  const { status } = await sameAnswer('/api/metrics', () => ({}))
+  assert.equal(status, 401)
+  for (const base of Object.values(bases)) {
+    const res = await fetch(`${base}/api/metrics`, { headers: { Authorization: 'Bearer scrape-me' } })
+    assert.equal(res.status, 200)
+    assert.match(await res.text(), /^# TYPE jdmatch_http_requests_total counter$/m)
+  }
+})
+
+test('v1 JSON request with resume text', async () => {
+  const { status, body } = await sameAnswer('/api/v1/analyze', postJson(JSON.stringify({ resume: { text: RESUME }, job_description: JOB, preset: 'engineering' })))
+  assert.equal(status, 200)
+  assert.deepEqual(body.errors, [])
+  assert.equal(body.data.overall.preset, 'engineering')
+  assert.equal(body.meta.api_version, 'v1')
+})
+
+test('v1 JSON request with a base64 resume file', async () => {
+  const { status, body } = await sameAnswer('/api/v1/analyze', postJson(JSON.stringify({ resume: { content: Buffer.from(RESUME).toString('base64') }, job_description: JOB })))
+  assert.equal(status, 200)
+  assert.equal(body.data.resume_text, RESUME)
+})
+
+test('v1 form request', async () => {
+  const { status, body } = await sameAnswer('/api/v1/analyze', post([['resume_text', RESUME], ['job_description', JOB]]))
+  assert.equal(status, 200)
+  assert.equal(body.data.overall.preset, 'balanced')
+})
+
+test('v1 request that breaks the schema', async () => {
+  const { status, body } = await sameAnswer('/api/v1/analyze', postJson(JSON.stringify({ resume: { text: RESUME, content: 'UmVzdW1l' }, job_description: JOB, score: 100 })))
+  assert.equal(status, 400)
+  assert.equal(body.data, null)
+  assert.deepEqual(body.errors.map((error) => [error.code, error.field]), [
+    ['INVALID_REQUEST', 'resume'],
+    ['INVALID_REQUEST', 'score'],
+  ])
+})
+
+test('v1 OpenAPI document', async () => {
+  const { status, body } = await sameAnswer('/api/v1/openapi.json', () => ({}))
+  assert.equal(status, 200)
+  assert.equal(body.openapi, '3.1.0')
+})
+
+// Polls a job on the backend that accepted it
+async function pollJob(base, location) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const job = await (await fetch(`${base}${location}`)).json()
+    if (job.finished_at) return job
+    await new Promise((resolve) => setTimeout(resolve, 20))
+  }
+  assert.fail(`${location} did not finish`)
+}
+
+test('asynchronous jobs are accepted, polled and finished the same way', async () => {
+  const finished = {}
+  for (const backend of ['express', 'vercel']) {
+    const res = await fetch(`${bases[backend]}/api/jobs`, post([['type', 'analyze'], ['resumeText', RESUME], ['jobDescription', JOB]])())
+    assert.equal(res.status, 202)
+    const accepted = await res.json()
+    assert.equal(res.headers.get('location'), `/api/jobs/${accepted.id}`)
+    assert.equal(accepted.status, 'queued')
+    finished[backend] = await pollJob(bases[backend], res.headers.get('location'))
+  }
+  assert.equal(finished.express.status, 'succeeded')
+  assert.deepEqual(finished.vercel.result, finished.express.result)
+  assert.deepEqual(finished.vercel.progress, finished.express.progress)
+
+  const unknown = await sameAnswer('/api/jobs/00000000-0000-4000-8000-000000000000', () => ({}))
+  assert.equal(unknown.status, 404)
+  assert.equal(unknown.body.code, 'JOB_NOT_FOUND')
+  const invalid = await sameAnswer('/api/jobs', post([['type', 'summarize'], ['resumeText', RESUME], ['jobDescription', JOB]]))
+  assert.equal(invalid.status, 400)
+  assert.equal(invalid.body.code, 'INVALID_JOB_TYPE')
+})
@@ -0,0 +1,21 @@
+// What each kind of failure looks like to the client, on every transport
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const { AnalysisError, toErrorResponse } = require('../server/lib/errors.js')
+const { ERROR_CODES, ProviderError } = require('../server/lib/providers')
+
+test('an analysis error keeps its status and message', () => {
+  const { status, body } = toErrorResponse(new AnalysisError(400, 'Job description is required.'))
+  assert.equal(status, 400)
+  assert.deepEqual(body, { error: 'Job description is required.' })
+})
+
+test('upstream provider errors are a 502 that does not echo the provider', () => {
+  const err = new ProviderError('Could not reach http://10.0.0.5:11434/v1: connect ECONNREFUSED', { code: ERROR_CODES.UPSTREAM, provider: 'ollama' })
+  const { status, body } = toErrorResponse(err)
+  assert.equal(status, 502)
+  assert.doesNotMatch(JSON.stringify(body), /10\.0\.0\.5|ECONNREFUSED/)
+})
@@ -0,0 +1,37 @@
+// Every evidence quote from the model is checked against the resume
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const { verifySkills } = require('../server/lib/evidence.js')
+
+const RESUME = 'Jane Doe\n• Migrated 40 services to\nKubernetes, cutting costs by 30%\nSkills: React, Docker'
+
+test('quotes are located exactly or across line breaks and case', () => {
+  const [skill] = verifySkills([{ name: 'Kubernetes', status: 'expertise', evidence: ['migrated 40 services to Kubernetes'] }], RESUME)
+  assert.equal(skill.status, 'expertise')
+  assert.equal(skill.weight, 1)
+  const [quote] = skill.evidence
+  assert.equal(quote.text, 'Migrated 40 services to\nKubernetes')
+  assert.equal(RESUME.slice(quote.start, quote.end), quote.text)
+})
+
+test('bullet markers and quotation marks around a quote are ignored', () => {
+  const [skill] = verifySkills([{ name: 'React', status: 'exposure', evidence: ['"Skills: React"', '• Skills: React'] }], RESUME)
+  assert.equal(skill.evidence.length, 1)
+  assert.deepEqual(skill.unverified, [])
+})
+
+test('a matched skill with no quote in the resume is downgraded to missing', () => {
+  const [skill] = verifySkills([{ name: 'Terraform', status: 'expertise', evidence: ['Wrote Terraform modules for 12 teams'] }], RESUME)
+  assert.equal(skill.status, 'missing')
+  assert.equal(skill.weight, 0)
+  assert.equal(skill.downgraded, true)
+  assert.deepEqual(skill.unverified, ['Wrote Terraform modules for 12 teams'])
+})
+
+test('a skill the model already called missing is not downgraded', () => {
+  const [skill] = verifySkills([{ name: 'GraphQL', status: 'missing', evidence: [] }], RESUME)
+  assert.equal(skill.downgraded, false)
+})
@@ -0,0 +1,87 @@
+// Resume formats are told apart by their bytes, whatever the upload claims
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const JSZip = require('jszip')
+const { extractResume, sniffFormat } = require('../server/lib/extract.js')
+const { auditFormatting } = require('../server/lib/ats-audit.js')
+
+function zip(files) {
+  const archive = new JSZip()
+  for (const [name, content] of Object.entries(files)) archive.file(name, content)
+  return archive.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+}
+
+function docx(paragraphs) {
+  return zip({
+    '[Content_Types].xml': '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>',
+    '_rels/.rels': '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>',
+    'word/document.xml': `<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${paragraphs.map((p) => `<w:p><w:r><w:t>${p}</w:t></w:r></w:p>`).join('')}</w:body></w:document>`,
+  })
+}
+
+function odt(paragraphs) {
+  return zip({
+    mimetype: 'application/vnd.oasis.opendocument.text',
+    'content.xml': `<?xml version="1.0"?><office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"><office:body><office:text>${paragraphs.map((p) => `<text:p>${p}</text:p>`).join('')}</office:text></office:body></office:document-content>`,
+  })
+}
+
+test('DOCX', async () => {
+  const { format, text } = await extractResume(await docx(['Jane Doe', 'React &amp; Node.js']))
+  assert.equal(format, 'docx')
+  assert.match(text, /Jane Doe\s+React & Node\.js/)
+})
+
+test('ODT, with its spacing and entities', async () => {
+  const { format, text } = await extractResume(await odt(['Jane<text:s text:c="2"/>Doe', 'R&amp;D engineer']))
+  assert.equal(format, 'odt')
+  assert.equal(text, 'Jane  Doe\nR&D engineer')
+})
+
+test('RTF, skipping the font table and decoding escapes', async () => {
+  const rtf = String.raw`{\rtf1\ansi{\fonttbl{\f0 Arial;}}\f0 Jane Doe\par Caf\'e9 owner \u8212? 10 years\par}`
+  const { format, text } = await extractResume(Buffer.from(rtf, 'latin1'))
+  assert.equal(format, 'rtf')
+  assert.equal(text, 'Jane Doe\nCafé owner — 10 years')
+})
+
+test('plain text and Markdown', async () => {
+  assert.equal((await sniffFormat(Buffer.from('Jane Doe\nSoftware Engineer'))).format, 'text')
+  assert.equal((await sniffFormat(Buffer.from('# Jane Doe\n- Built things'))).format, 'markdown')
+  const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('Jane Doe', 'utf16le')])
+  assert.equal((await extractResume(utf16)).text, 'Jane Doe')
+})
+
+test('a zip that is neither DOCX nor ODT is unsupported', async () => {
+  await assert.rejects(extractResume(await zip({ 'notes.txt': 'hello' })), { status: 415, code: 'UNSUPPORTED_FILE_TYPE' })
+})
+
+test('binary files are unsupported whatever their name', async () => {
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d, 0x49, 0x48, 0x44, 0x52])
+  await assert.rejects(extractResume(png), { status: 415, code: 'UNSUPPORTED_FILE_TYPE' })
+})
+
+test('a DOCX that unpacks beyond MAX_UNZIPPED_MB is refused before inflating', async (t) => {
+  process.env.MAX_UNZIPPED_MB = '1'
+  t.after(() => delete process.env.MAX_UNZIPPED_MB)
+  const bomb = await docx(['Jane Doe', ' '.repeat(2 * 1024 * 1024)])
+  assert.ok(bomb.length < 20 * 1024)
+  await assert.rejects(extractResume(bomb), { status: 413, code: 'ARCHIVE_TOO_LARGE' })
+  await assert.rejects(auditFormatting({ format: 'docx', buffer: bomb }), { status: 413, code: 'ARCHIVE_TOO_LARGE' })
+})
+
+test('an entry that understates its size is refused too', async (t) => {
+  process.env.MAX_UNZIPPED_MB = '1'
+  t.after(() => delete process.env.MAX_UNZIPPED_MB)
+  const bomb = await odt([' '.repeat(2 * 1024 * 1024)])
+  // Rewrite every size in the central directory to 100 bytes
+  let offset = bomb.readUInt32LE(bomb.lastIndexOf(Buffer.from('PK\x05\x06', 'latin1')) + 16)
+  while (bomb.readUInt32LE(offset) === 0x02014b50) {
+    bomb.writeUInt32LE(100, offset + 24)
+    offset += 46 + bomb.readUInt16LE(offset + 28) + bomb.readUInt16LE(offset + 30) + bomb.readUInt16LE(offset + 32)
+  }
+  await assert.rejects(extractResume(bomb), { status: 413, code: 'ARCHIVE_TOO_LARGE' })
+})
@@ -0,0 +1,101 @@
+// The browser history store, run against an in-memory IndexedDB
+import 'fake-indexeddb/auto'
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  listSessions,
+  getSession,
+  saveSession,
+  deleteSession,
+  exportSessions,
+  importSessions,
+  jobDescriptionKey,
+  defaultSessionName,
+} from '../src/history.js'
+
+const JOB = 'Senior Frontend Engineer\nReact, Node.js and GraphQL.'
+
+const RESULTS = {
+  overall: { score: 72, range: [65, 79], preset: 'balanced', confidence: 0.8 },
+  tech_match: 70,
+  summary: 'Strong React background.',
+  missing_keywords: ['GraphQL'],
+  rewrites: [{ original: 'Worked on the website.', suggested: 'Rebuilt the checkout in React.', why: 'Shows impact.' }],
+}
+
+function session(id, fields = {}) {
+  return { id, createdAt: '2026-03-01T10:00:00.000Z', jobDescription: JOB, resumeText: 'Jane Doe\nWorked on the website.', results: RESULTS, ...fields }
+}
+
+function exportFile(sessions, fields = {}) {
+  return JSON.stringify({ app: 'jd-match', format: 1, sessions, ...fields })
+}
+
+beforeEach(async () => {
+  for (const { id } of await listSessions()) await deleteSession(id)
+})
+
+test('sessions are listed newest first, with missing fields filled in', async () => {
+  await saveSession(session('older'))
+  await saveSession(session('newer', { createdAt: '2026-04-01T10:00:00.000Z', name: 'Acme frontend' }))
+
+  const sessions = await listSessions()
+  assert.deepEqual(sessions.map((saved) => saved.id), ['newer', 'older'])
+  assert.equal(sessions[0].name, 'Acme frontend')
+  const older = await getSession('older')
+  assert.equal(older.name, 'Senior Frontend Engineer')
+  assert.equal(older.fileName, 'resume.txt')
+  assert.equal(older.originalResumeText, older.resumeText)
+  assert.deepEqual(older.appliedRewrites, [])
+  assert.equal(older.jdKey, jobDescriptionKey(JOB))
+  assert.equal(await getSession('missing'), null)
+})
+
+test('an export imports back into an empty history', async () => {
+  await saveSession(session('a', { appliedRewrites: [{ index: 0, original: 'Worked on the website.', suggested: 'Rebuilt the checkout in React.', start: 9 }] }))
+  await saveSession(session('b', { createdAt: '2026-04-01T10:00:00.000Z' }))
+  const exported = await exportSessions()
+  const before = await listSessions()
+
+  for (const { id } of before) await deleteSession(id)
+  assert.equal(await importSessions(exported), 2)
+  assert.deepEqual(await listSessions(), before)
+})
+
+test('imported sessions the UI could not open are dropped', async () => {
+  const imported = await importSessions(exportFile([
+    session('valid', { appliedRewrites: [0] }),
+    session('bad-score', { results: { ...RESULTS, overall: { ...RESULTS.overall, score: '72' } } }),
+    session('bad-rewrite', { results: { ...RESULTS, rewrites: [{ original: 'Worked on the website.' }] } }),
+    session('bad-applied', { appliedRewrites: [{ index: 0, original: 'Worked on the website.' }] }),
+    session('unknown-applied', { appliedRewrites: [3] }),
+    session('bad-date', { createdAt: 'yesterday' }),
+    session('', {}),
+    { ...session('no-resume'), resumeText: undefined },
+    'not a session',
+  ]))
+  assert.equal(imported, 1)
+  assert.deepEqual((await listSessions()).map((saved) => saved.id), ['valid'])
+})
+
+test('an import replaces sessions with the same ID', async () => {
+  await saveSession(session('a', { name: 'Before' }))
+  await importSessions(exportFile([session('a', { name: 'After' })]))
+  const sessions = await listSessions()
+  assert.equal(sessions.length, 1)
+  assert.equal(sessions[0].name, 'After')
+})
+
+test('files that are not history exports are refused', async () => {
+  await assert.rejects(importSessions('{'), { message: 'That file is not valid JSON.' })
+  await assert.rejects(importSessions(JSON.stringify({ sessions: [] })), { message: 'That file is not a JD-Match history export.' })
+  await assert.rejects(importSessions(exportFile([], { format: 2 })), { message: 'That export was made by a newer version of JD-Match.' })
+})
+
+test('job descriptions group by their text, whatever the spacing or case', () => {
+  assert.equal(jobDescriptionKey('Senior  Frontend Engineer\n\nReact'), jobDescriptionKey('senior frontend engineer react '))
+  assert.notEqual(jobDescriptionKey('Senior Frontend Engineer'), jobDescriptionKey('Senior Backend Engineer'))
+  assert.equal(defaultSessionName('\n  Staff Engineer  \nRemote'), 'Staff Engineer')
+  assert.equal(defaultSessionName(`${'x'.repeat(70)}\n`), `${'x'.repeat(57)}…`)
+  assert.equal(defaultSessionName('  \n'), 'Untitled analysis')
+})
@@ -0,0 +1,118 @@
+// Job stores, the job queue's cap and waiting for a job to finish
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import http from 'node:http'
+import os from 'node:os'
+import path from 'node:path'
+import { createRequire } from 'node:module'
+
+Object.assign(process.env, { LLM_PROVIDER: 'mock', LLM_FALLBACK_MODELS: '', LOG_LEVEL: 'error' })
+
+const require = createRequire(import.meta.url)
+const { createJobStore, createJobRunner } = require('../server/lib/jobs/index.js')
+const { createRedisJobStore } = require('../server/lib/jobs/redis.js')
+
+const RESUME = 'Jane Doe\nReact developer. Built a checkout flow in React and Node.js.'
+const JOB = 'Senior Frontend Engineer\nReact and Node.js.'
+
+function job(id, fields = {}) {
+  return { id, type: 'analyze', status: 'queued', progress: { stage: 'queued', completed: 0, total: 1 }, created_at: new Date().toISOString(), finished_at: null, ...fields }
+}
+
+test('the sqlite store keeps jobs and inputs across reopening', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jd-match-jobs-'))
+  const env = { JOB_STORE: 'sqlite', JOB_STORE_FILE: path.join(dir, 'jobs.sqlite'), JOB_TTL: '60' }
+  try {
+    const store = createJobStore(env)
+    await store.saveInput('a', { resumeBuffer: Buffer.from('%PDF-1.4'), jobDescription: JOB })
+    await store.save(job('a'))
+    await store.save(job('b', { status: 'succeeded', finished_at: new Date().toISOString() }))
+    await store.save(job('c', { status: 'succeeded', finished_at: new Date(Date.now() - 120000).toISOString() }))
+
+    const reopened = createJobStore(env)
+    assert.equal(reopened.name, 'sqlite')
+    assert.deepEqual((await reopened.unfinished()).map((unfinished) => unfinished.id), ['a'])
+    const input = await reopened.loadInput('a')
+    assert.ok(Buffer.isBuffer(input.resumeBuffer))
+    assert.equal(input.resumeBuffer.toString(), '%PDF-1.4')
+    assert.equal((await reopened.get('b')).status, 'succeeded')
+    assert.equal(await reopened.get('c'), null)
+
+    await reopened.deleteInput('a')
+    assert.equal(await reopened.loadInput('a'), null)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+})
+
+test('the redis store sends each job with its expiry', async () => {
+  const values = new Map()
+  const commands = []
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', (chunk) => (body += chunk))
+    req.on('end', () => {
+      assert.equal(req.headers.authorization, 'Bearer token')
+      const [name, key, value, ...rest] = JSON.parse(body)
+      commands.push([name, key, ...rest])
+      if (name === 'SET') values.set(key, value)
+      res.setHeader('Content-Type', 'application/json')
+      res.end(JSON.stringify({ result: name === 'GET' ? values.get(key) ?? null : 'OK' }))
+    })
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+  try {
+    const store = createRedisJobStore({ url: `http://127.0.0.1:${server.address().port}`, token: 'token', ttlMs: 3600000 })
+    assert.equal(store.shared, true)
+    await store.save(job('a'))
+    assert.equal((await store.get('a')).status, 'queued')
+    assert.equal(await store.get('b'), null)
+    assert.deepEqual(commands[0], ['SET', 'jd-match:job:a', 'EX', '3600'])
+  } finally {
+    server.close()
+  }
+})
+
+test('a full job queue answers 503 with Retry-After, counting every batch row', async () => {
+  let open
+  const gate = new Promise((resolve) => {
+    open = resolve
+  })
+  // Holds every model call until the gate opens
+  const queue = { acquire: () => gate.then(() => () => {}) }
+  const runner = createJobRunner({
+    store: createJobStore({ JOB_STORE: 'memory' }),
+    queue,
+    quota: { consume() {} },
+    env: { JOB_CONCURRENCY: '1', JOB_QUEUE_MAX: '3' },
+  })
+
+  const first = await runner.submit({ type: 'analyze', input: { resumeText: RESUME, jobDescription: JOB } })
+  const batch = await runner.submit({
+    type: 'compare',
+    input: { resumeText: RESUME, jobDescriptions: [JOB, JOB, JOB] },
+  })
+  assert.equal(runner.running, 1)
+  assert.equal(runner.queued, 1)
+  await assert.rejects(runner.submit({ type: 'analyze', input: { resumeText: RESUME, jobDescription: JOB } }), {
+    status: 503,
+    code: 'JOB_QUEUE_FULL',
+    retryAfter: 30,
+  })
+
+  open()
+  await runner.finished(first.id)
+  await runner.finished(batch.id)
+  assert.equal((await runner.get(first.id)).status, 'succeeded')
+  const done = await runner.get(batch.id)
+  assert.equal(done.status, 'succeeded')
+  assert.deepEqual(done.progress, { stage: 'succeeded', completed: 3, total: 3 })
+})
+
+test('unknown job IDs are a 404', async () => {
+  const runner = createJobRunner({ store: createJobStore({ JOB_STORE: 'memory' }), quota: { consume() {} }, env: {} })
+  await assert.rejects(runner.get('not-a-job'), { status: 404, code: 'JOB_NOT_FOUND' })
+  await assert.rejects(runner.get('00000000-0000-4000-8000-000000000000'), { status: 404, code: 'JOB_NOT_FOUND' })
+})
@@ -0,0 +1,79 @@
+// Prometheus output, the metrics token and the health report
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const { metrics, gauge, renderMetrics, canScrape } = require('../server/lib/metrics.js')
+const { checkHealth } = require('../server/lib/health.js')
+const { circuitFor } = require('../server/lib/circuit.js')
+const { createProvider } = require('../server/lib/providers/index.js')
+const { createMemoryCache } = require('../server/lib/cache/memory.js')
+
+test('counters keep one series per label set', () => {
+  metrics.errors.inc({ class: 'TIMEOUT' })
+  metrics.errors.inc({ class: 'TIMEOUT' })
+  metrics.errors.inc({ class: 'SAFETY' })
+  const text = renderMetrics()
+  assert.match(text, /^# TYPE jdmatch_errors_total counter$/m)
+  assert.match(text, /^jdmatch_errors_total\{class="TIMEOUT"\} 2$/m)
+  assert.match(text, /^jdmatch_errors_total\{class="SAFETY"\} 1$/m)
+})
+
+test('histograms count each observation in every bucket it fits', () => {
+  metrics.modelDuration.observe({ provider: 'mock', model: 'fixture' }, 1.5)
+  const text = renderMetrics()
+  assert.match(text, /^jdmatch_model_call_duration_seconds_bucket\{provider="mock",model="fixture",le="1"\} 0$/m)
+  assert.match(text, /^jdmatch_model_call_duration_seconds_bucket\{provider="mock",model="fixture",le="2"\} 1$/m)
+  assert.match(text, /^jdmatch_model_call_duration_seconds_bucket\{provider="mock",model="fixture",le="\+Inf"\} 1$/m)
+  assert.match(text, /^jdmatch_model_call_duration_seconds_sum\{provider="mock",model="fixture"\} 1\.5$/m)
+})
+
+test('gauges are read when scraped and label values are escaped', () => {
+  let depth = 1
+  gauge('test_queue_depth', 'Test gauge.', () => depth)
+  gauge('test_labelled', 'Test gauge with labels.', () => [{ labels: { name: 'a"b\\c\nd' }, value: 1 }])
+  depth = 7
+  const text = renderMetrics()
+  assert.match(text, /^test_queue_depth 7$/m)
+  assert.ok(text.includes('test_labelled{name="a\\"b\\\\c\\nd"} 1'))
+})
+
+test('METRICS_TOKEN must be sent as a bearer token', () => {
+  const request = (authorization) => ({ headers: authorization ? { authorization } : {} })
+  assert.equal(canScrape(request(), {}), true)
+  const env = { METRICS_TOKEN: 'secret' }
+  assert.equal(canScrape(request('Bearer secret'), env), true)
+  assert.equal(canScrape(request('Bearer wrong!'), env), false)
+  assert.equal(canScrape(request(), env), false)
+})
+
+test('a missing API key fails the health check', async () => {
+  const { status, body } = await checkHealth({ env: { LLM_PROVIDER: 'gemini' } })
+  assert.equal(status, 503)
+  assert.equal(body.status, 'error')
+  assert.deepEqual(body.checks.api_key, { ok: false, required: true, env: 'GOOGLE_API_KEY' })
+})
+
+test('an open circuit degrades the health check', async () => {
+  const provider = createProvider({ LLM_PROVIDER: 'mock' })
+  const healthy = await checkHealth({ provider, env: { LLM_PROVIDER: 'mock' } })
+  assert.equal(healthy.status, 200)
+  assert.equal(healthy.body.status, 'ok')
+
+  const circuit = circuitFor({ name: 'health-test', model: 'failing' })
+  for (let i = 0; i < 5; i++) circuit.failure()
+  const { status, body } = await checkHealth({ provider, env: { LLM_PROVIDER: 'mock' } })
+  assert.equal(status, 200)
+  assert.equal(body.status, 'degraded')
+  assert.deepEqual(body.checks.circuits.states.find((state) => state.circuit === 'health-test:failing'), { circuit: 'health-test:failing', state: 'open' })
+})
+
+test('the deep check pings the provider and round-trips the cache', async () => {
+  const provider = createProvider({ LLM_PROVIDER: 'mock' })
+  const cache = createMemoryCache({ maxEntries: 10, ttlMs: 60000 })
+  const { status, body } = await checkHealth({ provider, cache, deep: true, env: { LLM_PROVIDER: 'mock' } })
+  assert.equal(status, 200)
+  assert.equal(body.checks.reachability.ok, true)
+  assert.deepEqual(body.checks.cache, { ok: true, backend: 'memory' })
+})
@@ -0,0 +1,56 @@
+// Request validation against the schemas in the OpenAPI document
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const { validateRequestBody } = require('../server/lib/openapi.js')
+
+function problems(body, mediaType = 'application/json') {
+  try {
+    validateRequestBody('/api/v1/analyze', 'post', mediaType, body)
+    return []
+  } catch (err) {
+    assert.equal(err.status, 400)
+    assert.equal(err.code, 'INVALID_REQUEST')
+    return err.problems
+  }
+}
+
+const JOB = 'Senior Frontend Engineer'
+
+test('a valid body passes unchanged', () => {
+  const body = { resume: { text: 'Jane Doe' }, job_description: JOB, preset: 'sales', redaction: 'full' }
+  assert.equal(validateRequestBody('/api/v1/analyze', 'post', 'application/json', body), body)
+  assert.deepEqual(problems({ resume: { content: 'SmFuZSBEb2U=' }, job_description: JOB }), [])
+})
+
+test('the resume must match exactly one of text or file', () => {
+  const message = 'must be an object with exactly one of: text, content'
+  assert.deepEqual(problems({ resume: { text: 'Jane Doe', content: 'SmFuZSBEb2U=' }, job_description: JOB }), [{ field: 'resume', message }])
+  assert.deepEqual(problems({ resume: {}, job_description: JOB }), [{ field: 'resume', message }])
+  assert.deepEqual(problems({ resume: 'Jane Doe', job_description: JOB }), [{ field: 'resume', message }])
+})
+
+test('unknown fields are rejected, and every problem is listed', () => {
+  assert.deepEqual(problems({ resume: { text: 'Jane Doe' }, job_description: ' ', score: 100, preset: 'astronaut' }), [
+    { field: 'job_description', message: 'must not be empty' },
+    { field: 'score', message: 'is not a known field' },
+    { field: 'preset', message: 'must be one of: balanced, engineering, sales, design, leadership' },
+  ])
+  assert.deepEqual(problems({ resume: { text: 'Jane Doe' } }), [{ field: 'job_description', message: 'is required' }])
+})
+
+test('file content must be base64', () => {
+  assert.deepEqual(problems({ resume: { content: 'not base64!' }, job_description: JOB }), [
+    { field: 'resume', message: 'must be an object with exactly one of: text, content' },
+  ])
+  assert.deepEqual(problems({ resume: { content: 'SmFu\nZSBE\nb2U=\n' }, job_description: JOB }), [])
+})
+
+test('form uploads are checked as files and text fields', () => {
+  const form = 'multipart/form-data'
+  assert.deepEqual(problems({ resume: Buffer.from('Jane Doe'), job_description: JOB }, form), [])
+  assert.deepEqual(problems({ resume: 'Jane Doe', job_description: JOB }, form), [{ field: 'resume', message: 'must be a file' }])
+  assert.deepEqual(problems({ resume_text: ['Jane', 'Doe'], job_description: JOB }, form), [{ field: 'resume_text', message: 'must be of type string' }])
+})
@@ -0,0 +1,53 @@
+// The FIFO model queue: concurrency, positions, a full queue and cancelling
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const { createModelQueue } = require('../server/lib/queue.js')
+
+test('callers beyond the concurrency wait in order and learn their position', async () => {
+  const queue = createModelQueue({ MODEL_CONCURRENCY: '1', MODEL_QUEUE_MAX: '5' })
+  const release = await queue.acquire()
+  const positions = { b: [], c: [] }
+  const started = []
+  function wait(name) {
+    return queue.acquire({ onPosition: (n) => positions[name].push(n) }).then((done) => {
+      started.push(name)
+      return done
+    })
+  }
+  const b = wait('b')
+  const c = wait('c')
+  assert.equal(queue.queued, 2)
+
+  release()
+  ;(await b)()
+  ;(await c)()
+  assert.deepEqual(started, ['b', 'c'])
+  assert.deepEqual(positions, { b: [1, 0], c: [2, 1, 0] })
+  assert.equal(queue.active, 0)
+})
+
+test('a full queue answers 503 with Retry-After', async () => {
+  const queue = createModelQueue({ MODEL_CONCURRENCY: '1', MODEL_QUEUE_MAX: '1' })
+  await queue.acquire()
+  queue.acquire()
+  await assert.rejects(queue.acquire(), { status: 503, code: 'QUEUE_FULL', retryAfter: 15 })
+})
+
+test('a cancelled caller leaves the queue and the rest move up', async () => {
+  const queue = createModelQueue({ MODEL_CONCURRENCY: '1' })
+  const release = await queue.acquire()
+  const controller = new AbortController()
+  const positions = []
+  const cancelled = queue.acquire({ signal: controller.signal })
+  const next = queue.acquire({ onPosition: (n) => positions.push(n) })
+
+  controller.abort()
+  await assert.rejects(cancelled)
+  assert.equal(queue.queued, 1)
+  release()
+  ;(await next)()
+  assert.deepEqual(positions, [2, 1, 0])
+})
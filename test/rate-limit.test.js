@@ -0,0 +1,58 @@
+// Who a request is charged to, the per-client request window and the daily
+// quota on the server's key
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const { createRateLimiter, createDailyQuota, clientKey } = require('../server/lib/rate-limit.js')
+
+const env = { CLIENT_API_KEYS: 'issued-one, issued-two', RATE_LIMIT_MAX: '2', RATE_LIMIT_WINDOW: '60', SERVER_KEY_DAILY_QUOTA: '2' }
+
+function request(ip, apiKey) {
+  return { ip, headers: apiKey ? { 'x-api-key': apiKey } : {} }
+}
+
+test('made-up API keys are charged to the IP', () => {
+  assert.equal(clientKey(request('10.0.0.1', 'random-1'), env), 'ip:10.0.0.1')
+  assert.equal(clientKey(request('10.0.0.1', 'random-2'), env), 'ip:10.0.0.1')
+  assert.equal(clientKey(request('10.0.0.1', 'random-3'), {}), 'ip:10.0.0.1')
+})
+
+test('issued API keys get a bucket of their own', () => {
+  const one = clientKey(request('10.0.0.1', 'issued-one'), env)
+  const two = clientKey(request('10.0.0.1', 'issued-two'), env)
+  assert.match(one, /^key:/)
+  assert.notEqual(one, two)
+  assert.equal(clientKey(request('10.0.0.2', 'issued-one'), env), one)
+})
+
+test('the Vercel edge address is used without req.ip', () => {
+  assert.equal(clientKey({ headers: { 'x-forwarded-for': '203.0.113.7, 10.0.0.1' } }, env), 'ip:203.0.113.7')
+})
+
+test('requests over the limit get a 429 with Retry-After', () => {
+  const limiter = createRateLimiter(env)
+  limiter.check('ip:10.0.0.1')
+  limiter.check('ip:10.0.0.1')
+  limiter.check('ip:10.0.0.2')
+  assert.throws(() => limiter.check('ip:10.0.0.1'), (err) => {
+    assert.equal(err.status, 429)
+    assert.equal(err.code, 'RATE_LIMITED')
+    assert.ok(err.retryAfter > 0 && err.retryAfter <= 60)
+    return true
+  })
+})
+
+test('RATE_LIMIT_MAX=0 turns the limit off', () => {
+  const limiter = createRateLimiter({ RATE_LIMIT_MAX: '0' })
+  for (let i = 0; i < 100; i++) limiter.check('ip:10.0.0.1')
+})
+
+test('rotating API keys share one daily quota', () => {
+  const quota = createDailyQuota(env)
+  const consume = (apiKey) => quota.consume(clientKey(request('10.0.0.1', apiKey), env))
+  consume('random-1')
+  consume('random-2')
+  assert.throws(() => consume('random-3'), { status: 429, code: 'DAILY_QUOTA_EXCEEDED' })
+})
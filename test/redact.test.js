@@ -0,0 +1,81 @@
+// PII redaction levels, placeholders and restoring them in the model's output
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const { createRedactor, resolveRedactionLevel } = require('../server/lib/redact.js')
+const { createMemoryCache } = require('../server/lib/cache/memory.js')
+const { createProvider } = require('../server/lib/providers/index.js')
+const { analyze } = require('../server/lib/engine.js')
+
+const RESUME = `Ruby Chen
+ruby.chen@example.com | +1 415 555 0134 | github.com/rubychen
+
+Summary
+Ruby Chen builds payment systems.
+
+Experience
+Backend Engineer at Stripe, 2019.01 - 2021.06
+Ruby led the Stripe billing migration.
+Acme Labs, 01 2020 - 06 2023
+
+Skills: Ruby, Rails, Stripe API`
+
+test('contact details share one placeholder across the resume and job description', () => {
+  const redactor = createRedactor('contact')
+  const resume = redactor.redactResume(RESUME)
+  assert.match(resume, /^Ruby Chen\n\[EMAIL_1\] \| \[PHONE_1\] \| \[URL_1\]\n/)
+  assert.equal(redactor.redact('Questions to ruby.chen@example.com'), 'Questions to [EMAIL_1]')
+  assert.equal(redactor.restore({ summary: ['Email [EMAIL_1]'] }).summary[0], 'Email ruby.chen@example.com')
+  assert.deepEqual(redactor.summary().counts, { EMAIL: 1, PHONE: 1, URL: 1 })
+})
+
+test('phone numbers need a phone shape, so date ranges are kept', () => {
+  const redactor = createRedactor('contact')
+  for (const dates of ['2019.01 - 2021.06', '2019.01-2021.06', '01 2020 - 06 2023', '01 2020 06 2023', '2019-01-2021-06', '2019.01-2021']) {
+    assert.equal(redactor.redact(`Acme, ${dates}`), `Acme, ${dates}`)
+  }
+  for (const phone of ['(415) 555-0134', '415-555-0134', '415.555.0134', '+44 20 7946 0958', '020 7946 0958', '+1 2019 01 2021']) {
+    assert.match(redactor.redact(`Call ${phone}`), /^Call \[PHONE_\d+\]$/)
+  }
+})
+
+test('names and employers are only redacted in the sections they came from', () => {
+  const redactor = createRedactor('full')
+  const resume = redactor.redactResume(RESUME)
+  assert.match(resume, /^\[NAME_1\]\n/)
+  assert.match(resume, /\n\[NAME_1\] builds payment systems\./)
+  assert.match(resume, /Backend Engineer at \[EMPLOYER_\d\], 2019\.01 - 2021\.06\nRuby led the \[EMPLOYER_\d\] billing migration\.\n\[EMPLOYER_\d\], 01 2020/)
+  assert.match(resume, /\nSkills: Ruby, Rails, Stripe API$/)
+  assert.equal(redactor.redact('We build Stripe apps in Ruby.'), 'We build Stripe apps in Ruby.')
+  assert.equal(redactor.restore(resume), RESUME)
+})
+
+test('unknown levels are rejected and the default comes from PII_REDACTION', () => {
+  assert.throws(() => resolveRedactionLevel('everything'), { status: 400, code: 'INVALID_REDACTION' })
+  assert.equal(resolveRedactionLevel(undefined, { PII_REDACTION: 'full' }), 'full')
+  assert.equal(resolveRedactionLevel(undefined, {}), 'contact')
+})
+
+test('the cache keeps the placeholders and a hit restores them', async () => {
+  const provider = createProvider({ LLM_PROVIDER: 'mock' })
+  const generate = provider.generate.bind(provider)
+  provider.generate = async (...args) => {
+    const { text } = await generate(...args)
+    const analysis = JSON.parse(text)
+    return { text: JSON.stringify({ ...analysis, summary: 'Reach the candidate at [EMAIL_1].' }) }
+  }
+  const cache = createMemoryCache({ maxEntries: 10, ttlMs: 60000 })
+  const options = { provider, cache }
+
+  const first = await analyze({ resumeText: RESUME, jobDescription: 'Backend Engineer, Ruby', redaction: 'contact', options })
+  assert.equal(first.summary, 'Reach the candidate at ruby.chen@example.com.')
+  const stored = await cache.get(first.cache.key)
+  assert.equal(stored.value.analysis.summary, 'Reach the candidate at [EMAIL_1].')
+  assert.doesNotMatch(JSON.stringify(stored.value), /ruby\.chen@example\.com/)
+
+  const second = await analyze({ resumeText: RESUME, jobDescription: 'Backend Engineer, Ruby', redaction: 'contact', options })
+  assert.equal(second.cache.hit, true)
+  assert.equal(second.summary, 'Reach the candidate at ruby.chen@example.com.')
+})
@@ -0,0 +1,99 @@
+// Retries, fallbacks and cancellation around model calls, with providers
+// that fail the way a provider under load does
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { getEventListeners } from 'node:events'
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const { callModel } = require('../server/lib/resilience.js')
+const { circuitFor } = require('../server/lib/circuit.js')
+const { ERROR_CODES, ProviderError } = require('../server/lib/providers')
+
+function failingProvider(model, keyId) {
+  const provider = {
+    name: 'fake',
+    model,
+    keyId,
+    calls: 0,
+    async generate() {
+      provider.calls++
+      throw new ProviderError('Overloaded.', { code: ERROR_CODES.UPSTREAM, status: 503, provider: 'fake' })
+    },
+  }
+  return provider
+}
+
+test('LLM_MAX_RETRIES=0 tries each model once', async () => {
+  process.env.LLM_MAX_RETRIES = '0'
+  const provider = failingProvider('no-retries')
+  await assert.rejects(callModel(provider, 'prompt'), { status: 503 })
+  assert.equal(provider.calls, 1)
+})
+
+test('a missing or unparsable LLM_MAX_RETRIES keeps the default of 3', async () => {
+  for (const value of ['', 'lots']) {
+    process.env.LLM_MAX_RETRIES = value
+    let calls = 0
+    const provider = {
+      name: 'fake',
+      model: `default-${value || 'empty'}`,
+      async generate() {
+        calls++
+        // A 1ms retry hint keeps the back-off under a second
+        if (calls < 4) throw new ProviderError('Overloaded.', { code: ERROR_CODES.UPSTREAM, status: 503, provider: 'fake', retryAfterMs: 1 })
+        return { text: 'ok' }
+      },
+    }
+    const result = await callModel(provider, 'prompt')
+    assert.equal(result.model.attempts, 4)
+  }
+})
+
+test('a model that keeps failing falls back to the next one', async () => {
+  process.env.LLM_MAX_RETRIES = '0'
+  const fallback = { name: 'fake', model: 'fallback', async generate() { return { text: 'ok' } } }
+  const provider = { ...failingProvider('primary'), fallbacks: [fallback] }
+  const result = await callModel(provider, 'prompt')
+  assert.deepEqual(result.model, { provider: 'fake', name: 'fallback', fallback: true, attempts: 2 })
+})
+
+test('cancelling during the back-off stops the retries', async () => {
+  process.env.LLM_MAX_RETRIES = '3'
+  let calls = 0
+  const provider = {
+    name: 'fake',
+    model: 'cancelled',
+    async generate() {
+      calls++
+      throw new ProviderError('Overloaded.', { code: ERROR_CODES.UPSTREAM, status: 503, provider: 'fake', retryAfterMs: 5000 })
+    },
+  }
+  const controller = new AbortController()
+  setTimeout(() => controller.abort(), 20)
+  await assert.rejects(callModel(provider, 'prompt', { signal: controller.signal }), { status: 499, code: 'CANCELLED' })
+  assert.equal(calls, 1)
+})
+
+test('waiting between retries leaves no listeners on the request signal', async () => {
+  process.env.LLM_MAX_RETRIES = '3'
+  let calls = 0
+  const provider = {
+    name: 'fake',
+    model: 'listeners',
+    async generate() {
+      if (++calls < 3) throw new ProviderError('Overloaded.', { code: ERROR_CODES.UPSTREAM, status: 503, provider: 'fake', retryAfterMs: 1 })
+      return { text: 'ok' }
+    },
+  }
+  const controller = new AbortController()
+  await callModel(provider, 'prompt', { signal: controller.signal })
+  assert.equal(getEventListeners(controller.signal, 'abort').length, 0)
+})
+
+test('circuits for user keys are shared per key but not kept forever', () => {
+  const first = circuitFor(failingProvider('model', 'key-0'))
+  assert.equal(circuitFor(failingProvider('model', 'key-0')), first)
+  for (let i = 1; i <= 1000; i++) circuitFor(failingProvider('model', `key-${i}`))
+  assert.notEqual(circuitFor(failingProvider('model', 'key-0')), first)
+})
@@ -0,0 +1,91 @@
+// Undo and redo in the Live Resume editor, and the word diff of its changes
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { reducer, initialState } from '../src/resumeEditor.js'
+import { diffWords } from '../src/diff.js'
+
+const RESUME = 'Jane Doe\nWorked on the website.'
+const REWRITE = { index: 0, original: 'Worked on the website.', suggested: 'Rebuilt the checkout in React.', start: 9 }
+const REWRITTEN = 'Jane Doe\nRebuilt the checkout in React.'
+
+function run(state, ...actions) {
+  return actions.reduce(reducer, state)
+}
+
+test('undo and redo bring back the text together with its applied rewrites', () => {
+  const applied = run(initialState(RESUME), { type: 'change', text: REWRITTEN, applied: [REWRITE] })
+  assert.deepEqual(applied.present, { text: REWRITTEN, applied: [REWRITE] })
+
+  const undone = reducer(applied, { type: 'undo' })
+  assert.deepEqual(undone.present, { text: RESUME, applied: [] })
+  assert.equal(undone.future.length, 1)
+
+  const redone = reducer(undone, { type: 'redo' })
+  assert.deepEqual(redone.present, applied.present)
+  assert.equal(redone.original, RESUME)
+})
+
+test('keystrokes close together are undone as one step', () => {
+  const typed = run(
+    initialState(RESUME),
+    { type: 'change', text: `${RESUME}\nR`, typingAt: 1000 },
+    { type: 'change', text: `${RESUME}\nRe`, typingAt: 1400 },
+    { type: 'change', text: `${RESUME}\nRea`, typingAt: 2200 },
+    // A pause starts a new step
+    { type: 'change', text: `${RESUME}\nReact`, typingAt: 4000 }
+  )
+  assert.equal(typed.past.length, 2)
+  assert.equal(reducer(typed, { type: 'undo' }).present.text, `${RESUME}\nRea`)
+  assert.equal(run(typed, { type: 'undo' }, { type: 'undo' }).present.text, RESUME)
+
+  // Typing again right after an undo is a step of its own
+  const undone = reducer(typed, { type: 'undo' })
+  const retyped = reducer(undone, { type: 'change', text: `${RESUME}\nReal`, typingAt: 4100 })
+  assert.equal(reducer(retyped, { type: 'undo' }).present.text, `${RESUME}\nRea`)
+})
+
+test('a new change after an undo drops the redo steps', () => {
+  const state = run(
+    initialState(RESUME),
+    { type: 'change', text: REWRITTEN, applied: [REWRITE] },
+    { type: 'undo' },
+    { type: 'change', text: `${RESUME}\nReact` }
+  )
+  assert.deepEqual(state.future, [])
+  assert.equal(reducer(state, { type: 'redo' }), state)
+})
+
+test('changes that change nothing and undo past the start are ignored', () => {
+  const state = initialState(RESUME)
+  assert.equal(reducer(state, { type: 'change', text: RESUME }), state)
+  assert.equal(reducer(state, { type: 'undo' }), state)
+  assert.equal(reducer(state, { type: 'redo' }), state)
+})
+
+test('the history keeps the last 200 steps', () => {
+  let state = initialState('0')
+  for (let i = 1; i <= 250; i++) state = reducer(state, { type: 'change', text: String(i) })
+  assert.equal(state.past.length, 200)
+  assert.equal(state.past[0].text, '50')
+})
+
+test('loading a resume starts a new history', () => {
+  const edited = run(initialState(RESUME), { type: 'change', text: REWRITTEN, applied: [REWRITE] })
+  const loaded = reducer(edited, { type: 'load', text: REWRITTEN, applied: [REWRITE], original: RESUME })
+  assert.deepEqual(loaded, { original: RESUME, past: [], present: { text: REWRITTEN, applied: [REWRITE] }, future: [], typingAt: 0 })
+})
+
+test('the word diff marks each changed run and keeps the spacing', () => {
+  const parts = diffWords(RESUME, REWRITTEN)
+  assert.deepEqual(parts, [
+    { type: 'same', text: 'Jane Doe\n' },
+    { type: 'removed', text: 'Worked on ' },
+    { type: 'added', text: 'Rebuilt ' },
+    { type: 'same', text: 'the ' },
+    { type: 'removed', text: 'website.' },
+    { type: 'added', text: 'checkout in React.' },
+  ])
+  const side = (type) => parts.filter((part) => part.type !== type).map((part) => part.text).join('')
+  assert.equal(side('added'), RESUME)
+  assert.equal(side('removed'), REWRITTEN)
+})
@@ -0,0 +1,59 @@
+// Validation and the single repair re-prompt for the model's analysis JSON
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const { AnalysisValidationError, validateAnalysis, parseAnalysis, generateValidAnalysis } = require('../server/lib/schema.js')
+
+const VALID = readFileSync(new URL('../server/lib/providers/fixtures/analysis.json', import.meta.url), 'utf-8')
+
+// Keeps the repair warnings out of the test output
+console.warn = () => {}
+
+// A stand-in for the provider that answers each call with the next text
+function scripted(...texts) {
+  const prompts = []
+  const generate = async (prompt) => {
+    prompts.push(prompt)
+    return { text: texts[prompts.length - 1] }
+  }
+  return { generate, prompts }
+}
+
+test('scores given as strings or out of range are coerced', () => {
+  const raw = { ...JSON.parse(VALID), tech_match: '85%', impact_match: 140, strict_score: -3 }
+  const { value, errors } = validateAnalysis(raw)
+  assert.deepEqual(errors, [])
+  assert.equal(value.tech_match, 85)
+  assert.equal(value.impact_match, 100)
+  assert.equal(value.strict_score, 0)
+})
+
+test('rewrites missing a field are dropped instead of failing the analysis', () => {
+  const raw = JSON.parse(VALID)
+  raw.rewrites.push({ original: 'Did things.' })
+  assert.equal(parseAnalysis(JSON.stringify(raw)).rewrites.length, 3)
+})
+
+test('an invalid response is repaired with one re-prompt listing the problems', async () => {
+  const { tech_match, ...incomplete } = JSON.parse(VALID)
+  const { generate, prompts } = scripted(JSON.stringify(incomplete), VALID)
+  const { analysis } = await generateValidAnalysis(generate, 'PROMPT')
+  assert.equal(analysis.tech_match, 72)
+  assert.equal(prompts.length, 2)
+  assert.match(prompts[1], /^PROMPT/)
+  assert.match(prompts[1], /- tech_match is required/)
+})
+
+test('a response still invalid after the repair is a 502', async () => {
+  const { generate, prompts } = scripted('not json', '{"summary": "still incomplete"}')
+  await assert.rejects(generateValidAnalysis(generate, 'PROMPT'), (err) => {
+    assert.ok(err instanceof AnalysisValidationError)
+    assert.equal(err.status, 502)
+    assert.equal(err.code, 'INVALID_ANALYSIS')
+    return true
+  })
+  assert.equal(prompts.length, 2)
+})
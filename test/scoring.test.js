@@ -0,0 +1,38 @@
+// Role presets and the confidence band around the overall score
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const { PRESETS, resolvePreset, computeOverall } = require('../server/lib/scoring.js')
+
+const SCORES = { tech_match: 90, impact_match: 40, ats_compatibility: 80, strict_score: 60, confidence_rating: 80 }
+
+test('every preset weights strict_score', () => {
+  for (const [name, preset] of Object.entries(PRESETS)) assert.ok(preset.weights.strict_score > 0, name)
+})
+
+test('the overall score is the preset-weighted average', () => {
+  // 0.3 * 90 + 0.25 * 40 + 0.2 * 80 + 0.25 * 60
+  assert.equal(computeOverall(SCORES, 'balanced').score, 68)
+  // 0.4 * 90 + 0.2 * 40 + 0.1 * 80 + 0.3 * 60
+  assert.equal(computeOverall(SCORES, 'engineering').score, 70)
+  // 0.15 * 90 + 0.45 * 40 + 0.1 * 80 + 0.3 * 60
+  assert.equal(computeOverall(SCORES, 'leadership').score, 58)
+})
+
+test('the band widens as confidence drops and stays within 0-100', () => {
+  assert.deepEqual(computeOverall(SCORES, 'balanced').range, [64, 72])
+  const unsure = computeOverall({ ...SCORES, confidence_rating: 50 }, 'balanced')
+  assert.deepEqual(unsure.range, [58, 78])
+  assert.equal(unsure.low_confidence, true)
+  const top = computeOverall({ tech_match: 100, impact_match: 100, ats_compatibility: 100, strict_score: 100, confidence_rating: 40 }, 'balanced')
+  assert.deepEqual(top.range, [88, 100])
+})
+
+test('presets resolve by name, from SCORING_PRESET, or fail with a 400', () => {
+  assert.equal(resolvePreset('sales'), 'sales')
+  assert.equal(resolvePreset(undefined, { SCORING_PRESET: 'design' }), 'design')
+  assert.equal(resolvePreset(undefined, { SCORING_PRESET: 'nonsense' }), 'balanced')
+  assert.throws(() => resolvePreset('astronaut'), { status: 400, code: 'INVALID_PRESET' })
+})
@@ -0,0 +1,55 @@
+// The local skill matcher: aliases, ambiguous names and Expertise vs Exposure
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const { findSkills, matchSkills, checkMissingKeywords } = require('../server/lib/skills')
+
+function names(text) {
+  return [...findSkills(text).keys()].map((skill) => skill.name)
+}
+
+test('aliases count as their canonical skill', () => {
+  assert.ok(names('Wrote JS tooling').includes('JavaScript'))
+  assert.ok(names('Deployed to k8s').includes('Kubernetes'))
+  assert.ok(names('Tuned Postgres queries').includes('PostgreSQL'))
+})
+
+test('names inside other names do not match', () => {
+  assert.deepEqual(names('Built a Node.js API'), ['Node.js'])
+  assert.ok(!names('Wrote C++ and Objective-C').includes('C'))
+})
+
+test('everyday words and single letters are not skills on their own', () => {
+  for (const text of ['Go to market plan for three product lines', 'Swift delivery of every release', 'Grade: C', 'Led the R&D budget']) {
+    assert.deepEqual(names(text).filter((name) => ['Go', 'Swift', 'C', 'R'].includes(name)), [], text)
+  }
+})
+
+test('ambiguous names count in a skills list or next to other languages', () => {
+  assert.ok(names('Skills: Go, Docker').includes('Go'))
+  assert.ok(names('Languages: C, R').includes('C'))
+  assert.ok(names('Built iOS apps in Swift and Objective-C').includes('Swift'))
+  assert.ok(names('Rewrote the billing service from Python to Go').includes('Go'))
+  // An unambiguous alias needs no context
+  assert.ok(names('Golang services').includes('Go'))
+})
+
+test('a skill in an achievement bullet with a metric is Expertise, a listed one Exposure', () => {
+  const resume = '- Migrated 40 services to Kubernetes, cutting costs by 30%\nSkills: React, Docker'
+  const { skills, score } = matchSkills('Kubernetes, React and Terraform', resume)
+  const status = Object.fromEntries(skills.map((skill) => [skill.name, skill.status]))
+  assert.deepEqual(status, { Kubernetes: 'expertise', React: 'exposure', Terraform: 'missing' })
+  // (1 + 0.25 + 0) / 3
+  assert.equal(score, 42)
+})
+
+test('missing keywords the resume contains under an alias are flagged', () => {
+  const resume = 'Skills: k8s, React'
+  const match = matchSkills('Kubernetes, React, Terraform and GraphQL', resume)
+  const check = checkMissingKeywords(['Kubernetes', 'Quantum annealing'], match, resume)
+  assert.deepEqual(check.found_in_resume.map((item) => [item.keyword, item.text]), [['Kubernetes', 'k8s']])
+  assert.deepEqual(check.not_in_taxonomy, ['Quantum annealing'])
+  assert.deepEqual(check.also_missing, ['Terraform', 'GraphQL'])
+})
@@ -0,0 +1,39 @@
+// Stage events while the model streams its analysis
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const { analyze } = require('../server/lib/engine.js')
+const { createProvider } = require('../server/lib/providers')
+
+const RESUME = 'Jane Doe\nSoftware Engineer\nWorked on the frontend of the company website.'
+const JOB = 'Senior Frontend Engineer\nReact, Node.js and GraphQL.'
+
+test('stages arrive in the order the analysis is written', async () => {
+  const events = []
+  const result = await analyze({
+    resumeText: RESUME,
+    jobDescription: JOB,
+    options: { provider: createProvider({ LLM_PROVIDER: 'mock' }), onEvent: (event, data) => events.push([event, data]) },
+  })
+
+  // Stages computed before the model runs may come in between; the model's
+  // own stages keep the order it writes them in
+  const order = events.map(([event]) => event)
+  assert.equal(order[0], 'extracted')
+  const modelStages = order.filter((event) => ['scores', 'summary', 'missing_keywords', 'hallucination_check', 'rewrite'].includes(event))
+  assert.deepEqual(modelStages, ['scores', 'summary', 'missing_keywords', 'hallucination_check', 'rewrite', 'rewrite', 'rewrite'])
+  assert.equal(events[0][1].resumeText, RESUME)
+  const [, scores] = events.find(([event]) => event === 'scores')
+  assert.deepEqual([scores.tech_match, scores.impact_match, scores.ats_compatibility, scores.strict_score, scores.confidence_rating], [72, 64, 88, 61, 80])
+  assert.deepEqual(events.filter(([event]) => event === 'rewrite').map(([, data]) => data.index), [0, 1, 2])
+  assert.deepEqual(events.at(-1)[1].rewrite, result.rewrites[2])
+})
+
+test('without onEvent the analysis is not streamed', async () => {
+  const provider = createProvider({ LLM_PROVIDER: 'mock' })
+  provider.generateStream = () => assert.fail('generateStream should not be called')
+  const result = await analyze({ resumeText: RESUME, jobDescription: JOB, options: { provider } })
+  assert.equal(result.rewrites.length, 3)
+})